@@ -0,0 +1,86 @@
+const request = require('supertest');
+const { safeEqual, createAdminAuth } = require('../lib/auth');
+const { loadApp } = require('./helpers/app');
+
+const basic = (user, password) => 'Basic ' + Buffer.from(`${user}:${password}`).toString('base64');
+const withAuth = (authorization) => ({ headers: authorization ? { authorization } : {} });
+
+describe('safeEqual', () => {
+  test('compares strings of any length', () => {
+    expect(safeEqual('secret', 'secret')).toBe(true);
+    expect(safeEqual('secret', 'Secret')).toBe(false);
+    expect(safeEqual('secret', 'secret-longer')).toBe(false);
+    expect(safeEqual('', '')).toBe(true);
+  });
+});
+
+describe('createAdminAuth', () => {
+  test('is disabled without a token or a complete user/password pair', () => {
+    expect(createAdminAuth().enabled).toBe(false);
+    expect(createAdminAuth({ user: 'admin' }).enabled).toBe(false);
+    expect(createAdminAuth({ token: 't0ken' }).enabled).toBe(true);
+  });
+
+  test('accepts a bearer token case-insensitively by scheme only', () => {
+    const auth = createAdminAuth({ token: 't0ken' });
+    expect(auth.isAuthorized(withAuth('Bearer t0ken'))).toBe(true);
+    expect(auth.isAuthorized(withAuth('bearer t0ken'))).toBe(true);
+    expect(auth.isAuthorized(withAuth('Bearer T0KEN'))).toBe(false);
+    expect(auth.isAuthorized(withAuth(basic('admin', 't0ken')))).toBe(false);
+    expect(auth.isAuthorized(withAuth())).toBe(false);
+  });
+
+  test('accepts Basic credentials, including passwords with colons', () => {
+    const auth = createAdminAuth({ user: 'admin', password: 'pa:ss' });
+    expect(auth.isAuthorized(withAuth(basic('admin', 'pa:ss')))).toBe(true);
+    expect(auth.isAuthorized(withAuth(basic('admin', 'pa')))).toBe(false);
+    expect(auth.isAuthorized(withAuth(basic('root', 'pa:ss')))).toBe(false);
+    expect(auth.isAuthorized(withAuth('Basic ' + Buffer.from('no-colon').toString('base64')))).toBe(false);
+    expect(auth.isAuthorized(withAuth('Bearer pa:ss'))).toBe(false);
+  });
+});
+
+describe('admin endpoints', () => {
+  test('answer 404 when admin auth is not configured', async () => {
+    const { app } = loadApp();
+    await request(app).get('/api/admin/summary').expect(404);
+    await request(app).get('/admin').expect(404);
+  });
+
+  describe('with a token', () => {
+    let app;
+    beforeAll(async () => {
+      ({ app } = loadApp({ ADMIN_TOKEN: 'test-admin-token' }));
+      await request(app).get('/api/whoami').set('X-Forwarded-For', '8.8.8.8').expect(200);
+    });
+
+    test('reject missing or wrong credentials without a browser prompt', async () => {
+      const res = await request(app).get('/api/admin/summary').expect(401);
+      expect(res.headers['www-authenticate']).toBeUndefined();
+      await request(app).get('/api/admin/recent').set('Authorization', 'Bearer wrong').expect(401);
+    });
+
+    test('serve the summary, recent visits and locations', async () => {
+      const auth = 'Bearer test-admin-token';
+      const summary = await request(app).get('/api/admin/summary?days=7').set('Authorization', auth).expect(200);
+      expect(summary.body).toMatchObject({ days: 7, totals: { total: 1, unique: 1 } });
+      expect(summary.body.trend).toHaveLength(7);
+      expect(summary.body.top.country).toEqual([{ country: 'US', count: 1 }]);
+
+      const recent = await request(app).get('/api/admin/recent').set('Authorization', auth).expect(200);
+      expect(recent.body.visits).toHaveLength(1);
+      expect(recent.body.visits[0]).not.toHaveProperty('ip');
+
+      const locations = await request(app).get('/api/admin/locations').set('Authorization', auth).expect(200);
+      expect(locations.body.cells).toEqual([expect.objectContaining({ count: 1 })]);
+    });
+  });
+
+  test('the dashboard page asks for Basic credentials', async () => {
+    const { app } = loadApp({ ADMIN_USER: 'admin', ADMIN_PASSWORD: 'hunter2' });
+    const res = await request(app).get('/admin').expect(401);
+    expect(res.headers['www-authenticate']).toMatch(/^Basic realm="whoami admin"/);
+    const ok = await request(app).get('/admin').set('Authorization', basic('admin', 'hunter2'));
+    expect(ok.status).not.toBe(401);
+  });
+});
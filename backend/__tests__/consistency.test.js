@@ -0,0 +1,112 @@
+const request = require('supertest');
+const { parseClientReport, parseAcceptLanguage, countryTimeZones, checkTimezone, checkLanguages, checkUserAgent, runChecks } = require('../lib/consistency');
+const { loadApp } = require('./helpers/app');
+
+const FIREFOX = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0';
+const NOW = new Date('2026-01-15T12:00:00Z');
+
+describe('parseClientReport', () => {
+  test('keeps known fields with bounded sizes', () => {
+    const { report } = parseClientReport({
+      timezone: 'Europe/Berlin',
+      languages: ['de-DE', 42, 'en'],
+      screen: { width: '1920', height: 1080, colorDepth: 'deep' },
+      userAgent: 'x'.repeat(1000),
+      extra: 'dropped'
+    });
+    expect(report.languages).toEqual(['de-DE', 'en']);
+    expect(report.screen).toMatchObject({ width: 1920, height: 1080, colorDepth: null });
+    expect(report.userAgent).toHaveLength(512);
+    expect(report).not.toHaveProperty('extra');
+    expect(report.parsedUa).toEqual({ browser: '', os: '', device: '' });
+  });
+
+  test('rejects anything but an object', () => {
+    expect(parseClientReport([]).error).toMatch(/JSON object/);
+    expect(parseClientReport(null).error).toMatch(/JSON object/);
+  });
+});
+
+describe('checkTimezone', () => {
+  test('matches a zone of the IP country', () => {
+    expect(countryTimeZones('DE')).toContain('Europe/Berlin');
+    expect(checkTimezone('Europe/Berlin', 'DE', NOW).status).toBe('match');
+  });
+
+  test('matches a zone with the same current offset', () => {
+    expect(checkTimezone('Europe/Paris', 'DE', NOW)).toMatchObject({ status: 'match', detail: expect.stringMatching(/same UTC offset/) });
+  });
+
+  test('flags a zone far from the IP country', () => {
+    expect(checkTimezone('America/New_York', 'DE', NOW)).toMatchObject({ status: 'mismatch', client: 'America/New_York', server: 'DE' });
+  });
+
+  test('is unknown without a valid zone or a country', () => {
+    expect(checkTimezone('Mars/Olympus', 'DE', NOW).status).toBe('unknown');
+    expect(checkTimezone('Europe/Berlin', null, NOW).status).toBe('unknown');
+  });
+});
+
+describe('checkLanguages', () => {
+  test('parseAcceptLanguage orders by q value and drops wildcards', () => {
+    expect(parseAcceptLanguage('en;q=0.5, de-DE, de;q=0.9, *;q=0.1, fr;q=0')).toEqual(['de-DE', 'de', 'en']);
+    expect(parseAcceptLanguage('')).toEqual([]);
+  });
+
+  test('compares the primary subtag of the preferred language', () => {
+    expect(checkLanguages('de-DE,de;q=0.9', ['de']).status).toBe('match');
+    expect(checkLanguages('en-US', ['de-DE']).status).toBe('mismatch');
+    expect(checkLanguages(undefined, ['de']).status).toBe('unknown');
+  });
+});
+
+describe('checkUserAgent', () => {
+  const report = (overrides = {}) => ({ userAgent: FIREFOX, parsedUa: { browser: 'Firefox', os: 'Windows', device: '' }, ...overrides });
+
+  test('matches a consistent client', () => {
+    expect(checkUserAgent({ 'user-agent': FIREFOX }, report()).status).toBe('match');
+  });
+
+  test('flags a different navigator.userAgent or client parse', () => {
+    expect(checkUserAgent({ 'user-agent': 'curl/8.4.0' }, report()).status).toBe('mismatch');
+    expect(checkUserAgent({ 'user-agent': FIREFOX }, report({ parsedUa: { browser: 'Chrome', os: 'Windows' } })).detail).toMatch(/disagree on browser/);
+  });
+
+  test('flags client hints sent by a browser claiming to be Firefox', () => {
+    const result = checkUserAgent({ 'user-agent': FIREFOX, 'sec-ch-ua': '"Google Chrome";v="120"' }, report());
+    expect(result).toMatchObject({ status: 'mismatch', detail: expect.stringMatching(/client hints report Google Chrome/) });
+  });
+
+  test('is unknown when the browser did not report its User-Agent', () => {
+    expect(checkUserAgent({ 'user-agent': FIREFOX }, report({ userAgent: '' })).status).toBe('unknown');
+  });
+});
+
+test('runChecks lists mismatching checks', () => {
+  const { report } = parseClientReport({ timezone: 'America/New_York', languages: ['de'], userAgent: FIREFOX });
+  const result = runChecks({ report, headers: { 'user-agent': FIREFOX, 'accept-language': 'de' }, country: 'DE', now: NOW });
+  expect(result.flags).toEqual(['timezone']);
+  expect(result.consistent).toBe(false);
+});
+
+describe('POST /api/client-report', () => {
+  let app;
+  beforeAll(() => {
+    ({ app } = loadApp());
+  });
+
+  test('checks the report against the request', async () => {
+    const res = await request(app)
+      .post('/api/client-report')
+      .set('X-Forwarded-For', '81.2.69.142')
+      .set('User-Agent', FIREFOX)
+      .set('Accept-Language', 'en-GB,en;q=0.9')
+      .send({ timezone: 'Europe/London', languages: ['en-GB'], userAgent: FIREFOX, parsedUa: { browser: 'Firefox' } })
+      .expect(200);
+    expect(res.body).toMatchObject({ ip: '81.2.69.142', type: 'public', country: 'GB', flags: [], consistent: true });
+  });
+
+  test('rejects a non-object body', async () => {
+    await request(app).post('/api/client-report').send([1, 2]).expect(400);
+  });
+});
@@ -0,0 +1,111 @@
+const request = require('supertest');
+const { resolveFormat, formatError, serialize } = require('../lib/format');
+const { loadApp } = require('./helpers/app');
+
+jest.mock('geoip-lite', () => {
+  const actual = jest.requireActual('geoip-lite');
+  return { ...actual, lookup: jest.fn((ip) => actual.lookup(ip)) };
+});
+const geoip = require('geoip-lite');
+
+// Just enough of an Express request for resolveFormat
+function fakeReq({ query = {}, headers = {} } = {}) {
+  return {
+    query,
+    headers,
+    accepts: (types) => types.find((type) => (headers.accept || '').includes(type)) || false
+  };
+}
+
+describe('resolveFormat', () => {
+  test('prefers ?format= over the User-Agent and Accept header', () => {
+    expect(resolveFormat(fakeReq({ query: { format: 'YAML' }, headers: { 'user-agent': 'curl/8.0' } }))).toBe('yaml');
+  });
+
+  test('gives command line clients plain text', () => {
+    expect(resolveFormat(fakeReq({ headers: { 'user-agent': 'curl/8.4.0' } }))).toBe('text');
+    expect(resolveFormat(fakeReq({ headers: { 'user-agent': 'Mozilla/5.0' } }))).toBe('json');
+  });
+
+  test('negotiates from Accept and falls back otherwise', () => {
+    expect(resolveFormat(fakeReq({ headers: { accept: 'text/csv' } }))).toBe('csv');
+    expect(resolveFormat(fakeReq({ headers: { accept: '*/*' } }), 'text')).toBe('text');
+  });
+
+  test('returns null for an unknown ?format=', () => {
+    expect(resolveFormat(fakeReq({ query: { format: 'xml' } }))).toBeNull();
+  });
+});
+
+describe('formatError', () => {
+  test('is null unless ?format= is unknown', () => {
+    expect(formatError(fakeReq())).toBeNull();
+    expect(formatError(fakeReq({ query: { format: 'csv' } }))).toBeNull();
+    expect(formatError(fakeReq({ query: { format: 'xml' } }))).toEqual({ error: 'Unsupported format', supported: ['json', 'text', 'yaml', 'csv', 'env'] });
+  });
+});
+
+describe('serialize', () => {
+  const data = { ip: '8.8.8.8', location: { city: 'Mountain View', latitude: 37.4 }, tags: ['a', 'b'], note: "it's" };
+
+  test('text flattens nested keys', () => {
+    expect(serialize(data, 'text')).toBe("ip: 8.8.8.8\nlocation.city: Mountain View\nlocation.latitude: 37.4\ntags: a,b\nnote: it's\n");
+  });
+
+  test('env upper-cases keys and quotes unsafe values', () => {
+    expect(serialize({ visits: { yourVisits: 2 }, ...data }, 'env')).toBe(
+      "VISITS_YOUR_VISITS=2\nIP=8.8.8.8\nLOCATION_CITY='Mountain View'\nLOCATION_LATITUDE=37.4\nTAGS=a,b\nNOTE='it'\\''s'\n"
+    );
+  });
+
+  test('csv writes a header row and quotes cells with separators', () => {
+    expect(serialize({ a: 'x,y', b: 'say "hi"' }, 'csv')).toBe('a,b\n"x,y","say ""hi"""\n');
+  });
+
+  test('yaml nests objects and lists', () => {
+    expect(serialize({ a: { b: 1 }, c: [1, 2], d: null }, 'yaml')).toBe('a:\n  b: 1\nc:\n  - 1\n  - 2\nd: null\n');
+  });
+});
+
+describe('content negotiation endpoints', () => {
+  let app;
+  beforeAll(() => {
+    ({ app } = loadApp());
+  });
+  afterEach(() => {
+    geoip.lookup.mockImplementation((ip) => jest.requireActual('geoip-lite').lookup(ip));
+  });
+
+  test('/ip answers curl with the bare address', async () => {
+    const res = await request(app).get('/ip').set('User-Agent', 'curl/8.4.0').set('X-Forwarded-For', '8.8.8.8').expect(200);
+    expect(res.type).toBe('text/plain');
+    expect(res.text).toMatch(/^[\d.:a-f]+\n$/);
+  });
+
+  test('/ua honours ?format=json', async () => {
+    const res = await request(app).get('/ua?format=json').set('User-Agent', 'test-agent/1.0').expect(200);
+    expect(res.body).toEqual({ ua: 'test-agent/1.0' });
+  });
+
+  test('an unknown ?format= is a 400 listing the supported formats', async () => {
+    for (const path of ['/api/whoami?format=xml', '/ip?format=xml', '/country?format=xml']) {
+      const res = await request(app).get(path).expect(400);
+      expect(res.body).toEqual({ error: 'Unsupported format', supported: expect.arrayContaining(['json', 'yaml']) });
+    }
+  });
+
+  test('/api/whoami supports yaml output', async () => {
+    const res = await request(app).get('/api/whoami?format=yaml').expect(200);
+    expect(res.type).toBe('application/yaml');
+    expect(res.text).toMatch(/^ip: /m);
+  });
+
+  test('location endpoints answer 500 when the lookup fails', async () => {
+    geoip.lookup.mockImplementation(() => { throw new Error('dataset unreadable'); });
+    for (const path of ['/country', '/city', '/coords']) {
+      const res = await request(app).get(path).expect(500);
+      expect(res.body.error).toBe('Location lookup failed');
+    }
+    await request(app).get('/api/whoami').expect(500);
+  });
+});
@@ -0,0 +1,23 @@
+const request = require('supertest');
+const { loadApp } = require('./helpers/app');
+
+describe('GET /config.json', () => {
+  test('tells the frontend to use its own origin by default', async () => {
+    const { app } = loadApp();
+    const res = await request(app).get('/config.json').expect(200);
+    expect(res.body).toEqual({ apiBase: null });
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.headers['content-security-policy']).not.toMatch(/api\.example\.com/);
+  });
+
+  test('returns PUBLIC_API_BASE and allows its origin in connect-src', async () => {
+    const { app } = loadApp({ PUBLIC_API_BASE: 'https://api.example.com/whoami' });
+    const res = await request(app).get('/config.json').expect(200);
+    expect(res.body.apiBase).toMatch(/^https:\/\/api\.example\.com\/whoami/);
+    expect(res.headers['content-security-policy']).toMatch(/connect-src[^;]*https:\/\/api\.example\.com/);
+  });
+
+  test('rejects a PUBLIC_API_BASE that is not an http(s) URL at startup', () => {
+    expect(() => loadApp({ PUBLIC_API_BASE: 'ftp://api.example.com' })).toThrow(/PUBLIC_API_BASE/);
+  });
+});
@@ -0,0 +1,128 @@
+const { createBreaker } = require('../lib/geo/breaker');
+const { registerProvider, listProviders, createProvider, createGeoChain } = require('../lib/geo');
+const providers = require('../lib/geo/providers');
+
+const LOCATION = { city: 'Berlin', region: 'BE', country: 'DE', latitude: 52.5, longitude: 13.4 };
+
+function provider(name, lookup) {
+  return { name, lookup: jest.fn(lookup) };
+}
+
+describe('createBreaker', () => {
+  test('opens after the threshold and half-opens after the cooldown', () => {
+    let time = 0;
+    const breaker = createBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => time });
+    breaker.failure();
+    expect(breaker.canRequest()).toBe(true);
+    breaker.failure();
+    expect(breaker.status().state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+
+    time = 1000;
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.status().state).toBe('half-open');
+    // Only one trial call at a time
+    expect(breaker.canRequest()).toBe(false);
+    breaker.failure();
+    expect(breaker.status().state).toBe('open');
+
+    time = 2000;
+    expect(breaker.canRequest()).toBe(true);
+    breaker.success();
+    expect(breaker.status()).toMatchObject({ state: 'closed', failures: 0 });
+  });
+});
+
+describe('provider registry', () => {
+  test('lists the built-in providers and accepts custom ones', () => {
+    expect(listProviders()).toEqual(expect.arrayContaining(['ipapi', 'ipinfo', 'ip-api', 'maxmind']));
+    registerProvider('fixed', () => ({ lookup: async () => LOCATION }));
+    expect(createProvider('fixed').name).toBe('fixed');
+    expect(() => createProvider('nope')).toThrow(/Unknown geo provider "nope"/);
+    expect(() => registerProvider('bad', {})).toThrow(TypeError);
+  });
+});
+
+describe('createGeoChain', () => {
+  test('falls through failing and empty providers to the first answer', async () => {
+    const failing = provider('failing', async () => { throw new Error('503'); });
+    const empty = provider('empty', async () => null);
+    const good = provider('good', async () => LOCATION);
+    const chain = createGeoChain({ providers: [failing, empty, good] });
+    await expect(chain.lookup('8.8.8.8')).resolves.toEqual({ location: LOCATION, provider: 'good' });
+    expect(failing.lookup).toHaveBeenCalledTimes(1);
+    expect(empty.lookup).toHaveBeenCalledTimes(1);
+  });
+
+  test('caches answers per IP for the TTL', async () => {
+    const good = provider('good', async () => LOCATION);
+    const metrics = { geoCache: jest.fn(), geoProviderCall: jest.fn() };
+    const chain = createGeoChain({ providers: [good], metrics });
+    await chain.lookup('8.8.8.8');
+    await chain.lookup('8.8.8.8');
+    expect(good.lookup).toHaveBeenCalledTimes(1);
+    expect(metrics.geoCache.mock.calls).toEqual([[false], [true]]);
+    expect(metrics.geoProviderCall).toHaveBeenCalledWith('good', expect.any(Number), 'hit');
+  });
+
+  test('times out slow providers and aborts their request', async () => {
+    let signal;
+    const slow = provider('slow', (ip, options) => {
+      signal = options.signal;
+      return new Promise(() => {});
+    });
+    const metrics = { geoCache: jest.fn(), geoProviderCall: jest.fn() };
+    const chain = createGeoChain({ providers: [{ provider: slow, timeoutMs: 20 }], metrics });
+    await expect(chain.lookup('8.8.8.8')).resolves.toBeNull();
+    expect(signal.aborted).toBe(true);
+    expect(metrics.geoProviderCall).toHaveBeenCalledWith('slow', expect.any(Number), 'timeout');
+  });
+
+  test('skips a provider while its breaker is open', async () => {
+    const failing = provider('failing', async () => { throw new Error('429'); });
+    const chain = createGeoChain({ providers: [failing], breaker: { failureThreshold: 2, cooldownMs: 60000 } });
+    await chain.lookup('1.1.1.1');
+    await chain.lookup('1.1.1.2');
+    await chain.lookup('1.1.1.3');
+    expect(failing.lookup).toHaveBeenCalledTimes(2);
+    expect(chain.status()[0]).toMatchObject({ name: 'failing', state: 'open', failures: 2 });
+  });
+
+  test('returns null without providers and resets the cache on setProviders', async () => {
+    const chain = createGeoChain();
+    await expect(chain.lookup('8.8.8.8')).resolves.toBeNull();
+    const first = provider('first', async () => LOCATION);
+    const second = provider('second', async () => ({ ...LOCATION, city: 'Hamburg' }));
+    chain.setProviders([first]);
+    await chain.lookup('8.8.8.8');
+    chain.setProviders([second]);
+    await expect(chain.lookup('8.8.8.8')).resolves.toMatchObject({ provider: 'second', location: { city: 'Hamburg' } });
+  });
+});
+
+describe('built-in providers', () => {
+  const realFetch = global.fetch;
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  function respondWith(body, status = 200) {
+    global.fetch = jest.fn(async () => ({ ok: status < 400, status, json: async () => body }));
+  }
+
+  test('ipinfo splits "lat,lon" and treats bogons as no data', async () => {
+    respondWith({ city: 'Mountain View', region: 'California', country: 'US', loc: '37.4,-122.1' });
+    await expect(providers.ipinfo().lookup('8.8.8.8', {})).resolves.toEqual({
+      city: 'Mountain View', region: 'California', country: 'US', latitude: 37.4, longitude: -122.1
+    });
+    respondWith({ bogon: true });
+    await expect(providers.ipinfo().lookup('10.0.0.1', {})).resolves.toBeNull();
+  });
+
+  test('ipapi reports API errors and HTTP failures', async () => {
+    respondWith({ error: true, reason: 'RateLimited' });
+    await expect(providers.ipapi().lookup('8.8.8.8', {})).rejects.toThrow(/RateLimited/);
+    respondWith({}, 503);
+    await expect(providers.ipapi().lookup('8.8.8.8', {})).rejects.toThrow(/status 503/);
+  });
+});
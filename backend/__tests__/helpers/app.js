@@ -0,0 +1,42 @@
+// Loads a fresh copy of the server (index.js) for a test file. Visit data, snapshots and
+// the like go to a temporary directory, external geo providers are off and the rate limits
+// are out of the way unless a test sets its own.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_ENV = {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'silent',
+  GEO_PROVIDER: 'geoip-lite',
+  RATE_LIMIT_API: '100000/1m',
+  RATE_LIMIT_LOOKUP: '100000/1m',
+  RATE_LIMIT_BATCH: '100000/1m',
+  RATE_LIMIT_EXPORT: '100000/1m',
+  RATE_LIMIT_SPEEDTEST: '100000/1m'
+};
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'whoami-test-'));
+}
+
+// `env` is applied on top of the defaults; returns { app, dir }
+function loadApp(env = {}) {
+  const dir = tempDir();
+  const saved = { ...process.env };
+  for (const key of Object.keys(process.env)) {
+    if (/^(REDIS_URL|STORAGE_|PRIVACY_|ADMIN_|WEBHOOK_|TRUST|GEO_|CONFIG_FILE)/.test(key)) delete process.env[key];
+  }
+  Object.assign(process.env, DEFAULT_ENV, { VISITS_FILE: path.join(dir, 'visits.json') }, env);
+  let app;
+  try {
+    jest.isolateModules(() => {
+      app = require('../../index');
+    });
+  } finally {
+    process.env = saved;
+  }
+  return { app, dir };
+}
+
+module.exports = { loadApp, tempDir };
@@ -0,0 +1,101 @@
+const { P, createSketch, decode, encodeDense, mergeSketches, murmur64a } = require('../lib/hll');
+
+const M = 1 << P;
+const MASK64 = (1n << 64n) - 1n;
+
+function sketchOf(values) {
+  const sketch = createSketch();
+  values.forEach((v) => sketch.add(v));
+  return sketch;
+}
+
+const range = (from, to) => Array.from({ length: to - from }, (_, i) => `visitor-${from + i}`);
+
+describe('murmur64a', () => {
+  test('hashes the empty input to the finalized seed', () => {
+    const m = 0xc6a4a7935bd1e995n;
+    let h = 0xadc83b19n;
+    h = (h * m) & MASK64;
+    h ^= h >> 47n;
+    expect(murmur64a(Buffer.alloc(0))).toBe(h);
+  });
+
+  test('returns stable 64-bit values that depend on every byte, including the tail', () => {
+    const seen = new Set();
+    for (let len = 1; len <= 17; len++) {
+      const hash = murmur64a(Buffer.alloc(len, 0x61));
+      expect(hash).toBeGreaterThanOrEqual(0n);
+      expect(hash).toBeLessThanOrEqual(MASK64);
+      seen.add(hash);
+    }
+    expect(seen.size).toBe(17);
+    expect(murmur64a(Buffer.from('203.0.113.7'))).toBe(murmur64a(Buffer.from('203.0.113.7')));
+    expect(murmur64a(Buffer.from('203.0.113.7'))).not.toBe(murmur64a(Buffer.from('203.0.113.8')));
+  });
+});
+
+describe('createSketch', () => {
+  test('counts small sets exactly enough and ignores repeats', () => {
+    const sketch = sketchOf(range(0, 100));
+    expect(sketch.add('visitor-5')).toBe(false);
+    expect(Math.abs(sketch.count() - 100)).toBeLessThanOrEqual(1);
+    expect(createSketch().count()).toBe(0);
+    expect(createSketch().isEmpty()).toBe(true);
+  });
+
+  test('stays within a few standard errors for larger sets', () => {
+    const count = sketchOf(range(0, 50000)).count();
+    expect(Math.abs(count - 50000) / 50000).toBeLessThan(0.03);
+  });
+
+  test('merges as a set union', () => {
+    const a = sketchOf(range(0, 3000));
+    const b = sketchOf(range(2000, 5000));
+    const union = mergeSketches([a, null, b]).count();
+    expect(Math.abs(union - 5000) / 5000).toBeLessThan(0.03);
+    expect(a.merge(a)).toBe(false);
+  });
+});
+
+describe('Redis serialization', () => {
+  test('round-trips the dense encoding', () => {
+    const sketch = sketchOf(range(0, 1000));
+    const buf = sketch.toBuffer();
+
+    expect(buf.toString('ascii', 0, 4)).toBe('HYLL');
+    expect(buf[4]).toBe(0);
+    expect(buf).toHaveLength(16 + (M * 6) / 8);
+    expect(Array.from(decode(buf).registers)).toEqual(Array.from(sketch.registers));
+    expect(encodeDense(sketch.registers).equals(buf)).toBe(true);
+  });
+
+  test('decodes the sparse encoding into the same registers as dense', () => {
+    const header = Buffer.alloc(16);
+    header.write('HYLL', 0, 'ascii');
+    header[4] = 1;
+    const rest = M - 1000 - 3 - 10 - 1;
+    const ops = Buffer.from([
+      0x40 | (999 >> 8), 999 & 0xff, // XZERO: 1000 empty registers
+      0x80 | ((5 - 1) << 2) | (3 - 1), // VAL: 3 registers of 5
+      10 - 1, // ZERO: 10 empty registers
+      0x80, // VAL: 1 register of 1
+      0x40 | ((rest - 1) >> 8), (rest - 1) & 0xff
+    ]);
+    const sparse = decode(Buffer.concat([header, ops]));
+
+    const expected = new Uint8Array(M);
+    expected.fill(5, 1000, 1003);
+    expected[1013] = 1;
+    expect(Array.from(sparse.registers)).toEqual(Array.from(expected));
+    expect(Array.from(decode(sparse.toBuffer()).registers)).toEqual(Array.from(expected));
+    expect(sparse.count()).toBe(createSketch(expected).count());
+  });
+
+  test('rejects values that are not HyperLogLogs', () => {
+    expect(() => decode(Buffer.from('not a sketch at all'))).toThrow(/Not a HyperLogLog/);
+    const header = Buffer.alloc(16);
+    header.write('HYLL', 0, 'ascii');
+    header[4] = 2;
+    expect(() => decode(header)).toThrow(/Unsupported HyperLogLog encoding 2/);
+  });
+});
@@ -0,0 +1,56 @@
+const request = require('supertest');
+const { parseLang, localizeLocation } = require('../lib/i18n');
+const { loadApp } = require('./helpers/app');
+
+describe('parseLang', () => {
+  test('canonicalizes language tags', () => {
+    expect(parseLang('de')).toEqual({ lang: 'de' });
+    expect(parseLang(' pt-br ')).toEqual({ lang: 'pt-BR' });
+    expect(parseLang('zh-hant-tw')).toEqual({ lang: 'zh-Hant-TW' });
+  });
+
+  test.each(['not a tag', '12', 'x'.repeat(36), ''])('rejects %j', (value) => {
+    expect(parseLang(value).error).toMatch(/^Invalid lang: expected a language tag/);
+  });
+});
+
+describe('localizeLocation', () => {
+  test('names the country in the requested language and keeps the codes', () => {
+    const location = { country: 'DE', region: 'BE', city: 'Berlin' };
+    expect(localizeLocation(location, 'de')).toEqual({ ...location, names: { lang: 'de', country: 'Deutschland', region: 'BE' } });
+    expect(localizeLocation(location, 'fr').names.country).toBe('Allemagne');
+  });
+
+  test('passes a region name through and falls back to the region code', () => {
+    expect(localizeLocation({ country: 'US', region: 'California' }, 'de').names.region).toBe('California');
+    expect(localizeLocation({ country: 'US', region: 'CA' }, 'de').names.region).toBe('CA');
+    expect(localizeLocation({ country: 'US', region: '' }, 'de').names.region).toBeNull();
+  });
+
+  test('leaves unknown countries unnamed', () => {
+    expect(localizeLocation({ country: '' }, 'de').names).toEqual({ lang: 'de', country: null, region: null });
+    expect(localizeLocation({ country: 'Germany' }, 'de').names.country).toBeNull();
+  });
+});
+
+describe('?lang= on the lookup endpoints', () => {
+  let app;
+  beforeAll(() => {
+    ({ app } = loadApp());
+  });
+
+  test('adds localized names to single and batch lookups', async () => {
+    const single = await request(app).get('/api/lookup/8.8.8.8?lang=de').expect(200);
+    expect(single.body.location).toMatchObject({ country: 'US', names: { lang: 'de', country: 'Vereinigte Staaten' } });
+
+    const batch = await request(app).post('/api/lookup?lang=ja').send({ ips: ['8.8.8.8'] }).expect(200);
+    expect(batch.body.results[0].location.names).toMatchObject({ lang: 'ja', country: 'アメリカ合衆国' });
+  });
+
+  test('leaves names out without ?lang= and rejects invalid tags', async () => {
+    const res = await request(app).get('/api/lookup/8.8.8.8').expect(200);
+    expect(res.body.location).not.toHaveProperty('names');
+    await request(app).get('/api/lookup/8.8.8.8?lang=not%20a%20tag').expect(400);
+    await request(app).get('/api/whoami?lang=not%20a%20tag').expect(400);
+  });
+});
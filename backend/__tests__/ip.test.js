@@ -0,0 +1,80 @@
+const { TYPES, canonicalize, normalizeClientIp, classify, isPublic, toBigInt, truncate } = require('../lib/ip');
+
+describe('canonicalize', () => {
+  test.each([
+    ['203.0.113.7', '203.0.113.7'],
+    [' 203.0.113.7 ', '203.0.113.7'],
+    ['2001:DB8:0:0:0:0:0:1', '2001:db8::1'],
+    ['2001:0db8:0000:0000:0001:0000:0000:0001', '2001:db8::1:0:0:1'],
+    ['2001:db8:0:1:1:1:1:1', '2001:db8:0:1:1:1:1:1'],
+    ['[2001:db8::1]', '2001:db8::1'],
+    ['fe80::1%eth0', 'fe80::1'],
+    ['::ffff:203.0.113.7', '203.0.113.7'],
+    ['0:0:0:0:0:FFFF:CB00:7107', '203.0.113.7'],
+    ['::', '::'],
+    ['::1', '::1']
+  ])('%s -> %s', (input, expected) => {
+    expect(canonicalize(input)).toBe(expected);
+  });
+
+  test.each(['', 'localhost', '203.0.113', '2001:db8:::1', '999.1.1.1', null, 42])('rejects %p', (input) => {
+    expect(canonicalize(input)).toBeNull();
+  });
+});
+
+test('normalizeClientIp folds IPv6 loopback into IPv4', () => {
+  expect(normalizeClientIp('::1')).toBe('127.0.0.1');
+  expect(normalizeClientIp('::ffff:127.0.0.1')).toBe('127.0.0.1');
+  expect(normalizeClientIp('2001:DB8::1')).toBe('2001:db8::1');
+  expect(normalizeClientIp('unknown')).toBeNull();
+});
+
+describe('classify', () => {
+  test.each([
+    ['8.8.8.8', 'public'],
+    ['2606:4700:4700::1111', 'public'],
+    ['0.0.0.0', 'unspecified'],
+    ['::', 'unspecified'],
+    ['255.255.255.255', 'broadcast'],
+    ['127.8.9.10', 'loopback'],
+    ['::1', 'loopback'],
+    ['::ffff:10.1.2.3', 'private'],
+    ['172.31.255.255', 'private'],
+    ['172.32.0.1', 'public'],
+    ['fd12:3456::1', 'unique-local'],
+    ['100.100.1.1', 'cgnat'],
+    ['169.254.169.254', 'link-local'],
+    ['fe80::1', 'link-local'],
+    ['198.51.100.1', 'documentation'],
+    ['2001:db8::1', 'documentation'],
+    ['198.19.0.1', 'benchmarking'],
+    ['239.1.1.1', 'multicast'],
+    ['ff02::1', 'multicast'],
+    ['0.1.2.3', 'reserved'],
+    ['240.0.0.1', 'reserved']
+  ])('%s is %s', (ip, type) => {
+    expect(classify(ip)).toBe(type);
+    expect(TYPES).toContain(type);
+  });
+
+  test('returns null for non-addresses', () => {
+    expect(classify('example.com')).toBeNull();
+    expect(isPublic('example.com')).toBe(false);
+    expect(isPublic('1.1.1.1')).toBe(true);
+  });
+});
+
+test('toBigInt gives comparable numbers per family', () => {
+  expect(toBigInt('0.0.1.2')).toEqual({ family: 4, value: 258n });
+  expect(toBigInt('::ffff:0.0.1.2')).toEqual({ family: 4, value: 258n });
+  expect(toBigInt('::1:2')).toEqual({ family: 6, value: 65538n });
+  expect(toBigInt('nope')).toBeNull();
+});
+
+test('truncate keeps the /24 or /48 network', () => {
+  expect(truncate('203.0.113.7')).toBe('203.0.113.0');
+  expect(truncate('::ffff:203.0.113.7')).toBe('203.0.113.0');
+  expect(truncate('2001:db8:85a3:8d3:1319:8a2e:370:7348')).toBe('2001:db8:85a3::');
+  expect(truncate('::1')).toBe('::');
+  expect(truncate('nope')).toBeNull();
+});
@@ -0,0 +1,100 @@
+const { EventEmitter } = require('events');
+const { CHANNEL, liveEvent, createLiveFeed } = require('../lib/live');
+
+const VISIT = { country: 'DE', region: 'BE', city: 'Berlin', device: 'mobile', latitude: 52.5244, longitude: 13.4105 };
+
+// Minimal stand-ins for an SSE request/response pair
+function fakeClient() {
+  const req = new EventEmitter();
+  const res = {
+    frames: [],
+    statusCode: null,
+    status(code) { this.statusCode = code; return this; },
+    set() { return this; },
+    json(body) { this.body = body; return this; },
+    flushHeaders() {},
+    write(frame) { this.frames.push(frame); },
+    end: jest.fn()
+  };
+  return { req, res };
+}
+
+const events = (res) => res.frames.filter((f) => f.includes('event: visit')).map((f) => JSON.parse(f.split('data: ')[1]));
+
+describe('liveEvent', () => {
+  test('carries only the country and coarse coordinates', () => {
+    const event = liveEvent(VISIT, { total: 10, unique: 4, yourVisits: 2 }, new Date('2026-10-19T12:00:00Z'));
+    expect(event).toEqual({
+      ts: '2026-10-19T12:00:00.000Z',
+      location: { country: 'DE', latitude: 52.5, longitude: 13.4 },
+      device: 'mobile',
+      totals: { total: 10, unique: 4 }
+    });
+  });
+
+  test('fills in unknown values', () => {
+    const event = liveEvent({}, { total: 1, unique: 1 });
+    expect(event.location).toEqual({ country: 'Unknown', latitude: null, longitude: null });
+    expect(event.device).toBe('Unknown');
+  });
+});
+
+describe('createLiveFeed', () => {
+  let feed;
+  afterEach(() => feed.close());
+
+  test('broadcasts to connected clients until they disconnect', () => {
+    feed = createLiveFeed();
+    const a = fakeClient();
+    const b = fakeClient();
+    feed.handler(a.req, a.res);
+    feed.handler(b.req, b.res);
+    expect(a.res.statusCode).toBe(200);
+    expect(a.res.frames[0]).toBe('retry: 5000\n\n');
+
+    feed.publish(liveEvent(VISIT, { total: 1, unique: 1 }));
+    b.req.emit('close');
+    feed.publish(liveEvent(VISIT, { total: 2, unique: 1 }));
+
+    expect(events(a.res).map((e) => e.totals.total)).toEqual([1, 2]);
+    expect(events(b.res).map((e) => e.totals.total)).toEqual([1]);
+    expect(feed.status()).toEqual({ clients: 1, maxClients: 100, transport: 'local' });
+  });
+
+  test('turns clients away over the limit and ends streams on close', async () => {
+    feed = createLiveFeed({ maxClients: 1 });
+    const a = fakeClient();
+    const b = fakeClient();
+    feed.handler(a.req, a.res);
+    feed.handler(b.req, b.res);
+    expect(b.res.statusCode).toBe(503);
+
+    await feed.close();
+    expect(a.res.end).toHaveBeenCalled();
+    expect(feed.status().clients).toBe(0);
+  });
+
+  test('fans out through Redis pub/sub when connected', () => {
+    const subscriber = Object.assign(new EventEmitter(), {
+      status: 'ready',
+      subscribe: jest.fn().mockResolvedValue(1),
+      quit: jest.fn().mockResolvedValue('OK')
+    });
+    const redis = { status: 'ready', duplicate: () => subscriber, publish: jest.fn().mockResolvedValue(1) };
+    feed = createLiveFeed({ redis });
+    subscriber.emit('ready');
+    expect(subscriber.subscribe).toHaveBeenCalledWith(CHANNEL);
+
+    const client = fakeClient();
+    feed.handler(client.req, client.res);
+    const event = liveEvent(VISIT, { total: 3, unique: 2 });
+    feed.publish(event);
+    expect(redis.publish).toHaveBeenCalledWith(CHANNEL, JSON.stringify(event));
+    expect(events(client.res)).toEqual([]);
+
+    subscriber.emit('message', CHANNEL, JSON.stringify(event));
+    subscriber.emit('message', CHANNEL, '{not json');
+    expect(events(client.res)).toEqual([event]);
+    expect(feed.status().transport).toBe('redis');
+  });
+});
@@ -0,0 +1,94 @@
+const express = require('express');
+const request = require('supertest');
+const { createLogger, redactPath, createRequestLogging } = require('../lib/logging');
+const { loadApp } = require('./helpers/app');
+
+// A logger writing parsed lines into `lines`
+function capture(options = {}) {
+  const lines = [];
+  const logger = createLogger({ ...options, destination: { write: (line) => lines.push(JSON.parse(line)) } });
+  return { logger, lines };
+}
+
+const ENTRY = { ip: '203.0.113.77', client: { ip: '2001:db8:1234:5678::1', location: { latitude: 52.5163, longitude: 13.3777 } }, key: 'a1b2c3' };
+
+describe('createLogger', () => {
+  test('truncates addresses and coordinates by default', () => {
+    const { logger, lines } = capture();
+    logger.info(ENTRY, 'visit');
+    expect(lines[0]).toMatchObject({
+      ip: '203.0.113.0',
+      client: { ip: '2001:db8:1234::', location: { latitude: 52.5, longitude: 13.4 } },
+      key: 'a1b2c3',
+      msg: 'visit'
+    });
+  });
+
+  test('removes them in redact mode and keeps them in full mode', () => {
+    const redacted = capture({ ip: 'redact', coordinates: 'redact' });
+    redacted.logger.info(ENTRY);
+    expect(redacted.lines[0]).toMatchObject({ ip: '[redacted]', client: { ip: '[redacted]', location: { latitude: '[redacted]' } } });
+
+    const full = capture({ ip: 'full', coordinates: 'full' });
+    full.logger.info(ENTRY);
+    expect(full.lines[0]).toMatchObject(ENTRY);
+  });
+
+  test('passes through values that are not addresses', () => {
+    const { logger, lines } = capture();
+    logger.info({ ip: 'f00dcafe', clientIp: null });
+    expect(lines[0]).toMatchObject({ ip: 'f00dcafe', clientIp: null });
+  });
+});
+
+test('redactPath redacts IP path segments', () => {
+  expect(redactPath('/api/lookup/8.8.8.8', 'truncate')).toBe('/api/lookup/8.8.8.0');
+  expect(redactPath('/api/lookup/2001%3Adb8%3A1%3A2%3A%3A1', 'redact')).toBe('/api/lookup/[redacted]');
+  expect(redactPath('/api/lookup/8.8.8.8', 'full')).toBe('/api/lookup/8.8.8.8');
+  expect(redactPath('/api/stats/%E0%A4%A', 'truncate')).toBe('/api/stats/%E0%A4%A');
+});
+
+describe('createRequestLogging', () => {
+  function tracedApp() {
+    const { logger: root, lines } = capture();
+    const { logger, middleware } = createRequestLogging(root);
+    const app = express();
+    app.use(middleware);
+    // A module created at startup logs through `logger`, after an await
+    app.get('/', async (req, res) => {
+      await new Promise((resolve) => setImmediate(resolve));
+      logger.warn('from a module');
+      res.json({ id: req.id });
+    });
+    return { app, lines, logger };
+  }
+
+  test('generates a request ID and tags module log lines with it', async () => {
+    const { app, lines, logger } = tracedApp();
+    const res = await request(app).get('/').expect(200);
+    expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(res.body.id).toBe(res.headers['x-request-id']);
+    expect(lines).toEqual([expect.objectContaining({ reqId: res.body.id, msg: 'from a module' })]);
+
+    // Outside a request the root logger is used
+    logger.info('startup');
+    expect(lines[1]).not.toHaveProperty('reqId');
+  });
+
+  test('accepts a sane incoming ID and replaces anything else', async () => {
+    const { app } = tracedApp();
+    const kept = await request(app).get('/').set('X-Request-Id', 'lb-1234.abc').expect(200);
+    expect(kept.headers['x-request-id']).toBe('lb-1234.abc');
+    const replaced = await request(app).get('/').set('X-Request-Id', 'bad id with spaces').expect(200);
+    expect(replaced.headers['x-request-id']).not.toBe('bad id with spaces');
+    const long = await request(app).get('/').set('X-Request-Id', 'x'.repeat(129)).expect(200);
+    expect(long.headers['x-request-id']).toHaveLength(36);
+  });
+});
+
+test('the server echoes X-Request-Id and exposes it to browsers', async () => {
+  const { app } = loadApp();
+  const res = await request(app).get('/health').set('X-Request-Id', 'trace-42').set('Origin', 'https://example.com').expect(200);
+  expect(res.headers['x-request-id']).toBe('trace-42');
+  expect(res.headers['access-control-expose-headers']).toMatch(/X-Request-Id/);
+});
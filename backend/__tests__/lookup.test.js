@@ -0,0 +1,74 @@
+const request = require('supertest');
+const { validateLookupIp, createLookup } = require('../lib/lookup');
+const { loadApp } = require('./helpers/app');
+
+describe('validateLookupIp', () => {
+  test('accepts public IPv4 and IPv6 addresses', () => {
+    expect(validateLookupIp('8.8.8.8')).toBeNull();
+    expect(validateLookupIp('2001:4860:4860::8888')).toBeNull();
+  });
+
+  test('rejects empty, malformed and non-public addresses', () => {
+    expect(validateLookupIp('')).toMatch(/required/);
+    expect(validateLookupIp(42)).toMatch(/required/);
+    expect(validateLookupIp('999.1.1.1')).toMatch(/Invalid IP/);
+    expect(validateLookupIp('10.0.0.1')).toMatch(/Non-public address \(private\)/);
+    expect(validateLookupIp('127.0.0.1')).toMatch(/loopback/);
+  });
+});
+
+describe('createLookup', () => {
+  test('falls back to geoip-lite when the provider chain fails', async () => {
+    const geo = { lookup: jest.fn().mockRejectedValue(new Error('down')) };
+    const { lookupLocation } = createLookup({ geo });
+    const location = await lookupLocation('8.8.8.8');
+    expect(geo.lookup).toHaveBeenCalledWith('8.8.8.8');
+    expect(location).toMatchObject({ country: 'US', provider: 'geoip-lite' });
+  });
+
+  test('never sends non-public addresses to the provider chain', async () => {
+    const geo = { lookup: jest.fn() };
+    const { lookupLocation } = createLookup({ geo });
+    const location = await lookupLocation('192.168.1.1');
+    expect(geo.lookup).not.toHaveBeenCalled();
+    expect(location).toMatchObject({ country: '', latitude: null, provider: null });
+  });
+});
+
+describe('lookup endpoints', () => {
+  let app;
+  beforeAll(() => {
+    ({ app } = loadApp({ LOOKUP_BATCH_MAX: '3' }));
+  });
+
+  test('GET /api/lookup/:ip returns the location of a public address', async () => {
+    const res = await request(app).get('/api/lookup/8.8.8.8').expect(200);
+    expect(res.body).toMatchObject({ ip: '8.8.8.8', type: 'public', location: { country: 'US' } });
+  });
+
+  test('GET /api/lookup/:ip canonicalizes IPv4-mapped IPv6', async () => {
+    const res = await request(app).get('/api/lookup/::ffff:8.8.8.8').expect(200);
+    expect(res.body.ip).toBe('8.8.8.8');
+  });
+
+  test('GET /api/lookup/:ip rejects private and invalid addresses', async () => {
+    await request(app).get('/api/lookup/10.1.2.3').expect(400);
+    const res = await request(app).get('/api/lookup/not-an-ip').expect(400);
+    expect(res.body.error).toMatch(/Invalid IP/);
+  });
+
+  test('POST /api/lookup returns per-item results and errors', async () => {
+    const res = await request(app).post('/api/lookup').send({ ips: ['8.8.8.8', '10.0.0.1', 'nope'] }).expect(200);
+    expect(res.body.results).toHaveLength(3);
+    expect(res.body.results[0]).toMatchObject({ ip: '8.8.8.8', location: { country: 'US' } });
+    expect(res.body.results[1].error).toMatch(/private/);
+    expect(res.body.results[2].error).toMatch(/Invalid IP/);
+  });
+
+  test('POST /api/lookup validates the body and the batch size', async () => {
+    await request(app).post('/api/lookup').send({}).expect(400);
+    await request(app).post('/api/lookup').send({ ips: [] }).expect(400);
+    const res = await request(app).post('/api/lookup').send({ ips: ['1.1.1.1', '8.8.8.8', '9.9.9.9', '8.8.4.4'] }).expect(400);
+    expect(res.body.error).toMatch(/max 3/);
+  });
+});
@@ -0,0 +1,114 @@
+const express = require('express');
+const request = require('supertest');
+const client = require('prom-client');
+const { routeLabel, createMetrics } = require('../lib/metrics');
+const { loadApp } = require('./helpers/app');
+
+describe('routeLabel', () => {
+  // Records the label of every finished request
+  function labelledApp() {
+    const labels = [];
+    const app = express();
+    app.use((req, res, next) => {
+      res.on('finish', () => labels.push(routeLabel(req, res)));
+      next();
+    });
+    const router = express.Router();
+    router.get('/items/:id', (req, res) => res.send('ok'));
+    app.use('/api', router);
+    app.get('/plain', (req, res) => res.send('ok'));
+    // Answers before any route, like the rate limiter
+    app.use('/limited', (req, res) => res.status(429).end());
+    app.get('/limited/:id', (req, res) => res.send('ok'));
+    app.use(express.static(__dirname));
+    return { app, labels };
+  }
+
+  test('uses the route template, including the router mount path', async () => {
+    const { app, labels } = labelledApp();
+    await request(app).get('/api/items/42').expect(200);
+    await request(app).get('/plain').expect(200);
+    expect(labels).toEqual(['/api/items/:id', '/plain']);
+  });
+
+  test('groups static files and unmatched paths', async () => {
+    const { app, labels } = labelledApp();
+    await request(app).get('/metrics.test.js').expect(200);
+    await request(app).get('/wp-login.php').expect(404);
+    await request(app).get('/api/items/1/extra').expect(404);
+    expect(labels).toEqual(['static', 'unmatched', 'unmatched']);
+  });
+
+  test('labels requests stopped by middleware by the route they were headed for', async () => {
+    const { app, labels } = labelledApp();
+    await request(app).get('/limited/7?x=1').expect(429);
+    await request(app).get('/limited/7/extra').expect(429);
+    expect(labels).toEqual(['/limited/:id', '/limited']);
+  });
+});
+
+describe('createMetrics', () => {
+  let register;
+  let metrics;
+  beforeEach(() => {
+    register = new client.Registry();
+    metrics = createMetrics({ register });
+  });
+
+  const value = async (name, labels) => {
+    const metric = (await register.getMetricsAsJSON()).find((m) => m.name === name);
+    const found = metric.values.find((v) => Object.entries(labels).every(([k, l]) => v.labels[k] === l));
+    return found ? found.value : undefined;
+  };
+
+  test('maps visit labels onto fixed sets', async () => {
+    metrics.visit({ country: 'DE', device: 'mobile' });
+    metrics.visit({ country: '<script>', device: 'toaster' });
+    metrics.visit({});
+    expect(await value('whoami_visits_total', { country: 'DE', device: 'mobile' })).toBe(1);
+    expect(await value('whoami_visits_total', { country: 'unknown', device: 'other' })).toBe(2);
+  });
+
+  test('counts provider errors only for failed calls', async () => {
+    metrics.geoProviderCall('ipinfo', 0.2, 'hit');
+    metrics.geoProviderCall('ipinfo', 3, 'timeout');
+    expect(await value('whoami_geo_provider_errors_total', { provider: 'ipinfo', reason: 'timeout' })).toBe(1);
+    expect(await value('whoami_geo_provider_errors_total', { provider: 'ipinfo', reason: 'hit' })).toBeUndefined();
+  });
+
+  test('labels file writes by file name and fallbacks by backend and reason', async () => {
+    metrics.fileWrite('/var/lib/whoami/visits.json', 0.004);
+    metrics.storageFallback('redis', 'unavailable');
+    expect(await register.metrics()).toMatch(/whoami_file_write_duration_seconds_count\{file="visits\.json"\} 1/);
+    expect(await value('whoami_storage_fallback_total', { backend: 'redis', reason: 'unavailable' })).toBe(1);
+  });
+
+  test('starts the cache counters at zero and reads gauges at scrape time', async () => {
+    expect(await value('whoami_geo_cache_requests_total', { result: 'miss' })).toBe(0);
+    let up = true;
+    metrics.gauge('whoami_test_up', 'Test gauge', () => up);
+    expect(await register.metrics()).toMatch(/^whoami_test_up 1$/m);
+    up = false;
+    expect(await register.metrics()).toMatch(/^whoami_test_up 0$/m);
+  });
+});
+
+test('GET /metrics labels requests by route template', async () => {
+  const { app } = loadApp();
+  await request(app).get('/api/lookup/8.8.8.8').expect(200);
+  await request(app).get('/api/lookup/1.1.1.1').expect(200);
+  await request(app).get('/no/such/page').expect(404);
+  const res = await request(app).get('/metrics').expect(200);
+  expect(res.text).toMatch(/whoami_http_requests_total\{method="GET",path="\/api\/lookup\/:ip",status="200"\} 2/);
+  expect(res.text).toMatch(/path="unmatched",status="404"/);
+  expect(res.text).not.toMatch(/8\.8\.8\.8|no\/such/);
+});
+
+test('GET /metrics labels rate-limited requests by their route', async () => {
+  const { app } = loadApp({ RATE_LIMIT_LOOKUP: '1/1m' });
+  await request(app).get('/api/lookup/8.8.8.8').expect(200);
+  await request(app).get('/api/lookup/1.1.1.1').expect(429);
+  const res = await request(app).get('/metrics').expect(200);
+  expect(res.text).toMatch(/whoami_http_requests_total\{method="GET",path="\/api\/lookup\/:ip",status="429"\} 1/);
+  expect(res.text).not.toMatch(/path="unmatched",status="429"/);
+});
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { parseCidr, createRangeSet, parseList } = require('../lib/network/cidr');
+const { createNetworkInfo, createFileSource, parseCidrList } = require('../lib/network');
+const { loadApp, tempDir } = require('./helpers/app');
+
+describe('parseCidr', () => {
+  test('masks the host bits', () => {
+    expect(parseCidr('203.0.113.77/24')).toEqual({ family: 4, start: 0xcb007100n, end: 0xcb0071ffn });
+    expect(parseCidr('203.0.113.77')).toEqual({ family: 4, start: 0xcb00714dn, end: 0xcb00714dn });
+    expect(parseCidr('2001:db8::/32')).toMatchObject({ family: 6, start: 0x20010db8n << 96n });
+  });
+
+  test.each(['203.0.113.0/33', '2001:db8::/129', '10.0.0.0/8/1', '10.0.0.0/x', 'example.com/8'])('rejects %s', (spec) => {
+    expect(parseCidr(spec)).toBeNull();
+  });
+});
+
+describe('createRangeSet', () => {
+  const set = createRangeSet(['10.0.0.0/24', '10.0.1.0/24', '10.0.0.128/25', '192.0.2.1', '2001:db8:1::/48', 'bogus']);
+
+  test('matches addresses inside merged and single ranges', () => {
+    expect(set.has('10.0.0.0')).toBe(true);
+    expect(set.has('10.0.1.255')).toBe(true);
+    expect(set.has('::ffff:10.0.1.5')).toBe(true);
+    expect(set.has('192.0.2.1')).toBe(true);
+    expect(set.has('2001:db8:1:ffff::1')).toBe(true);
+  });
+
+  test('misses addresses outside, across families and invalid input', () => {
+    expect(set.has('10.0.2.0')).toBe(false);
+    expect(set.has('192.0.2.2')).toBe(false);
+    expect(set.has('9.255.255.255')).toBe(false);
+    expect(set.has('2001:db8:2::1')).toBe(false);
+    expect(set.has('not an ip')).toBe(false);
+    expect(createRangeSet().has('10.0.0.1')).toBe(false);
+  });
+
+  test('counts valid and invalid entries', () => {
+    expect(set.size).toBe(5);
+    expect(set.invalid).toBe(1);
+  });
+});
+
+test('parseList skips comments and trailing labels', () => {
+  expect(parseList('# Tor exits\n203.0.113.5\n\n198.51.100.0/24 AS64500 ; hosting\r\n; note\n')).toEqual(['203.0.113.5', '198.51.100.0/24']);
+});
+
+test('parseCidrList versions a list by its content', () => {
+  const a = parseCidrList(Buffer.from('203.0.113.5\n'));
+  expect(a.entries).toBe(1);
+  expect(a.version).toMatch(/^[0-9a-f]{12}$/);
+  expect(parseCidrList(Buffer.from('203.0.113.6\n')).version).not.toBe(a.version);
+});
+
+describe('createFileSource', () => {
+  test('reloads on change and keeps the previous copy when a reload fails', async () => {
+    const file = path.join(tempDir(), 'tor.txt');
+    fs.writeFileSync(file, '203.0.113.5\n');
+    const logger = { info: jest.fn(), warn: jest.fn() };
+    const source = createFileSource({ name: 'tor', path: file, parse: parseCidrList, logger });
+
+    await source.refresh();
+    expect(source.data.has('203.0.113.5')).toBe(true);
+    expect(source.status()).toMatchObject({ configured: true, loaded: true, entries: 1, error: null });
+
+    fs.writeFileSync(file, '203.0.113.6\n198.51.100.0/24\n');
+    fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+    await source.refresh();
+    expect(source.data.has('198.51.100.9')).toBe(true);
+    expect(source.status().entries).toBe(2);
+
+    fs.unlinkSync(file);
+    fs.mkdirSync(file);
+    await source.refresh();
+    expect(source.data.has('198.51.100.9')).toBe(true);
+    expect(source.status().error).toBeTruthy();
+    expect(logger.warn).toHaveBeenCalled();
+  });
+
+  test('reports an unconfigured source', () => {
+    expect(createFileSource({ name: 'vpn', parse: parseCidrList }).status()).toEqual({ configured: false });
+  });
+});
+
+describe('createNetworkInfo', () => {
+  test('returns null without any dataset', () => {
+    expect(createNetworkInfo().lookup('8.8.8.8')).toBeNull();
+  });
+
+  test('flags listed addresses and leaves unloaded datasets unknown', async () => {
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'tor.txt'), '203.0.113.5\n');
+    fs.writeFileSync(path.join(dir, 'dc.txt'), '198.51.100.0/24\n');
+    const network = createNetworkInfo({ torList: path.join(dir, 'tor.txt'), datacenterList: path.join(dir, 'dc.txt') });
+    await network.refresh();
+
+    expect(network.lookup('203.0.113.5')).toEqual({ asn: null, organization: null, isHosting: false, isTor: true, isKnownVpn: null });
+    expect(network.lookup('198.51.100.20')).toMatchObject({ isHosting: true, isTor: false });
+    expect(network.status()).toMatchObject({ asn: { configured: false }, tor: { loaded: true }, vpn: { configured: false } });
+    network.close();
+  });
+
+  test('adds network flags to /api/lookup', async () => {
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'tor.txt'), '8.8.8.8\n');
+    const { app } = loadApp({ TOR_EXIT_LIST_FILE: path.join(dir, 'tor.txt') });
+    // Loading starts at boot; give it a moment to finish
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const res = await request(app).get('/api/lookup/8.8.8.8').expect(200);
+    expect(res.body.location.network).toMatchObject({ isTor: true, isHosting: null });
+  });
+});
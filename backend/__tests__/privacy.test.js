@@ -0,0 +1,87 @@
+const request = require('supertest');
+const { createPrivacy } = require('../lib/privacy');
+const { loadApp } = require('./helpers/app');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+describe('createPrivacy', () => {
+  test('uses the raw IP when disabled', () => {
+    const privacy = createPrivacy();
+    expect(privacy.visitorKey('8.8.8.8', NOW)).toBe('8.8.8.8');
+    expect(privacy.candidateKeys('8.8.8.8', NOW)).toEqual(['8.8.8.8']);
+    expect(privacy.shouldTrack({ headers: { dnt: '1' } })).toBe(true);
+    expect(privacy.describe()).toEqual({ privacyMode: false, rotationDays: null, retentionDays: null });
+  });
+
+  test('keys visitors by a salted hash that rotates each period', () => {
+    const privacy = createPrivacy({ enabled: true, secret: 's3cret', rotationDays: 7 });
+    const key = privacy.visitorKey('8.8.8.8', NOW);
+
+    expect(key).toMatch(/^h:[0-9a-f]{32}$/);
+    expect(key).not.toContain('8.8.8.8');
+    expect(privacy.visitorKey('8.8.8.8', NOW)).toBe(key);
+    expect(privacy.visitorKey('8.8.4.4', NOW)).not.toBe(key);
+    expect(privacy.visitorKey('8.8.8.8', new Date(NOW.getTime() + 7 * DAY_MS))).not.toBe(key);
+    expect(createPrivacy({ enabled: true, secret: 'other', rotationDays: 7 }).visitorKey('8.8.8.8', NOW)).not.toBe(key);
+  });
+
+  test('candidateKeys covers every period still inside retention', () => {
+    const privacy = createPrivacy({ enabled: true, secret: 's3cret', rotationDays: 7, retentionDays: 30 });
+    const keys = privacy.candidateKeys('8.8.8.8', NOW);
+    const lastWeek = new Date(NOW.getTime() - 7 * DAY_MS);
+
+    expect(keys).toHaveLength(6);
+    expect(keys[0]).toBe(privacy.visitorKey('8.8.8.8', NOW));
+    expect(keys).toContain(privacy.visitorKey('8.8.8.8', lastWeek));
+    expect(privacy.retentionMs).toBe(30 * DAY_MS);
+  });
+
+  test('honors DNT and Sec-GPC when enabled', () => {
+    const privacy = createPrivacy({ enabled: true, secret: 's3cret' });
+    expect(privacy.shouldTrack({ headers: {} })).toBe(true);
+    expect(privacy.shouldTrack({ headers: { dnt: '1' } })).toBe(false);
+    expect(privacy.shouldTrack({ headers: { 'sec-gpc': '1' } })).toBe(false);
+  });
+
+  test('warns and uses a random secret when none is configured', () => {
+    const logger = { warn: jest.fn() };
+    const a = createPrivacy({ enabled: true, logger });
+    const b = createPrivacy({ enabled: true });
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/PRIVACY_SECRET is not set/));
+    expect(a.visitorKey('8.8.8.8', NOW)).not.toBe(b.visitorKey('8.8.8.8', NOW));
+  });
+});
+
+describe('/api/visits/me in privacy mode', () => {
+  let app;
+  beforeAll(() => {
+    ({ app } = loadApp({ PRIVACY_MODE: 'true', PRIVACY_SECRET: 'test-secret-value' }));
+  });
+
+  test('records hashed keys and lets the visitor see and erase them', async () => {
+    await request(app).get('/api/whoami').set('X-Forwarded-For', '8.8.8.8').expect(200);
+    const second = await request(app).get('/api/whoami').set('X-Forwarded-For', '8.8.8.8').expect(200);
+    expect(second.body.visits.yourVisits).toBe(2);
+
+    const me = await request(app).get('/api/visits/me').set('X-Forwarded-For', '8.8.8.8').expect(200);
+    expect(me.body).toMatchObject({ privacyMode: true, ip: '8.8.8.8', tracked: true, retentionDays: 30 });
+    expect(me.body.records).toEqual([{ key: expect.stringMatching(/^h:/), visits: 2, lastSeen: expect.any(String) }]);
+
+    const other = await request(app).get('/api/visits/me').set('X-Forwarded-For', '8.8.4.4').expect(200);
+    expect(other.body.records).toEqual([]);
+
+    const erased = await request(app).delete('/api/visits/me').set('X-Forwarded-For', '8.8.8.8').expect(200);
+    expect(erased.body).toEqual({ deleted: 1 });
+    const after = await request(app).get('/api/visits/me').set('X-Forwarded-For', '8.8.8.8').expect(200);
+    expect(after.body.records).toEqual([]);
+  });
+
+  test('does not record visits that send DNT', async () => {
+    const res = await request(app).get('/api/whoami').set('X-Forwarded-For', '9.9.9.9').set('DNT', '1').expect(200);
+    expect(res.body.visits).toMatchObject({ yourVisits: null, tracked: false });
+
+    const me = await request(app).get('/api/visits/me').set('X-Forwarded-For', '9.9.9.9').set('DNT', '1').expect(200);
+    expect(me.body).toMatchObject({ tracked: false, records: [] });
+  });
+});
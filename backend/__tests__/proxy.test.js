@@ -0,0 +1,91 @@
+const request = require('supertest');
+const { buildTrustList, cleanAddress, parseForwarded, parseForwardedFor, parseVia, analyzeProxyChain } = require('../lib/proxy');
+const { loadApp } = require('./helpers/app');
+
+function req(peer, headers = {}) {
+  return { socket: { remoteAddress: peer }, headers };
+}
+
+const trusted = buildTrustList();
+
+describe('header parsing', () => {
+  test('cleanAddress strips ports, brackets and quotes', () => {
+    expect(cleanAddress('203.0.113.7:4711')).toBe('203.0.113.7');
+    expect(cleanAddress('"[2001:db8::1]:443"')).toBe('2001:db8::1');
+    expect(cleanAddress('::ffff:198.51.100.1')).toBe('198.51.100.1');
+    expect(cleanAddress('_hidden')).toBe('_hidden');
+  });
+
+  test('parseForwarded reads RFC 7239 elements', () => {
+    expect(parseForwarded('for=192.0.2.60;proto=http;by=203.0.113.43, for="[2001:db8:cafe::17]:4711"')).toEqual([
+      { for: '192.0.2.60', proto: 'http', by: '203.0.113.43' },
+      { for: '[2001:db8:cafe::17]:4711' }
+    ]);
+  });
+
+  test('parseForwardedFor and parseVia split lists', () => {
+    expect(parseForwardedFor('203.0.113.7, 10.0.0.2')).toEqual(['203.0.113.7', '10.0.0.2']);
+    expect(parseVia('1.1 vegur, HTTP/1.1 proxy.example (Squid)')).toEqual([
+      { protocol: '1.1', receivedBy: 'vegur', comment: null },
+      { protocol: 'HTTP/1.1', receivedBy: 'proxy.example', comment: 'Squid' }
+    ]);
+  });
+
+  test('buildTrustList rejects bad CIDRs and supports none', () => {
+    expect(() => buildTrustList('10.0.0.0/8,nope')).toThrow(/Invalid trusted proxy CIDR/);
+    const none = buildTrustList('none');
+    expect(analyzeProxyChain(req('127.0.0.1', { 'x-forwarded-for': '8.8.8.8' }), none).clientIp).toBe('127.0.0.1');
+  });
+});
+
+describe('analyzeProxyChain', () => {
+  test('ignores forwarding headers from an untrusted peer', () => {
+    const result = analyzeProxyChain(req('198.51.100.9', { 'x-forwarded-for': '8.8.8.8' }), trusted);
+    expect(result).toMatchObject({ clientIp: '198.51.100.9', source: 'socket' });
+  });
+
+  test('picks the first untrusted hop of X-Forwarded-For', () => {
+    const result = analyzeProxyChain(req('10.0.0.1', { 'x-forwarded-for': '1.2.3.4, 203.0.113.7, 10.0.0.2' }), trusted);
+    expect(result).toMatchObject({ clientIp: '203.0.113.7', source: 'x-forwarded-for' });
+  });
+
+  test('uses the outermost hop when every hop is trusted', () => {
+    const result = analyzeProxyChain(req('10.0.0.1', { 'x-forwarded-for': '192.168.1.5, 10.0.0.2' }), trusted);
+    expect(result.clientIp).toBe('192.168.1.5');
+  });
+
+  test('reads only the configured header, so a client-sent Forwarded is ignored', () => {
+    const headers = { forwarded: 'for=8.8.8.8', 'x-forwarded-for': '203.0.113.7' };
+    expect(analyzeProxyChain(req('10.0.0.1', headers), trusted).clientIp).toBe('203.0.113.7');
+    expect(analyzeProxyChain(req('10.0.0.1', { forwarded: 'for=8.8.8.8' }), trusted)).toMatchObject({ clientIp: '10.0.0.1', source: 'socket' });
+  });
+
+  test('reads Forwarded or X-Real-IP when configured', () => {
+    const headers = { forwarded: 'for=203.0.113.7;proto=https', 'x-forwarded-for': '8.8.8.8', 'x-real-ip': '198.51.100.2' };
+    expect(analyzeProxyChain(req('10.0.0.1', headers), trusted, { header: 'forwarded' })).toMatchObject({ clientIp: '203.0.113.7', source: 'forwarded' });
+    expect(analyzeProxyChain(req('10.0.0.1', headers), trusted, { header: 'x-real-ip' })).toMatchObject({ clientIp: '198.51.100.2', source: 'x-real-ip' });
+  });
+
+  test('stops at an opaque untrusted hop instead of trusting what lies behind it', () => {
+    const headers = { forwarded: 'for=8.8.8.8, for=unknown, for=10.0.0.2' };
+    expect(analyzeProxyChain(req('10.0.0.1', headers), trusted, { header: 'forwarded' })).toMatchObject({ clientIp: '10.0.0.1', source: 'opaque-hop' });
+    const xff = analyzeProxyChain(req('10.0.0.1', { 'x-forwarded-for': '8.8.8.8, _proxy' }), trusted);
+    expect(xff).toMatchObject({ clientIp: '10.0.0.1', source: 'opaque-hop' });
+  });
+});
+
+describe('GET /api/headers', () => {
+  test('reports the chain and the client IP from the configured header', async () => {
+    const { app } = loadApp({ TRUST_PROXY_HEADER: 'x-forwarded-for' });
+    const res = await request(app).get('/api/headers')
+      .set('Forwarded', 'for=8.8.8.8')
+      .set('X-Forwarded-For', '203.0.113.7')
+      .expect(200);
+    expect(res.body.proxy).toMatchObject({ clientIp: '203.0.113.7', source: 'x-forwarded-for' });
+    expect(res.body.proxy.forwarded[0]).toMatchObject({ for: '8.8.8.8' });
+  });
+
+  test('an invalid TRUST_PROXY_HEADER fails config loading', () => {
+    expect(() => loadApp({ TRUST_PROXY_HEADER: 'x-client-ip' })).toThrow(/TRUST_PROXY_HEADER/);
+  });
+});
@@ -0,0 +1,131 @@
+const express = require('express');
+const request = require('supertest');
+const { parseLimit, createRateLimits } = require('../lib/ratelimit');
+const { loadApp } = require('./helpers/app');
+
+describe('parseLimit', () => {
+  test.each([
+    ['120/1m', { max: 120, windowMs: 60000 }],
+    ['5 / 30', { max: 5, windowMs: 30000 }],
+    ['10/h', { max: 10, windowMs: 3600000 }],
+    ['1/500ms', { max: 1, windowMs: 500 }],
+    ['100/2d', { max: 100, windowMs: 2 * 86400000 }]
+  ])('parses %s', (text, expected) => {
+    expect(parseLimit(text)).toEqual(expected);
+  });
+
+  test.each(['120', '120/', 'x/1m', '120/1w', '10/0s'])('rejects %s', (text) => {
+    expect(() => parseLimit(text)).toThrow(/expected <max>\/<window>|longer than 0/);
+  });
+});
+
+// An app with one limited route; the client IP comes from X-Client
+function limitedApp(options = {}, limit = '2/1m') {
+  const rateLimits = createRateLimits({ keyFor: (req) => req.get('x-client') || '203.0.113.1', ...options });
+  const app = express();
+  app.get('/', rateLimits.limiter('test', parseLimit(limit)), (req, res) => res.json({ ok: true }));
+  return { app, rateLimits };
+}
+
+describe('createRateLimits', () => {
+  test('sends RateLimit headers and answers 429 past the limit', async () => {
+    const onReject = jest.fn();
+    const { app, rateLimits } = limitedApp({ onReject });
+    const first = await request(app).get('/').expect(200);
+    expect(first.headers).toMatchObject({ 'ratelimit-limit': '2', 'ratelimit-remaining': '1', 'ratelimit-policy': '2;w=60' });
+    await request(app).get('/').expect(200);
+    const res = await request(app).get('/').expect(429);
+    expect(res.body.error).toMatch(/Too many requests/);
+    expect(res.headers['ratelimit-remaining']).toBe('0');
+    expect(onReject).toHaveBeenCalledWith('test', expect.anything());
+    // Other clients have their own budget
+    await request(app).get('/').set('X-Client', '203.0.113.2').expect(200);
+    expect(rateLimits.status()).toEqual({ backend: 'memory', active: 'memory', limits: { test: { max: 2, windowMs: 60000 } } });
+    rateLimits.close();
+  });
+
+  test('exempts allowlisted networks and API keys', async () => {
+    const { app, rateLimits } = limitedApp({ allowlist: '198.51.100.0/24, 2001:db8::/32', apiKeys: ['k3y'] }, '1/1m');
+    for (let i = 0; i < 3; i++) {
+      await request(app).get('/').set('X-Client', '198.51.100.7').expect(200);
+      await request(app).get('/').set('X-Client', '2001:db8::1').expect(200);
+      await request(app).get('/').set('X-API-Key', 'k3y').expect(200);
+    }
+    await request(app).get('/').set('X-API-Key', 'wrong').expect(200);
+    await request(app).get('/').set('X-API-Key', 'wrong').expect(429);
+    rateLimits.close();
+  });
+});
+
+describe('Redis counters', () => {
+  // ioredis-like client: MULTI INCR + PTTL over an in-memory map
+  function fakeRedis() {
+    const counts = new Map();
+    const redis = {
+      status: 'ready',
+      counts,
+      multi() {
+        const ops = [];
+        const chain = {
+          incr(key) { ops.push(() => { counts.set(key, (counts.get(key) || 0) + 1); return counts.get(key); }); return chain; },
+          pttl() { ops.push(() => (redis.expiring ? 30000 : -1)); return chain; },
+          exec: jest.fn(async () => ops.map((op) => [null, op()]))
+        };
+        return chain;
+      },
+      pexpire: jest.fn(async () => { redis.expiring = true; return 1; }),
+      decr: jest.fn(async () => 0),
+      del: jest.fn(async () => 1)
+    };
+    return redis;
+  }
+
+  test('count in Redis under a per-limiter key and start the window on the first hit', async () => {
+    const redis = fakeRedis();
+    const { app, rateLimits } = limitedApp({ redis });
+    await request(app).get('/').expect(200);
+    expect(redis.pexpire).toHaveBeenCalledTimes(1);
+    expect(redis.pexpire).toHaveBeenCalledWith('ratelimit:test:203.0.113.1', 60000);
+    await request(app).get('/').expect(200);
+    const res = await request(app).get('/').expect(429);
+    expect(Number(res.headers['ratelimit-reset'])).toBeLessThanOrEqual(30);
+    expect(redis.pexpire).toHaveBeenCalledTimes(1);
+    expect(redis.counts.get('ratelimit:test:203.0.113.1')).toBe(3);
+    expect(rateLimits.status().active).toBe('redis');
+    rateLimits.close();
+  });
+
+  test('fall back to memory while Redis is down and return once it is back', async () => {
+    const redis = fakeRedis();
+    const logger = { warn: jest.fn(), info: jest.fn() };
+    const { app, rateLimits } = limitedApp({ redis, logger });
+    redis.status = 'reconnecting';
+    await request(app).get('/').expect(200);
+    expect(rateLimits.status()).toMatchObject({ backend: 'redis', active: 'memory' });
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+
+    redis.status = 'ready';
+    redis.multi = () => { throw new Error('connection reset'); };
+    await request(app).get('/').expect(200);
+    await request(app).get('/').expect(429);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+
+    const healthy = fakeRedis();
+    redis.multi = healthy.multi;
+    await request(app).get('/').set('X-Client', '203.0.113.9').expect(200);
+    expect(rateLimits.status().active).toBe('redis');
+    expect(logger.info).toHaveBeenCalledWith('Rate limit counters back in Redis');
+    rateLimits.close();
+  });
+});
+
+describe('per-route limits in the app', () => {
+  test('lookup has its own budget and rejections are counted', async () => {
+    const { app } = loadApp({ RATE_LIMIT_LOOKUP: '1/1m' });
+    await request(app).get('/api/lookup/8.8.8.8').set('X-Forwarded-For', '203.0.113.50').expect(200);
+    await request(app).get('/api/lookup/8.8.8.8').set('X-Forwarded-For', '203.0.113.50').expect(429);
+    await request(app).get('/api/whoami').set('X-Forwarded-For', '203.0.113.50').expect(200);
+    const metrics = await request(app).get('/metrics').expect(200);
+    expect(metrics.text).toMatch(/whoami_rate_limit_rejected_total\{limiter="lookup"\} 1/);
+  });
+});
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { createSnapshotStore, isValidId } = require('../lib/snapshots');
+const { loadApp, tempDir } = require('./helpers/app');
+
+const DATA = { ip: '8.8.8.8', location: { country: 'US' } };
+
+test('isValidId accepts only 12 URL-safe characters', () => {
+  expect(isValidId('abcDEF123_-x')).toBe(true);
+  expect(isValidId('abc')).toBe(false);
+  expect(isValidId('../etc/passwd')).toBe(false);
+  expect(isValidId(undefined)).toBe(false);
+});
+
+describe('file snapshots', () => {
+  let dir;
+  let store;
+  beforeEach(() => {
+    dir = tempDir();
+    store = createSnapshotStore({ dir, ttlSeconds: 3600, maxTtlSeconds: 7200 });
+  });
+  afterEach(() => store.close());
+
+  test('saves and reads back a snapshot', async () => {
+    const record = await store.save(DATA);
+    expect(isValidId(record.id)).toBe(true);
+    expect(Date.parse(record.expiresAt) - Date.parse(record.createdAt)).toBe(3600 * 1000);
+    expect(await store.get(record.id)).toEqual(record);
+    expect(await store.get('AAAAAAAAAAAA')).toBeNull();
+    expect(store.backend).toBe('file');
+  });
+
+  test('clamps the requested expiry', async () => {
+    const long = await store.save(DATA, { ttlSeconds: 999999 });
+    const short = await store.save(DATA, { ttlSeconds: 1 });
+    expect(Date.parse(long.expiresAt) - Date.parse(long.createdAt)).toBe(7200 * 1000);
+    expect(Date.parse(short.expiresAt) - Date.parse(short.createdAt)).toBe(60 * 1000);
+  });
+
+  test('treats expired snapshots as gone and prunes them', async () => {
+    const record = await store.save(DATA);
+    const file = path.join(dir, `${record.id}.json`);
+    const expired = { ...record, expiresAt: new Date(Date.now() - 1000).toISOString() };
+    fs.writeFileSync(file, JSON.stringify(expired));
+    expect(await store.get(record.id)).toBeNull();
+    expect(fs.existsSync(file)).toBe(false);
+
+    const other = await store.save(DATA);
+    fs.writeFileSync(path.join(dir, `${other.id}.json`), JSON.stringify({ ...other, expiresAt: expired.expiresAt }));
+    fs.writeFileSync(path.join(dir, 'garbage.json'), '{');
+    const kept = await store.save(DATA);
+    await store.prune();
+    expect(fs.readdirSync(dir)).toEqual([`${kept.id}.json`]);
+  });
+});
+
+describe('redis snapshots', () => {
+  function fakeRedis(overrides = {}) {
+    return {
+      status: 'ready',
+      set: jest.fn().mockResolvedValue('OK'),
+      get: jest.fn().mockResolvedValue(null),
+      ...overrides
+    };
+  }
+
+  test('stores each snapshot as a key with a TTL', async () => {
+    const redis = fakeRedis();
+    const store = createSnapshotStore({ redis, ttlSeconds: 600 });
+    const record = await store.save(DATA);
+    expect(redis.set).toHaveBeenCalledWith(`snapshots:${record.id}`, JSON.stringify(record), 'PX', 600 * 1000);
+
+    redis.get.mockResolvedValue(JSON.stringify(record));
+    expect(await store.get(record.id)).toEqual(record);
+    expect(store.backend).toBe('redis');
+  });
+
+  test('refuses commands while Redis is not connected', async () => {
+    const redis = fakeRedis({ status: 'reconnecting' });
+    const store = createSnapshotStore({ redis });
+    await expect(store.save(DATA)).rejects.toThrow(/not connected/);
+    await expect(store.get('AAAAAAAAAAAA')).rejects.toThrow(/not connected/);
+    expect(redis.set).not.toHaveBeenCalled();
+  });
+
+  test('gives up on a command that does not answer in time', async () => {
+    const redis = fakeRedis({ set: jest.fn(() => new Promise(() => {})) });
+    const store = createSnapshotStore({ redis, redisTimeoutMs: 20 });
+    await expect(store.save(DATA)).rejects.toThrow(/timed out after 20ms/);
+  });
+});
+
+describe('snapshot endpoints', () => {
+  let app;
+  beforeAll(() => {
+    ({ app } = loadApp());
+  });
+
+  test('creates a snapshot of the caller and serves it by id', async () => {
+    const created = await request(app)
+      .post('/api/snapshots')
+      .set('X-Forwarded-For', '8.8.8.8')
+      .send({ coords: { latitude: 37.4, longitude: -122.1, accuracy: 20 }, expiresIn: 3600 })
+      .expect(201);
+    expect(created.body.url).toBe(`/s/${created.body.id}`);
+
+    const res = await request(app).get(`/api/snapshots/${created.body.id}`).expect(200);
+    expect(res.body.data).toMatchObject({ ip: '8.8.8.8', browserCoords: { latitude: 37.4, longitude: -122.1, accuracy: 20 } });
+    expect(res.headers['cache-control']).toBe('private, no-store');
+
+    const page = await request(app).get(`/s/${created.body.id}`).set('Accept', 'application/json').expect(200);
+    expect(page.body.id).toBe(created.body.id);
+  });
+
+  test('rejects bad coordinates and unknown ids', async () => {
+    await request(app).post('/api/snapshots').send({ coords: { latitude: 91, longitude: 0 } }).expect(400);
+    await request(app).get('/api/snapshots/AAAAAAAAAAAA').expect(404);
+    await request(app).get('/api/snapshots/not-an-id').expect(404);
+  });
+});
@@ -0,0 +1,89 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { createSpeedTest } = require('../lib/speedtest');
+const { loadApp } = require('./helpers/app');
+
+function speedTestApp(options) {
+  const speedTest = createSpeedTest(options);
+  const app = express();
+  app.get('/ping', speedTest.ping);
+  app.get('/download', speedTest.download);
+  app.post('/upload', speedTest.upload);
+  return { app, speedTest };
+}
+
+// Collects a binary response body
+const binary = (res, cb) => {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => cb(null, Buffer.concat(chunks)));
+};
+
+describe('createSpeedTest', () => {
+  const { app, speedTest } = speedTestApp({ maxDownloadBytes: 200 * 1024, maxUploadBytes: 100 * 1024 });
+
+  test('ping returns the server time and the size caps, uncached', async () => {
+    const before = Date.now();
+    const res = await request(app).get('/ping').expect(200);
+    expect(res.body).toEqual({ serverTime: expect.any(Number), maxDownloadBytes: 200 * 1024, maxUploadBytes: 100 * 1024 });
+    expect(res.body.serverTime).toBeGreaterThanOrEqual(before);
+    expect(res.headers['cache-control']).toBe('no-store, no-transform');
+  });
+
+  test('download streams exactly the requested number of bytes', async () => {
+    const res = await request(app).get('/download?bytes=150000').buffer(true).parse(binary).expect(200);
+    expect(res.headers['content-type']).toBe('application/octet-stream');
+    expect(res.headers['content-length']).toBe('150000');
+    expect(res.body).toHaveLength(150000);
+    expect(speedTest.status().active).toBe(0);
+  });
+
+  test.each(['0', '-1', '1.5', 'lots', String(200 * 1024 + 1)])('download rejects bytes=%s', async (bytes) => {
+    const res = await request(app).get(`/download?bytes=${bytes}`).expect(400);
+    expect(res.body.error).toBe(`bytes must be an integer between 1 and ${200 * 1024}`);
+  });
+
+  test('upload counts the body and reports the throughput', async () => {
+    const res = await request(app).post('/upload').set('Content-Type', 'application/octet-stream').send(Buffer.alloc(64 * 1024)).expect(200);
+    expect(res.body).toEqual({ bytes: 64 * 1024, durationMs: expect.any(Number), mbps: expect.any(Number) });
+  });
+
+  test('upload refuses bodies over the cap', async () => {
+    const res = await request(app).post('/upload').set('Content-Type', 'application/octet-stream').send(Buffer.alloc(100 * 1024 + 1)).expect(413);
+    expect(res.body.error).toMatch(/larger than 102400 bytes/);
+  });
+});
+
+test('transfers beyond the concurrency limit get 503 until a slot frees up', async () => {
+  const { app, speedTest } = speedTestApp({ maxDownloadBytes: 20 * 1024 * 1024, maxConcurrent: 1 });
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  // A download that is never read keeps its slot
+  const slow = await new Promise((resolve) => http.get(`${url}/download?bytes=${20 * 1024 * 1024}`, resolve));
+  slow.pause();
+  expect(speedTest.status().active).toBe(1);
+  const busy = await request(url).get('/download?bytes=10').expect(503);
+  expect(busy.headers['retry-after']).toBe('5');
+
+  slow.destroy();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  expect(speedTest.status().active).toBe(0);
+  await request(url).get('/download?bytes=10').expect(200);
+  await new Promise((resolve) => server.close(resolve));
+});
+
+describe('speed test endpoints', () => {
+  test('accept raw upload bodies and have their own rate limit', async () => {
+    const { app } = loadApp({ RATE_LIMIT_SPEEDTEST: '2/1m', SPEEDTEST_MAX_DOWNLOAD_BYTES: '4096' });
+    const ip = '203.0.113.80';
+    const upload = await request(app).post('/api/speedtest/upload').set('X-Forwarded-For', ip).set('Content-Type', 'application/json').send('{"not": "parsed"}').expect(200);
+    expect(upload.body.bytes).toBe(17);
+    await request(app).get('/api/speedtest/download?bytes=4096').set('X-Forwarded-For', ip).buffer(true).parse(binary).expect(200);
+    await request(app).get('/api/speedtest/download?bytes=4096').set('X-Forwarded-For', ip).expect(429);
+    // Pings only count against the general API limit
+    await request(app).get('/api/speedtest/ping').set('X-Forwarded-For', ip).expect(200);
+  });
+});
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const { bucketKey, bucketStart, bucketRange, oldestBucketKey, comboKey, parseCombo, parseStatsQuery, aggregate } = require('../lib/stats');
+const { loadApp } = require('./helpers/app');
+
+const NOW = new Date('2026-10-19T15:04:05Z');
+
+describe('buckets', () => {
+  test('bucketKey and bucketStart round-trip in UTC', () => {
+    expect(bucketKey(NOW, 'hour')).toBe('2026101915');
+    expect(bucketKey(NOW, 'day')).toBe('20261019');
+    expect(bucketStart('2026101915').toISOString()).toBe('2026-10-19T15:00:00.000Z');
+    expect(bucketStart('20261019').toISOString()).toBe('2026-10-19T00:00:00.000Z');
+  });
+
+  test('bucketRange lists every bucket inclusively, oldest first', () => {
+    expect(bucketRange(new Date('2026-10-19T13:59:00Z'), NOW, 'hour')).toEqual(['2026101913', '2026101914', '2026101915']);
+    expect(bucketRange(new Date('2026-10-31T12:00:00Z'), new Date('2026-11-01T00:00:00Z'), 'day')).toEqual(['20261031', '20261101']);
+  });
+
+  test('oldestBucketKey subtracts the retention window', () => {
+    expect(oldestBucketKey(NOW, 'day', 2 * 24 * 60 * 60 * 1000)).toBe('20261017');
+  });
+
+  test('comboKey fills missing dimensions and parseCombo reverses it', () => {
+    const key = comboKey({ country: 'DE', device: 'mobile' });
+    expect(key).toBe('["DE","Unknown","Unknown","mobile"]');
+    expect(parseCombo(key)).toEqual({ country: 'DE', browser: 'Unknown', os: 'Unknown', device: 'mobile' });
+    expect(parseCombo('{oops')).toBeNull();
+  });
+});
+
+describe('parseStatsQuery', () => {
+  test('defaults to the last seven days by day', () => {
+    const params = parseStatsQuery({}, NOW);
+    expect(params).toMatchObject({ granularity: 'day', groupBy: [], filters: {} });
+    expect(params.buckets).toHaveLength(8);
+  });
+
+  test('accepts epoch milliseconds, groupBy and filters', () => {
+    const params = parseStatsQuery({ from: String(NOW.getTime() - 3600000), granularity: 'hour', groupBy: 'country, device', os: 'iOS' }, NOW);
+    expect(params).toMatchObject({ groupBy: ['country', 'device'], filters: { os: 'iOS' }, buckets: ['2026101914', '2026101915'] });
+  });
+
+  test('rejects bad input', () => {
+    expect(parseStatsQuery({ granularity: 'minute' }, NOW).error).toMatch(/granularity/);
+    expect(parseStatsQuery({ from: 'yesterday' }, NOW).error).toMatch(/ISO 8601/);
+    expect(parseStatsQuery({ from: '2026-10-20', to: '2026-10-19' }, NOW).error).toMatch(/before/);
+    expect(parseStatsQuery({ groupBy: 'city' }, NOW).error).toMatch(/groupBy/);
+    expect(parseStatsQuery({ from: '2026-01-01', granularity: 'hour' }, NOW).error).toMatch(/Range too large/);
+  });
+
+  test('accepts exactly the bucket limit', () => {
+    const to = '2026-10-19T12:30:00Z';
+    expect(parseStatsQuery({ from: '2026-09-18T13:59:59Z', to, granularity: 'hour' }, NOW).buckets).toHaveLength(24 * 31);
+    expect(parseStatsQuery({ from: '2026-09-18T12:59:59Z', to, granularity: 'hour' }, NOW).error).toMatch(/Range too large/);
+  });
+});
+
+describe('aggregate', () => {
+  const data = {
+    20261018: { '["DE","Chrome","Windows","desktop"]': 3, '["US","Safari","iOS","mobile"]': 1 },
+    20261019: { '["DE","Firefox","Linux","desktop"]': 2 }
+  };
+  const params = (query) => parseStatsQuery({ from: '2026-10-18', to: '2026-10-19T12:00:00Z', ...query }, NOW);
+
+  test('sums series and groups', () => {
+    const result = aggregate(params({ groupBy: 'country' }), data, { total: 4, byBucket: { 20261018: 3 } });
+    expect(result.total).toBe(6);
+    expect(result.unique).toBe(4);
+    expect(result.series).toEqual([
+      { bucket: '2026-10-18T00:00:00.000Z', total: 4, unique: 3, groups: [{ country: 'DE', count: 3 }, { country: 'US', count: 1 }] },
+      { bucket: '2026-10-19T00:00:00.000Z', total: 2, groups: [{ country: 'DE', count: 2 }] }
+    ]);
+    expect(result.groups).toEqual([{ country: 'DE', count: 5 }, { country: 'US', count: 1 }]);
+  });
+
+  test('applies dimension filters', () => {
+    const result = aggregate(params({ device: 'desktop', browser: 'Chrome' }), data);
+    expect(result.total).toBe(3);
+    expect(result).not.toHaveProperty('unique');
+  });
+});
+
+describe('GET /api/stats', () => {
+  let app;
+  beforeAll(async () => {
+    ({ app } = loadApp());
+    const agents = [
+      ['8.8.8.8', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'],
+      ['8.8.4.4', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'],
+      ['81.2.69.142', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1']
+    ];
+    for (const [ip, ua] of agents) await request(app).get('/api/whoami').set('X-Forwarded-For', ip).set('User-Agent', ua).expect(200);
+  });
+
+  test('groups recorded visits by country and device', async () => {
+    const res = await request(app).get('/api/stats?groupBy=country,device').expect(200);
+    expect(res.body.total).toBe(3);
+    expect(res.body.unique).toBe(3);
+    expect(res.body.groups).toEqual([
+      { country: 'US', device: 'desktop', count: 2 },
+      { country: 'GB', device: 'mobile', count: 1 }
+    ]);
+  });
+
+  test('filters by dimension and rejects bad queries', async () => {
+    const res = await request(app).get('/api/stats?granularity=hour&country=GB').expect(200);
+    expect(res.body.total).toBe(1);
+    await request(app).get('/api/stats?granularity=week').expect(400);
+  });
+
+  test('refuses ranges of centuries without building them', async () => {
+    const started = Date.now();
+    for (const from of ['1000-01-01', '-271821-04-20T00:00:00Z']) {
+      const res = await request(app).get(`/api/stats?granularity=hour&from=${encodeURIComponent(from)}`).expect(400);
+      expect(res.body.error).toMatch(/Range too large/);
+    }
+    await request(app).get('/api/stats?granularity=day&from=1900-01-01').expect(400);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
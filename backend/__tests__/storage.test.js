@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers/app');
+const { createFileStore } = require('../lib/storage/file');
+const { createSqliteStore } = require('../lib/storage/sqlite');
+const { createBackendStore, createVisitStore, storageOptionsFromEnv } = require('../lib/storage');
+const { bucketKey } = require('../lib/stats');
+
+const DIMS = { country: 'US', browser: 'Chrome', os: 'Windows', device: 'desktop', latitude: 37.75, longitude: -97.82 };
+const NOW = new Date('2026-10-19T12:30:00Z');
+
+describe.each([
+  ['file', (dir) => createFileStore({ file: path.join(dir, 'visits.json') })],
+  ['sqlite', (dir) => createSqliteStore({ file: path.join(dir, 'visits.db') })]
+])('%s adapter', (name, open) => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = tempDir();
+    store = open(dir);
+  });
+
+  afterEach(() => store.close());
+
+  test('counts visits, visitors and stats buckets', async () => {
+    await store.increment('1.1.1.1', DIMS, NOW);
+    await store.increment('1.1.1.1', DIMS, NOW);
+    const result = await store.increment('2.2.2.2', { ...DIMS, country: 'DE' }, NOW);
+
+    expect(result).toEqual({ total: 3, unique: 2, yourVisits: 1 });
+    expect(await store.getTotals()).toEqual({ total: 3, unique: 2 });
+    expect(await store.countUniques([bucketKey(NOW, 'day')])).toBe(2);
+    expect(await store.getVisitor('1.1.1.1')).toEqual({ key: '1.1.1.1', visits: 2, lastSeen: NOW.getTime() });
+
+    const hour = bucketKey(NOW, 'hour');
+    const stats = await store.readStats({ granularity: 'hour', buckets: [hour] });
+    expect(Object.values(stats[hour]).sort()).toEqual([1, 2]);
+    expect(await store.recentVisits(2)).toHaveLength(2);
+  });
+
+  test('deletes and prunes visitor records', async () => {
+    await store.increment('1.1.1.1', DIMS, new Date('2026-01-01T00:00:00Z'));
+    await store.increment('2.2.2.2', DIMS, NOW);
+
+    expect(await store.deleteVisitor('2.2.2.2')).toBe(true);
+    expect(await store.deleteVisitor('2.2.2.2')).toBe(false);
+    expect(await store.pruneVisitors(NOW.getTime())).toBe(1);
+    expect(await store.getVisitor('1.1.1.1')).toBeNull();
+    expect((await store.getTotals()).total).toBe(2);
+  });
+
+  test('round-trips a snapshot in merge and replace mode', async () => {
+    await store.increment('1.1.1.1', DIMS, NOW);
+    const snapshot = await store.exportSnapshot();
+
+    await store.importSnapshot(snapshot, { mode: 'merge' });
+    expect((await store.getTotals()).total).toBe(2);
+    expect((await store.getVisitor('1.1.1.1')).visits).toBe(2);
+
+    await store.importSnapshot(snapshot, { mode: 'replace' });
+    expect(await store.getTotals()).toEqual({ total: 1, unique: 1 });
+
+    await store.clear();
+    expect(await store.getTotals()).toEqual({ total: 0, unique: 0 });
+  });
+
+  test('keeps counts across a reopen', async () => {
+    await store.increment('1.1.1.1', DIMS, NOW);
+    await store.close();
+    store = open(dir);
+    expect(await store.getTotals()).toEqual({ total: 1, unique: 1 });
+  });
+});
+
+test('the file adapter writes the visits file atomically', async () => {
+  const dir = tempDir();
+  const file = path.join(dir, 'visits.json');
+  const store = createFileStore({ file });
+  await store.increment('1.1.1.1', DIMS, NOW);
+  await store.close();
+
+  expect(JSON.parse(fs.readFileSync(file, 'utf8')).total).toBe(1);
+  expect(fs.readdirSync(dir).filter((f) => f.endsWith('.tmp'))).toEqual([]);
+});
+
+describe('batched file writes', () => {
+  test('writes a burst of visits once, after the delay', async () => {
+    const file = path.join(tempDir(), 'visits.json');
+    const metrics = { fileWrite: jest.fn() };
+    const store = createFileStore({ file, metrics, writeDelayMs: 50 });
+    await Promise.all(['1.1.1.1', '2.2.2.2', '3.3.3.3'].map((ip) => store.increment(ip, DIMS, NOW)));
+    expect(fs.existsSync(file)).toBe(false);
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(metrics.fileWrite).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).total).toBe(3);
+    await store.close();
+  });
+
+  test('close and erasures write without waiting for the delay', async () => {
+    const file = path.join(tempDir(), 'visits.json');
+    const store = createFileStore({ file, writeDelayMs: 60000 });
+    await store.increment('1.1.1.1', DIMS, NOW);
+    await store.increment('2.2.2.2', DIMS, NOW);
+
+    await store.deleteVisitor('1.1.1.1');
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).byIp).toEqual({ '2.2.2.2': 1 });
+
+    await store.increment('3.3.3.3', DIMS, NOW);
+    await store.close();
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).total).toBe(3);
+    expect(createFileStore({ file }).isEmpty()).toBe(false);
+  });
+});
+
+describe('storage options', () => {
+  test('defaults to redis only when REDIS_URL is set', () => {
+    expect(storageOptionsFromEnv({}, '/srv').backend).toBe('file');
+    expect(storageOptionsFromEnv({ REDIS_URL: 'redis://x' }, '/srv').backend).toBe('redis');
+    expect(storageOptionsFromEnv({ REDIS_URL: 'redis://x', STORAGE_BACKEND: 'sqlite' }, '/srv').backend).toBe('sqlite');
+  });
+
+  test('rejects unknown backends and redis without a URL', () => {
+    const options = storageOptionsFromEnv({}, tempDir());
+    expect(() => createBackendStore('mongo', options)).toThrow(/Unknown storage backend "mongo"/);
+    expect(() => createBackendStore('redis', options)).toThrow(/requires REDIS_URL/);
+  });
+});
+
+describe('createVisitStore with a fallback', () => {
+  // A file store standing in for Redis, with switchable availability
+  function flakyPrimary(dir) {
+    const store = createFileStore({ file: path.join(dir, 'primary.json') });
+    const listeners = [];
+    let available = true;
+    return {
+      ...store,
+      name: 'redis',
+      isAvailable: () => available,
+      onReady: (fn) => listeners.push(fn),
+      setAvailable(value) {
+        available = value;
+        if (value) listeners.forEach((fn) => fn());
+      }
+    };
+  }
+
+  function setup() {
+    const dir = tempDir();
+    const primary = flakyPrimary(dir);
+    const fallback = createFileStore({ file: path.join(dir, 'visits.json') });
+    const journal = createFileStore({ file: path.join(dir, 'visits.pending.json') });
+    const metrics = { storageFallback: jest.fn() };
+    return { primary, fallback, journal, metrics, store: createVisitStore({ primary, fallback, journal, metrics }) };
+  }
+
+  test('writes to the fallback and the journal while the primary is down', async () => {
+    const { primary, fallback, journal, metrics, store } = setup();
+    primary.setAvailable(false);
+    await store.increment('1.1.1.1', DIMS);
+
+    expect(metrics.storageFallback).toHaveBeenCalledWith('redis', 'unavailable');
+    expect((await fallback.getTotals()).total).toBe(1);
+    expect(journal.isEmpty()).toBe(false);
+    expect(store.status()).toEqual({ backend: 'redis', active: 'file', primaryAvailable: false, pendingReconcile: true });
+    await expect(store.deleteVisitorRecords(['1.1.1.1'])).rejects.toThrow(/unavailable/);
+    await store.close();
+  });
+
+  test('falls back when a primary write throws', async () => {
+    const { primary, fallback, metrics, store } = setup();
+    primary.increment = jest.fn().mockRejectedValue(new Error('READONLY'));
+    await store.increment('1.1.1.1', DIMS);
+
+    expect(metrics.storageFallback).toHaveBeenCalledWith('redis', 'error');
+    expect((await fallback.getTotals()).total).toBe(1);
+    await store.close();
+  });
+
+  test('merges the journal into the primary once it is ready again', async () => {
+    const { primary, journal, store } = setup();
+    await store.increment('1.1.1.1', DIMS);
+    primary.setAvailable(false);
+    await store.increment('2.2.2.2', DIMS);
+    await store.increment('2.2.2.2', DIMS);
+
+    primary.setAvailable(true);
+    await store.reconcile();
+
+    expect(await primary.getTotals()).toEqual({ total: 3, unique: 2 });
+    expect(journal.isEmpty()).toBe(true);
+    expect(store.status().pendingReconcile).toBe(false);
+    await store.close();
+  });
+
+  test('keeps the journal when the merge fails', async () => {
+    const { primary, journal, store } = setup();
+    primary.setAvailable(false);
+    await store.increment('1.1.1.1', DIMS);
+    primary.importSnapshot = jest.fn().mockRejectedValue(new Error('LOADING'));
+    primary.setAvailable(true);
+
+    expect(await store.reconcile()).toBe(false);
+    expect((await journal.getTotals()).total).toBe(1);
+    await store.close();
+  });
+
+  test('erases visitor keys from every store', async () => {
+    const { primary, fallback, store } = setup();
+    await store.increment('1.1.1.1', DIMS);
+    await fallback.increment('1.1.1.1', DIMS);
+
+    expect(await store.getVisitorRecords(['1.1.1.1', '9.9.9.9'])).toHaveLength(1);
+    expect(await store.deleteVisitorRecords(['1.1.1.1'])).toBe(1);
+    expect(await primary.getVisitor('1.1.1.1')).toBeNull();
+    expect(await fallback.getVisitor('1.1.1.1')).toBeNull();
+    await store.close();
+  });
+});
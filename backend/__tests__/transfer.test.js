@@ -0,0 +1,151 @@
+const path = require('path');
+const zlib = require('zlib');
+const request = require('supertest');
+const { createFileStore } = require('../lib/storage/file');
+const { createSqliteStore } = require('../lib/storage/sqlite');
+const { exportChunks, exportRecordChunks, snapshotRecords, parseCsv, parseImport, createArchive, readArchive } = require('../lib/storage/transfer');
+const { loadApp, tempDir } = require('./helpers/app');
+
+const DIMS = { country: 'US', browser: 'Chrome', os: 'Windows', device: 'desktop', latitude: 37.75, longitude: -97.82 };
+const NOW = new Date('2026-10-19T12:30:00Z');
+
+async function collect(iterable) {
+  const out = [];
+  for await (const item of iterable) out.push(item);
+  return out;
+}
+
+async function filledStore(open) {
+  const store = open(tempDir());
+  await store.increment('1.1.1.1', DIMS, NOW);
+  await store.increment('1.1.1.1', DIMS, NOW);
+  await store.increment('2.2.2.2', { ...DIMS, country: 'DE', browser: 'Firefox, "ESR"' }, NOW);
+  return store;
+}
+
+describe('parseCsv', () => {
+  test('handles quotes, commas, newlines and CRLF', () => {
+    expect(parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n\n')).toEqual([['a', 'b'], ['x, y', 'say "hi"\nthere']]);
+    expect(parseCsv('a,b')).toEqual([['a', 'b']]);
+  });
+
+  test('rejects an unterminated quoted field', () => {
+    expect(() => parseCsv('a,"b\n')).toThrow(/inside a quoted field/);
+  });
+});
+
+describe.each([
+  ['file', (dir) => createFileStore({ file: path.join(dir, 'visits.json') })],
+  ['sqlite', (dir) => createSqliteStore({ file: path.join(dir, 'visits.db') })]
+])('%s export', (name, open) => {
+  let store;
+  beforeEach(async () => {
+    store = await filledStore(open);
+  });
+  afterEach(() => store.close());
+
+  test('exportRecords yields the same records as the snapshot', async () => {
+    const snapshot = await store.exportSnapshot();
+    const sort = (records) => records.map((r) => JSON.stringify(r)).sort();
+    expect(sort(await collect(store.exportRecords()))).toEqual(sort(Array.from(snapshotRecords(snapshot))));
+  });
+
+  test.each(['json', 'ndjson', 'csv'])('round-trips through %s', async (format) => {
+    const snapshot = await store.exportSnapshot();
+    const text = (await collect(exportRecordChunks(store.exportRecords(), format, { backend: name }))).join('');
+    const restored = parseImport(text, format);
+    expect(restored).toEqual(parseImport(Array.from(exportChunks(snapshot, format)).join(''), format));
+    expect(restored.byIp).toEqual(snapshot.byIp);
+    expect(restored.stats).toEqual(snapshot.stats);
+    expect(restored.uniques).toEqual(snapshot.uniques);
+  });
+});
+
+describe('parseImport', () => {
+  const ndjson = (...records) => records.map((r) => JSON.stringify(r)).join('\n');
+
+  test('derives the total from the visitors when it is missing', () => {
+    const snapshot = parseImport(ndjson({ type: 'visitor', key: 'a', count: 2, lastSeen: null }, { type: 'visitor', key: 'b', count: 3, lastSeen: null }), 'ndjson');
+    expect(snapshot.total).toBe(5);
+  });
+
+  test.each([
+    [ndjson({ type: 'total', count: -1 }), /Record 1 \(total\): count must be a non-negative integer/],
+    [ndjson({ type: 'stat', granularity: 'week', bucket: '1', combo: '', count: 1 }), /granularity must be one of/],
+    [ndjson({ type: 'geo', cell: 'here', count: 1 }), /cell must be "lat,lon"/],
+    [ndjson({ type: 'sketch', key: 'all', data: 'bm9wZQ==' }), /invalid HyperLogLog data/],
+    [ndjson({ type: 'meta', format: 'whoami-visits', version: 99 }), /newer than this server supports/],
+    [ndjson({ type: 'mystery' }), /unknown record type/],
+    ['{"type":"total"\n', /Line 1: invalid JSON/]
+  ])('rejects invalid records (%#)', (text, message) => {
+    expect(() => parseImport(text, 'ndjson')).toThrow(message);
+  });
+
+  test('rejects a wrong CSV header, a JSON document without records and unknown formats', () => {
+    expect(() => parseImport('a,b\n', 'csv')).toThrow(/CSV header must be/);
+    expect(() => parseImport('{}', 'json')).toThrow(/records array/);
+    expect(() => parseImport('', 'xml')).toThrow(/Unknown format/);
+  });
+});
+
+describe('backup archives', () => {
+  test('round-trip a snapshot and describe it in the header', async () => {
+    const store = await filledStore((dir) => createFileStore({ file: path.join(dir, 'visits.json') }));
+    const snapshot = await store.exportSnapshot();
+    store.close();
+    const { header, snapshot: restored } = readArchive(createArchive(snapshot, { backend: 'file' }));
+    expect(header).toMatchObject({ format: 'whoami-visits-archive', backend: 'file', total: 3, visitors: 2 });
+    expect(restored.byIp).toEqual(snapshot.byIp);
+    expect(restored.total).toBe(3);
+  });
+
+  test('refuse corrupted or foreign files', () => {
+    const raw = zlib.gunzipSync(createArchive({ total: 1, byIp: { a: 1 } }));
+    const tampered = Buffer.from(raw.toString('utf8').replace('"count":1}', '"count":2}'));
+    expect(() => readArchive(zlib.gzipSync(tampered))).toThrow(/checksum mismatch/);
+    expect(() => readArchive(Buffer.from('plain text'))).toThrow(/gzip data expected/);
+    expect(() => readArchive(zlib.gzipSync('{"format":"other"}\n'))).toThrow(/missing header/);
+  });
+});
+
+describe('export and import endpoints', () => {
+  const auth = 'Bearer test-admin-token';
+  let app;
+  beforeAll(async () => {
+    ({ app } = loadApp({ ADMIN_TOKEN: 'test-admin-token' }));
+    await request(app).get('/api/whoami').set('X-Forwarded-For', '8.8.8.8').expect(200);
+  });
+
+  test('require the admin token', async () => {
+    await request(app).get('/api/visits/export').expect(401);
+    await request(app).post('/api/visits/import').send('').expect(401);
+  });
+
+  test('stream an export that imports back', async () => {
+    const res = await request(app).get('/api/visits/export?format=ndjson').set('Authorization', auth).buffer(true).parse((r, cb) => {
+      let text = '';
+      r.on('data', (chunk) => { text += chunk; });
+      r.on('end', () => cb(null, text));
+    }).expect(200);
+    expect(res.headers['content-type']).toMatch(/application\/x-ndjson/);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="visits-\d{8}T\d{6}\.ndjson"/);
+    const records = res.body.trim().split('\n').map((line) => JSON.parse(line));
+    expect(records[0]).toMatchObject({ type: 'meta', format: 'whoami-visits', backend: 'file' });
+    expect(records).toContainEqual({ type: 'total', count: 1 });
+
+    const imported = await request(app)
+      .post('/api/visits/import?mode=merge')
+      .set('Authorization', auth)
+      .set('Content-Type', 'application/x-ndjson')
+      .send(res.body)
+      .expect(200);
+    expect(imported.body).toMatchObject({ mode: 'merge', imported: { total: 1, visitors: 1 }, totals: { total: 2, unique: 1 } });
+  });
+
+  test('reject unknown formats, modes and invalid data', async () => {
+    await request(app).get('/api/visits/export?format=xml').set('Authorization', auth).expect(400);
+    await request(app).post('/api/visits/import?mode=append&format=json').set('Authorization', auth).send('{}').expect(400);
+    const res = await request(app).post('/api/visits/import?format=ndjson').set('Authorization', auth).set('Content-Type', 'text/plain').send('{"type":"total","count":-1}').expect(400);
+    expect(res.body.error).toMatch(/^Invalid import: Record 1/);
+  });
+});
@@ -0,0 +1,117 @@
+const request = require('supertest');
+const { parseBrandList, parseClientHints, classifyBot, detectClient } = require('../lib/useragent');
+const { loadApp } = require('./helpers/app');
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const CHROME_ANDROID = 'Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36';
+const IPAD = 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+describe('parseBrandList', () => {
+  test('parses brands and versions and drops GREASE entries', () => {
+    expect(parseBrandList('"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"')).toEqual([
+      { brand: 'Chromium', version: '120' },
+      { brand: 'Google Chrome', version: '120' }
+    ]);
+    expect(parseBrandList('"Brave"')).toEqual([{ brand: 'Brave', version: '' }]);
+    expect(parseBrandList(undefined)).toEqual([]);
+  });
+});
+
+describe('parseClientHints', () => {
+  test('prefers the full version list and reads the low-entropy hints', () => {
+    const hints = parseClientHints({
+      'sec-ch-ua': '"Chromium";v="120", "Microsoft Edge";v="120"',
+      'sec-ch-ua-full-version-list': '"Chromium";v="120.0.6099.71", "Microsoft Edge";v="120.0.2210.61"',
+      'sec-ch-ua-mobile': '?0',
+      'sec-ch-ua-platform': '"Windows"'
+    });
+    expect(hints.brand).toEqual({ brand: 'Microsoft Edge', version: '120.0.2210.61' });
+    expect(hints).toMatchObject({ platform: 'Windows', mobile: false, model: '' });
+  });
+
+  test('leaves mobile unknown without the hint', () => {
+    expect(parseClientHints({}).mobile).toBeNull();
+    expect(parseClientHints({}).brand).toBeNull();
+  });
+});
+
+describe('detectClient', () => {
+  test('falls back to the User-Agent string without hints', () => {
+    const client = detectClient({ 'user-agent': CHROME_WINDOWS });
+    expect(client).toMatchObject({ browserName: 'Chrome', osName: 'Windows', device: 'desktop', model: null });
+    expect(client.sources).toEqual({ browser: 'user-agent', os: 'user-agent', device: 'user-agent', model: null });
+    expect(client.bot).toEqual({ category: 'human', name: null });
+  });
+
+  test('lets client hints correct the frozen UA string', () => {
+    const client = detectClient({
+      'user-agent': CHROME_WINDOWS,
+      'sec-ch-ua-full-version-list': '"Google Chrome";v="120.0.6099.71", "Chromium";v="120.0.6099.71"',
+      'sec-ch-ua-platform': '"Windows"',
+      'sec-ch-ua-platform-version': '"15.0.0"',
+      'sec-ch-ua-mobile': '?0'
+    });
+    expect(client).toMatchObject({ browser: 'Chrome 120.0.6099.71', browserName: 'Chrome', os: 'Windows 11', osName: 'Windows' });
+    expect(client.sources).toMatchObject({ browser: 'client-hints', os: 'client-hints', device: 'client-hints' });
+  });
+
+  test.each([
+    ['10.0.0', 'Windows 10'],
+    ['0.3.0', 'Windows 8.1 or earlier'],
+    ['', 'Windows']
+  ])('maps Windows platform version %p to %s', (version, os) => {
+    expect(detectClient({ 'sec-ch-ua-platform': '"Windows"', 'sec-ch-ua-platform-version': `"${version}"` }).os).toBe(os);
+  });
+
+  test('names other platforms with their version and maps macOS', () => {
+    const client = detectClient({ 'sec-ch-ua-platform': '"macOS"', 'sec-ch-ua-platform-version': '"14.1.0"' });
+    expect(client).toMatchObject({ os: 'macOS 14.1', osName: 'Mac OS' });
+  });
+
+  test('takes the model from hints and the mobile call from Sec-CH-UA-Mobile', () => {
+    const client = detectClient({ 'user-agent': CHROME_ANDROID, 'sec-ch-ua-mobile': '?1', 'sec-ch-ua-model': '"Pixel 8"' });
+    expect(client).toMatchObject({ device: 'mobile', model: 'Pixel 8' });
+    expect(client.sources.model).toBe('client-hints');
+  });
+
+  test('does not turn a tablet into a desktop', () => {
+    expect(detectClient({ 'user-agent': IPAD, 'sec-ch-ua-mobile': '?0' }).device).toBe('tablet');
+  });
+});
+
+describe('classifyBot', () => {
+  test.each([
+    ['Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)', 'bot', 'Googlebot'],
+    ['facebookexternalhit/1.1', 'bot', 'Facebook'],
+    ['Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.2; +https://openai.com/gptbot)', 'bot', 'OpenAI'],
+    ['ExampleFetcher/1.0 (+https://example.com/about)', 'bot', 'Crawler'],
+    ['Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) HeadlessChrome/120.0.0.0 Safari/537.36', 'headless', 'HeadlessChrome'],
+    ['curl/8.4.0', 'human', null],
+    [CHROME_WINDOWS, 'human', null]
+  ])('%s -> %s', (ua, category, name) => {
+    expect(classifyBot(ua)).toEqual({ category, name });
+  });
+
+  test('detects headless Chromium from its brand hint', () => {
+    expect(classifyBot(CHROME_WINDOWS, parseClientHints({ 'sec-ch-ua': '"HeadlessChrome";v="120"' }))).toEqual({ category: 'headless', name: 'HeadlessChrome' });
+  });
+});
+
+describe('/api/whoami client detection', () => {
+  let app;
+  beforeAll(() => {
+    ({ app } = loadApp());
+  });
+
+  test('asks for high-entropy hints and varies on them', async () => {
+    const res = await request(app).get('/api/whoami').set('User-Agent', CHROME_WINDOWS).expect(200);
+    expect(res.headers['accept-ch']).toMatch(/Sec-CH-UA-Platform-Version/);
+    expect(res.headers['critical-ch']).toMatch(/Sec-CH-UA-Model/);
+    expect(res.headers.vary).toMatch(/Sec-CH-UA-Platform/);
+  });
+
+  test('does not count known bots', async () => {
+    const bot = await request(app).get('/api/whoami').set('User-Agent', 'Mozilla/5.0 (compatible; bingbot/2.0)').expect(200);
+    expect(bot.body.visits).toMatchObject({ yourVisits: null, tracked: false });
+  });
+});
@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const request = require('supertest');
+const { EVENTS, sign, createWebhooks, createVisitEvents } = require('../lib/webhooks');
+const { comboKey } = require('../lib/stats');
+const { createFileStore } = require('../lib/storage/file');
+const { createVisitStore } = require('../lib/storage');
+const { loadApp, tempDir } = require('./helpers/app');
+
+const SECRET = 'whsec-test';
+
+// Receiver answering with the next of `statuses` (the last one repeats) and keeping requests
+async function receiver(statuses = [200]) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(received.length - 1, statuses.length - 1)];
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    received,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+test('sign is an HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  expect(sign('secret', 1700000000, '{}')).toBe(crypto.createHmac('sha256', 'secret').update('1700000000.{}').digest('hex'));
+  expect(sign('secret', 1700000000, '{}')).not.toBe(sign('secret', 1700000001, '{}'));
+  expect(sign('secret', 1700000000, '{}')).not.toBe(sign('other', 1700000000, '{}'));
+});
+
+describe('createWebhooks', () => {
+  let target;
+  let webhooks;
+  afterEach(async () => {
+    if (webhooks) webhooks.close();
+    await target.close();
+    jest.restoreAllMocks();
+  });
+
+  test('is disabled without targets or a secret and ignores unsubscribed events', async () => {
+    target = await receiver();
+    expect(createWebhooks({ urls: [target.url] }).enabled).toBe(false);
+    webhooks = createWebhooks({ urls: [target.url], secret: SECRET, events: ['new-country'], pollMs: 60000 });
+    expect(webhooks.wants('new-country')).toBe(true);
+    expect(webhooks.wants('traffic-spike')).toBe(false);
+    webhooks.notify('traffic-spike', { minute: 'x', threshold: 1 });
+    expect((await webhooks.status()).pending).toEqual([]);
+  });
+
+  test('posts a signed event to every target', async () => {
+    target = await receiver();
+    const metrics = { webhookDelivery: jest.fn() };
+    webhooks = createWebhooks({ urls: [target.url, target.url], secret: SECRET, metrics, pollMs: 60000 });
+    webhooks.notify('new-country', { country: 'DE', city: 'Berlin' });
+    await webhooks.tick();
+
+    expect(target.received).toHaveLength(2);
+    const { headers, body } = target.received[0];
+    const event = JSON.parse(body);
+    expect(event).toMatchObject({ type: 'new-country', text: 'First visit from DE (Berlin)', data: { country: 'DE', city: 'Berlin' } });
+    expect(headers).toMatchObject({ 'content-type': 'application/json', 'x-whoami-event': 'new-country', 'x-whoami-delivery': expect.any(String) });
+    const [, t, v1] = headers['x-whoami-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    expect(v1).toBe(sign(SECRET, Number(t), body));
+    expect(Math.abs(Number(t) - Date.now() / 1000)).toBeLessThan(5);
+    expect(JSON.parse(target.received[1].body).id).toBe(event.id);
+    expect(target.received[1].headers['x-whoami-delivery']).not.toBe(headers['x-whoami-delivery']);
+
+    const status = await webhooks.status();
+    expect(status).toMatchObject({ enabled: true, events: EVENTS, targets: ['127.0.0.1:' + new URL(target.url).port, expect.any(String)], queue: 'memory', pending: [] });
+    expect(status.recent[0]).toMatchObject({ type: 'new-country', status: 'delivered', attempts: 1, lastStatus: 200 });
+    expect(metrics.webhookDelivery).toHaveBeenCalledWith('new-country', 'delivered');
+  });
+
+  test('retries with doubling backoff and gives up after maxAttempts', async () => {
+    target = await receiver([500]);
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    const metrics = { webhookDelivery: jest.fn() };
+    webhooks = createWebhooks({ urls: [target.url], secret: SECRET, metrics, maxAttempts: 3, retryBaseMs: 1000, pollMs: 60000 });
+    webhooks.notify('new-visitor', { country: 'US', device: 'desktop' });
+
+    let now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    await webhooks.tick();
+    let [pending] = (await webhooks.status()).pending;
+    expect(pending).toMatchObject({ attempts: 1, lastStatus: 500, lastError: 'HTTP 500' });
+    expect(Date.parse(pending.nextAttemptAt) - now).toBe(1000);
+
+    // Not due yet
+    await webhooks.tick();
+    expect(target.received).toHaveLength(1);
+
+    now += 1000;
+    await webhooks.tick();
+    [pending] = (await webhooks.status()).pending;
+    expect(Date.parse(pending.nextAttemptAt) - now).toBe(2000);
+
+    now += 2000;
+    await webhooks.tick();
+    const status = await webhooks.status();
+    expect(status.pending).toEqual([]);
+    expect(status.recent[0]).toMatchObject({ status: 'failed', attempts: 3, lastError: 'HTTP 500' });
+    expect(target.received).toHaveLength(3);
+    expect(new Set(target.received.map((r) => r.headers['x-whoami-delivery'])).size).toBe(1);
+    expect(metrics.webhookDelivery.mock.calls.map(([, outcome]) => outcome)).toEqual(['retry', 'retry', 'failed']);
+  });
+
+  test('keeps the jitter within 20% of the backoff', async () => {
+    target = await receiver([503]);
+    webhooks = createWebhooks({ urls: [target.url], secret: SECRET, retryBaseMs: 10000, pollMs: 60000 });
+    for (const random of [0, 0.999]) {
+      jest.spyOn(Math, 'random').mockReturnValue(random);
+      webhooks.notify('traffic-spike', { minute: 'x', threshold: 1 });
+    }
+    const before = Date.now();
+    await webhooks.tick();
+    const delays = (await webhooks.status()).pending.map((p) => Date.parse(p.nextAttemptAt) - before);
+    expect(Math.min(...delays)).toBeGreaterThanOrEqual(8000 - 50);
+    expect(Math.max(...delays)).toBeLessThanOrEqual(12000 + 50);
+  });
+
+  test('does not retry client errors other than 408 and 429', async () => {
+    target = await receiver([404, 429]);
+    webhooks = createWebhooks({ urls: [target.url], secret: SECRET, pollMs: 60000 });
+    webhooks.notify('new-country', { country: 'FR' });
+    webhooks.notify('new-country', { country: 'IT' });
+    await webhooks.tick();
+    const status = await webhooks.status();
+    expect(status.recent).toEqual([expect.objectContaining({ status: 'failed', attempts: 1, lastStatus: 404 })]);
+    expect(status.pending).toEqual([expect.objectContaining({ lastStatus: 429 })]);
+  });
+});
+
+describe('Redis queue', () => {
+  // Just enough of ioredis for the queue: a sorted set, hashes and a list
+  function fakeRedis() {
+    const zset = new Map();
+    const hash = new Map();
+    const list = [];
+    const commands = {
+      hset: (key, id, value) => hash.set(id, value),
+      zadd: (key, score, id) => zset.set(id, score),
+      hdel: (key, id) => hash.delete(id),
+      lpush: (key, value) => list.unshift(value),
+      ltrim: () => {}
+    };
+    const redis = {
+      status: 'ready',
+      zset,
+      hash,
+      multi() {
+        const ops = [];
+        const chain = { exec: async () => ops.map((op) => [null, op()]) };
+        for (const [name, fn] of Object.entries(commands)) chain[name] = (...args) => { ops.push(() => fn(...args)); return chain; };
+        return chain;
+      },
+      zrangebyscore: async (key, min, max) => [...zset].filter(([, score]) => score <= max).map(([id]) => id),
+      zrem: async (key, id) => (zset.delete(id) ? 1 : 0),
+      hget: async (key, id) => hash.get(id) || null,
+      hset: async (key, id, value) => { hash.set(id, value); },
+      hgetall: async () => Object.fromEntries(hash),
+      hvals: async () => [...hash.values()],
+      lrange: async () => [...list]
+    };
+    return redis;
+  }
+
+  const claimed = (id, url, ageMs) => JSON.stringify({
+    id, url, attempts: 0, nextAttemptAt: Date.now() - ageMs, claimedAt: Date.now() - ageMs,
+    event: { id: `e-${id}`, type: 'new-country', createdAt: new Date().toISOString(), data: {} }
+  });
+
+  test('requeues claims older than a whole batch of timeouts only', async () => {
+    const target = await receiver();
+    const redis = fakeRedis();
+    // timeoutMs 5000: a live claim may be up to 20 × 5 s (plus a minute) old
+    redis.hash.set('abandoned', claimed('abandoned', target.url, 170 * 1000));
+    redis.hash.set('in-flight', claimed('in-flight', target.url, 90 * 1000));
+    const webhooks = createWebhooks({ urls: [target.url], secret: SECRET, redis, timeoutMs: 5000, pollMs: 60000 });
+
+    await webhooks.tick();
+    expect(target.received.map((r) => r.headers['x-whoami-delivery'])).toEqual(['abandoned']);
+    expect([...redis.hash.keys()]).toEqual(['in-flight']);
+    webhooks.close();
+    await target.close();
+  });
+});
+
+describe('createVisitEvents', () => {
+  function fakeWebhooks(events = EVENTS) {
+    return { notify: jest.fn(), wants: (type) => events.includes(type) };
+  }
+  function fakeStore(overrides = {}) {
+    return { readStats: async () => ({}), getVisitorRecords: async () => [], ...overrides };
+  }
+  const notified = (webhooks, type) => webhooks.notify.mock.calls.filter(([t]) => t === type).map(([, data]) => data);
+
+  test('reports a country once, skipping those already in the stats', async () => {
+    const webhooks = fakeWebhooks(['new-country']);
+    const store = fakeStore({ readStats: async () => ({ 20261018: { [comboKey({ country: 'DE', device: 'desktop' })]: 3 } }) });
+    const events = createVisitEvents({ webhooks, store });
+    await events.visit({ country: 'DE' }, { yourVisits: 1 });
+    await events.visit({ country: 'FR', city: 'Paris' }, { yourVisits: 1 });
+    await events.visit({ country: 'FR' }, { yourVisits: 2 });
+    await events.visit({ country: 'Unknown' }, { yourVisits: 1 });
+    expect(notified(webhooks, 'new-country')).toEqual([{ country: 'FR', region: null, city: 'Paris' }]);
+  });
+
+  test('reports a new visitor unless an earlier salt period has a record', async () => {
+    const webhooks = fakeWebhooks(['new-visitor']);
+    const records = { 'h:old': { key: 'h:old', visits: 4 } };
+    const store = fakeStore({ getVisitorRecords: async (keys) => keys.map((k) => records[k]).filter(Boolean) });
+    const events = createVisitEvents({ webhooks, store });
+    await events.visit({ country: 'US', device: 'mobile' }, { yourVisits: 1, unique: 10 });
+    await events.visit({ country: 'US', device: 'mobile' }, { yourVisits: 1, unique: 10 }, ['h:old']);
+    await events.visit({ country: 'US', device: 'mobile' }, { yourVisits: 1, unique: 11 }, ['h:other']);
+    await events.visit({ country: 'US', device: 'mobile' }, { yourVisits: 2, unique: 11 });
+    expect(notified(webhooks, 'new-visitor')).toEqual([
+      { country: 'US', device: 'mobile', unique: 10 },
+      { country: 'US', device: 'mobile', unique: 11 }
+    ]);
+  });
+
+  test('reports a traffic spike once per minute', async () => {
+    const webhooks = fakeWebhooks(['traffic-spike']);
+    const events = createVisitEvents({ webhooks, store: fakeStore(), spikePerMinute: 2 });
+    for (let i = 0; i < 5; i++) await events.visit({}, { yourVisits: 2 });
+    expect(notified(webhooks, 'traffic-spike')).toEqual([{ minute: expect.stringMatching(/^\d{4}-\d\d-\d\dT\d\d:\d\d:00Z$/), threshold: 2 }]);
+  });
+
+  test('reports each switch of the visit store to the file fallback', async () => {
+    const dir = tempDir();
+    const file = createFileStore({ file: path.join(dir, 'primary.json') });
+    let up = false;
+    const primary = { ...file, name: 'redis', isAvailable: () => up };
+    const store = createVisitStore({ primary, fallback: createFileStore({ file: path.join(dir, 'fallback.json') }) });
+    const webhooks = fakeWebhooks(['storage-fallback']);
+    createVisitEvents({ webhooks, store });
+
+    await store.increment('1.1.1.1', {});
+    await store.increment('1.1.1.1', {});
+    up = true;
+    await store.increment('1.1.1.1', {});
+    up = false;
+    await store.increment('1.1.1.1', {});
+    expect(notified(webhooks, 'storage-fallback')).toEqual([
+      { backend: 'redis', fallback: 'file', instance: expect.any(String) },
+      { backend: 'redis', fallback: 'file', instance: expect.any(String) }
+    ]);
+    await store.close();
+  });
+});
+
+test('GET /api/admin/webhooks shows the queue to admins', async () => {
+  const { app } = loadApp({ ADMIN_TOKEN: 'test-admin-token', WEBHOOK_URLS: 'https://hooks.example.com/T0KEN', WEBHOOK_SECRET: SECRET });
+  await request(app).get('/api/admin/webhooks').expect(401);
+  const res = await request(app).get('/api/admin/webhooks').set('Authorization', 'Bearer test-admin-token').expect(200);
+  expect(res.body).toMatchObject({ enabled: true, targets: ['hooks.example.com'], queue: 'memory' });
+  expect(JSON.stringify(res.body)).not.toMatch(/T0KEN/);
+  expect(res.headers['cache-control']).toBe('no-store');
+});
@@ -0,0 +1,106 @@
+const { main, parseArgs } = require('../bin/whoami');
+const { loadApp } = require('./helpers/app');
+
+const FIREFOX = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0';
+
+// Runs the command line client and captures what it writes
+async function run(argv, { isTTY = false, env = {} } = {}) {
+  const out = { text: '', isTTY, write(chunk) { this.text += chunk; } };
+  const err = { text: '', write(chunk) { this.text += chunk; } };
+  const code = await main(argv, { stdout: out, stderr: err, env });
+  return { code, stdout: out.text, stderr: err.text };
+}
+
+describe('parseArgs', () => {
+  test('separates positionals, options and flags', () => {
+    expect(parseArgs(['lookup', '8.8.8.8', '--output', 'json', '--offline', '--ua=curl/8.4.0', '1.1.1.1'])).toEqual({
+      _: ['lookup', '8.8.8.8', '1.1.1.1'], output: 'json', offline: true, ua: 'curl/8.4.0'
+    });
+    expect(parseArgs(['--offline=false', '-h'])).toEqual({ _: [], offline: false, help: true });
+  });
+});
+
+describe('usage', () => {
+  test('prints help on -h and exits 0', async () => {
+    const { code, stdout } = await run(['-h']);
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^Usage:/);
+  });
+
+  test('exits 2 on unknown commands, outputs and missing arguments', async () => {
+    expect(await run(['frobnicate'])).toMatchObject({ code: 2, stderr: expect.stringMatching(/^Usage:/) });
+    expect(await run(['lookup', '8.8.8.8', '--output', 'xml'])).toMatchObject({ code: 2, stderr: expect.stringMatching(/--output must be one of/) });
+    expect(await run(['lookup'])).toMatchObject({ code: 2, stderr: 'whoami: lookup needs at least one IP address\n' });
+    expect((await run(['me', '--offline'])).code).toBe(2);
+  });
+});
+
+describe('offline lookup', () => {
+  test('resolves addresses with the local database', async () => {
+    const { code, stdout } = await run(['lookup', '8.8.8.8', '--offline', '--output', 'json']);
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout).results[0]).toMatchObject({ ip: '8.8.8.8', type: 'public', location: { country: 'US', provider: 'geoip-lite' } });
+  });
+
+  test('parses a User-Agent as the server would', async () => {
+    const { stdout } = await run(['lookup', '8.8.8.8', '--offline', '--ua', FIREFOX, '--output', 'json']);
+    expect(JSON.parse(stdout).results[0].client).toMatchObject({ browser: expect.stringMatching(/^Firefox/), os: expect.stringMatching(/^Windows/) });
+  });
+
+  test('reports bad addresses and fails when none resolved', async () => {
+    const { code, stdout } = await run(['lookup', '10.0.0.1', '--offline', '--output', 'plain']);
+    expect(code).toBe(1);
+    expect(stdout).toBe('results.0.ip: 10.0.0.1\nresults.0.error: Non-public address (private) cannot be looked up: 10.0.0.1\n');
+  });
+
+  test('renders a table on a terminal', async () => {
+    const { code, stdout } = await run(['lookup', '8.8.8.8', 'nope', '--offline'], { isTTY: true });
+    expect(code).toBe(0);
+    const lines = stdout.split('\n');
+    expect(lines[0]).toMatch(/^ip\s+type\s+country\s+region\s+city\s+coords\s+asn\s+organization\s+source$/);
+    expect(lines[1]).toMatch(/^-+ {2}-+/);
+    expect(lines[2]).toMatch(/^8\.8\.8\.8\s+public\s+US\s/);
+    expect(stdout).toMatch(/nope: Invalid IP address: nope\n$/);
+  });
+});
+
+describe('against a server', () => {
+  let server;
+  let url;
+  beforeAll(async () => {
+    const { app } = loadApp();
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  test('me shows what the server sees', async () => {
+    const { code, stdout } = await run(['me', '--output', 'json'], { env: { WHOAMI_SERVER: url } });
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout)).toMatchObject({ ip: '127.0.0.1', type: 'loopback' });
+  });
+
+  test('lookup uses the single and batch endpoints', async () => {
+    const single = await run(['lookup', '8.8.8.8', '--server', url, '--output', 'json']);
+    expect(JSON.parse(single.stdout).results).toEqual([expect.objectContaining({ ip: '8.8.8.8', location: expect.objectContaining({ country: 'US' }) })]);
+
+    const batch = await run(['lookup', '8.8.8.8', '10.0.0.1', '--server', url, '--output', 'json']);
+    expect(batch.code).toBe(0);
+    expect(JSON.parse(batch.stdout).results[1].error).toMatch(/private/);
+  });
+
+  test('stats prints the series and totals', async () => {
+    const { code, stdout } = await run(['stats', '--server', url, '--granularity', 'day'], { isTTY: true });
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^bucket\s+visits/);
+    expect(stdout).toMatch(/\nTotal: \d+/);
+  });
+
+  test('reports server errors and unreachable servers', async () => {
+    const bad = await run(['lookup', '10.0.0.1', '--server', url]);
+    expect(bad).toMatchObject({ code: 1, stderr: expect.stringMatching(/^whoami: \/api\/lookup\/10\.0\.0\.1: Non-public address/) });
+    const down = await run(['me', '--server', 'http://127.0.0.1:9']);
+    expect(down).toMatchObject({ code: 1, stderr: expect.stringMatching(/^whoami: Cannot reach http:\/\/127\.0\.0\.1:9/) });
+  });
+});
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+// Command line client for a running Who Am I server.
+//
+//   whoami me                         what the server sees of this machine (records a visit)
+//   whoami lookup <ip> [<ip> ...]     location and network of public addresses
+//   whoami lookup <ip> --offline      same lookup with the local geoip-lite database, no server
+//   whoami stats [--from] [--to] [--granularity hour|day] [--group-by country,device]
+//
+// Options: --server <url> (default $WHOAMI_SERVER or http://localhost:3000),
+// --output table|json|plain (default table on a terminal, plain otherwise) and, with
+// --offline, --ua <User-Agent> to parse a User-Agent string as the server would.
+const { canonicalize } = require('../lib/ip');
+const { validateLookupIp, createLookup } = require('../lib/lookup');
+
+const OUTPUTS = ['table', 'json', 'plain'];
+const FLAGS = ['offline', 'help'];
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      args.help = true;
+    } else if (arg.startsWith('--')) {
+      const [key, inline] = arg.slice(2).split('=');
+      if (FLAGS.includes(key)) args[key] = inline !== 'false';
+      else args[key] = typeof inline !== 'undefined' ? inline : argv[++i];
+    } else {
+      args._.push(arg);
+    }
+  }
+  return args;
+}
+
+function usage() {
+  return [
+    'Usage:',
+    '  whoami me [--server <url>]',
+    '  whoami lookup <ip> [<ip> ...] [--offline [--ua <user-agent>]]',
+    '  whoami stats [--from <date>] [--to <date>] [--granularity hour|day] [--group-by <dims>]',
+    '',
+    `Options: --server <url> (default $WHOAMI_SERVER or http://localhost:3000), --output ${OUTPUTS.join('|')}`
+  ].join('\n');
+}
+
+class UsageError extends Error {}
+
+// Fixed-width columns; `rows` are arrays of cell strings, the first row is the header
+function renderColumns(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((row) => String(row[i]).length)));
+  const line = (row) => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  return [line(rows[0]), widths.map((w) => '-'.repeat(w)).join('  '), ...rows.slice(1).map(line)].join('\n') + '\n';
+}
+
+const cell = (v) => (v === null || typeof v === 'undefined' || v === '' ? '-' : String(v));
+
+// [dotted.key, value] pairs; unlike lib/format, array items get their index (results.0.ip)
+function flattenPairs(value, prefix = '', out = []) {
+  if (value && typeof value === 'object' && !(Array.isArray(value) && value.every((v) => v === null || typeof v !== 'object'))) {
+    for (const [k, v] of Object.entries(value)) flattenPairs(v, prefix ? `${prefix}.${k}` : k, out);
+  } else {
+    out.push([prefix, Array.isArray(value) ? value.join(',') : cell(value)]);
+  }
+  return out;
+}
+
+// Two-column key/value table of a (flattened) object
+function renderObject(obj) {
+  return renderColumns([['field', 'value'], ...flattenPairs(obj)]);
+}
+
+function locationColumns(result) {
+  const loc = result.location || {};
+  const network = loc.network || {};
+  return [
+    cell(result.ip), cell(result.type), cell(loc.country), cell(loc.region), cell(loc.city),
+    loc.latitude != null ? `${loc.latitude},${loc.longitude}` : '-',
+    network.asn ? `AS${network.asn}` : '-', cell(network.organization), cell(loc.provider)
+  ];
+}
+
+// Table views per command; anything else falls back to a key/value table
+const TABLES = {
+  lookup(data) {
+    const header = ['ip', 'type', 'country', 'region', 'city', 'coords', 'asn', 'organization', 'source'];
+    const ok = data.results.filter((r) => !r.error);
+    let out = ok.length ? renderColumns([header, ...ok.map(locationColumns)]) : '';
+    for (const r of data.results.filter((result) => result.error)) out += `${cell(r.ip)}: ${r.error}\n`;
+    if (data.results.length === 1 && data.results[0].client) out += '\n' + renderObject(data.results[0].client);
+    return out;
+  },
+  stats(data) {
+    const hasUnique = data.series.some((p) => typeof p.unique === 'number');
+    const series = data.series.map((p) => [p.bucket, p.total, ...(hasUnique ? [cell(p.unique)] : [])]);
+    let out = renderColumns([['bucket', 'visits', ...(hasUnique ? ['unique'] : [])], ...series]);
+    out += `\nTotal: ${data.total}${typeof data.unique === 'number' ? `, unique: ${data.unique}` : ''}\n`;
+    if (data.groups && data.groups.length) {
+      out += '\n' + renderColumns([[...data.groupBy, 'visits'], ...data.groups.map((g) => [...data.groupBy.map((d) => cell(g[d])), g.count])]);
+    }
+    return out;
+  }
+};
+
+function render(command, data, output) {
+  if (output === 'json') return JSON.stringify(data, null, 2) + '\n';
+  if (output === 'plain') return flattenPairs(data).map(([k, v]) => `${k}: ${v}`).join('\n') + '\n';
+  return TABLES[command] ? TABLES[command](data) : renderObject(data);
+}
+
+async function request(server, path, options = {}) {
+  const url = new URL(path, server);
+  let res;
+  try {
+    res = await fetch(url, { ...options, headers: { Accept: 'application/json', ...options.headers }, signal: AbortSignal.timeout(15000) });
+  } catch (err) {
+    throw new Error(`Cannot reach ${url.origin}: ${err.cause ? err.cause.message : err.message}`);
+  }
+  const body = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(`${url.pathname}: ${(body && body.error) || `HTTP ${res.status}`}`);
+  return body;
+}
+
+async function me(args, server) {
+  if (args.offline) throw new UsageError('me needs a server: only the server sees your public address');
+  return request(server, '/api/whoami?format=json');
+}
+
+async function lookup(args, server) {
+  const ips = args._.slice(1);
+  if (!ips.length) throw new UsageError('lookup needs at least one IP address');
+  if (args.offline) {
+    // Local geoip-lite + UAParser, exactly as the server does without external providers
+    const { lookupLocation, describeClient } = createLookup();
+    const results = await Promise.all(ips.map(async (raw) => {
+      const invalid = validateLookupIp(raw);
+      if (invalid) return { ip: raw, error: invalid };
+      const ip = canonicalize(raw);
+      if (!args.ua) return { ip, type: 'public', location: await lookupLocation(ip) };
+      const { client } = await describeClient({ ip, headers: { 'user-agent': args.ua } });
+      const { location, ...rest } = client;
+      return { ip, type: rest.type, location, client: rest };
+    }));
+    return { results };
+  }
+  if (ips.length === 1) {
+    const result = await request(server, `/api/lookup/${encodeURIComponent(ips[0])}`);
+    return { results: [result] };
+  }
+  return request(server, '/api/lookup', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ips })
+  });
+}
+
+async function stats(args, server) {
+  if (args.offline) throw new UsageError('stats needs a server');
+  const query = new URLSearchParams();
+  for (const [option, param] of [['from', 'from'], ['to', 'to'], ['granularity', 'granularity'], ['group-by', 'groupBy']]) {
+    if (args[option]) query.set(param, args[option]);
+  }
+  return request(server, `/api/stats?${query}`);
+}
+
+const commands = { me, lookup, stats };
+
+// Returns the exit code: 0 on success, 1 on errors, 2 on usage errors
+async function main(argv, { stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) {
+  const args = parseArgs(argv);
+  const name = args._[0];
+  if (args.help || !commands[name]) {
+    (args.help ? stdout : stderr).write(usage() + '\n');
+    return args.help ? 0 : 2;
+  }
+  const output = args.output || (stdout.isTTY ? 'table' : 'plain');
+  if (!OUTPUTS.includes(output)) {
+    stderr.write(`--output must be one of: ${OUTPUTS.join(', ')}\n`);
+    return 2;
+  }
+  const server = args.server || env.WHOAMI_SERVER || 'http://localhost:3000';
+  try {
+    const data = await commands[name](args, server);
+    stdout.write(render(name, data, output));
+    // Batch lookups report per-address errors; fail the command if every address failed
+    return data.results && data.results.every((r) => r.error) ? 1 : 0;
+  } catch (err) {
+    stderr.write(`whoami: ${err.message}\n`);
+    return err instanceof UsageError ? 2 : 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => { process.exitCode = code; });
+}
+
+module.exports = { main, parseArgs };
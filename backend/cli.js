@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+// Maintenance commands for the Who Am I backend.
+//
+//   node cli.js migrate --from file --to redis [--mode merge|replace]
+//   node cli.js canonicalize-keys [--backend file|redis|sqlite]
+//   node cli.js update-datasets
+//   node cli.js backup [--out file] [--backend file|redis|sqlite]
+//   node cli.js restore <file> [--mode merge|replace] [--backend file|redis|sqlite]
+//
+// Storage locations come from the same settings as the server (REDIS_URL, VISITS_FILE,
+// SQLITE_PATH in the environment or CONFIG_FILE, see lib/config). `merge` (default) adds
+// the source counts to the target; `replace` wipes the target first. `canonicalize-keys`
+// rewrites raw-IP visitor keys to the canonical form used since IP normalization moved to
+// lib/ip.js (stop the server while it runs).
+// `update-datasets` downloads the Tor exit, datacenter and VPN lists used by lib/network
+// (run it from cron; the server picks up changed files on its own). `backup` writes all
+// visit data of the active backend to a gzipped, versioned archive with a SHA-256 checksum
+// (see lib/storage/transfer.js); `restore` verifies the archive before importing it.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { BACKENDS, storageOptionsFromEnv, createBackendStore } = require('./lib/storage');
+const { canonicalizeVisitorKeys } = require('./lib/storage/snapshot');
+const { createArchive, readArchive } = require('./lib/storage/transfer');
+const { loadConfig } = require('./lib/config');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const [key, inline] = arg.slice(2).split('=');
+      args[key] = typeof inline !== 'undefined' ? inline : argv[++i];
+    } else {
+      args._.push(arg);
+    }
+  }
+  return args;
+}
+
+function usage() {
+  console.log([
+    'Usage:',
+    `  node cli.js migrate --from <${BACKENDS.join('|')}> --to <${BACKENDS.join('|')}> [--mode merge|replace]`,
+    `  node cli.js canonicalize-keys [--backend <${BACKENDS.join('|')}>]`,
+    '  node cli.js update-datasets',
+    `  node cli.js backup [--out <file>] [--backend <${BACKENDS.join('|')}>]`,
+    `  node cli.js restore <file> [--mode merge|replace] [--backend <${BACKENDS.join('|')}>]`
+  ].join('\n'));
+}
+
+// Wait until a Redis-backed store has connected (other backends are ready immediately)
+function whenAvailable(store, timeoutMs = 10000) {
+  if (store.isAvailable()) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`${store.name} backend not available after ${timeoutMs}ms`)), timeoutMs);
+    store.onReady(() => { clearTimeout(timer); resolve(); });
+  });
+}
+
+async function migrate(args) {
+  const { from, to, mode = 'merge' } = args;
+  if (!BACKENDS.includes(from) || !BACKENDS.includes(to)) throw new Error(`--from and --to must be one of: ${BACKENDS.join(', ')}`);
+  if (from === to) throw new Error('--from and --to must differ');
+  if (!['merge', 'replace'].includes(mode)) throw new Error('--mode must be merge or replace');
+
+  const options = storageOptionsFromEnv(loadConfig().config);
+  const source = createBackendStore(from, options);
+  const target = createBackendStore(to, options);
+  try {
+    await Promise.all([whenAvailable(source), whenAvailable(target)]);
+    const snapshot = await source.exportSnapshot();
+    await target.importSnapshot(snapshot, { mode });
+    const totals = await target.getTotals();
+    console.log(`Migrated ${snapshot.total} visits (${Object.keys(snapshot.byIp).length} visitors) from ${from} to ${to} [${mode}]. Target now has ${totals.total} visits, ${totals.unique} unique.`);
+  } finally {
+    await Promise.all([source.close(), target.close()]);
+  }
+}
+
+async function canonicalizeKeys(args) {
+  const options = storageOptionsFromEnv(loadConfig().config);
+  const backend = args.backend || options.backend;
+  if (!BACKENDS.includes(backend)) throw new Error(`--backend must be one of: ${BACKENDS.join(', ')}`);
+
+  const store = createBackendStore(backend, options);
+  try {
+    await whenAvailable(store);
+    const before = await store.exportSnapshot();
+    const { snapshot, rewritten } = canonicalizeVisitorKeys(before);
+    if (!rewritten) {
+      console.log(`All ${Object.keys(before.byIp).length} visitor keys in ${backend} are already canonical.`);
+      return;
+    }
+    await store.importSnapshot(snapshot, { mode: 'replace' });
+    console.log(`Rewrote ${rewritten} visitor keys in ${backend}: ${Object.keys(before.byIp).length} -> ${Object.keys(snapshot.byIp).length} visitors.`);
+  } finally {
+    await store.close();
+  }
+}
+
+// Network dataset lists: target file setting and download URL setting
+const DATASETS = [
+  { name: 'tor', file: 'TOR_EXIT_LIST_FILE', url: 'TOR_EXIT_LIST_URL' },
+  { name: 'datacenter', file: 'DATACENTER_CIDRS_FILE', url: 'DATACENTER_CIDRS_URL' },
+  { name: 'vpn', file: 'VPN_CIDRS_FILE', url: 'VPN_CIDRS_URL' }
+];
+
+async function updateDatasets() {
+  const { parseCidrList } = require('./lib/network');
+  const { config } = loadConfig();
+  let failed = 0;
+  for (const { name, file, url } of DATASETS) {
+    const target = config[file];
+    const source = config[url];
+    if (!target || !source) {
+      console.log(`${name}: skipped (set ${file}${source ? '' : ` and ${url}`})`);
+      continue;
+    }
+    try {
+      const res = await fetch(source, { signal: AbortSignal.timeout(60000) });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const body = Buffer.from(await res.arrayBuffer());
+      const { entries, version } = parseCidrList(body);
+      if (!entries) throw new Error('download contained no addresses');
+      // Write next to the target and rename, so the server never reads a partial file
+      const tmp = path.join(path.dirname(target), `.${path.basename(target)}.${process.pid}.tmp`);
+      await fs.promises.writeFile(tmp, body);
+      await fs.promises.rename(tmp, target);
+      console.log(`${name}: ${entries} entries (${version}) -> ${target}`);
+    } catch (err) {
+      failed++;
+      console.error(`${name}: update from ${source} failed: ${err.message}`);
+    }
+  }
+  if (failed) throw new Error(`${failed} dataset(s) failed to update`);
+}
+
+// Open the backend named by --backend, or the one the server uses
+async function openBackend(args) {
+  const options = storageOptionsFromEnv(loadConfig().config);
+  const backend = args.backend || options.backend;
+  if (!BACKENDS.includes(backend)) throw new Error(`--backend must be one of: ${BACKENDS.join(', ')}`);
+  const store = createBackendStore(backend, options);
+  try {
+    await whenAvailable(store);
+  } catch (err) {
+    await store.close();
+    throw err;
+  }
+  return { store, backend };
+}
+
+async function backup(args) {
+  const { store, backend } = await openBackend(args);
+  try {
+    const snapshot = await store.exportSnapshot();
+    const out = args.out || `visits-backup-${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}.ndjson.gz`;
+    const archive = createArchive(snapshot, { backend });
+    // Same temp file + rename as the stores, so an interrupted backup never looks complete
+    const tmp = path.join(path.dirname(out), `.${path.basename(out)}.${process.pid}.tmp`);
+    await fs.promises.writeFile(tmp, archive);
+    await fs.promises.rename(tmp, out);
+    console.log(`Backed up ${snapshot.total} visits (${Object.keys(snapshot.byIp).length} visitors) from ${backend} to ${out} (${archive.length} bytes).`);
+  } finally {
+    await store.close();
+  }
+}
+
+async function restore(args) {
+  const file = args._[1];
+  const { mode = 'merge' } = args;
+  if (!file) throw new Error('restore needs the archive file to read');
+  if (!['merge', 'replace'].includes(mode)) throw new Error('--mode must be merge or replace');
+  // Verify the whole archive before touching the store
+  const { header, snapshot } = readArchive(await fs.promises.readFile(file));
+  const { store, backend } = await openBackend(args);
+  try {
+    await store.importSnapshot(snapshot, { mode });
+    const totals = await store.getTotals();
+    console.log(`Restored ${snapshot.total} visits (${Object.keys(snapshot.byIp).length} visitors) from a ${header.backend || 'unknown'} backup of ${header.createdAt} into ${backend} [${mode}]. Now ${totals.total} visits, ${totals.unique} unique.`);
+  } finally {
+    await store.close();
+  }
+}
+
+const commands = { migrate, 'canonicalize-keys': canonicalizeKeys, 'update-datasets': updateDatasets, backup, restore };
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  const command = commands[args._[0]];
+  if (!command) {
+    usage();
+    return 1;
+  }
+  await command(args);
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((err) => {
+      console.error(err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -2,44 +2,71 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const requestIp = require('request-ip');
-const UAParser = require('ua-parser-js');
-const geoip = require('geoip-lite');
 const fs = require('fs');
 const path = require('path');
+const { Readable, pipeline } = require('stream');
 
-const Redis = require('ioredis');
-const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
-const pino = require('pino');
+const { formatError, sendFormatted, sendValue } = require('./lib/format');
+const { buildTrustList, analyzeProxyChain } = require('./lib/proxy');
+const { canonicalize, normalizeClientIp, classify } = require('./lib/ip');
+const { ACCEPT_CH, CRITICAL_CH, VARY_HEADERS } = require('./lib/useragent');
+const { parseClientReport, runChecks } = require('./lib/consistency');
+const { createProvider, createGeoChain } = require('./lib/geo');
+const { createNetworkInfo } = require('./lib/network');
+const { validateLookupIp, createLookup } = require('./lib/lookup');
+const { parseLang, localizeLocation } = require('./lib/i18n');
+const { DIMENSIONS, parseStatsQuery, aggregate, bucketRange } = require('./lib/stats');
+const { storageOptionsFromEnv, createStorage, createRedisClient } = require('./lib/storage');
+const { CONTENT_TYPES, exportRecordChunks, parseImport } = require('./lib/storage/transfer');
+const { createPrivacy } = require('./lib/privacy');
+const { createAdminAuth } = require('./lib/auth');
+const { liveEvent, createLiveFeed } = require('./lib/live');
+const { createSnapshotStore } = require('./lib/snapshots');
+const { parseLimit, createRateLimits } = require('./lib/ratelimit');
+const { createLogger, redactPath, createRequestLogging } = require('./lib/logging');
+const { createSpeedTest } = require('./lib/speedtest');
+const { createWebhooks, createVisitEvents } = require('./lib/webhooks');
+const { ConfigError, providerEnvName, geoProviderNames, loadConfig, redact } = require('./lib/config');
+
+// Validated settings from the environment and the optional CONFIG_FILE (see lib/config).
+// An invalid value stops the server before anything starts.
+let loaded;
+try {
+  loaded = loadConfig();
+} catch (err) {
+  if (!(err instanceof ConfigError) || require.main !== module) throw err;
+  createLogger().fatal({ problems: err.problems }, err.message);
+  process.exit(1);
+}
+const { config } = loaded;
 
-const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+// Client IPs and coordinates in log fields are truncated or dropped per LOG_IP and
+// LOG_COORDINATES (see lib/logging). `logger` logs through the current request's child
+// logger, so every line written while handling a request carries its reqId.
+const rootLogger = createLogger({ level: config.LOG_LEVEL, ip: config.LOG_IP, coordinates: config.LOG_COORDINATES });
+const requestLogging = createRequestLogging(rootLogger);
+const logger = requestLogging.logger;
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.PORT;
+
+// X-Request-Id: the caller's (or a load balancer's) ID when present, otherwise a new UUID.
+// Echoed in the response and set as req.id / req.log for the rest of the chain.
+app.use(requestLogging.middleware);
 
 // Basic middleware and security
-// Respect TRUST_PROXY env var; default to true in production (common platform setups
-// such as Render/Heroku put the app behind a proxy and set X-Forwarded-* headers).
-// You can override by setting TRUST_PROXY explicitly to 'true' or 'false'.
-// Determine trust proxy setting:
-// - If TRUST_PROXY is explicitly provided, accept numeric (count) or boolean-like values.
-// - Otherwise default to trusting a single proxy in production (1) which is safer
-//   than the permissive `true` value and satisfies express-rate-limit validation.
-const trustProxyEnv = process.env.TRUST_PROXY;
-let trustProxy;
-if (typeof trustProxyEnv !== 'undefined') {
-  // Allow numeric values (e.g. '1') or boolean-like strings ('true'/'false')
-  if (/^\d+$/.test(trustProxyEnv)) {
-    trustProxy = Number(trustProxyEnv);
-  } else {
-    trustProxy = trustProxyEnv === 'true';
-  }
-} else {
-  // Default to trusting one proxy in production (common platforms like Render)
-  trustProxy = (process.env.NODE_ENV === 'production') ? 1 : false;
-}
+// TRUST_PROXY is a hop count or true/false. When unset, trust a single proxy in production
+// (common platforms like Render/Heroku put the app behind one), which is safer than the
+// permissive `true` value and satisfies express-rate-limit validation.
+const trustProxy = config.TRUST_PROXY !== null ? config.TRUST_PROXY : (config.NODE_ENV === 'production' ? 1 : false);
 app.set('trust proxy', trustProxy);
+// Origin of PUBLIC_API_BASE (the API the served frontend should call, see /config.json),
+// allowed in connect-src when it differs from this server
+function publicApiOrigin() {
+  return config.PUBLIC_API_BASE ? [new URL(config.PUBLIC_API_BASE).origin] : [];
+}
+
 // Configure Helmet with a Content Security Policy that allows the CDN hosts
 // we use for Leaflet and UAParser, and allows images from OpenStreetMap tiles.
 app.use(helmet({
@@ -49,246 +76,636 @@ app.use(helmet({
       scriptSrc: ["'self'", 'https://unpkg.com', 'https://cdn.jsdelivr.net'],
       styleSrc: ["'self'", 'https://unpkg.com', 'https://cdn.jsdelivr.net'],
       imgSrc: ["'self'", 'data:', 'https://{s}.tile.openstreetmap.org', 'https://*.tile.openstreetmap.org', 'https://tile.openstreetmap.org'],
-      connectSrc: ["'self'", 'https://ipapi.co', 'https://api.ipify.org', 'https://*.tile.openstreetmap.org'],
+      connectSrc: ["'self'", 'https://ipapi.co', 'https://api.ipify.org', 'https://*.tile.openstreetmap.org', ...publicApiOrigin()],
       fontSrc: ["'self'", 'https://unpkg.com', 'https://cdn.jsdelivr.net'],
       objectSrc: ["'none'"],
       upgradeInsecureRequests: [],
     }
   }
 }));
-app.use(express.json());
-app.use(cors({ origin: process.env.ALLOWED_ORIGIN || '*' }));
-app.use(requestIp.mw());
-
-// Rate limiter for API
-app.use('/api/', rateLimit({ windowMs: 60 * 1000, max: 120 }));
-
-// Prometheus metrics
-const client = require('prom-client');
-const collectDefaultMetrics = client.collectDefaultMetrics;
-collectDefaultMetrics({ timeout: 5000 });
-
-const httpRequestsTotal = new client.Counter({
-  name: 'whoami_http_requests_total',
-  help: 'Total number of HTTP requests',
-  labelNames: ['method', 'path', 'status']
+// Visit imports and connection test uploads read their own, larger bodies
+const RAW_BODY_PATHS = ['/api/visits/import', '/api/speedtest/upload'];
+const jsonBody = express.json();
+app.use((req, res, next) => (RAW_BODY_PATHS.includes(req.path) ? next() : jsonBody(req, res, next)));
+// Ask browsers for the high-entropy User-Agent Client Hints used by /api/whoami (lib/useragent)
+app.use((req, res, next) => {
+  res.set('Accept-CH', ACCEPT_CH.join(', '));
+  res.set('Critical-CH', CRITICAL_CH.join(', '));
+  next();
 });
+// Request ID and rate limit headers are readable by cross-origin frontends (PUBLIC_API_BASE)
+app.use(cors({
+  origin: config.ALLOWED_ORIGIN,
+  exposedHeaders: ['X-Request-Id', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After']
+}));
 
-const httpRequestDurationSeconds = new client.Histogram({
-  name: 'whoami_http_request_duration_seconds',
-  help: 'HTTP request duration in seconds',
-  labelNames: ['method', 'path', 'status'],
-  buckets: [0.01, 0.05, 0.1, 0.3, 0.5, 1, 2, 5]
-});
+// Prometheus metrics (see lib/metrics). Labels are bounded: route templates instead of raw
+// paths, so scanners probing random URLs all land in the "unmatched" series.
+const client = require('prom-client');
+const { routeLabel, createMetrics } = require('./lib/metrics');
+client.collectDefaultMetrics({ timeout: 5000 });
+const metrics = createMetrics();
 
-// Metrics middleware: increment counters and observe duration
+// Metrics middleware: count requests and observe duration once the response is done
 app.use((req, res, next) => {
-  const end = httpRequestDurationSeconds.startTimer({ method: req.method, path: req.path });
+  const end = metrics.startRequest(req, res);
+  const started = process.hrtime.bigint();
   res.on('finish', () => {
-    httpRequestsTotal.inc({ method: req.method, path: req.path, status: String(res.statusCode) });
-    end({ status: String(res.statusCode) });
-    logger.info({ method: req.method, path: req.path, status: res.statusCode }, 'request');
+    end();
+    const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100;
+    req.log.info({ method: req.method, path: redactPath(req.path, config.LOG_IP), route: routeLabel(req, res), status: res.statusCode, durationMs }, 'request');
   });
   next();
 });
 
+// Runtime frontend configuration: the API base the page should use (null = same origin).
+// Registered before the static files so a stale public/config.json cannot shadow it.
+app.get('/config.json', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ apiBase: config.PUBLIC_API_BASE });
+});
+
 // Serve static frontend if present in ./public
 const publicDir = path.join(__dirname, 'public');
 if (fs.existsSync(publicDir)) {
   app.use(express.static(publicDir));
 }
 
-// Simple file-based persistence for visitor counts (fallback)
-const VISITS_FILE = path.join(__dirname, 'visits.json');
-function readVisits() {
-  try {
-    const raw = fs.readFileSync(VISITS_FILE, 'utf8');
-    return JSON.parse(raw);
-  } catch (e) {
-    return { total: 0, byIp: {} };
-  }
+// Visit storage (see lib/storage). STORAGE_BACKEND is file, redis or sqlite; it defaults to
+// redis when REDIS_URL is set, otherwise the visits.json file. With Redis, visits made during
+// an outage fall back to the file and are reconciled into Redis when it comes back.
+const storageOptions = storageOptionsFromEnv(config);
+const redis = config.REDIS_URL ? createRedisClient(config.REDIS_URL) : null;
+const store = createStorage(storageOptions, { redis, logger, metrics });
+app.locals.store = store;
+metrics.gauge('whoami_storage_primary_available', 'Whether the primary visit store is reachable (1) or visits go to the fallback (0)', () => store.status().primaryAvailable);
+
+function redisAvailable() {
+  return Boolean(redis && redis.status === 'ready');
 }
 
-function writeVisits(data) {
+// API rate limits per client IP (see lib/ratelimit), counted in Redis when configured so all
+// instances share them. RATE_LIMIT_ALLOWLIST CIDRs and RATE_LIMIT_API_KEYS (sent as X-API-Key)
+// are exempt.
+const rateLimits = createRateLimits({
+  redis,
+  keyFor: (req) => getClientIp(req),
+  allowlist: config.RATE_LIMIT_ALLOWLIST || undefined,
+  apiKeys: config.RATE_LIMIT_API_KEYS || [],
+  onReject: (name) => metrics.rateLimited(name),
+  logger
+});
+const limiters = {
+  api: rateLimits.limiter('api', parseLimit(config.RATE_LIMIT_API)),
+  lookup: rateLimits.limiter('lookup', parseLimit(config.RATE_LIMIT_LOOKUP)),
+  batch: rateLimits.limiter('batch', parseLimit(config.RATE_LIMIT_BATCH)),
+  export: rateLimits.limiter('export', parseLimit(config.RATE_LIMIT_EXPORT)),
+  speedtest: rateLimits.limiter('speedtest', parseLimit(config.RATE_LIMIT_SPEEDTEST))
+};
+
+// Lookups, batch lookups, visit export/import and connection test transfers have their own
+// budgets; everything else (including pings) shares the general one. Paths are relative to
+// the /api/ mount.
+function routeLimiter(req) {
+  if (req.method === 'GET' && /^\/lookup\/[^/]+$/.test(req.path)) return limiters.lookup;
+  if (req.method === 'POST' && req.path === '/lookup') return limiters.batch;
+  if (req.path === '/visits/export' || req.path === '/visits/import') return limiters.export;
+  if (req.path === '/speedtest/download' || req.path === '/speedtest/upload') return limiters.speedtest;
+  return limiters.api;
+}
+app.use('/api/', (req, res, next) => routeLimiter(req)(req, res, next));
+
+// Live visit stream for /api/live (see lib/live); fans out through Redis pub/sub when configured
+const live = createLiveFeed({ redis, logger, maxClients: config.LIVE_MAX_CLIENTS });
+
+// Privacy mode (see lib/privacy): PRIVACY_MODE=true keys visitor records by a rotating
+// salted HMAC instead of the raw IP, honors DNT/Sec-GPC, and prunes visitor records after
+// VISITOR_RETENTION_DAYS (default 30 in privacy mode; outside it only when set).
+const privacy = createPrivacy({
+  enabled: config.PRIVACY_MODE,
+  secret: config.PRIVACY_SECRET || undefined,
+  rotationDays: config.PRIVACY_SALT_ROTATION_DAYS,
+  retentionDays: config.VISITOR_RETENTION_DAYS !== null ? config.VISITOR_RETENTION_DAYS : (config.PRIVACY_MODE ? 30 : 0),
+  logger
+});
+
+async function pruneExpiredVisitors() {
   try {
-    fs.writeFileSync(VISITS_FILE, JSON.stringify(data, null, 2));
+    const removed = await store.pruneVisitors(Date.now() - privacy.retentionMs);
+    if (removed) logger.info({ removed }, 'Pruned visitor records past retention');
   } catch (e) {
-    logger.error({ err: e }, 'Failed to write visits file');
+    logger.warn({ err: e }, 'Visitor retention pruning failed');
   }
 }
 
-// Ensure visits file exists
-if (!fs.existsSync(VISITS_FILE)) {
-  writeVisits({ total: 0, byIp: {} });
+if (privacy.retentionMs) {
+  // First pass shortly after boot (gives Redis time to connect), then hourly
+  setTimeout(pruneExpiredVisitors, 10 * 1000).unref();
+  setInterval(pruneExpiredVisitors, 60 * 60 * 1000).unref();
 }
 
-// Redis client (optional). If REDIS_URL is not provided, we fall back to file storage.
-let redis;
-let redisReady = false;
-if (process.env.REDIS_URL) {
-  // Configure ioredis with sensible reconnection policy
-  redis = new Redis(process.env.REDIS_URL, {
-    // reconnect delay: linear backoff up to 2s
-    retryStrategy: (times) => Math.min(50 * times, 2000),
-    // do not fail commands when connection is down; let us handle fallback
-    maxRetriesPerRequest: null,
-    enableReadyCheck: true,
+// Webhooks (see lib/webhooks): signed POSTs to WEBHOOK_URLS for a first visit from a new
+// country, a new unique visitor, more than WEBHOOK_SPIKE_PER_MINUTE visits in a minute and
+// the visit store falling back from Redis to the file. The queue lives in Redis when it is up.
+const webhooks = createWebhooks({
+  urls: config.WEBHOOK_URLS || [],
+  secret: config.WEBHOOK_SECRET,
+  events: config.WEBHOOK_EVENTS,
+  redis,
+  logger,
+  metrics,
+  maxAttempts: config.WEBHOOK_MAX_ATTEMPTS,
+  retryBaseMs: config.WEBHOOK_RETRY_BASE_MS,
+  timeoutMs: config.WEBHOOK_TIMEOUT_MS
+});
+const visitEvents = createVisitEvents({
+  webhooks,
+  redis,
+  store,
+  spikePerMinute: config.WEBHOOK_SPIKE_PER_MINUTE,
+  seedDays: config.STATS_DAY_RETENTION_DAYS,
+  logger
+});
+
+// dims: { country, browser, os, device } used for the analytics buckets, plus
+// { city, region, latitude, longitude } for the admin recent-visits list and heatmap
+async function incrementVisits(ip, dims = {}) {
+  const v = await store.increment(privacy.visitorKey(ip), dims);
+  metrics.visit(dims);
+  // Not awaited: event checks and queueing must not slow the response down
+  if (webhooks.enabled) visitEvents.visit(dims, v, privacy.candidateKeys(ip).slice(1));
+  return v;
+}
+
+// Geolocation provider chain (see lib/geo). GEO_PROVIDERS is an ordered, comma separated
+// list such as "ipinfo,ipapi,maxmind"; the legacy GEO_PROVIDER/GEO_API_KEY pair still works.
+// Per provider: GEO_<NAME>_KEY (API key/token) and GEO_<NAME>_TIMEOUT_MS, e.g. GEO_IP_API_KEY.
+function buildGeoProviders() {
+  return geoProviderNames(config).map((name) => {
+    const envName = providerEnvName(name);
+    const legacyKey = config.GEO_PROVIDER === name ? config.GEO_API_KEY : null;
+    const provider = createProvider(name, {
+      apiKey: config[`GEO_${envName}_KEY`] || legacyKey || undefined,
+      dbPath: config.GEO_MAXMIND_DB || undefined
+    });
+    return { provider, timeoutMs: config[`GEO_${envName}_TIMEOUT_MS`] || undefined };
   });
-  redis.on('ready', () => { redisReady = true; logger.info('Redis ready'); });
-  redis.on('error', (err) => { redisReady = false; logger.warn({ err }, 'Redis error'); });
-  redis.on('end', () => { redisReady = false; logger.info('Redis connection closed'); });
 }
 
-async function incrementVisitsRedis(ip) {
-  // Atomic increments in Redis
-  await redis.incr('visits:total');
-  await redis.hincrby('visits:byIp', ip, 1);
-  const [total, unique, yourVisits] = await Promise.all([
-    redis.get('visits:total'),
-    redis.hlen('visits:byIp'),
-    redis.hget('visits:byIp', ip)
-  ]);
-  return { total: Number(total || 0), unique: Number(unique || 0), yourVisits: Number(yourVisits || 0) };
+const geo = createGeoChain({
+  providers: buildGeoProviders(),
+  timeoutMs: config.GEO_TIMEOUT_MS,
+  cacheTtlMs: config.GEO_CACHE_TTL_MS,
+  breaker: {
+    failureThreshold: config.GEO_BREAKER_THRESHOLD,
+    cooldownMs: config.GEO_BREAKER_COOLDOWN_MS
+  },
+  logger,
+  metrics
+});
+// Exposed so tests and embedders can swap in their own providers via geo.setProviders()
+app.locals.geo = geo;
+
+// ASN / hosting / Tor / VPN data from local files (see lib/network), checked for updates
+// every NETWORK_DATA_REFRESH_MS. Lookups are in-memory only.
+const network = createNetworkInfo({
+  asnDb: config.ASN_MAXMIND_DB,
+  torList: config.TOR_EXIT_LIST_FILE,
+  datacenterList: config.DATACENTER_CIDRS_FILE,
+  vpnList: config.VPN_CIDRS_FILE,
+  refreshMs: config.NETWORK_DATA_REFRESH_MS,
+  logger
+});
+
+// Location and client detection shared with the command line client (see lib/lookup)
+const { lookupLocation, describeClient: describe } = createLookup({ geo, network, logger });
+
+// Trusted proxy CIDRs used to pick the client IP out of forwarding headers.
+// TRUSTED_PROXIES is a comma separated CIDR list ('none' disables header trust) and
+// TRUST_PROXY_HEADER the only header read (x-forwarded-for, forwarded or x-real-ip).
+const trustedProxies = buildTrustList(config.TRUSTED_PROXIES || undefined);
+const proxyOptions = { header: config.TRUST_PROXY_HEADER };
+
+// Get IP from the first untrusted hop of the proxy chain (see lib/proxy.js), so a
+// caller cannot spoof X-Forwarded-For unless the request came through a trusted proxy.
+function getClientIp(req) {
+  const ipRaw = analyzeProxyChain(req, trustedProxies, proxyOptions).clientIp || (req.ip || '') + '';
+  // Canonical form (IPv4-mapped IPv6 unwrapped, RFC 5952 IPv6, loopback as 127.0.0.1)
+  return normalizeClientIp(ipRaw) || ipRaw;
 }
 
-async function incrementVisitsFile(ip) {
-  const visits = readVisits();
-  visits.total = (visits.total || 0) + 1;
-  visits.byIp = visits.byIp || {};
-  visits.byIp[ip] = (visits.byIp[ip] || 0) + 1;
-  writeVisits(visits);
-  return { total: visits.total, unique: Object.keys(visits.byIp).length, yourVisits: visits.byIp[ip] || 0 };
+// What the server sees of the caller: address, detected client and location
+function describeClient(req) {
+  return describe({ ip: getClientIp(req), headers: req.headers });
 }
 
-async function incrementVisits(ip) {
-  if (redis && redisReady) {
-    try {
-      return await incrementVisitsRedis(ip);
-    } catch (e) {
-      logger.warn({ err: e }, 'Redis increment failed, falling back to file');
-      return incrementVisitsFile(ip);
-    }
-  }
-  return incrementVisitsFile(ip);
+// Optional ?lang= (see lib/i18n): { lang } when set, { error } when not a language tag
+function requestedLang(req) {
+  if (typeof req.query.lang === 'undefined' || req.query.lang === '') return {};
+  return parseLang(req.query.lang);
+}
+
+function localize(location, lang) {
+  return lang ? localizeLocation(location, lang) : location;
 }
 
 app.get('/api/whoami', async (req, res) => {
-  // Get IP. Prefer X-Forwarded-For first (may contain comma list), then request-ip helpers.
-  const rawForward = req.headers['x-forwarded-for'];
-  let ipRaw = '';
-  if (rawForward) ipRaw = String(rawForward).split(',')[0].trim();
-  else ipRaw = (req.clientIp || requestIp.getClientIp(req) || req.connection?.remoteAddress || req.socket?.remoteAddress || req.ip || '') + '';
-  // Normalize IPv4-mapped IPv6 and loopback
-  let ip = ipRaw.replace(/^::ffff:/, '').replace(/^\[::1\]$|^::1$/, '127.0.0.1');
-
-  // If ip is still an IPv6 loopback representation, normalize to 127.0.0.1 for easier handling
-  if (ip === '::1' || ip === '0:0:0:0:0:0:0:1') ip = '127.0.0.1';
-
-  // Get user agent info with ua-parser-js (more robust across modern browsers)
-  const ua = req.headers['user-agent'] || '';
-  const parsed = new UAParser(ua).getResult();
-  const browser = parsed.browser && parsed.browser.name ? `${parsed.browser.name} ${parsed.browser.version || ''}`.trim() : 'Unknown';
-  const os = parsed.os && parsed.os.name ? `${parsed.os.name} ${parsed.os.version || ''}`.trim() : 'Unknown';
-  // device.type can be 'mobile','tablet','console','smarttv','wearable' or undefined for desktop
-  const device = parsed.device && parsed.device.type ? parsed.device.type : 'desktop';
-
-  // Get location (may be empty for private IPs). Use optional external provider when configured.
-  let location = { city: '', region: '', country: '', latitude: null, longitude: null };
-
-  // Simple cached external geo client with timeout and TTL (5 minutes)
-  const geoCache = global.__whoami_geo_cache || (global.__whoami_geo_cache = new Map());
-  const GEO_TTL_MS = Number(process.env.GEO_CACHE_TTL_MS || 5 * 60 * 1000);
-
-  async function fetchWithTimeout(url, opts = {}, ms = 3000) {
-    const ac = new AbortController();
-    const id = setTimeout(() => ac.abort(), ms);
-    try {
-      const r = await fetch(url, { ...opts, signal: ac.signal });
-      clearTimeout(id);
-      return r;
-    } catch (err) {
-      clearTimeout(id);
-      throw err;
+  // Reject an unknown ?format= before recording the visit
+  const unsupported = formatError(req);
+  if (unsupported) return res.status(400).json(unsupported);
+  const { lang, error: langError } = requestedLang(req);
+  if (langError) return res.status(400).json({ error: langError });
+
+  res.vary(VARY_HEADERS);
+  // Update visits (Redis if available, otherwise file). Known bots are never counted, and
+  // DNT/Sec-GPC visits are not recorded in privacy mode.
+  try {
+    const { client, browserName, osName } = await describeClient(req);
+    const { ip, device, bot, location } = client;
+    const view = { ...client, location: localize(location, lang) };
+    if (bot.category === 'bot' || !privacy.shouldTrack(req)) {
+      const totals = await store.getTotals();
+      return sendFormatted(req, res, { ...view, visits: { total: totals.total, unique: totals.unique, yourVisits: null, tracked: false } });
     }
+    const dims = {
+      country: location.country || 'Unknown',
+      browser: browserName,
+      os: osName,
+      device,
+      region: location.region,
+      city: location.city,
+      latitude: location.latitude,
+      longitude: location.longitude
+    };
+    const v = await incrementVisits(ip, dims);
+    live.publish(liveEvent(dims, v));
+    sendFormatted(req, res, { ...view, visits: { total: v.total, unique: v.unique, yourVisits: v.yourVisits } });
+  } catch (e) {
+    logger.error({ err: e }, 'Failed to look up the client or update visits');
+    res.status(500).json({ error: 'Failed to look up the client or update visits' });
+  }
+});
+
+// The browser's own view (timezone, languages, screen, client-side UA parse) checked against
+// the server's: timezone vs IP country, Accept-Language vs navigator.languages and User-Agent.
+// Nothing is stored and no visit is recorded.
+app.post('/api/client-report', async (req, res) => {
+  const { report, error } = parseClientReport(req.body);
+  if (error) return res.status(400).json({ error });
+  const ip = getClientIp(req);
+  try {
+    const location = await lookupLocation(ip);
+    const result = runChecks({ report, headers: req.headers, country: location.country });
+    return res.json({ ip, type: classify(ip), country: location.country || null, ...result, report });
+  } catch (e) {
+    logger.error({ err: e }, 'Client report check failed');
+    return res.status(500).json({ error: 'Client report check failed' });
   }
+});
+
+// Server-Sent Events stream with one `visit` event per recorded visit
+app.get('/api/live', live.handler);
+
+// Shareable snapshots (see lib/snapshots), kept in Redis when configured, otherwise as files
+// in snapshots/ next to visits.json. Links expire after SNAPSHOT_TTL_SECONDS unless the
+// request asks for another expiry, capped at SNAPSHOT_MAX_TTL_SECONDS.
+const snapshots = createSnapshotStore({
+  redis,
+  dir: path.join(path.dirname(storageOptions.visitsFile), 'snapshots'),
+  ttlSeconds: config.SNAPSHOT_TTL_SECONDS,
+  maxTtlSeconds: config.SNAPSHOT_MAX_TTL_SECONDS,
+  logger
+});
+
+// Browser-provided coordinates attached to a snapshot: { latitude, longitude, accuracy? }
+function parseSnapshotCoords(coords) {
+  if (coords == null) return { coords: null };
+  const latitude = Number(coords.latitude);
+  const longitude = Number(coords.longitude);
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+    return { error: 'coords must be { latitude, longitude } within range' };
+  }
+  const accuracy = Number(coords.accuracy);
+  return { coords: { latitude, longitude, accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : null } };
+}
+
+// Store the caller's whoami result as the server sees it now (the body only adds optional
+// browser coordinates and `expiresIn` seconds), so a shared link cannot be edited into
+// someone else's address. No visit is recorded.
+app.post('/api/snapshots', async (req, res) => {
+  const body = req.body || {};
+  const { coords, error } = parseSnapshotCoords(body.coords);
+  if (error) return res.status(400).json({ error });
+  try {
+    const { client } = await describeClient(req);
+    const record = await snapshots.save({ ...client, browserCoords: coords }, { ttlSeconds: body.expiresIn });
+    return res.status(201).json({ id: record.id, url: `/s/${record.id}`, createdAt: record.createdAt, expiresAt: record.expiresAt });
+  } catch (e) {
+    logger.error({ err: e }, 'Failed to save snapshot');
+    return res.status(503).json({ error: 'Snapshot storage unavailable, please retry later' });
+  }
+});
+
+async function sendSnapshot(req, res) {
+  res.set('Cache-Control', 'private, no-store');
+  res.set('X-Robots-Tag', 'noindex');
+  try {
+    const record = await snapshots.get(req.params.id);
+    if (!record) return res.status(404).json({ error: 'Snapshot not found or expired' });
+    return res.json(record);
+  } catch (e) {
+    logger.error({ err: e }, 'Failed to read snapshot');
+    return res.status(503).json({ error: 'Snapshot storage unavailable, please retry later' });
+  }
+}
+
+app.get('/api/snapshots/:id', sendSnapshot);
+
+// Read-only snapshot page; the same URL returns the JSON record to `Accept: application/json`
+app.get('/s/:id', (req, res) => {
+  if (req.accepts(['html', 'json']) === 'json') return sendSnapshot(req, res);
+  const snapshotPath = path.join(publicDir, 'snapshot.html');
+  res.set('X-Robots-Tag', 'noindex');
+  if (fs.existsSync(snapshotPath)) return res.sendFile(snapshotPath);
+  return res.status(404).send('Snapshot viewer not installed');
+});
+
+// Connection test (see lib/speedtest): /ping for round-trip times, /download?bytes=N and an
+// /upload sink for throughput. Sizes and concurrent transfers are capped per instance.
+const speedTest = createSpeedTest({
+  maxDownloadBytes: config.SPEEDTEST_MAX_DOWNLOAD_BYTES,
+  maxUploadBytes: config.SPEEDTEST_MAX_UPLOAD_BYTES,
+  maxConcurrent: config.SPEEDTEST_MAX_CONCURRENT,
+  logger
+});
+app.get('/api/speedtest/ping', speedTest.ping);
+app.get('/api/speedtest/download', speedTest.download);
+app.post('/api/speedtest/upload', speedTest.upload);
+
+// Echo request headers plus the parsed proxy chain (debugging load balancer setups)
+app.get('/api/headers', (req, res) => {
+  const proxy = analyzeProxyChain(req, trustedProxies, proxyOptions);
+  res.json({ headers: req.headers, proxy: { ...proxy, clientIp: getClientIp(req) } });
+});
+
+// Single-field endpoints in the style of ifconfig.me (`curl host/ip`). These do not record visits.
+app.get('/ip', (req, res) => sendValue(req, res, 'ip', getClientIp(req)));
 
-  async function getExternalGeo(ip) {
-    if (!process.env.GEO_PROVIDER || !process.env.GEO_API_KEY) return null;
-    const key = `${process.env.GEO_PROVIDER}:${ip}`;
-    const cached = geoCache.get(key);
-    if (cached && (Date.now() - cached.ts) < GEO_TTL_MS) return cached.value;
+app.get('/ua', (req, res) => sendValue(req, res, 'ua', req.headers['user-agent'] || ''));
 
+// Single-field endpoint answering with `pick(location)` for the caller's address
+function sendLocationValue(name, pick) {
+  return async (req, res) => {
     try {
-      if (process.env.GEO_PROVIDER === 'ipapi') {
-        const url = `https://ipapi.co/${ip}/json/?key=${process.env.GEO_API_KEY}`;
-        const resp = await fetchWithTimeout(url, {}, 3000);
-        if (!resp.ok) throw new Error(`geo provider status ${resp.status}`);
-        const j = await resp.json();
-        const val = {
-          city: j.city || '',
-          region: j.region || j.region_code || '',
-          country: j.country || j.country_name || '',
-          latitude: j.latitude || j.lat || null,
-          longitude: j.longitude || j.lon || null
-        };
-        geoCache.set(key, { ts: Date.now(), value: val });
-        return val;
-      }
+      const location = await lookupLocation(getClientIp(req));
+      return sendValue(req, res, name, pick(location));
     } catch (e) {
-      logger.warn({ err: e }, 'External geo lookup failed');
-      return null;
+      logger.error({ err: e }, 'Location lookup failed');
+      return res.status(500).json({ error: 'Location lookup failed' });
     }
-    return null;
+  };
+}
+
+app.get('/country', sendLocationValue('country', (location) => location.country));
+
+app.get('/city', sendLocationValue('city', (location) => location.city));
+
+app.get('/coords', sendLocationValue('coords', ({ latitude, longitude }) => (latitude != null && longitude != null ? `${latitude},${longitude}` : '')));
+
+// Self-service view of what is stored about the caller's IP
+app.get('/api/visits/me', async (req, res) => {
+  const ip = getClientIp(req);
+  try {
+    const records = await store.getVisitorRecords(privacy.candidateKeys(ip));
+    return res.json({
+      ...privacy.describe(),
+      ip,
+      tracked: privacy.shouldTrack(req),
+      records: records.map((r) => ({ key: r.key, visits: r.visits, lastSeen: r.lastSeen ? new Date(r.lastSeen).toISOString() : null }))
+    });
+  } catch (e) {
+    logger.error({ err: e }, 'Failed to read visitor records');
+    return res.status(500).json({ error: 'Failed to read visitor records' });
   }
+});
 
+// Erase the caller's per-visitor records. Aggregate totals and analytics buckets hold no
+// per-visitor data and are left untouched.
+app.delete('/api/visits/me', async (req, res) => {
+  const ip = getClientIp(req);
   try {
-    // Do not call external geo providers for localhost or private IPs
-    const privateIpRegex = /^(127\.|10\.|192\.168\.|172\.(1[6-9]|2[0-9]|3[0-1])|::1$|::ffff:127\.)/;
-    if (!privateIpRegex.test(ip) && process.env.GEO_PROVIDER && process.env.GEO_API_KEY) {
-      const ext = await getExternalGeo(ip);
-      if (ext) {
-        location = { ...location, ...ext };
+    const deleted = await store.deleteVisitorRecords(privacy.candidateKeys(ip));
+    return res.json({ deleted });
+  } catch (e) {
+    logger.error({ err: e }, 'Failed to delete visitor records');
+    return res.status(503).json({ error: 'Storage unavailable, please retry later' });
+  }
+});
+
+// Visit series: /api/stats?from=&to=&granularity=hour|day&groupBy=country,device&country=DE
+app.get('/api/stats', async (req, res) => {
+  const params = parseStatsQuery(req.query);
+  if (params.error) return res.status(400).json({ error: params.error });
+  try {
+    const data = await store.readStats(params);
+    // Unique visitors come from per-day HyperLogLog sketches, so they cover whole UTC days
+    // and cannot be combined with dimension filters.
+    let uniques;
+    if (!Object.keys(params.filters).length) {
+      const days = bucketRange(params.from, params.to, 'day');
+      uniques = { total: await store.countUniques(days) };
+      if (params.granularity === 'day') {
+        const counts = await Promise.all(days.map((d) => store.countUniques([d])));
+        uniques.byBucket = Object.fromEntries(days.map((d, i) => [d, counts[i]]));
       }
     }
+    return res.json(aggregate(params, data, uniques));
   } catch (e) {
-    logger.warn({ err: e }, 'External geo lookup failed, falling back to geoip-lite');
+    logger.error({ err: e }, 'Failed to read stats');
+    return res.status(500).json({ error: 'Failed to read stats' });
   }
+});
 
-  // Fallback to geoip-lite (best-effort). geoip-lite returns empty for private/localhost IPs.
-  if (!location.latitude || !location.longitude) {
-    const geo = geoip.lookup(ip) || {};
-    location.city = location.city || geo.city || '';
-    location.region = location.region || geo.region || '';
-    location.country = location.country || geo.country || '';
-    location.latitude = location.latitude || (geo.ll ? geo.ll[0] : null);
-    location.longitude = location.longitude || (geo.ll ? geo.ll[1] : null);
+app.get('/api/visits', async (req, res) => {
+  try {
+    const { total, unique } = await store.getTotals();
+    return res.json({ total, unique });
+  } catch (e) {
+    logger.error({ err: e }, 'Failed to read visits');
+    return res.status(500).json({ error: 'Failed to read visits' });
   }
+});
+
+// Lookup arbitrary addresses (support tooling). Does not record visits.
+const LOOKUP_BATCH_MAX = config.LOOKUP_BATCH_MAX;
 
-  // Update visits (Redis if available, otherwise file)
+app.get('/api/lookup/:ip', async (req, res) => {
+  const invalid = validateLookupIp(req.params.ip);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const { lang, error: langError } = requestedLang(req);
+  if (langError) return res.status(400).json({ error: langError });
+  const ip = canonicalize(req.params.ip);
   try {
-    const v = await incrementVisits(ip);
-    res.json({ ip, browser, os, device, location, visits: { total: v.total, unique: v.unique, yourVisits: v.yourVisits } });
+    const location = await lookupLocation(ip);
+    return res.json({ ip, type: classify(ip), location: localize(location, lang) });
   } catch (e) {
-    logger.error({ err: e }, 'Failed to update visits');
-    res.status(500).json({ error: 'Failed to update visits' });
+    logger.error({ err: e, ip }, 'Lookup failed');
+    return res.status(500).json({ error: 'Lookup failed' });
   }
 });
 
-app.get('/api/visits', async (req, res) => {
+app.post('/api/lookup', async (req, res) => {
+  const ips = req.body && req.body.ips;
+  if (!Array.isArray(ips) || ips.length === 0) {
+    return res.status(400).json({ error: 'Request body must be { "ips": [ ... ] } with at least one address' });
+  }
+  if (ips.length > LOOKUP_BATCH_MAX) {
+    return res.status(400).json({ error: `Too many addresses (max ${LOOKUP_BATCH_MAX})` });
+  }
+  const { lang, error: langError } = requestedLang(req);
+  if (langError) return res.status(400).json({ error: langError });
+  const results = await Promise.all(ips.map(async (raw) => {
+    const invalid = validateLookupIp(raw);
+    if (invalid) return { ip: typeof raw === 'string' ? raw.trim() : raw, error: invalid };
+    const ip = canonicalize(raw);
+    try {
+      return { ip, type: classify(ip), location: localize(await lookupLocation(ip), lang) };
+    } catch (e) {
+      logger.warn({ err: e, ip }, 'Batch lookup item failed');
+      return { ip, error: 'Lookup failed' };
+    }
+  }));
+  return res.json({ results });
+});
+
+// Admin dashboard API (see lib/auth for ADMIN_TOKEN / ADMIN_USER + ADMIN_PASSWORD)
+const adminAuth = createAdminAuth({
+  token: config.ADMIN_TOKEN,
+  user: config.ADMIN_USER,
+  password: config.ADMIN_PASSWORD
+});
+
+// Effective settings with secrets masked, and where each one came from (env, file or default)
+app.get('/api/config', adminAuth.requireAdmin, (req, res) => {
+  res.json({ file: loaded.file, config: redact(config), sources: loaded.sources, warnings: loaded.warnings });
+});
+
+// Stream all visit data as ?format=json (default), ndjson or csv (see lib/storage/transfer)
+app.get('/api/visits/export', adminAuth.requireAdmin, async (req, res) => {
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!CONTENT_TYPES[format]) return res.status(400).json({ error: `Unknown format. Use one of: ${Object.keys(CONTENT_TYPES).join(', ')}` });
+  // Records are read from the store while the response streams. The first one is read up
+  // front so an unreachable store still gets a 500 rather than a truncated 200.
+  const records = store.exportRecords();
+  let first;
   try {
-    if (redis && redisReady) {
-      const total = Number(await redis.get('visits:total') || 0);
-      const unique = Number(await redis.hlen('visits:byIp') || 0);
-      return res.json({ total, unique });
+    first = await records.next();
+  } catch (e) {
+    logger.error({ err: e }, 'Failed to export visits');
+    return res.status(500).json({ error: 'Failed to export visits' });
+  }
+  async function* all() {
+    if (first.done) return;
+    yield first.value;
+    yield* records;
+  }
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+  res.type(CONTENT_TYPES[format]);
+  res.set('Content-Disposition', `attachment; filename="visits-${stamp}.${format}"`);
+  res.set('Cache-Control', 'no-store');
+  pipeline(Readable.from(exportRecordChunks(all(), format, { backend: store.status().active })), res, (err) => {
+    if (err) logger.warn({ err }, 'Visit export stream ended early');
+  });
+});
+
+// Load an export back: ?format= (or the Content-Type) picks the parser, ?mode=merge (default)
+// adds the counts to the current data and ?mode=replace wipes it first
+const importBody = express.text({ type: () => true, limit: config.IMPORT_MAX_BYTES });
+const IMPORT_TYPES = { 'application/json': 'json', 'application/x-ndjson': 'ndjson', 'text/csv': 'csv' };
+
+app.post('/api/visits/import', adminAuth.requireAdmin, (req, res, next) => {
+  importBody(req, res, (err) => (err ? res.status(err.status || 400).json({ error: err.message }) : next()));
+}, async (req, res) => {
+  const format = req.query.format ? String(req.query.format).toLowerCase() : IMPORT_TYPES[req.is(Object.keys(IMPORT_TYPES))];
+  const mode = req.query.mode || 'merge';
+  if (!['merge', 'replace'].includes(mode)) return res.status(400).json({ error: 'mode must be merge or replace' });
+  let snapshot;
+  try {
+    snapshot = parseImport(typeof req.body === 'string' ? req.body : '', format);
+  } catch (e) {
+    return res.status(400).json({ error: `Invalid import: ${e.message}` });
+  }
+  try {
+    await store.importSnapshot(snapshot, { mode });
+    logger.info({ mode, visits: snapshot.total, visitors: Object.keys(snapshot.byIp).length }, 'Imported visits');
+    return res.json({ mode, imported: { total: snapshot.total, visitors: Object.keys(snapshot.byIp).length }, totals: await store.getTotals() });
+  } catch (e) {
+    logger.error({ err: e }, 'Failed to import visits');
+    return res.status(500).json({ error: 'Failed to import visits' });
+  }
+});
+
+// Totals, daily trend and top breakdowns for the last ?days= days (default 30)
+app.get('/api/admin/summary', adminAuth.requireAdmin, async (req, res) => {
+  const days = Math.min(Math.max(Number(req.query.days) || 30, 1), 365);
+  const now = new Date();
+  const params = parseStatsQuery({ granularity: 'day', from: new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000).toISOString(), to: now.toISOString() }, now);
+  if (params.error) return res.status(400).json({ error: params.error });
+  try {
+    const [totals, data, perDay] = await Promise.all([
+      store.getTotals(),
+      store.readStats(params),
+      Promise.all(params.buckets.map((d) => store.countUniques([d])))
+    ]);
+    const trend = aggregate(params, data).series.map((point, i) => ({ day: point.bucket.slice(0, 10), total: point.total, unique: perDay[i] }));
+    const top = {};
+    for (const dimension of DIMENSIONS) {
+      top[dimension] = aggregate({ ...params, groupBy: [dimension] }, data).groups.slice(0, 10);
     }
-    const visits = readVisits();
-    return res.json({ total: visits.total || 0, unique: Object.keys(visits.byIp || {}).length });
+    return res.json({ days, totals, trend, top });
   } catch (e) {
-    logger.error({ err: e }, 'Failed to read visits');
-    return res.status(500).json({ error: 'Failed to read visits' });
+    logger.error({ err: e }, 'Failed to build admin summary');
+    return res.status(500).json({ error: 'Failed to build admin summary' });
   }
 });
 
+app.get('/api/admin/recent', adminAuth.requireAdmin, async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), storageOptions.recentMax);
+  try {
+    return res.json({ visits: await store.recentVisits(limit) });
+  } catch (e) {
+    logger.error({ err: e }, 'Failed to read recent visits');
+    return res.status(500).json({ error: 'Failed to read recent visits' });
+  }
+});
+
+// Visit counts per ~0.1° cell for the dashboard heatmap
+app.get('/api/admin/locations', adminAuth.requireAdmin, async (req, res) => {
+  try {
+    return res.json({ cells: await store.locations() });
+  } catch (e) {
+    logger.error({ err: e }, 'Failed to read visit locations');
+    return res.status(500).json({ error: 'Failed to read visit locations' });
+  }
+});
+
+// Webhook targets (hosts only), pending deliveries and the most recent finished ones
+app.get('/api/admin/webhooks', adminAuth.requireAdmin, async (req, res, next) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    return res.json(await webhooks.status());
+  } catch (e) {
+    return next(e);
+  }
+});
+
+// Admin dashboard page (static, data comes from the endpoints above)
+app.get('/admin', adminAuth.requireAdminPage, (req, res) => {
+  const adminPath = path.join(publicDir, 'admin.html');
+  if (fs.existsSync(adminPath)) return res.sendFile(adminPath);
+  return res.status(404).send('Admin dashboard not installed');
+});
+
 app.get('/', (req, res) => {
   // If frontend is built into public, serve it
   const indexPath = path.join(publicDir, 'index.html');
@@ -297,27 +714,26 @@ app.get('/', (req, res) => {
 });
 // Health endpoint for orchestrators
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', uptime: process.uptime(), redis: redisReady });
+  res.json({ status: 'ok', uptime: process.uptime(), redis: redisAvailable(), storage: store.status(), geoProviders: geo.status(), datasets: network.status(), live: live.status(), rateLimit: rateLimits.status(), speedTest: speedTest.status() });
 });
 
 // Readiness: checks Redis if configured
 app.get('/ready', (req, res) => {
-  if (process.env.REDIS_URL) {
-    return res.json({ ready: redisReady });
+  if (config.REDIS_URL) {
+    return res.json({ ready: redisAvailable() });
   }
   return res.json({ ready: true });
 });
 
 // Additional endpoints required by many platforms and observability tools
 // /healthz is a commonly used liveness probe path — alias to /health
-app.get('/healthz', (req, res) => res.json({ status: 'ok', uptime: process.uptime(), redis: redisReady }));
+app.get('/healthz', (req, res) => res.json({ status: 'ok', uptime: process.uptime(), redis: redisAvailable() }));
 
-// Simple metrics endpoint for basic monitoring (JSON). Replace with Prometheus exporter for production.
+// Prometheus exposition of the metrics above plus the default process metrics
 app.get('/metrics', async (req, res) => {
   try {
     res.set('Content-Type', client.register.contentType);
-    const metrics = await client.register.metrics();
-    res.send(metrics);
+    res.send(await client.register.metrics());
   } catch (e) {
     logger.error({ err: e }, 'Failed to collect metrics');
     res.status(500).send('metrics error');
@@ -329,15 +745,26 @@ function startServer(startPort, maxAttempts = 10) {
   let attempts = 0;
   function tryListen(port) {
     const s = app.listen(port, () => {
-      console.log(`Server running on port ${port}`);
+      logger.info({ port }, 'Server running');
       // attach shutdown handlers to this server instance
       function shutdown() {
-        console.log('Shutting down...');
+        logger.info('Shutting down');
+        // Live streams never finish on their own, so end them before waiting for connections
+        live.close().catch(() => {});
+        snapshots.close();
+        rateLimits.close();
+        webhooks.close();
         s.close(() => {
-          console.log('Server closed');
-          process.exit(0);
+          // Flush pending visit writes and close storage connections before exiting
+          store.close().catch(() => {}).finally(() => {
+            logger.info('Server closed');
+            process.exit(0);
+          });
         });
-        setTimeout(() => process.exit(1), 5000);
+        setTimeout(() => {
+          logger.warn('Shutdown timed out, exiting');
+          process.exit(1);
+        }, 5000);
       }
       process.on('SIGTERM', shutdown);
       process.on('SIGINT', shutdown);
@@ -347,13 +774,13 @@ function startServer(startPort, maxAttempts = 10) {
       if (err.code === 'EADDRINUSE') {
         attempts += 1;
         if (attempts >= maxAttempts) {
-          console.error(`Port ${port} in use and max attempts reached. Exiting.`);
+          logger.fatal({ port }, 'Port in use and max attempts reached, exiting');
           process.exit(1);
         }
-        console.warn(`Port ${port} in use, trying ${port + 1}...`);
+        logger.warn({ port, next: port + 1 }, 'Port in use, trying the next one');
         setTimeout(() => tryListen(port + 1), 200);
       } else {
-        console.error('Server error', err);
+        logger.fatal({ err }, 'Server error');
         process.exit(1);
       }
     });
@@ -363,7 +790,9 @@ function startServer(startPort, maxAttempts = 10) {
 
 // Only start server when run directly. This allows importing `app` in tests without listening.
 if (require.main === module) {
-  startServer(Number(process.env.PORT) || PORT);
+  logger.info({ file: loaded.file, config: redact(config) }, 'Configuration loaded');
+  for (const warning of loaded.warnings) logger.warn(warning);
+  startServer(PORT);
 }
 
 // Export app for testing and for other modules
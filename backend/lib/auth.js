@@ -0,0 +1,52 @@
+// Admin authentication. ADMIN_TOKEN enables `Authorization: Bearer <token>`;
+// ADMIN_USER + ADMIN_PASSWORD enable HTTP Basic auth. Either one is accepted when both are set.
+// With neither configured, admin routes are disabled and answer 404.
+const crypto = require('crypto');
+
+function safeEqual(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+function createAdminAuth({ token, user, password } = {}) {
+  const basicEnabled = Boolean(user && password);
+  const enabled = Boolean(token) || basicEnabled;
+
+  function isAuthorized(req) {
+    const header = String(req.headers.authorization || '');
+    const [scheme, value = ''] = header.split(' ');
+    if (token && /^bearer$/i.test(scheme)) return safeEqual(value.trim(), token);
+    if (basicEnabled && /^basic$/i.test(scheme)) {
+      const decoded = Buffer.from(value.trim(), 'base64').toString('utf8');
+      const idx = decoded.indexOf(':');
+      if (idx === -1) return false;
+      // Evaluate both comparisons so timing does not reveal which part was wrong
+      const userOk = safeEqual(decoded.slice(0, idx), user);
+      const passOk = safeEqual(decoded.slice(idx + 1), password);
+      return userOk && passOk;
+    }
+    return false;
+  }
+
+  // Middleware for admin JSON endpoints. No WWW-Authenticate header, so fetch() calls from
+  // the dashboard get a plain 401 instead of a browser credentials prompt.
+  function requireAdmin(req, res, next) {
+    if (!enabled) return res.status(404).json({ error: 'Not found' });
+    if (!isAuthorized(req)) return res.status(401).json({ error: 'Admin authentication required' });
+    return next();
+  }
+
+  // Middleware for the dashboard page. With Basic auth configured the browser is asked for
+  // credentials; in token-only mode the page loads and asks for the token itself.
+  function requireAdminPage(req, res, next) {
+    if (!enabled) return res.status(404).send('Not found');
+    if (!basicEnabled || isAuthorized(req)) return next();
+    res.set('WWW-Authenticate', 'Basic realm="whoami admin", charset="UTF-8"');
+    return res.status(401).send('Authentication required');
+  }
+
+  return { enabled, isAuthorized, requireAdmin, requireAdminPage };
+}
+
+module.exports = { safeEqual, createAdminAuth };
@@ -0,0 +1,285 @@
+// Central configuration. Settings come from environment variables and, optionally, a JSON or
+// YAML file named by CONFIG_FILE that uses the same keys; the environment wins over the file.
+// Every value is parsed and checked against the schema below up front, so a typo fails at
+// startup with a list of every problem instead of surfacing as a misbehaving feature later.
+const fs = require('fs');
+const path = require('path');
+const { listProviders } = require('./geo');
+const { PROXY_HEADERS, buildTrustList } = require('./proxy');
+const { parseLimit } = require('./ratelimit');
+const { REDACT_MODES } = require('./logging');
+const { EVENTS: WEBHOOK_EVENTS } = require('./webhooks');
+
+const LOG_LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent'];
+const BACKENDS = ['file', 'redis', 'sqlite'];
+// GEO_PROVIDER values that mean "geoip-lite only"
+const LOCAL_GEO = ['geoip', 'geoip-lite', 'none'];
+
+// Env name for a provider's per-provider settings: "ip-api" -> "IP_API"
+function providerEnvName(name) {
+  return name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+function validateWebhookUrls(urls) {
+  for (const url of urls) {
+    let protocol;
+    try {
+      protocol = new URL(url).protocol;
+    } catch (e) {
+      throw new Error(`expected http(s) URLs, got "${url}"`);
+    }
+    if (protocol !== 'http:' && protocol !== 'https:') throw new Error(`expected http(s) URLs, got "${url}"`);
+  }
+}
+
+// key -> { type, default, min, max, values, secret, validate }
+// Types: string, int, boolean, enum, list (comma separated), url, trustProxy.
+function buildSchema() {
+  const providers = listProviders();
+  const schema = {
+    NODE_ENV: { type: 'string', default: 'development' },
+    PORT: { type: 'int', default: 3000, min: 1, max: 65535 },
+    LOG_LEVEL: { type: 'enum', values: LOG_LEVELS, default: 'info' },
+    // How client IPs and coordinates appear in logs (see lib/logging)
+    LOG_IP: { type: 'enum', values: REDACT_MODES, default: 'truncate' },
+    LOG_COORDINATES: { type: 'enum', values: REDACT_MODES, default: 'truncate' },
+    TRUST_PROXY: { type: 'trustProxy' },
+    TRUSTED_PROXIES: { type: 'string', validate: (v) => { buildTrustList(v); } },
+    // The one forwarding header the load balancer sets (see lib/proxy)
+    TRUST_PROXY_HEADER: { type: 'enum', values: PROXY_HEADERS, default: 'x-forwarded-for' },
+    ALLOWED_ORIGIN: { type: 'string', default: '*' },
+    PUBLIC_API_BASE: { type: 'url', protocols: ['http:', 'https:'] },
+
+    REDIS_URL: { type: 'url', protocols: ['redis:', 'rediss:'], secret: 'password' },
+    STORAGE_BACKEND: { type: 'enum', values: BACKENDS },
+    VISITS_FILE: { type: 'string' },
+    VISITS_WRITE_DELAY_MS: { type: 'int', default: 1000, min: 0, max: 60000 },
+    SQLITE_PATH: { type: 'string' },
+    STATS_HOUR_RETENTION_DAYS: { type: 'int', default: 31, min: 1 },
+    STATS_DAY_RETENTION_DAYS: { type: 'int', default: 730, min: 1 },
+    RECENT_VISITS_MAX: { type: 'int', default: 100, min: 1, max: 10000 },
+
+    GEO_PROVIDER: { type: 'enum', values: [...LOCAL_GEO, ...providers] },
+    GEO_API_KEY: { type: 'string', secret: true },
+    GEO_PROVIDERS: { type: 'list', values: providers },
+    GEO_MAXMIND_DB: { type: 'string' },
+    GEO_TIMEOUT_MS: { type: 'int', default: 3000, min: 1 },
+    GEO_CACHE_TTL_MS: { type: 'int', default: 5 * 60 * 1000, min: 0 },
+    GEO_BREAKER_THRESHOLD: { type: 'int', default: 5, min: 1 },
+    GEO_BREAKER_COOLDOWN_MS: { type: 'int', default: 30 * 1000, min: 0 },
+
+    ASN_MAXMIND_DB: { type: 'string' },
+    TOR_EXIT_LIST_FILE: { type: 'string' },
+    DATACENTER_CIDRS_FILE: { type: 'string' },
+    VPN_CIDRS_FILE: { type: 'string' },
+    NETWORK_DATA_REFRESH_MS: { type: 'int', default: 10 * 60 * 1000, min: 1000 },
+    TOR_EXIT_LIST_URL: { type: 'url', protocols: ['http:', 'https:'], default: 'https://check.torproject.org/torbulkexitlist' },
+    DATACENTER_CIDRS_URL: { type: 'url', protocols: ['http:', 'https:'] },
+    VPN_CIDRS_URL: { type: 'url', protocols: ['http:', 'https:'] },
+
+    PRIVACY_MODE: { type: 'boolean', default: false },
+    PRIVACY_SECRET: { type: 'string', secret: true },
+    PRIVACY_SALT_ROTATION_DAYS: { type: 'int', default: 30, min: 1 },
+    // Unset means 30 in privacy mode and "keep forever" outside it
+    VISITOR_RETENTION_DAYS: { type: 'int', min: 0 },
+
+    ADMIN_TOKEN: { type: 'string', secret: true },
+    ADMIN_USER: { type: 'string' },
+    ADMIN_PASSWORD: { type: 'string', secret: true },
+
+    SNAPSHOT_TTL_SECONDS: { type: 'int', default: 24 * 60 * 60, min: 60 },
+    SNAPSHOT_MAX_TTL_SECONDS: { type: 'int', default: 7 * 24 * 60 * 60, min: 60 },
+
+    // <max>/<window> budgets per client IP (see lib/ratelimit); lookup, batch, export and
+    // connection test transfers have their own, every other /api/ route shares RATE_LIMIT_API
+    RATE_LIMIT_API: { type: 'string', default: '120/1m', validate: (v) => { parseLimit(v); } },
+    RATE_LIMIT_LOOKUP: { type: 'string', default: '60/1m', validate: (v) => { parseLimit(v); } },
+    RATE_LIMIT_BATCH: { type: 'string', default: '10/1m', validate: (v) => { parseLimit(v); } },
+    RATE_LIMIT_EXPORT: { type: 'string', default: '10/1h', validate: (v) => { parseLimit(v); } },
+    RATE_LIMIT_SPEEDTEST: { type: 'string', default: '30/10m', validate: (v) => { parseLimit(v); } },
+    RATE_LIMIT_ALLOWLIST: { type: 'string', validate: (v) => { buildTrustList(v); } },
+    RATE_LIMIT_API_KEYS: { type: 'list', secret: true },
+
+    // Signed POSTs for visitor events (see lib/webhooks)
+    WEBHOOK_URLS: { type: 'list', secret: true, validate: validateWebhookUrls },
+    WEBHOOK_SECRET: { type: 'string', secret: true },
+    WEBHOOK_EVENTS: { type: 'list', values: WEBHOOK_EVENTS, default: WEBHOOK_EVENTS },
+    WEBHOOK_SPIKE_PER_MINUTE: { type: 'int', default: 100, min: 1 },
+    WEBHOOK_MAX_ATTEMPTS: { type: 'int', default: 8, min: 1, max: 30 },
+    WEBHOOK_RETRY_BASE_MS: { type: 'int', default: 5000, min: 100 },
+    WEBHOOK_TIMEOUT_MS: { type: 'int', default: 5000, min: 100 },
+
+    SPEEDTEST_MAX_DOWNLOAD_BYTES: { type: 'int', default: 25 * 1024 * 1024, min: 1024, max: 1024 * 1024 * 1024 },
+    SPEEDTEST_MAX_UPLOAD_BYTES: { type: 'int', default: 10 * 1024 * 1024, min: 1024, max: 1024 * 1024 * 1024 },
+    SPEEDTEST_MAX_CONCURRENT: { type: 'int', default: 4, min: 1 },
+
+    IMPORT_MAX_BYTES: { type: 'int', default: 50 * 1024 * 1024, min: 1024 },
+    LOOKUP_BATCH_MAX: { type: 'int', default: 100, min: 1, max: 10000 },
+    LIVE_MAX_CLIENTS: { type: 'int', default: 100, min: 0 }
+  };
+  // Per-provider API keys and timeouts, e.g. GEO_IPINFO_KEY, GEO_IP_API_TIMEOUT_MS
+  for (const name of providers) {
+    const envName = providerEnvName(name);
+    schema[`GEO_${envName}_KEY`] = { type: 'string', secret: true };
+    schema[`GEO_${envName}_TIMEOUT_MS`] = { type: 'int', min: 1 };
+  }
+  return schema;
+}
+
+// Env vars with these prefixes are ours, so an unknown one is most likely a typo
+const OWN_PREFIXES = ['GEO_', 'PRIVACY_', 'ADMIN_', 'STORAGE_', 'STATS_', 'LIVE_', 'LOOKUP_', 'NETWORK_', 'SNAPSHOT_', 'IMPORT_', 'RATE_LIMIT_', 'LOG_', 'SPEEDTEST_', 'WEBHOOK_'];
+
+class ConfigError extends Error {
+  constructor(problems, file) {
+    super(`Invalid configuration${file ? ` (env and ${file})` : ''}:\n${problems.map((p) => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Parse one raw value (string from env, or any scalar from a file). Throws a message on error.
+function parseValue(spec, raw) {
+  const text = Array.isArray(raw) ? raw.join(',') : String(raw).trim();
+  switch (spec.type) {
+    case 'int': {
+      if (!/^-?\d+$/.test(text)) throw new Error(`expected an integer, got "${text}"`);
+      const n = Number(text);
+      if (typeof spec.min === 'number' && n < spec.min) throw new Error(`must be at least ${spec.min}, got ${n}`);
+      if (typeof spec.max === 'number' && n > spec.max) throw new Error(`must be at most ${spec.max}, got ${n}`);
+      return n;
+    }
+    case 'boolean':
+      if (['true', '1', 'yes'].includes(text.toLowerCase())) return true;
+      if (['false', '0', 'no'].includes(text.toLowerCase())) return false;
+      throw new Error(`expected true or false, got "${text}"`);
+    case 'enum':
+      if (!spec.values.includes(text)) throw new Error(`must be one of ${spec.values.join(', ')}; got "${text}"`);
+      return text;
+    case 'list': {
+      const items = text.split(',').map((s) => s.trim()).filter(Boolean);
+      const unknown = spec.values ? items.filter((item) => !spec.values.includes(item)) : [];
+      if (unknown.length) throw new Error(`unknown value(s) ${unknown.join(', ')}; allowed: ${spec.values.join(', ')}`);
+      return items;
+    }
+    case 'url': {
+      let url;
+      try {
+        url = new URL(text);
+      } catch (e) {
+        throw new Error(`expected a URL, got "${text}"`);
+      }
+      if (spec.protocols && !spec.protocols.includes(url.protocol)) {
+        throw new Error(`URL must use ${spec.protocols.map((p) => p.slice(0, -1)).join(' or ')}, got ${url.protocol.slice(0, -1)}`);
+      }
+      return text;
+    }
+    case 'trustProxy':
+      // Express accepts a hop count or a boolean
+      if (/^\d+$/.test(text)) return Number(text);
+      if (text === 'true' || text === 'false') return text === 'true';
+      throw new Error(`expected true, false or a number of proxy hops, got "${text}"`);
+    default:
+      return text;
+  }
+}
+
+// Ordered external geo providers: GEO_PROVIDERS, else the legacy single GEO_PROVIDER
+function geoProviderNames(config) {
+  if (config.GEO_PROVIDERS) return config.GEO_PROVIDERS;
+  return config.GEO_PROVIDER && !LOCAL_GEO.includes(config.GEO_PROVIDER) ? [config.GEO_PROVIDER] : [];
+}
+
+// Read CONFIG_FILE: a flat object of the same keys as the environment
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new ConfigError([`CONFIG_FILE: cannot read ${file}: ${err.message}`]);
+  }
+  let data;
+  try {
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.yaml' || ext === '.yml') data = require('js-yaml').load(text);
+    else if (ext === '.json') data = JSON.parse(text);
+    else throw new Error('expected a .json, .yaml or .yml file');
+  } catch (err) {
+    throw new ConfigError([`CONFIG_FILE: cannot parse ${file}: ${err.message}`]);
+  }
+  if (data == null) return {};
+  if (typeof data !== 'object' || Array.isArray(data)) throw new ConfigError([`CONFIG_FILE: ${file} must contain a mapping of setting names to values`]);
+  return data;
+}
+
+// Resolve the configuration. Returns { config, sources, file, warnings }, where `config` maps
+// each setting to its parsed value (null when unset) and `sources` says whether it came from
+// 'env', 'file' or 'default'. Throws a ConfigError listing every invalid setting.
+function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+  const schema = buildSchema();
+  const fromFile = file ? readConfigFile(file) : {};
+  const problems = [];
+  const warnings = [];
+
+  for (const key of Object.keys(fromFile)) {
+    if (!schema[key]) problems.push(`${key}: unknown setting in ${file}`);
+  }
+  for (const key of Object.keys(env)) {
+    if (!schema[key] && OWN_PREFIXES.some((prefix) => key.startsWith(prefix))) warnings.push(`${key}: unknown setting in the environment, ignored`);
+  }
+
+  const config = {};
+  const sources = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    let raw = env[key];
+    let source = 'env';
+    // An empty env var counts as unset, as the old `process.env.X || default` reads did
+    if (typeof raw === 'undefined' || raw === '') {
+      raw = fromFile[key];
+      source = 'file';
+    }
+    if (raw === null || typeof raw === 'undefined' || raw === '') {
+      config[key] = typeof spec.default === 'undefined' ? null : spec.default;
+      sources[key] = 'default';
+      continue;
+    }
+    try {
+      config[key] = parseValue(spec, raw);
+      if (spec.validate) spec.validate(config[key]);
+      sources[key] = source;
+    } catch (err) {
+      problems.push(`${key}: ${err.message}${source === 'file' ? ` (in ${file})` : ''}`);
+    }
+  }
+
+  // Settings that only make sense together
+  if (config.STORAGE_BACKEND === 'redis' && !config.REDIS_URL) problems.push('STORAGE_BACKEND: redis requires REDIS_URL');
+  if (config.ADMIN_USER && !config.ADMIN_PASSWORD) problems.push('ADMIN_USER: set ADMIN_PASSWORD as well');
+  if (config.ADMIN_PASSWORD && !config.ADMIN_USER) problems.push('ADMIN_PASSWORD: set ADMIN_USER as well');
+  if (config.SNAPSHOT_TTL_SECONDS > config.SNAPSHOT_MAX_TTL_SECONDS) problems.push('SNAPSHOT_TTL_SECONDS: must not exceed SNAPSHOT_MAX_TTL_SECONDS');
+  if (config.WEBHOOK_URLS && config.WEBHOOK_URLS.length && !config.WEBHOOK_SECRET) problems.push('WEBHOOK_URLS: set WEBHOOK_SECRET to sign deliveries');
+  if (geoProviderNames(config).includes('maxmind') && !config.GEO_MAXMIND_DB) problems.push('GEO_MAXMIND_DB: required by the maxmind geo provider');
+  if (problems.length) throw new ConfigError(problems, file);
+
+  return { config: Object.freeze(config), sources, file: file || null, warnings };
+}
+
+// Copy of the config that is safe to log or show: secrets masked, URL passwords removed
+function redact(config) {
+  const schema = buildSchema();
+  const out = {};
+  for (const [key, value] of Object.entries(config)) {
+    const spec = schema[key] || {};
+    if (value === null || !spec.secret) {
+      out[key] = value;
+    } else if (spec.secret === 'password') {
+      const url = new URL(value);
+      if (url.password) url.password = '***';
+      out[key] = url.toString();
+    } else {
+      out[key] = '***';
+    }
+  }
+  return out;
+}
+
+module.exports = { ConfigError, providerEnvName, geoProviderNames, loadConfig, redact };
@@ -0,0 +1,151 @@
+// Server/client consistency checks for /api/client-report. The browser reports what it sees
+// (timezone, languages, screen, its own UA parse) and each check compares that with what the
+// server sees. A mismatch hints at a VPN/proxy (timezone vs IP country) or at a spoofed or
+// privacy-hardened client (languages, User-Agent). Every check returns
+// { status: 'match' | 'mismatch' | 'unknown', client, server, detail }.
+const { parseClientHints, parseUserAgentString } = require('./useragent');
+
+const MAX_STRING = 512;
+const MAX_LANGUAGES = 20;
+
+function str(value) {
+  return typeof value === 'string' ? value.slice(0, MAX_STRING) : '';
+}
+
+function num(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Keep only the fields we use, with bounded sizes. Returns { report } or { error }.
+function parseClientReport(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'Request body must be a JSON object' };
+  const languages = Array.isArray(body.languages) ? body.languages.slice(0, MAX_LANGUAGES).map(str).filter(Boolean) : [];
+  const screen = body.screen && typeof body.screen === 'object' ? body.screen : {};
+  const parsed = body.parsedUa && typeof body.parsedUa === 'object' ? body.parsedUa : {};
+  return {
+    report: {
+      timezone: str(body.timezone),
+      languages,
+      screen: {
+        width: num(screen.width),
+        height: num(screen.height),
+        availWidth: num(screen.availWidth),
+        availHeight: num(screen.availHeight),
+        colorDepth: num(screen.colorDepth),
+        pixelRatio: num(screen.pixelRatio)
+      },
+      platform: str(body.platform),
+      userAgent: str(body.userAgent),
+      parsedUa: { browser: str(parsed.browser), os: str(parsed.os), device: str(parsed.device) }
+    }
+  };
+}
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: tz }).format();
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Current UTC offset of a timezone in minutes
+function utcOffset(tz, now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+  }).formatToParts(now).reduce((acc, p) => ({ ...acc, [p.type]: Number(p.value) }), {});
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return Math.round((asUtc - Math.floor(now.getTime() / 60000) * 60000) / 60000);
+}
+
+// IANA zones in use in a country (ICU data via Intl.Locale), or [] when unavailable
+function countryTimeZones(country) {
+  try {
+    const locale = new Intl.Locale(`und-${country}`);
+    return (locale.timeZones || (locale.getTimeZones && locale.getTimeZones()) || []).slice();
+  } catch (e) {
+    return [];
+  }
+}
+
+// Browser timezone vs the zones of the IP-geolocated country. A zone with the same current
+// offset counts as a match, since tz aliases and border regions share offsets.
+function checkTimezone(timezone, country, now = new Date()) {
+  const result = { client: timezone || null, server: country || null };
+  if (!timezone || !isValidTimeZone(timezone)) return { ...result, status: 'unknown', detail: 'Browser did not report a valid timezone' };
+  if (!country) return { ...result, status: 'unknown', detail: 'No country for this IP' };
+  const zones = countryTimeZones(country);
+  if (!zones.length) return { ...result, status: 'unknown', detail: `No timezone data for ${country}` };
+  if (zones.includes(timezone)) return { ...result, status: 'match', detail: `${timezone} is used in ${country}` };
+  const offset = utcOffset(timezone, now);
+  if (zones.some((zone) => utcOffset(zone, now) === offset)) {
+    return { ...result, status: 'match', detail: `${timezone} has the same UTC offset as ${country}` };
+  }
+  return { ...result, status: 'mismatch', detail: `${timezone} is not a timezone of ${country}, where the IP is located` };
+}
+
+// Accept-Language header -> language tags ordered by q value
+function parseAcceptLanguage(header) {
+  if (!header) return [];
+  return String(header).split(',').map((part, index) => {
+    const [tag, ...params] = part.trim().split(';');
+    const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+    return { tag: tag.trim(), q: q ? Number(q.slice(2)) : 1, index };
+  })
+    .filter((entry) => entry.tag && entry.tag !== '*' && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map((entry) => entry.tag);
+}
+
+const primary = (tag) => tag.toLowerCase().split('-')[0];
+
+// Browsers derive Accept-Language from navigator.languages, so the preferred language
+// should agree. Only the primary subtag is compared (Chrome sends "de-DE,de;q=0.9").
+function checkLanguages(acceptLanguage, languages) {
+  const server = parseAcceptLanguage(acceptLanguage);
+  const result = { client: languages, server };
+  if (!languages.length || !server.length) return { ...result, status: 'unknown', detail: 'Languages missing on one side' };
+  if (primary(server[0]) === primary(languages[0])) return { ...result, status: 'match', detail: 'Preferred languages agree' };
+  return { ...result, status: 'mismatch', detail: `Accept-Language prefers ${server[0]} but the browser reports ${languages[0]}` };
+}
+
+// Sec-CH-UA is only sent by Chromium-based browsers
+const NON_CHROMIUM = /^(firefox|safari|mobile safari|mobile firefox)/i;
+
+// The User-Agent the browser shows scripts vs the header it sent, the client-side UAParser
+// result vs the server's, and client hints vs a UA string claiming a non-Chromium browser.
+function checkUserAgent(headers, report) {
+  const headerUa = headers['user-agent'] || '';
+  const server = parseUserAgentString(headerUa);
+  const hints = parseClientHints(headers);
+  const result = {
+    client: { userAgent: report.userAgent || null, ...report.parsedUa },
+    server: { userAgent: headerUa || null, browser: server.browserName, os: server.osName, device: server.device }
+  };
+  if (!report.userAgent) return { ...result, status: 'unknown', detail: 'Browser did not report its User-Agent' };
+  if (report.userAgent !== headerUa) return { ...result, status: 'mismatch', detail: 'navigator.userAgent differs from the User-Agent header' };
+  const differing = ['browser', 'os', 'device'].filter((field) => {
+    const reported = report.parsedUa[field];
+    return reported && result.server[field] && !reported.toLowerCase().startsWith(result.server[field].toLowerCase());
+  });
+  if (differing.length) return { ...result, status: 'mismatch', detail: `Client and server disagree on ${differing.join(', ')}` };
+  if (hints.brand && NON_CHROMIUM.test(server.browserName)) {
+    return { ...result, status: 'mismatch', detail: `User-Agent claims ${server.browserName} but client hints report ${hints.brand.brand}` };
+  }
+  return { ...result, status: 'match', detail: 'User-Agent consistent' };
+}
+
+// Run all checks. `flags` lists the checks that found a mismatch.
+function runChecks({ report, headers, country, now = new Date() }) {
+  const checks = {
+    timezone: checkTimezone(report.timezone, country, now),
+    language: checkLanguages(headers['accept-language'], report.languages),
+    userAgent: checkUserAgent(headers, report)
+  };
+  const flags = Object.keys(checks).filter((name) => checks[name].status === 'mismatch');
+  return { checks, flags, consistent: flags.length === 0 };
+}
+
+module.exports = { parseClientReport, parseAcceptLanguage, countryTimeZones, checkTimezone, checkLanguages, checkUserAgent, runChecks };
@@ -0,0 +1,145 @@
+// Response formatting and content negotiation for curl-friendly endpoints.
+// Supported formats: json, text (key: value lines), yaml, csv and env (KEY=value).
+
+const FORMATS = {
+  json: 'application/json; charset=utf-8',
+  text: 'text/plain; charset=utf-8',
+  yaml: 'application/yaml; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  env: 'text/plain; charset=utf-8'
+};
+
+// Accept header media types mapped to our format names (in server preference order)
+const ACCEPT_TYPES = {
+  'application/json': 'json',
+  'text/plain': 'text',
+  'application/yaml': 'yaml',
+  'text/yaml': 'yaml',
+  'application/x-yaml': 'yaml',
+  'text/csv': 'csv'
+};
+
+// Command-line HTTP clients that should get plain text without asking for it
+const CLI_UA_REGEX = /^(curl|wget|httpie|xh)\//i;
+
+function isCliClient(req) {
+  return CLI_UA_REGEX.test(String(req.headers['user-agent'] || ''));
+}
+
+// Pick an output format for a request. Precedence: ?format=, CLI user agent, Accept header.
+// Returns null when ?format= names an unknown format so callers can reply 400.
+function resolveFormat(req, fallback = 'json') {
+  const q = req.query && req.query.format;
+  if (q) {
+    const f = String(q).toLowerCase();
+    return Object.prototype.hasOwnProperty.call(FORMATS, f) ? f : null;
+  }
+  if (isCliClient(req)) return 'text';
+  const accept = req.headers.accept;
+  if (!accept || accept.trim() === '*/*') return fallback;
+  const match = req.accepts(Object.keys(ACCEPT_TYPES));
+  return match ? ACCEPT_TYPES[match] : fallback;
+}
+
+// 400 body for a request whose ?format= names no known format, or null when it is usable
+function formatError(req) {
+  if (!req.query || !req.query.format || resolveFormat(req)) return null;
+  return { error: 'Unsupported format', supported: Object.keys(FORMATS) };
+}
+
+// Flatten nested objects into [dotted.key, value] pairs
+function flatten(obj, prefix = '', out = []) {
+  for (const [k, v] of Object.entries(obj)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === 'object' && !Array.isArray(v)) flatten(v, key, out);
+    else out.push([key, Array.isArray(v) ? v.join(',') : v]);
+  }
+  return out;
+}
+
+function scalar(v) {
+  return v === null || typeof v === 'undefined' ? '' : String(v);
+}
+
+function toText(obj) {
+  return flatten(obj).map(([k, v]) => `${k}: ${scalar(v)}`).join('\n') + '\n';
+}
+
+// location.latitude -> LOCATION_LATITUDE, visits.yourVisits -> VISITS_YOUR_VISITS
+function envKey(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').toUpperCase();
+}
+
+function toEnv(obj) {
+  return flatten(obj).map(([k, v]) => {
+    const s = scalar(v);
+    const val = /^[A-Za-z0-9_.:,/@+-]*$/.test(s) ? s : `'${s.replace(/'/g, `'\\''`)}'`;
+    return `${envKey(k)}=${val}`;
+  }).join('\n') + '\n';
+}
+
+function csvCell(v) {
+  const s = scalar(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(obj) {
+  const rows = flatten(obj);
+  return rows.map(([k]) => csvCell(k)).join(',') + '\n' + rows.map(([, v]) => csvCell(v)).join(',') + '\n';
+}
+
+// Minimal YAML emitter for plain JSON data. JSON strings are valid YAML scalars.
+function toYaml(value, indent = '') {
+  if (Array.isArray(value)) {
+    if (!value.length) return '[]';
+    return value.map((v) => {
+      const inner = toYaml(v, indent + '  ');
+      return v && typeof v === 'object' ? `\n${indent}- ${inner.trimStart()}` : `\n${indent}- ${inner}`;
+    }).join('');
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (!entries.length) return '{}';
+    return entries.map(([k, v]) => {
+      const inner = toYaml(v, indent + '  ');
+      const nested = v && typeof v === 'object' && (Array.isArray(v) ? v.length : Object.keys(v).length);
+      return nested ? `\n${indent}${k}:${inner}` : `\n${indent}${k}: ${inner}`;
+    }).join('');
+  }
+  if (value === null || typeof value === 'undefined') return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return JSON.stringify(String(value));
+}
+
+function serialize(obj, format) {
+  switch (format) {
+    case 'text': return toText(obj);
+    case 'env': return toEnv(obj);
+    case 'csv': return toCsv(obj);
+    case 'yaml': return toYaml(obj).replace(/^\n/, '') + '\n';
+    default: return JSON.stringify(obj);
+  }
+}
+
+// Send `obj` in the negotiated format. Responds 400 for an unknown ?format=.
+function sendFormatted(req, res, obj, fallback = 'json') {
+  const format = resolveFormat(req, fallback);
+  res.vary('Accept');
+  res.vary('User-Agent');
+  if (!format) return res.status(400).json(formatError(req));
+  res.type(FORMATS[format]);
+  return res.send(serialize(obj, format));
+}
+
+// Send a single value the way ifconfig.me does: bare text by default, structured on request.
+function sendValue(req, res, name, value) {
+  const format = resolveFormat(req, 'text');
+  if (format === 'text') {
+    res.vary('Accept');
+    res.type(FORMATS.text);
+    return res.send(`${scalar(value)}\n`);
+  }
+  return sendFormatted(req, res, { [name]: value }, 'text');
+}
+
+module.exports = { FORMATS, resolveFormat, formatError, serialize, sendFormatted, sendValue, isCliClient, csvCell };
@@ -0,0 +1,46 @@
+// Minimal circuit breaker used to skip a geo provider after repeated failures.
+// closed -> (failureThreshold consecutive failures) -> open -> (cooldownMs) -> half-open
+// A half-open breaker lets one trial call through: success closes it, failure re-opens it.
+
+function createBreaker({ failureThreshold = 5, cooldownMs = 30 * 1000, now = Date.now } = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function canRequest() {
+    if (state === 'closed') return true;
+    if (state === 'open' && now() - openedAt >= cooldownMs) {
+      state = 'half-open';
+      trialInFlight = false;
+    }
+    if (state === 'half-open' && !trialInFlight) {
+      trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  function success() {
+    state = 'closed';
+    failures = 0;
+    trialInFlight = false;
+  }
+
+  function failure() {
+    failures += 1;
+    trialInFlight = false;
+    if (state === 'half-open' || failures >= failureThreshold) {
+      state = 'open';
+      openedAt = now();
+    }
+  }
+
+  function status() {
+    return { state, failures, openedAt: openedAt ? new Date(openedAt).toISOString() : null };
+  }
+
+  return { canRequest, success, failure, status };
+}
+
+module.exports = { createBreaker };
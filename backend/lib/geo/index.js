@@ -0,0 +1,110 @@
+// Geolocation provider registry and fallback chain.
+//
+// Providers are tried in order; each call gets its own timeout and each provider has a
+// circuit breaker so a failing or rate-limited provider is skipped for a cooldown period.
+// Successful answers are cached per IP. geoip-lite remains the last resort in index.js.
+const builtinProviders = require('./providers');
+const { createBreaker } = require('./breaker');
+
+const registry = new Map(Object.entries(builtinProviders));
+
+// Register (or replace) a provider factory: factory(options) -> { name, lookup(ip, { signal }) }
+function registerProvider(name, factory) {
+  if (typeof factory !== 'function') throw new TypeError(`Provider factory for "${name}" must be a function`);
+  registry.set(name, factory);
+}
+
+function listProviders() {
+  return Array.from(registry.keys());
+}
+
+// Instantiate a provider by name with its options
+function createProvider(name, options = {}) {
+  const factory = registry.get(name);
+  if (!factory) throw new Error(`Unknown geo provider "${name}". Known providers: ${listProviders().join(', ')}`);
+  const provider = factory(options);
+  return { ...provider, name: provider.name || name };
+}
+
+async function withTimeout(fn, ms) {
+  const ac = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      ac.abort();
+      const err = new Error(`timed out after ${ms}ms`);
+      err.timeout = true;
+      reject(err);
+    }, ms);
+  });
+  try {
+    return await Promise.race([fn(ac.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Build a fallback chain.
+// providers: array of provider objects (from createProvider) or { provider, timeoutMs }.
+// `metrics` (lib/metrics) records per-provider call latency/outcome and cache hits.
+function createGeoChain({
+  providers = [],
+  timeoutMs = 3000,
+  cacheTtlMs = 5 * 60 * 1000,
+  cacheMax = 10000,
+  breaker = {},
+  logger,
+  metrics
+} = {}) {
+  let entries = [];
+  const cache = new Map();
+
+  function setProviders(list) {
+    entries = list.map((item) => {
+      const provider = item.provider || item;
+      return { provider, timeoutMs: item.timeoutMs || timeoutMs, breaker: createBreaker(breaker) };
+    });
+    cache.clear();
+  }
+  setProviders(providers);
+
+  // Resolve an IP. Returns { location, provider } from the first provider with data, or null.
+  async function lookup(ip) {
+    // Without providers there is nothing to cache; skip so the hit ratio stays meaningful
+    if (!entries.length) return null;
+    const cached = cache.get(ip);
+    const hit = Boolean(cached && (Date.now() - cached.ts) < cacheTtlMs);
+    if (metrics) metrics.geoCache(hit);
+    if (hit) return cached.value;
+
+    for (const entry of entries) {
+      const { provider } = entry;
+      if (!entry.breaker.canRequest()) continue;
+      const started = process.hrtime.bigint();
+      const seconds = () => Number(process.hrtime.bigint() - started) / 1e9;
+      try {
+        const location = await withTimeout((signal) => provider.lookup(ip, { signal }), entry.timeoutMs);
+        entry.breaker.success();
+        if (metrics) metrics.geoProviderCall(provider.name, seconds(), location ? 'hit' : 'empty');
+        if (!location) continue;
+        const value = { location, provider: provider.name };
+        if (cache.size >= cacheMax) cache.delete(cache.keys().next().value);
+        cache.set(ip, { ts: Date.now(), value });
+        return value;
+      } catch (e) {
+        entry.breaker.failure();
+        if (metrics) metrics.geoProviderCall(provider.name, seconds(), e.timeout ? 'timeout' : 'error');
+        if (logger) logger.warn({ err: e, provider: provider.name }, 'Geo provider lookup failed');
+      }
+    }
+    return null;
+  }
+
+  function status() {
+    return entries.map(({ provider, timeoutMs: ms, breaker: b }) => ({ name: provider.name, timeoutMs: ms, ...b.status() }));
+  }
+
+  return { lookup, status, setProviders };
+}
+
+module.exports = { registerProvider, listProviders, createProvider, createGeoChain };
@@ -0,0 +1,113 @@
+// Built-in geolocation providers. Each factory receives its options and returns
+// { name, lookup(ip, { signal }) } where lookup resolves to a normalized location
+// ({ city, region, country, latitude, longitude }) or null when the provider has no data.
+
+function toNumber(v) {
+  const n = Number(v);
+  return v === null || v === '' || typeof v === 'undefined' || Number.isNaN(n) ? null : n;
+}
+
+async function getJson(url, signal, headers = {}) {
+  const resp = await fetch(url, { signal, headers: { Accept: 'application/json', ...headers } });
+  if (!resp.ok) throw new Error(`geo provider status ${resp.status}`);
+  return resp.json();
+}
+
+// https://ipapi.co — key optional (free tier is rate limited per source IP)
+function ipapi({ apiKey } = {}) {
+  return {
+    name: 'ipapi',
+    async lookup(ip, { signal }) {
+      const url = `https://ipapi.co/${encodeURIComponent(ip)}/json/${apiKey ? `?key=${encodeURIComponent(apiKey)}` : ''}`;
+      const j = await getJson(url, signal);
+      if (j.error) throw new Error(`ipapi: ${j.reason || 'error'}`);
+      return {
+        city: j.city || '',
+        region: j.region || j.region_code || '',
+        country: j.country || j.country_name || '',
+        latitude: toNumber(j.latitude),
+        longitude: toNumber(j.longitude)
+      };
+    }
+  };
+}
+
+// https://ipinfo.io — token optional; coordinates come back as "lat,lon"
+function ipinfo({ apiKey } = {}) {
+  return {
+    name: 'ipinfo',
+    async lookup(ip, { signal }) {
+      const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+      const j = await getJson(`https://ipinfo.io/${encodeURIComponent(ip)}/json`, signal, headers);
+      if (j.bogon) return null;
+      const [lat, lon] = String(j.loc || '').split(',');
+      return {
+        city: j.city || '',
+        region: j.region || '',
+        country: j.country || '',
+        latitude: toNumber(lat),
+        longitude: toNumber(lon)
+      };
+    }
+  };
+}
+
+// https://ip-api.com — the free endpoint is HTTP only; a key switches to the pro HTTPS endpoint
+function ipApi({ apiKey } = {}) {
+  const fields = 'status,message,countryCode,region,city,lat,lon';
+  return {
+    name: 'ip-api',
+    async lookup(ip, { signal }) {
+      const url = apiKey
+        ? `https://pro.ip-api.com/json/${encodeURIComponent(ip)}?fields=${fields}&key=${encodeURIComponent(apiKey)}`
+        : `http://ip-api.com/json/${encodeURIComponent(ip)}?fields=${fields}`;
+      const j = await getJson(url, signal);
+      if (j.status !== 'success') {
+        // 'private range' / 'reserved range' are answers, not provider failures
+        if (/range/.test(j.message || '')) return null;
+        throw new Error(`ip-api: ${j.message || 'failed'}`);
+      }
+      return {
+        city: j.city || '',
+        region: j.region || '',
+        country: j.countryCode || '',
+        latitude: toNumber(j.lat),
+        longitude: toNumber(j.lon)
+      };
+    }
+  };
+}
+
+// Local MaxMind GeoLite2-City (or GeoIP2-City) database. The reader is opened lazily.
+function maxmindDb({ dbPath } = {}) {
+  let readerPromise = null;
+  return {
+    name: 'maxmind',
+    async lookup(ip) {
+      if (!dbPath) throw new Error('maxmind: GEO_MAXMIND_DB is not set');
+      if (!readerPromise) {
+        readerPromise = require('maxmind').open(dbPath).catch((err) => {
+          readerPromise = null;
+          throw err;
+        });
+      }
+      const reader = await readerPromise;
+      const r = reader.get(ip);
+      if (!r) return null;
+      return {
+        city: (r.city && r.city.names && r.city.names.en) || '',
+        region: (r.subdivisions && r.subdivisions[0] && r.subdivisions[0].iso_code) || '',
+        country: (r.country && r.country.iso_code) || '',
+        latitude: r.location ? toNumber(r.location.latitude) : null,
+        longitude: r.location ? toNumber(r.location.longitude) : null
+      };
+    }
+  };
+}
+
+module.exports = {
+  ipapi,
+  ipinfo,
+  'ip-api': ipApi,
+  maxmind: maxmindDb
+};
@@ -0,0 +1,161 @@
+// HyperLogLog sketch compatible with Redis PFADD/PFCOUNT.
+//
+// Uses the same parameters as Redis (P=14, 16384 six-bit registers, MurmurHash64A with
+// seed 0xadc83b19) and reads/writes Redis' serialized format, so a sketch built in
+// process for the file/SQLite backends can be merged with, migrated to or loaded from a
+// Redis HLL key. Standard error is ~0.81% in ~12 KB regardless of how many visitors.
+
+const P = 14;
+const M = 1 << P;
+const Q = 64 - P;
+const HEADER_BYTES = 16;
+const DENSE_BYTES = HEADER_BYTES + Math.ceil((M * 6) / 8);
+const MASK64 = (1n << 64n) - 1n;
+const MURMUR_M = 0xc6a4a7935bd1e995n;
+const MURMUR_SEED = 0xadc83b19n;
+
+// MurmurHash64A, as used by Redis' hyperloglog.c
+function murmur64a(buf) {
+  let h = (MURMUR_SEED ^ (BigInt(buf.length) * MURMUR_M)) & MASK64;
+  const blocks = buf.length - (buf.length % 8);
+  for (let i = 0; i < blocks; i += 8) {
+    let k = buf.readBigUInt64LE(i);
+    k = (k * MURMUR_M) & MASK64;
+    k ^= k >> 47n;
+    k = (k * MURMUR_M) & MASK64;
+    h ^= k;
+    h = (h * MURMUR_M) & MASK64;
+  }
+  const rem = buf.length & 7;
+  if (rem) {
+    for (let i = rem - 1; i >= 0; i--) h ^= BigInt(buf[blocks + i]) << BigInt(8 * i);
+    h = (h * MURMUR_M) & MASK64;
+  }
+  h ^= h >> 47n;
+  h = (h * MURMUR_M) & MASK64;
+  h ^= h >> 47n;
+  return h;
+}
+
+// Register index and run length (position of the first set bit) for a value
+function hashPosition(value) {
+  const hash = murmur64a(Buffer.isBuffer(value) ? value : Buffer.from(String(value)));
+  const index = Number(hash & BigInt(M - 1));
+  let bits = (hash >> BigInt(P)) | (1n << BigInt(Q));
+  let count = 1;
+  while ((bits & 1n) === 0n) {
+    count += 1;
+    bits >>= 1n;
+  }
+  return { index, count };
+}
+
+function createSketch(registers = new Uint8Array(M)) {
+  function add(value) {
+    const { index, count } = hashPosition(value);
+    if (registers[index] >= count) return false;
+    registers[index] = count;
+    return true;
+  }
+
+  // Merge another sketch in (register-wise max). Returns true when anything changed.
+  function merge(other) {
+    const theirs = other.registers;
+    let changed = false;
+    for (let i = 0; i < M; i++) {
+      if (theirs[i] > registers[i]) {
+        registers[i] = theirs[i];
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  // Classic HyperLogLog estimate with linear counting for small cardinalities
+  function count() {
+    let sum = 0;
+    let zeros = 0;
+    for (let i = 0; i < M; i++) {
+      sum += 2 ** -registers[i];
+      if (registers[i] === 0) zeros += 1;
+    }
+    const alpha = 0.7213 / (1 + 1.079 / M);
+    const estimate = (alpha * M * M) / sum;
+    if (estimate <= 2.5 * M && zeros > 0) return Math.round(M * Math.log(M / zeros));
+    return Math.round(estimate);
+  }
+
+  function isEmpty() {
+    return registers.every((r) => r === 0);
+  }
+
+  return { registers, add, merge, count, isEmpty, toBuffer: () => encodeDense(registers) };
+}
+
+// Redis dense encoding: "HYLL", encoding byte, 3 unused bytes, 8 byte cached cardinality,
+// then 16384 six-bit registers packed LSB first.
+function encodeDense(registers) {
+  const buf = Buffer.alloc(DENSE_BYTES);
+  buf.write('HYLL', 0, 'ascii');
+  buf[4] = 0;
+  // Mark the cached cardinality as invalid so Redis recomputes it
+  buf[15] = 0x80;
+  for (let i = 0; i < M; i++) {
+    const bit = i * 6;
+    const byte = HEADER_BYTES + (bit >> 3);
+    const fb = bit & 7;
+    const v = registers[i] & 63;
+    buf[byte] |= (v << fb) & 0xff;
+    if (fb > 2) buf[byte + 1] |= v >> (8 - fb);
+  }
+  return buf;
+}
+
+function decode(buf) {
+  if (!buf || buf.length < HEADER_BYTES || buf.toString('ascii', 0, 4) !== 'HYLL') {
+    throw new Error('Not a HyperLogLog value');
+  }
+  const registers = new Uint8Array(M);
+  if (buf[4] === 0) {
+    for (let i = 0; i < M; i++) {
+      const bit = i * 6;
+      const byte = HEADER_BYTES + (bit >> 3);
+      const fb = bit & 7;
+      const b0 = buf[byte];
+      const b1 = byte + 1 < buf.length ? buf[byte + 1] : 0;
+      registers[i] = ((b0 >> fb) | (b1 << (8 - fb))) & 63;
+    }
+  } else if (buf[4] === 1) {
+    // Sparse encoding: ZERO (00xxxxxx), XZERO (01xxxxxx yyyyyyyy) and VAL (1vvvvvxx) opcodes
+    let idx = 0;
+    for (let pos = HEADER_BYTES; pos < buf.length && idx < M;) {
+      const op = buf[pos];
+      if ((op & 0xc0) === 0) {
+        idx += (op & 0x3f) + 1;
+        pos += 1;
+      } else if ((op & 0xc0) === 0x40) {
+        idx += (((op & 0x3f) << 8) | buf[pos + 1]) + 1;
+        pos += 2;
+      } else {
+        const value = ((op >> 2) & 0x1f) + 1;
+        const run = (op & 0x03) + 1;
+        for (let j = 0; j < run && idx < M; j++) registers[idx++] = value;
+        pos += 1;
+      }
+    }
+  } else {
+    throw new Error(`Unsupported HyperLogLog encoding ${buf[4]}`);
+  }
+  return createSketch(registers);
+}
+
+// Union several sketches into a new one
+function mergeSketches(sketches) {
+  const result = createSketch();
+  for (const s of sketches) {
+    if (s) result.merge(s);
+  }
+  return result;
+}
+
+module.exports = { P, createSketch, decode, encodeDense, mergeSketches, murmur64a };
@@ -0,0 +1,31 @@
+// Localized display names for lookup results (`?lang=de` on /api/whoami and /api/lookup).
+// Names come from the ICU data built into Node (Intl.DisplayNames), so any BCP 47 language
+// works without translation files. ICU names countries but not their subdivisions, so the
+// region is passed through as the provider returned it: a name from ipapi or ipinfo, or the
+// ISO 3166-2 code ('CA' in the US) from geoip-lite and MaxMind.
+
+// Canonical language tag for a ?lang= value: { lang } or { error }
+function parseLang(value) {
+  const raw = String(value).trim();
+  try {
+    if (raw.length > 35) throw new RangeError(raw);
+    const [lang] = Intl.getCanonicalLocales(raw);
+    if (lang) return { lang };
+  } catch (e) {
+    // fall through
+  }
+  return { error: `Invalid lang: expected a language tag such as en, de or pt-BR, got "${raw.slice(0, 35)}"` };
+}
+
+// `location` plus `names: { lang, country, region }`, where `lang` is the language ICU
+// actually used (an unknown language falls back to the server default)
+function localizeLocation(location, lang) {
+  const countries = new Intl.DisplayNames([lang], { type: 'region', fallback: 'none' });
+  const country = /^[A-Z]{2}$/.test(location.country || '') ? countries.of(location.country) : null;
+  return {
+    ...location,
+    names: { lang: countries.resolvedOptions().locale, country: country || null, region: location.region || null }
+  };
+}
+
+module.exports = { parseLang, localizeLocation };
@@ -0,0 +1,119 @@
+// IP address canonicalization and special-range classification. Shared by client IP
+// detection, geo lookups and visitor keys so one address always has one spelling.
+const net = require('net');
+
+// Address types in match order: more specific ranges come before the ranges containing them
+const RANGES = [
+  ['unspecified', ['0.0.0.0/32', '::/128']],
+  ['broadcast', ['255.255.255.255/32']],
+  ['loopback', ['127.0.0.0/8', '::1/128']],
+  ['private', ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16']],
+  ['unique-local', ['fc00::/7']],
+  ['cgnat', ['100.64.0.0/10']],
+  ['link-local', ['169.254.0.0/16', 'fe80::/10']],
+  ['documentation', ['192.0.2.0/24', '198.51.100.0/24', '203.0.113.0/24', '2001:db8::/32', '3fff::/20']],
+  ['benchmarking', ['198.18.0.0/15', '2001:2::/48']],
+  ['multicast', ['224.0.0.0/4', 'ff00::/8']],
+  ['reserved', ['0.0.0.0/8', '192.0.0.0/24', '192.88.99.0/24', '240.0.0.0/4', '::/96', '100::/64']]
+];
+
+const TYPES = ['public', ...RANGES.map(([type]) => type)];
+
+const lists = RANGES.map(([type, cidrs]) => {
+  const list = new net.BlockList();
+  for (const cidr of cidrs) {
+    const [addr, bits] = cidr.split('/');
+    list.addSubnet(addr, Number(bits), net.isIP(addr) === 6 ? 'ipv6' : 'ipv4');
+  }
+  return [type, list];
+});
+
+// Expand a valid IPv6 address to its eight 16-bit groups
+function ipv6Groups(ip) {
+  let addr = ip;
+  const tail = addr.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (tail) {
+    const [a, b, c, d] = tail[1].split('.').map(Number);
+    addr = addr.slice(0, -tail[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, rest] = addr.split('::');
+  const left = head ? head.split(':') : [];
+  const right = typeof rest === 'undefined' ? [] : (rest ? rest.split(':') : []);
+  const fill = typeof rest === 'undefined' ? [] : new Array(8 - left.length - right.length).fill('0');
+  return [...left, ...fill, ...right].map((g) => parseInt(g, 16));
+}
+
+// RFC 5952 text form: lowercase, no leading zeros, longest zero run (first on ties) as '::'
+function formatIpv6(groups) {
+  let bestStart = -1;
+  let bestLen = 0;
+  for (let i = 0; i < 8;) {
+    if (groups[i] !== 0) { i++; continue; }
+    let j = i;
+    while (j < 8 && groups[j] === 0) j++;
+    if (j - i > bestLen) { bestStart = i; bestLen = j - i; }
+    i = j;
+  }
+  const hex = groups.map((g) => g.toString(16));
+  if (bestLen < 2) return hex.join(':');
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLen).join(':')}`;
+}
+
+// Canonical form of an address, or null when it is not an IP. IPv4-mapped IPv6
+// (::ffff:a.b.c.d in any spelling) becomes plain IPv4; other IPv6 follows RFC 5952.
+function canonicalize(value) {
+  if (typeof value !== 'string') return null;
+  const ip = value.trim().replace(/^\[(.*)\]$/, '$1').replace(/%.*$/, '');
+  const family = net.isIP(ip);
+  if (family === 4) return ip.split('.').map(Number).join('.');
+  if (family !== 6) return null;
+  const groups = ipv6Groups(ip.toLowerCase());
+  if (groups.slice(0, 5).every((g) => g === 0) && groups[5] === 0xffff) {
+    return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+  }
+  return formatIpv6(groups);
+}
+
+// Canonical client address used for display and visitor keys. Loopback collapses to
+// 127.0.0.1 so local IPv4 and IPv6 requests count as one visitor.
+function normalizeClientIp(value) {
+  const ip = canonicalize(value);
+  if (!ip) return null;
+  return ip === '::1' ? '127.0.0.1' : ip;
+}
+
+// Address type for an IP ('public', 'private', 'loopback', 'cgnat', ...), or null if invalid
+function classify(value) {
+  const ip = canonicalize(value);
+  if (!ip) return null;
+  const family = net.isIP(ip) === 6 ? 'ipv6' : 'ipv4';
+  for (const [type, list] of lists) {
+    if (list.check(ip, family)) return type;
+  }
+  return 'public';
+}
+
+// Numeric form for range comparisons: { family: 4 | 6, value: BigInt }, or null if invalid
+function toBigInt(value) {
+  const ip = canonicalize(value);
+  if (!ip) return null;
+  if (net.isIP(ip) === 4) {
+    return { family: 4, value: ip.split('.').reduce((acc, octet) => (acc << 8n) | BigInt(octet), 0n) };
+  }
+  return { family: 6, value: ipv6Groups(ip).reduce((acc, group) => (acc << 16n) | BigInt(group), 0n) };
+}
+
+function isPublic(value) {
+  return classify(value) === 'public';
+}
+
+// Network part of an address for logs: IPv4 /24 (203.0.113.0), IPv6 /48 (2001:db8:85a3::).
+// Returns null when the value is not an IP.
+function truncate(value) {
+  const ip = canonicalize(value);
+  if (!ip) return null;
+  if (net.isIP(ip) === 4) return ip.replace(/\.\d+$/, '.0');
+  return formatIpv6([...ipv6Groups(ip).slice(0, 3), 0, 0, 0, 0, 0]);
+}
+
+module.exports = { TYPES, canonicalize, normalizeClientIp, classify, isPublic, toBigInt, truncate };
@@ -0,0 +1,104 @@
+// Live visit feed served as Server-Sent Events. Without Redis, visits are broadcast to the
+// clients connected to this instance. With Redis, every instance publishes to one pub/sub
+// channel and relays what it receives, so each client sees visits recorded anywhere.
+const CHANNEL = 'visits:live';
+
+function round(value, digits) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+// Event payload for a recorded visit. The stream is public, so the location is only the
+// country and coordinates rounded to 0.1° (~11 km); city, region, IP and key are never included.
+function liveEvent(visit, totals, now = new Date()) {
+  const hasCoords = typeof visit.latitude === 'number' && typeof visit.longitude === 'number';
+  return {
+    ts: now.toISOString(),
+    location: {
+      country: visit.country || 'Unknown',
+      latitude: hasCoords ? round(visit.latitude, 1) : null,
+      longitude: hasCoords ? round(visit.longitude, 1) : null
+    },
+    device: visit.device || 'Unknown',
+    totals: { total: totals.total, unique: totals.unique }
+  };
+}
+
+function createLiveFeed({ redis = null, logger, maxClients = 100, heartbeatMs = 25000 } = {}) {
+  const clients = new Set();
+  let nextId = 1;
+  let subscriber = null;
+
+  function broadcast(event) {
+    const frame = `id: ${nextId++}\nevent: visit\ndata: ${JSON.stringify(event)}\n\n`;
+    for (const res of clients) res.write(frame);
+  }
+
+  if (redis) {
+    // A subscribed connection cannot run other commands, so pub/sub gets its own client
+    subscriber = redis.duplicate();
+    subscriber.on('error', (err) => { if (logger) logger.debug({ err }, 'Live feed subscriber error'); });
+    subscriber.on('ready', () => {
+      subscriber.subscribe(CHANNEL).catch((err) => { if (logger) logger.warn({ err }, 'Failed to subscribe to live feed channel'); });
+    });
+    subscriber.on('message', (channel, message) => {
+      if (channel !== CHANNEL) return;
+      try {
+        broadcast(JSON.parse(message));
+      } catch (err) {
+        if (logger) logger.warn({ err }, 'Dropped malformed live feed message');
+      }
+    });
+  }
+
+  function viaRedis() {
+    return Boolean(redis && redis.status === 'ready' && subscriber && subscriber.status === 'ready');
+  }
+
+  // Publish through Redis when both connections are up; otherwise reach local clients only
+  function publish(event) {
+    if (!viaRedis()) return broadcast(event);
+    redis.publish(CHANNEL, JSON.stringify(event)).catch((err) => {
+      if (logger) logger.warn({ err }, 'Failed to publish live event, delivering locally');
+      broadcast(event);
+    });
+  }
+
+  // Comment frames keep idle connections open through proxies that time out quiet streams
+  const heartbeat = setInterval(() => {
+    for (const res of clients) res.write(': ping\n\n');
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  function handler(req, res) {
+    if (clients.size >= maxClients) return res.status(503).json({ error: 'Too many live clients' });
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Disable response buffering in nginx-style proxies
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+    return undefined;
+  }
+
+  function status() {
+    return { clients: clients.size, maxClients, transport: viaRedis() ? 'redis' : 'local' };
+  }
+
+  // End open streams (they would otherwise keep server.close() waiting) and drop pub/sub
+  async function close() {
+    clearInterval(heartbeat);
+    for (const res of clients) res.end();
+    clients.clear();
+    if (subscriber) await subscriber.quit().catch(() => subscriber.disconnect());
+  }
+
+  return { publish, handler, status, close };
+}
+
+module.exports = { CHANNEL, liveEvent, createLiveFeed };
@@ -0,0 +1,92 @@
+// Structured logging. One pino logger for the whole server, with client addresses and
+// coordinates truncated or removed before anything is written (LOG_IP, LOG_COORDINATES),
+// and request correlation: every request gets an X-Request-Id (the caller's, when it looks
+// sane) and a child logger carrying it as `reqId`.
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const pino = require('pino');
+const { truncate } = require('./ip');
+
+// full: log as is; truncate: IPs to /24 (IPv4) or /48 (IPv6), coordinates to 0.1°; redact: drop
+const REDACT_MODES = ['full', 'truncate', 'redact'];
+const LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace'];
+
+// Log fields holding addresses or coordinates, redacted at the top level and up to two levels
+// down (e.g. `ip`, `client.ip`, `client.location.latitude`)
+const IP_FIELDS = ['ip', 'clientIp', 'remoteAddress'];
+const COORD_FIELDS = ['latitude', 'longitude'];
+
+// Incoming request IDs are echoed back and logged, so only accept short, plain tokens
+const REQUEST_ID = /^[A-Za-z0-9._:/+=-]{1,128}$/;
+
+function redactIp(value, mode) {
+  if (mode === 'full' || value === null || typeof value === 'undefined') return value;
+  if (mode === 'redact') return '[redacted]';
+  // Values that are not IPs (privacy-mode visitor hashes) pass through
+  return truncate(String(value)) || value;
+}
+
+function redactCoordinate(value, mode) {
+  if (mode === 'full' || typeof value !== 'number') return value;
+  if (mode === 'redact') return '[redacted]';
+  return Math.round(value * 10) / 10;
+}
+
+// Root pino logger. `ip` and `coordinates` are REDACT_MODES; `destination` is a pino
+// destination stream (stdout when omitted).
+function createLogger({ level = 'info', ip = 'truncate', coordinates = 'truncate', destination } = {}) {
+  const fields = [...(ip === 'full' ? [] : IP_FIELDS), ...(coordinates === 'full' ? [] : COORD_FIELDS)];
+  if (!fields.length) return pino({ level }, destination);
+  return pino({
+    level,
+    redact: {
+      paths: fields.flatMap((field) => [field, `*.${field}`, `*.*.${field}`]),
+      censor: (value, path) => (COORD_FIELDS.includes(path[path.length - 1]) ? redactCoordinate(value, coordinates) : redactIp(value, ip))
+    }
+  }, destination);
+}
+
+// Request path with IP segments redacted like `ip` fields ('/api/lookup/8.8.8.0')
+function redactPath(urlPath, mode) {
+  if (mode === 'full') return urlPath;
+  return urlPath.split('/').map((segment) => {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(segment);
+    } catch (e) {
+      return segment;
+    }
+    return truncate(decoded) ? redactIp(decoded, mode) : segment;
+  }).join('/');
+}
+
+function requestId(req) {
+  const incoming = req.get('x-request-id');
+  return incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+// `logger` is a stand-in for `root` to hand to modules created at startup: while a request
+// is being handled it logs through that request's child logger, so geo, storage and Redis
+// messages carry the reqId of the request that caused them. `middleware` sets req.id,
+// the X-Request-Id response header and req.log.
+function createRequestLogging(root) {
+  const context = new AsyncLocalStorage();
+  const current = () => context.getStore() || root;
+
+  const logger = {
+    child: (bindings) => current().child(bindings),
+    isLevelEnabled: (level) => root.isLevelEnabled(level)
+  };
+  for (const level of LEVELS) logger[level] = (...args) => current()[level](...args);
+
+  function middleware(req, res, next) {
+    req.id = requestId(req);
+    res.set('X-Request-Id', req.id);
+    req.log = root.child({ reqId: req.id });
+    context.run(req.log, next);
+  }
+
+  return { logger, middleware };
+}
+
+module.exports = { REDACT_MODES, createLogger, redactPath, createRequestLogging };
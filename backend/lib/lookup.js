@@ -0,0 +1,67 @@
+// Lookup logic behind /api/whoami and /api/lookup, shared with the `whoami` command line
+// client (bin/whoami.js) so `whoami lookup --offline` answers exactly like the server does
+// when it has no external geo providers. Never touches visit counters.
+const geoip = require('geoip-lite');
+const { classify } = require('./ip');
+const { detectClient } = require('./useragent');
+
+// Validate an address supplied to the lookup API. Returns an error message or null.
+function validateLookupIp(ip) {
+  if (typeof ip !== 'string' || !ip.trim()) return 'IP address is required';
+  const type = classify(ip);
+  if (!type) return `Invalid IP address: ${ip}`;
+  if (type !== 'public') return `Non-public address (${type}) cannot be looked up: ${ip}`;
+  return null;
+}
+
+// `geo` is a lib/geo chain and `network` a lib/network instance; both are optional, so
+// createLookup() alone gives the local geoip-lite + UAParser behaviour.
+function createLookup({ geo, network, logger } = {}) {
+  // Resolve a location for an IP: provider chain first, then geoip-lite.
+  // `provider` reports which source answered ('geoip-lite' or null when nothing did).
+  async function lookupLocation(ip) {
+    let location = { city: '', region: '', country: '', latitude: null, longitude: null, provider: null };
+
+    try {
+      // Only public addresses are sent to external geo providers (see lib/ip.js)
+      if (geo && classify(ip) === 'public') {
+        const ext = await geo.lookup(ip);
+        if (ext) {
+          location = { ...location, ...ext.location, provider: ext.provider };
+        }
+      }
+    } catch (e) {
+      if (logger) logger.warn({ err: e }, 'External geo lookup failed, falling back to geoip-lite');
+    }
+
+    // Fallback to geoip-lite (best-effort). geoip-lite returns empty for private/localhost IPs.
+    if (!location.latitude || !location.longitude) {
+      const geoLite = geoip.lookup(ip) || {};
+      location.city = location.city || geoLite.city || '';
+      location.region = location.region || geoLite.region || '';
+      location.country = location.country || geoLite.country || '';
+      location.latitude = location.latitude || (geoLite.ll ? geoLite.ll[0] : null);
+      location.longitude = location.longitude || (geoLite.ll ? geoLite.ll[1] : null);
+      if (!location.provider && geoLite.ll) location.provider = 'geoip-lite';
+    }
+
+    // Network ownership, when any network dataset is configured
+    const networkInfo = network ? network.lookup(ip) : null;
+    if (networkInfo) location.network = networkInfo;
+    return location;
+  }
+
+  // The /api/whoami view of a client: address type, detected client (UA string merged with
+  // client hints) and location. `browserName` and `osName` are the version-less names used
+  // for analytics.
+  async function describeClient({ ip, headers = {} }) {
+    const type = classify(ip);
+    const { browser, os, device, model, sources, bot, browserName, osName } = detectClient(headers);
+    const location = await lookupLocation(ip);
+    return { client: { ip, type, browser, os, device, model, sources, bot, location }, browserName, osName };
+  }
+
+  return { lookupLocation, describeClient };
+}
+
+module.exports = { validateLookupIp, createLookup };
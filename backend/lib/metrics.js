@@ -0,0 +1,159 @@
+// Prometheus metrics. Every label value comes from a small fixed set (route templates,
+// provider names, ISO country codes, device classes), never from raw request input, so a
+// path scan or odd geo data cannot create new time series.
+//
+// The returned object is handed to lib modules as an optional `metrics` dependency (like
+// `logger`); they call the recording methods below and never touch prom-client directly.
+const path = require('path');
+const client = require('prom-client');
+
+// Device classes reported by UAParser (lib/useragent), anything else is 'other'
+const DEVICES = ['desktop', 'mobile', 'tablet', 'console', 'smarttv', 'wearable', 'embedded', 'xr'];
+
+// Route template of a finished request: '/api/lookup/:ip' rather than '/api/lookup/8.8.8.8'.
+// Requests answered by middleware before reaching their route (a 429 from the rate limiter)
+// get the template of the app route they were headed for, or else the path the middleware
+// is mounted at. Anything else no route handled is a static file ('static') or 'unmatched'.
+function routeLabel(req, res) {
+  if (req.route && typeof req.route.path === 'string') return req.baseUrl + req.route.path;
+  if (res.statusCode < 400) return 'static';
+  return pendingRoute(req) || req.baseUrl || 'unmatched';
+}
+
+// Template of the first app-level route matching the request, from Express's route table
+function pendingRoute(req) {
+  const stack = (req.app && req.app._router && req.app._router.stack) || [];
+  const path = req.originalUrl.split('?')[0];
+  for (const layer of stack) {
+    if (!layer.route || !layer.route._handles_method(req.method)) continue;
+    try {
+      if (layer.match(path)) return layer.route.path;
+    } catch (e) {
+      // Undecodable parameters: not this route
+    }
+  }
+  return null;
+}
+
+function countryLabel(country) {
+  return /^[A-Z]{2}$/.test(country || '') ? country : 'unknown';
+}
+
+function deviceLabel(device) {
+  return DEVICES.includes(device) ? device : 'other';
+}
+
+function createMetrics({ register = client.register } = {}) {
+  const registers = [register];
+
+  const httpRequestsTotal = new client.Counter({
+    name: 'whoami_http_requests_total',
+    help: 'Total number of HTTP requests',
+    labelNames: ['method', 'path', 'status'],
+    registers
+  });
+  const httpRequestDurationSeconds = new client.Histogram({
+    name: 'whoami_http_request_duration_seconds',
+    help: 'HTTP request duration in seconds',
+    labelNames: ['method', 'path', 'status'],
+    buckets: [0.01, 0.05, 0.1, 0.3, 0.5, 1, 2, 5],
+    registers
+  });
+  const rateLimitRejectedTotal = new client.Counter({
+    name: 'whoami_rate_limit_rejected_total',
+    help: 'Requests rejected with 429 by the API rate limiter',
+    labelNames: ['limiter'],
+    registers
+  });
+  const visitsTotal = new client.Counter({
+    name: 'whoami_visits_total',
+    help: 'Recorded visits by country (ISO code) and device class',
+    labelNames: ['country', 'device'],
+    registers
+  });
+  const geoProviderDurationSeconds = new client.Histogram({
+    name: 'whoami_geo_provider_duration_seconds',
+    help: 'External geo provider call duration in seconds',
+    labelNames: ['provider', 'outcome'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5],
+    registers
+  });
+  const geoProviderErrorsTotal = new client.Counter({
+    name: 'whoami_geo_provider_errors_total',
+    help: 'Failed external geo provider calls (errors and timeouts)',
+    labelNames: ['provider', 'reason'],
+    registers
+  });
+  const geoCacheRequestsTotal = new client.Counter({
+    name: 'whoami_geo_cache_requests_total',
+    help: 'Geo chain cache lookups by result (hit or miss)',
+    labelNames: ['result'],
+    registers
+  });
+  const storageFallbackTotal = new client.Counter({
+    name: 'whoami_storage_fallback_total',
+    help: 'Visits written to the file fallback because the primary store was unavailable or failed',
+    labelNames: ['backend', 'reason'],
+    registers
+  });
+  const webhookDeliveriesTotal = new client.Counter({
+    name: 'whoami_webhook_deliveries_total',
+    help: 'Webhook delivery attempts by event type and outcome (delivered, retry or failed)',
+    labelNames: ['event', 'outcome'],
+    registers
+  });
+  const fileWriteDurationSeconds = new client.Histogram({
+    name: 'whoami_file_write_duration_seconds',
+    help: 'Duration of atomic visit file writes in seconds',
+    labelNames: ['file'],
+    buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2],
+    registers
+  });
+
+  // Both counters at zero from the start, so hit ratio queries have data before the first miss
+  geoCacheRequestsTotal.inc({ result: 'hit' }, 0);
+  geoCacheRequestsTotal.inc({ result: 'miss' }, 0);
+
+  return {
+    register,
+    // Start timing a request; call the result once the response has finished
+    startRequest(req, res) {
+      const end = httpRequestDurationSeconds.startTimer();
+      return () => {
+        const labels = { method: req.method, path: routeLabel(req, res), status: String(res.statusCode) };
+        httpRequestsTotal.inc(labels);
+        end(labels);
+      };
+    },
+    rateLimited(limiter) {
+      rateLimitRejectedTotal.inc({ limiter });
+    },
+    visit({ country, device }) {
+      visitsTotal.inc({ country: countryLabel(country), device: deviceLabel(device) });
+    },
+    // outcome: 'hit' (location found), 'empty', 'error' or 'timeout'
+    geoProviderCall(provider, seconds, outcome) {
+      geoProviderDurationSeconds.observe({ provider, outcome }, seconds);
+      if (outcome === 'error' || outcome === 'timeout') geoProviderErrorsTotal.inc({ provider, reason: outcome });
+    },
+    geoCache(hit) {
+      geoCacheRequestsTotal.inc({ result: hit ? 'hit' : 'miss' });
+    },
+    // reason: 'unavailable' (primary down) or 'error' (the primary write failed)
+    storageFallback(backend, reason) {
+      storageFallbackTotal.inc({ backend, reason });
+    },
+    webhookDelivery(event, outcome) {
+      webhookDeliveriesTotal.inc({ event, outcome });
+    },
+    fileWrite(file, seconds) {
+      fileWriteDurationSeconds.observe({ file: path.basename(file) }, seconds);
+    },
+    // Gauge read at scrape time from `fn()` (e.g. 1/0 availability)
+    gauge(name, help, fn) {
+      return new client.Gauge({ name, help, registers, collect() { this.set(Number(fn())); } });
+    }
+  };
+}
+
+module.exports = { DEVICES, routeLabel, createMetrics };
@@ -0,0 +1,82 @@
+// Sorted, merged address ranges for fast membership tests on large CIDR lists (datacenter
+// ranges, Tor exits). Lookups are a binary search per family, O(log n) in the list size.
+const { toBigInt } = require('../ip');
+
+const BITS = { 4: 32n, 6: 128n };
+
+// "a.b.c.d", "a.b.c.d/nn" or an IPv6 equivalent -> { family, start, end }, or null
+function parseCidr(spec) {
+  const [addr, bits, extra] = String(spec).trim().split('/');
+  if (typeof extra !== 'undefined') return null;
+  const ip = toBigInt(addr);
+  if (!ip) return null;
+  const width = BITS[ip.family];
+  if (typeof bits !== 'undefined' && !/^\d+$/.test(bits)) return null;
+  const prefix = typeof bits === 'undefined' ? width : BigInt(bits);
+  if (prefix > width) return null;
+  const hostMask = (1n << (width - prefix)) - 1n;
+  const start = ip.value & ~hostMask;
+  return { family: ip.family, start, end: start | hostMask };
+}
+
+// Sort and merge overlapping or adjacent ranges
+function mergeRanges(ranges) {
+  const sorted = ranges.slice().sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1n) {
+      if (range.end > last.end) last.end = range.end;
+    } else {
+      merged.push({ start: range.start, end: range.end });
+    }
+  }
+  return {
+    starts: merged.map((r) => r.start),
+    ends: merged.map((r) => r.end)
+  };
+}
+
+// Build a set from CIDR strings. Invalid entries are counted in `invalid`, not thrown.
+function createRangeSet(cidrs = []) {
+  const byFamily = { 4: [], 6: [] };
+  let invalid = 0;
+  for (const spec of cidrs) {
+    const range = parseCidr(spec);
+    if (range) byFamily[range.family].push(range);
+    else invalid++;
+  }
+  const tables = { 4: mergeRanges(byFamily[4]), 6: mergeRanges(byFamily[6]) };
+
+  function has(value) {
+    const ip = toBigInt(value);
+    if (!ip) return false;
+    const { starts, ends } = tables[ip.family];
+    // Last range starting at or before the address
+    let lo = 0;
+    let hi = starts.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (starts[mid] <= ip.value) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found >= 0 && ip.value <= ends[found];
+  }
+
+  return { has, size: byFamily[4].length + byFamily[6].length, invalid };
+}
+
+// One entry per line; blank lines and #/; comments are skipped, and only the first
+// whitespace-separated field is used (lists often append a label or ASN).
+function parseList(text) {
+  return String(text).split(/\r?\n/)
+    .map((line) => line.replace(/[#;].*$/, '').trim().split(/\s+/)[0])
+    .filter(Boolean);
+}
+
+module.exports = { parseCidr, createRangeSet, parseList };
@@ -0,0 +1,126 @@
+// Network ownership from local datasets: ASN and organization from a GeoLite2-ASN mmdb, plus
+// Tor exit, datacenter (hosting) and VPN ranges from plain CIDR lists. Files are loaded in
+// the background and re-read when their mtime changes, so request-time lookups never leave
+// the process. Refresh the files with `node cli.js update-datasets` and MaxMind's
+// geoipupdate (for the mmdb), e.g. from cron.
+const fs = require('fs');
+const crypto = require('crypto');
+const { createRangeSet, parseList } = require('./cidr');
+
+// A dataset file reloaded on change. `parse(buffer, path)` returns { data, version, entries, builtAt? }.
+function createFileSource({ name, path, parse, logger }) {
+  let current = null;
+  let loadedMtime = 0;
+  let error = null;
+  let loading = null;
+
+  async function load() {
+    if (!path) return;
+    try {
+      const stat = await fs.promises.stat(path);
+      if (current && stat.mtimeMs === loadedMtime) return;
+      const parsed = await parse(await fs.promises.readFile(path), path);
+      current = { ...parsed, mtime: stat.mtime };
+      loadedMtime = stat.mtimeMs;
+      error = null;
+      if (logger) logger.info({ dataset: name, version: parsed.version, entries: parsed.entries }, 'Network dataset loaded');
+    } catch (err) {
+      // Keep serving the previous copy if a refresh fails
+      error = err.message;
+      if (logger) logger.warn({ err, dataset: name, path }, 'Failed to load network dataset');
+    }
+  }
+
+  function refresh() {
+    if (!loading) loading = load().finally(() => { loading = null; });
+    return loading;
+  }
+
+  function status(now = Date.now()) {
+    if (!path) return { configured: false };
+    const updatedAt = current ? (current.builtAt || current.mtime) : null;
+    return {
+      configured: true,
+      path,
+      loaded: Boolean(current),
+      version: current ? current.version : null,
+      entries: current ? current.entries : 0,
+      updatedAt: updatedAt ? updatedAt.toISOString() : null,
+      ageSeconds: updatedAt ? Math.round((now - updatedAt.getTime()) / 1000) : null,
+      error
+    };
+  }
+
+  return { name, refresh, status, get data() { return current ? current.data : null; } };
+}
+
+// Plain-text lists carry no version, so the content hash identifies what is loaded
+function parseCidrList(buffer) {
+  const set = createRangeSet(parseList(buffer.toString('utf8')));
+  return { data: set, entries: set.size, version: crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 12) };
+}
+
+function parseAsnDb(buffer) {
+  const { Reader } = require('maxmind');
+  const reader = new Reader(buffer);
+  const { databaseType, buildEpoch } = reader.metadata;
+  return { data: reader, entries: reader.metadata.nodeCount, version: `${databaseType} ${buildEpoch.toISOString().slice(0, 10)}`, builtAt: buildEpoch };
+}
+
+function createNetworkInfo({ asnDb, torList, datacenterList, vpnList, refreshMs = 10 * 60 * 1000, logger } = {}) {
+  const sources = {
+    asn: createFileSource({ name: 'asn', path: asnDb, parse: parseAsnDb, logger }),
+    tor: createFileSource({ name: 'tor', path: torList, parse: parseCidrList, logger }),
+    datacenter: createFileSource({ name: 'datacenter', path: datacenterList, parse: parseCidrList, logger }),
+    vpn: createFileSource({ name: 'vpn', path: vpnList, parse: parseCidrList, logger })
+  };
+  const configured = Object.values(sources).some((source) => source.status().configured);
+
+  function refresh() {
+    return Promise.all(Object.values(sources).map((source) => source.refresh()));
+  }
+
+  let timer = null;
+  if (configured) {
+    refresh();
+    timer = setInterval(refresh, refreshMs);
+    timer.unref();
+  }
+
+  // Flags are null when their dataset is not loaded, so "unknown" is not reported as false
+  function flag(source, ip) {
+    const set = sources[source].data;
+    return set ? set.has(ip) : null;
+  }
+
+  // { asn, organization, isHosting, isTor, isKnownVpn } for an IP, or null with no datasets
+  function lookup(ip) {
+    if (!configured) return null;
+    const reader = sources.asn.data;
+    let record = null;
+    try {
+      record = reader ? reader.get(ip) : null;
+    } catch (err) {
+      record = null;
+    }
+    return {
+      asn: record ? record.autonomous_system_number : null,
+      organization: record ? record.autonomous_system_organization : null,
+      isHosting: flag('datacenter', ip),
+      isTor: flag('tor', ip),
+      isKnownVpn: flag('vpn', ip)
+    };
+  }
+
+  function status() {
+    return Object.fromEntries(Object.entries(sources).map(([name, source]) => [name, source.status()]));
+  }
+
+  function close() {
+    if (timer) clearInterval(timer);
+  }
+
+  return { lookup, status, refresh, close };
+}
+
+module.exports = { createNetworkInfo, createFileSource, parseCidrList };
@@ -0,0 +1,63 @@
+// Privacy mode: visitor records are keyed by a salted HMAC of the IP instead of the IP
+// itself. The salt is derived from PRIVACY_SECRET and the current rotation period, so keys
+// change every PRIVACY_SALT_ROTATION_DAYS and old keys cannot be linked to new ones.
+// Visitor records older than the retention window are pruned.
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createPrivacy({ enabled = false, secret, rotationDays = 30, retentionDays = 0, logger } = {}) {
+  let key = secret;
+  if (enabled && !key) {
+    // Without a configured secret keys are still unlinkable, but they reset on every restart
+    key = crypto.randomBytes(32).toString('hex');
+    if (logger) logger.warn('PRIVACY_MODE is on but PRIVACY_SECRET is not set; visitor keys will change on restart');
+  }
+  const rotationMs = Math.max(1, Number(rotationDays) || 30) * DAY_MS;
+  const retentionMs = Math.max(0, Number(retentionDays) || 0) * DAY_MS;
+
+  function periodOf(now) {
+    return Math.floor(now.getTime() / rotationMs);
+  }
+
+  function saltFor(period) {
+    return crypto.createHmac('sha256', key).update(`salt:${period}`).digest();
+  }
+
+  function hashFor(ip, period) {
+    return 'h:' + crypto.createHmac('sha256', saltFor(period)).update(ip).digest('hex').slice(0, 32);
+  }
+
+  // The storage key for a visit made now
+  function visitorKey(ip, now = new Date()) {
+    return enabled ? hashFor(ip, periodOf(now)) : ip;
+  }
+
+  // Every key this IP may be stored under: one per salt period still inside retention
+  function candidateKeys(ip, now = new Date()) {
+    if (!enabled) return [ip];
+    const current = periodOf(now);
+    const lookback = retentionMs ? Math.ceil(retentionMs / rotationMs) : 1;
+    const keys = [];
+    for (let p = current; p >= current - lookback; p--) keys.push(hashFor(ip, p));
+    return keys;
+  }
+
+  // Honor Do Not Track and Global Privacy Control in privacy mode
+  function shouldTrack(req) {
+    if (!enabled) return true;
+    return req.headers.dnt !== '1' && req.headers['sec-gpc'] !== '1';
+  }
+
+  function describe() {
+    return {
+      privacyMode: enabled,
+      rotationDays: enabled ? rotationMs / DAY_MS : null,
+      retentionDays: retentionMs ? retentionMs / DAY_MS : null
+    };
+  }
+
+  return { enabled, retentionMs, visitorKey, candidateKeys, shouldTrack, describe };
+}
+
+module.exports = { createPrivacy };
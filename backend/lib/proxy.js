@@ -0,0 +1,126 @@
+// Proxy-chain analysis: parses X-Forwarded-For, RFC 7239 Forwarded, X-Real-IP and Via,
+// marks each hop as trusted/untrusted against TRUSTED_PROXIES and picks the client IP
+// from the first untrusted hop (walking from the socket peer outwards) of the one header
+// the load balancer sets (TRUST_PROXY_HEADER). Other forwarding headers are reported but
+// never believed, since proxies pass a client's own copies of them through unchanged.
+const net = require('net');
+const { canonicalize } = require('./ip');
+
+// Forwarding headers the client IP can be read from (TRUST_PROXY_HEADER)
+const PROXY_HEADERS = ['x-forwarded-for', 'forwarded', 'x-real-ip'];
+
+// Default trusted ranges: loopback, RFC 1918 / ULA and link-local, which is where
+// platform load balancers (Render, Docker, k8s) usually connect from.
+const DEFAULT_TRUSTED = [
+  '127.0.0.0/8', '10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '169.254.0.0/16',
+  '::1/128', 'fc00::/7', 'fe80::/10'
+];
+
+// Strip brackets, ports and quotes from a hop value and canonicalize it (lib/ip.js).
+// Non-IP values such as Forwarded obfuscated identifiers are returned as-is.
+function cleanAddress(value) {
+  if (!value) return '';
+  let v = String(value).trim().replace(/^"|"$/g, '');
+  const bracketed = v.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) v = bracketed[1];
+  else if (/^\d+\.\d+\.\d+\.\d+:\d+$/.test(v)) v = v.replace(/:\d+$/, '');
+  return canonicalize(v) || v;
+}
+
+// Build a BlockList from a comma separated CIDR list. 'none' (or empty) trusts nothing.
+function buildTrustList(spec) {
+  const list = new net.BlockList();
+  const entries = typeof spec === 'string'
+    ? spec.split(',').map((s) => s.trim()).filter(Boolean)
+    : DEFAULT_TRUSTED;
+  for (const entry of entries) {
+    if (entry === 'none') continue;
+    const [addr, bits] = entry.split('/');
+    const type = net.isIP(addr) === 6 ? 'ipv6' : net.isIP(addr) === 4 ? 'ipv4' : null;
+    if (!type) throw new Error(`Invalid trusted proxy CIDR: ${entry}`);
+    const prefix = typeof bits === 'undefined' ? (type === 'ipv4' ? 32 : 128) : Number(bits);
+    list.addSubnet(addr, prefix, type);
+  }
+  return list;
+}
+
+function isTrusted(trustList, ip) {
+  const family = net.isIP(ip);
+  if (!family) return false;
+  return trustList.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function parseForwardedFor(header) {
+  if (!header) return [];
+  return String(header).split(',').map(cleanAddress).filter(Boolean);
+}
+
+// RFC 7239: Forwarded: for=192.0.2.60;proto=http;by=203.0.113.43, for="[2001:db8::1]"
+function parseForwarded(header) {
+  if (!header) return [];
+  return String(header).split(',').map((element) => {
+    const hop = {};
+    for (const pair of element.split(';')) {
+      const idx = pair.indexOf('=');
+      if (idx === -1) continue;
+      const key = pair.slice(0, idx).trim().toLowerCase();
+      const value = pair.slice(idx + 1).trim().replace(/^"|"$/g, '');
+      if (['for', 'by', 'proto', 'host'].includes(key)) hop[key] = value;
+    }
+    return hop;
+  }).filter((hop) => Object.keys(hop).length > 0);
+}
+
+// Via: 1.1 vegur, HTTP/1.1 proxy.example (Squid)
+function parseVia(header) {
+  if (!header) return [];
+  return String(header).split(',').map((entry) => {
+    const m = entry.trim().match(/^(\S+)\s+(\S+)(?:\s+\((.*)\))?/);
+    if (!m) return null;
+    return { protocol: m[1], receivedBy: m[2], comment: m[3] || null };
+  }).filter(Boolean);
+}
+
+// Analyze the proxy chain of a request. `trustList` is a BlockList from buildTrustList() and
+// `header` one of PROXY_HEADERS. `source` says where clientIp came from: the header name,
+// 'socket' (no usable header) or 'opaque-hop' (an untrusted hop such as `for=unknown` hides
+// the addresses behind it, so the peer is used).
+function analyzeProxyChain(req, trustList, { header = 'x-forwarded-for' } = {}) {
+  const peerIp = cleanAddress(req.socket && req.socket.remoteAddress);
+  const peer = { ip: peerIp, trusted: isTrusted(trustList, peerIp) };
+
+  const forwarded = parseForwarded(req.headers.forwarded).map((hop) => {
+    const ip = cleanAddress(hop.for);
+    return { ...hop, ip: net.isIP(ip) ? ip : null, trusted: isTrusted(trustList, ip) };
+  });
+  const forwardedFor = parseForwardedFor(req.headers['x-forwarded-for'])
+    .map((ip) => ({ ip: net.isIP(ip) ? ip : null, value: ip, trusted: isTrusted(trustList, ip) }));
+  const realIpValue = cleanAddress(req.headers['x-real-ip']);
+  const realIp = realIpValue ? { ip: net.isIP(realIpValue) ? realIpValue : null, value: realIpValue, trusted: isTrusted(trustList, realIpValue) } : null;
+  const via = parseVia(req.headers.via);
+
+  // The configured header is only believed when the connecting peer is a trusted proxy
+  const chains = { forwarded, 'x-forwarded-for': forwardedFor, 'x-real-ip': realIp ? [realIp] : [] };
+  const hops = peer.trusted ? chains[header] || [] : [];
+
+  // Walk from the nearest hop outwards; the first untrusted address is the client. When
+  // every hop is trusted the outermost one is. An untrusted hop without an address stops
+  // the walk: whatever lies beyond it was written by someone we cannot vouch for.
+  let clientIp = peerIp;
+  let source = 'socket';
+  for (let i = hops.length - 1; i >= 0; i--) {
+    const hop = hops[i];
+    if (!hop.ip) {
+      source = 'opaque-hop';
+      break;
+    }
+    clientIp = hop.ip;
+    source = header;
+    if (!hop.trusted) break;
+  }
+  if (source === 'opaque-hop') clientIp = peerIp;
+
+  return { clientIp, source, peer, forwarded, forwardedFor, realIp, via };
+}
+
+module.exports = { PROXY_HEADERS, DEFAULT_TRUSTED, buildTrustList, isTrusted, cleanAddress, parseForwarded, parseForwardedFor, parseVia, analyzeProxyChain };
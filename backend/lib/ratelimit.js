@@ -0,0 +1,141 @@
+// API rate limiting on top of express-rate-limit. With Redis the hit counters are shared by
+// every instance behind the load balancer; while Redis is down each instance counts in
+// memory instead, so limits loosen to per-instance but requests keep being served.
+const net = require('net');
+const rateLimit = require('express-rate-limit');
+const { MemoryStore } = require('express-rate-limit');
+const { buildTrustList } = require('./proxy');
+const { safeEqual } = require('./auth');
+
+const KEY_PREFIX = 'ratelimit:';
+const UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "120/1m" -> { max: 120, windowMs: 60000 }. The window is a number with an optional unit
+// (ms, s, m, h, d; plain numbers are seconds). Throws a message on error.
+function parseLimit(text) {
+  const m = String(text).trim().match(/^(\d+)\s*\/\s*(\d+)?\s*(ms|s|m|h|d)?$/);
+  if (!m || (!m[2] && !m[3])) throw new Error(`expected <max>/<window> such as 120/1m, got "${text}"`);
+  const windowMs = Number(m[2] || 1) * UNITS[m[3] || 's'];
+  if (!windowMs) throw new Error(`window must be longer than 0, got "${text}"`);
+  return { max: Number(m[1]), windowMs };
+}
+
+// express-rate-limit store for one limiter. Fixed windows: the first hit of a key starts
+// its window (PEXPIRE), later hits only INCR. Falls back to a MemoryStore per limiter.
+function createStore({ name, redis, state, logger }) {
+  const memory = new MemoryStore();
+  let windowMs = 60 * 1000;
+  const key = (k) => `${KEY_PREFIX}${name}:${k}`;
+
+  function useRedis() {
+    return Boolean(redis && redis.status === 'ready');
+  }
+
+  function fallBack(err) {
+    if (state.fallback) return;
+    state.fallback = true;
+    if (logger) logger.warn({ err }, 'Rate limit counters unavailable in Redis, counting in memory');
+  }
+
+  return {
+    init(options) {
+      windowMs = options.windowMs;
+      memory.init(options);
+    },
+    async increment(k) {
+      if (useRedis()) {
+        try {
+          const [[incrErr, hits], [ttlErr, ttl]] = await redis.multi().incr(key(k)).pttl(key(k)).exec();
+          if (incrErr || ttlErr) throw incrErr || ttlErr;
+          let remainingMs = ttl;
+          if (remainingMs < 0) {
+            await redis.pexpire(key(k), windowMs);
+            remainingMs = windowMs;
+          }
+          if (state.fallback) {
+            state.fallback = false;
+            if (logger) logger.info('Rate limit counters back in Redis');
+          }
+          return { totalHits: hits, resetTime: new Date(Date.now() + remainingMs) };
+        } catch (err) {
+          fallBack(err);
+        }
+      } else if (redis) {
+        fallBack();
+      }
+      return memory.increment(k);
+    },
+    async decrement(k) {
+      if (useRedis()) {
+        try {
+          await redis.decr(key(k));
+          return;
+        } catch (err) {
+          fallBack(err);
+        }
+      }
+      memory.decrement(k);
+    },
+    async resetKey(k) {
+      memory.resetKey(k);
+      if (useRedis()) await redis.del(key(k)).catch(() => {});
+    },
+    shutdown() {
+      memory.shutdown();
+    }
+  };
+}
+
+// `keyFor(req)` identifies the caller (the client IP). Requests from `allowlist` CIDRs or
+// carrying one of `apiKeys` in X-API-Key are not limited. `onReject(name, req)` is called for
+// every request answered with 429.
+function createRateLimits({ redis, keyFor, allowlist, apiKeys = [], onReject, logger } = {}) {
+  const allowed = allowlist ? buildTrustList(allowlist) : null;
+  const state = { fallback: false };
+  const limiters = [];
+
+  function isAllowlisted(req) {
+    const apiKey = req.get('x-api-key');
+    if (apiKey && apiKeys.some((k) => safeEqual(apiKey, k))) return true;
+    if (!allowed) return false;
+    const ip = keyFor(req);
+    const family = net.isIP(ip);
+    return Boolean(family) && allowed.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  // Middleware enforcing `limit` ({ max, windowMs } from parseLimit) under its own counters.
+  // Sends draft-6 RateLimit-Limit/Remaining/Reset and RateLimit-Policy headers.
+  function limiter(name, limit) {
+    const store = createStore({ name, redis, state, logger });
+    limiters.push({ name, store, ...limit });
+    return rateLimit({
+      windowMs: limit.windowMs,
+      max: limit.max,
+      standardHeaders: 'draft-6',
+      legacyHeaders: false,
+      store,
+      keyGenerator: keyFor,
+      skip: isAllowlisted,
+      handler(req, res, next, options) {
+        if (onReject) onReject(name, req);
+        res.status(options.statusCode).json({ error: 'Too many requests, please retry later' });
+      }
+    });
+  }
+
+  function status() {
+    return {
+      backend: redis ? 'redis' : 'memory',
+      active: redis && !state.fallback && redis.status === 'ready' ? 'redis' : 'memory',
+      limits: Object.fromEntries(limiters.map((l) => [l.name, { max: l.max, windowMs: l.windowMs }]))
+    };
+  }
+
+  function close() {
+    for (const l of limiters) l.store.shutdown();
+  }
+
+  return { limiter, isAllowlisted, status, close };
+}
+
+module.exports = { parseLimit, createRateLimits };
@@ -0,0 +1,150 @@
+// Shareable whoami snapshots (POST /api/snapshots, GET /s/:id). A snapshot is a frozen copy
+// of a /api/whoami result that expires after its TTL. With Redis each snapshot is one key
+// with a TTL; without it snapshots are JSON files in a directory next to visits.json and
+// expired files are pruned periodically.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'snapshots:';
+// 9 random bytes -> 12 URL-safe characters
+const ID_PATTERN = /^[A-Za-z0-9_-]{12}$/;
+
+function newId() {
+  return crypto.randomBytes(9).toString('base64url');
+}
+
+function isValidId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+// The shared client queues commands while disconnected (maxRetriesPerRequest: null), so a
+// command is refused outright unless Redis is ready and otherwise given `timeoutMs` to answer.
+// The route then answers 503 instead of hanging until Redis comes back.
+function createRedisSnapshots(redis, timeoutMs) {
+  async function run(command) {
+    if (redis.status !== 'ready') throw new Error('Redis is not connected');
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Redis snapshot command timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    try {
+      return await Promise.race([command(), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    backend: 'redis',
+    async save(record, ttlMs) {
+      await run(() => redis.set(KEY_PREFIX + record.id, JSON.stringify(record), 'PX', ttlMs));
+    },
+    async get(id) {
+      const raw = await run(() => redis.get(KEY_PREFIX + id));
+      return raw ? JSON.parse(raw) : null;
+    },
+    async prune() {
+      return 0;
+    }
+  };
+}
+
+function createFileSnapshots(dir) {
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  async function remove(file) {
+    try {
+      await fs.promises.unlink(file);
+    } catch (e) {
+      // already gone
+    }
+  }
+
+  return {
+    backend: 'file',
+    async save(record) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const tmp = path.join(dir, `.${record.id}.${process.pid}.tmp`);
+      await fs.promises.writeFile(tmp, JSON.stringify(record));
+      await fs.promises.rename(tmp, fileFor(record.id));
+    },
+    async get(id, now = Date.now()) {
+      let record;
+      try {
+        record = JSON.parse(await fs.promises.readFile(fileFor(id), 'utf8'));
+      } catch (e) {
+        return null;
+      }
+      if (Date.parse(record.expiresAt) <= now) {
+        await remove(fileFor(id));
+        return null;
+      }
+      return record;
+    },
+    // Delete expired snapshot files; returns how many were removed
+    async prune(now = Date.now()) {
+      let files = [];
+      try {
+        files = (await fs.promises.readdir(dir)).filter((f) => f.endsWith('.json'));
+      } catch (e) {
+        return 0;
+      }
+      let removed = 0;
+      for (const name of files) {
+        try {
+          const record = JSON.parse(await fs.promises.readFile(path.join(dir, name), 'utf8'));
+          if (Date.parse(record.expiresAt) > now) continue;
+        } catch (e) {
+          // unreadable files are removed too
+        }
+        await remove(path.join(dir, name));
+        removed++;
+      }
+      return removed;
+    }
+  };
+}
+
+// { save(data, { ttlSeconds }), get(id), close() }. `ttlSeconds` is clamped to maxTtlSeconds.
+// `redisTimeoutMs` bounds each Redis command; save/get reject when Redis is down or slow.
+function createSnapshotStore({ redis, dir, ttlSeconds = 24 * 60 * 60, maxTtlSeconds = 7 * 24 * 60 * 60, pruneMs = 60 * 60 * 1000, redisTimeoutMs = 2000, logger } = {}) {
+  const backend = redis ? createRedisSnapshots(redis, redisTimeoutMs) : createFileSnapshots(dir);
+
+  async function prune() {
+    try {
+      const removed = await backend.prune();
+      if (removed && logger) logger.info({ removed }, 'Pruned expired snapshots');
+    } catch (e) {
+      if (logger) logger.warn({ err: e }, 'Snapshot pruning failed');
+    }
+  }
+  const timer = backend.backend === 'file' ? setInterval(prune, pruneMs) : null;
+  if (timer) timer.unref();
+
+  async function save(data, { ttlSeconds: requested } = {}) {
+    const ttl = Math.min(Math.max(Math.round(Number(requested) || ttlSeconds), 60), maxTtlSeconds);
+    const now = Date.now();
+    const record = {
+      id: newId(),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttl * 1000).toISOString(),
+      data
+    };
+    await backend.save(record, ttl * 1000);
+    return record;
+  }
+
+  async function get(id) {
+    if (!isValidId(id)) return null;
+    return backend.get(id);
+  }
+
+  function close() {
+    if (timer) clearInterval(timer);
+  }
+
+  return { backend: backend.backend, save, get, prune, close };
+}
+
+module.exports = { createSnapshotStore, isValidId };
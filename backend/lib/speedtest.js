@@ -0,0 +1,112 @@
+// Connection test endpoints behind the frontend's "Test connection" panel:
+//   ping      tiny timestamped response for round-trip time (repeated by the client)
+//   download  ?bytes=N of incompressible data, streamed with backpressure
+//   upload    sink that counts the request body and reports how fast it arrived
+// Payload sizes are capped and transfers are limited per instance; per-client budgets come
+// from the rate limiter in front of these routes (lib/ratelimit).
+const crypto = require('crypto');
+const { Readable, pipeline } = require('stream');
+
+const CHUNK_BYTES = 64 * 1024;
+const DEFAULT_DOWNLOAD_BYTES = 1024 * 1024;
+
+// Random bytes so proxies and on-the-fly compression cannot shrink the payload
+const CHUNK = crypto.randomBytes(CHUNK_BYTES);
+
+function payload(bytes) {
+  let remaining = bytes;
+  return new Readable({
+    read() {
+      if (remaining <= 0) return this.push(null);
+      const size = Math.min(remaining, CHUNK_BYTES);
+      remaining -= size;
+      return this.push(size === CHUNK_BYTES ? CHUNK : CHUNK.subarray(0, size));
+    }
+  });
+}
+
+function noStore(res) {
+  res.set('Cache-Control', 'no-store, no-transform');
+}
+
+function createSpeedTest({ maxDownloadBytes = 25 * 1024 * 1024, maxUploadBytes = 10 * 1024 * 1024, maxConcurrent = 4, logger } = {}) {
+  let active = 0;
+
+  // Claim a transfer slot; false (after answering 503) when the instance is busy
+  function acquire(res) {
+    if (active >= maxConcurrent) {
+      res.set('Retry-After', '5');
+      res.status(503).json({ error: 'Too many connection tests in progress, please retry shortly' });
+      return false;
+    }
+    active += 1;
+    let released = false;
+    res.on('close', () => {
+      if (!released) active -= 1;
+      released = true;
+    });
+    return true;
+  }
+
+  // The size caps ride along so the client can size its transfers without a 400/413
+  function ping(req, res) {
+    noStore(res);
+    res.json({ serverTime: Date.now(), maxDownloadBytes, maxUploadBytes });
+  }
+
+  function download(req, res) {
+    const raw = typeof req.query.bytes === 'undefined' ? String(DEFAULT_DOWNLOAD_BYTES) : String(req.query.bytes);
+    const bytes = /^\d+$/.test(raw) ? Number(raw) : NaN;
+    if (!(bytes >= 1 && bytes <= maxDownloadBytes)) {
+      return res.status(400).json({ error: `bytes must be an integer between 1 and ${maxDownloadBytes}` });
+    }
+    if (!acquire(res)) return undefined;
+    noStore(res);
+    res.set({ 'Content-Type': 'application/octet-stream', 'Content-Length': String(bytes) });
+    pipeline(payload(bytes), res, (err) => {
+      // A client aborting a slow test is normal, so this stays at debug level
+      if (err && logger) logger.debug({ err }, 'Connection test download ended early');
+    });
+    return undefined;
+  }
+
+  function upload(req, res) {
+    const declared = Number(req.get('content-length'));
+    if (declared > maxUploadBytes) {
+      res.set('Connection', 'close');
+      return res.status(413).json({ error: `Upload larger than ${maxUploadBytes} bytes` });
+    }
+    if (!acquire(res)) {
+      req.resume();
+      return undefined;
+    }
+    const started = process.hrtime.bigint();
+    let bytes = 0;
+    let done = false;
+    req.on('data', (chunk) => {
+      bytes += chunk.length;
+      if (bytes > maxUploadBytes && !done) {
+        done = true;
+        res.set('Connection', 'close');
+        res.status(413).json({ error: `Upload larger than ${maxUploadBytes} bytes` });
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (done) return;
+      done = true;
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      noStore(res);
+      res.json({ bytes, durationMs: Math.round(seconds * 1e5) / 100, mbps: seconds > 0 ? Math.round((bytes * 8) / seconds / 1e4) / 100 : null });
+    });
+    return undefined;
+  }
+
+  function status() {
+    return { active, maxConcurrent, maxDownloadBytes, maxUploadBytes };
+  }
+
+  return { ping, download, upload, status };
+}
+
+module.exports = { createSpeedTest };
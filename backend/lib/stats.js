@@ -0,0 +1,145 @@
+// Time-bucketed visit analytics.
+//
+// Every visit is counted into an hourly and a daily bucket (UTC). Inside a bucket we keep
+// one counter per combination of dimensions (country, browser, os, device), keyed by the
+// JSON array of those values. Any groupBy/filter can then be answered by summing combos,
+// and a bucket never holds more keys than the combinations actually seen.
+
+const DIMENSIONS = ['country', 'browser', 'os', 'device'];
+const GRANULARITIES = {
+  hour: { ms: 60 * 60 * 1000, keyLength: 10, maxBuckets: 24 * 31 },
+  day: { ms: 24 * 60 * 60 * 1000, keyLength: 8, maxBuckets: 366 * 2 }
+};
+
+// 2026-10-19T15:04:05Z -> hour '2026101915', day '20261019'
+function bucketKey(date, granularity) {
+  return date.toISOString().replace(/[-T:]/g, '').slice(0, GRANULARITIES[granularity].keyLength);
+}
+
+function bucketStart(key) {
+  const iso = `${key.slice(0, 4)}-${key.slice(4, 6)}-${key.slice(6, 8)}T${key.slice(8, 10) || '00'}:00:00.000Z`;
+  return new Date(iso);
+}
+
+// Oldest bucket key still inside a retention window (keys compare lexicographically)
+function oldestBucketKey(now, granularity, retentionMs) {
+  return bucketKey(new Date(now.getTime() - retentionMs), granularity);
+}
+
+// All bucket keys between from and to (inclusive), oldest first
+function bucketRange(from, to, granularity) {
+  const { ms } = GRANULARITIES[granularity];
+  const keys = [];
+  let t = bucketStart(bucketKey(from, granularity)).getTime();
+  while (t <= to.getTime()) {
+    keys.push(bucketKey(new Date(t), granularity));
+    t += ms;
+  }
+  return keys;
+}
+
+// Normalize visit dimensions into a stable combo key
+function comboKey(dims) {
+  return JSON.stringify(DIMENSIONS.map((d) => String((dims && dims[d]) || 'Unknown')));
+}
+
+function parseCombo(key) {
+  try {
+    const values = JSON.parse(key);
+    return Object.fromEntries(DIMENSIONS.map((d, i) => [d, values[i]]));
+  } catch (e) {
+    return null;
+  }
+}
+
+function parseDate(value, fallback) {
+  if (typeof value === 'undefined' || value === '') return fallback;
+  const d = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(String(value));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// Validate /api/stats query parameters. Returns { error } or the parsed query.
+function parseStatsQuery(query = {}, now = new Date()) {
+  const granularity = String(query.granularity || 'day');
+  if (!GRANULARITIES[granularity]) return { error: `granularity must be one of: ${Object.keys(GRANULARITIES).join(', ')}` };
+
+  const to = parseDate(query.to, now);
+  const from = parseDate(query.from, new Date(now.getTime() - 7 * GRANULARITIES.day.ms));
+  if (!to || !from) return { error: 'from/to must be ISO 8601 dates or epoch milliseconds' };
+  if (from > to) return { error: 'from must be before to' };
+
+  const groupBy = query.groupBy ? String(query.groupBy).split(',').map((s) => s.trim()).filter(Boolean) : [];
+  const badGroup = groupBy.find((g) => !DIMENSIONS.includes(g));
+  if (badGroup) return { error: `groupBy must be a comma separated list of: ${DIMENSIONS.join(', ')}` };
+
+  // Count the buckets before listing them, so a range of centuries is refused without
+  // building it. UTC hours and days are whole multiples of their length since the epoch.
+  const { ms, maxBuckets } = GRANULARITIES[granularity];
+  if (Math.floor(to.getTime() / ms) - Math.floor(from.getTime() / ms) + 1 > maxBuckets) {
+    return { error: `Range too large for granularity=${granularity} (max ${maxBuckets} buckets)` };
+  }
+  const buckets = bucketRange(from, to, granularity);
+
+  // Optional filters, e.g. ?country=DE&device=mobile
+  const filters = {};
+  for (const d of DIMENSIONS) {
+    if (query[d]) filters[d] = String(query[d]);
+  }
+
+  return { from, to, granularity, groupBy, filters, buckets };
+}
+
+// Turn raw bucket data ({ bucketKey: { comboKey: count } }) into the /api/stats response.
+// `uniques` (optional) is { total, byBucket: { bucketKey: count } } from the HLL sketches.
+function aggregate(params, data, uniques) {
+  const { granularity, groupBy, filters, buckets } = params;
+  const totals = new Map();
+  let grandTotal = 0;
+
+  const series = buckets.map((key) => {
+    const combos = data[key] || {};
+    const groups = new Map();
+    let total = 0;
+    for (const [combo, rawCount] of Object.entries(combos)) {
+      const dims = parseCombo(combo);
+      if (!dims) continue;
+      if (Object.entries(filters).some(([d, v]) => dims[d] !== v)) continue;
+      const count = Number(rawCount) || 0;
+      total += count;
+      if (groupBy.length) {
+        const gk = JSON.stringify(groupBy.map((d) => dims[d]));
+        groups.set(gk, (groups.get(gk) || 0) + count);
+        totals.set(gk, (totals.get(gk) || 0) + count);
+      }
+    }
+    grandTotal += total;
+    const entry = { bucket: bucketStart(key).toISOString(), total };
+    if (uniques && uniques.byBucket && key in uniques.byBucket) entry.unique = uniques.byBucket[key];
+    if (groupBy.length) entry.groups = toGroupList(groupBy, groups);
+    return entry;
+  });
+
+  const result = {
+    from: params.from.toISOString(),
+    to: params.to.toISOString(),
+    granularity,
+    groupBy,
+    filters,
+    total: grandTotal,
+    ...(uniques ? { unique: uniques.total } : {}),
+    series
+  };
+  if (groupBy.length) result.groups = toGroupList(groupBy, totals);
+  return result;
+}
+
+function toGroupList(groupBy, map) {
+  return Array.from(map.entries())
+    .map(([gk, count]) => {
+      const values = JSON.parse(gk);
+      return { ...Object.fromEntries(groupBy.map((d, i) => [d, values[i]])), count };
+    })
+    .sort((a, b) => b.count - a.count);
+}
+
+module.exports = { DIMENSIONS, GRANULARITIES, bucketKey, bucketStart, bucketRange, oldestBucketKey, comboKey, parseCombo, parseStatsQuery, aggregate };
@@ -0,0 +1,307 @@
+// JSON file visit store. State is loaded once and kept in memory; every change is
+// persisted asynchronously with an atomic write (temp file + rename) so a crash or a
+// concurrent reader never sees a half-written file. Visits are batched: the file is
+// rewritten at most once per `writeDelayMs`, and writes that arrive while one is in flight
+// are coalesced into a single follow-up write. Erasures, imports and close() write at once.
+//
+// Unique-visitor HyperLogLog sketches live next to the JSON file in `<name>.uniques/`, one
+// small file per sketch, so a visit only rewrites the sketches whose registers changed.
+const fs = require('fs');
+const path = require('path');
+const { GRANULARITIES, bucketKey, comboKey, oldestBucketKey } = require('../stats');
+const { emptySnapshot, mergeSnapshot, recentEntry, geoCellKey, geoCells } = require('./snapshot');
+const { createSketchSet } = require('./sketches');
+const { snapshotRecords } = require('./transfer');
+
+// Returns persist(): writes getContents() to `file` atomically, coalescing overlapping calls.
+// With `delayMs` the write starts that long after the first unwritten change, so a burst of
+// changes costs one write; persist.flush() skips the wait. Both return a promise that
+// resolves once a write that includes the latest change has finished.
+// `metrics` (lib/metrics), when given, observes the duration of every write.
+function createAtomicWriter(file, getContents, { logger, metrics, delayMs = 0 } = {}) {
+  let writing = null;
+  let pending = false;
+  let timer = null;
+  let scheduled = null;
+  let release = null;
+
+  async function writeOnce() {
+    const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    const started = process.hrtime.bigint();
+    const contents = getContents();
+    // Nothing to write, e.g. a sketch that was removed while its write was queued
+    if (contents == null) return;
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(tmp, contents);
+    await fs.promises.rename(tmp, file);
+    if (metrics) metrics.fileWrite(file, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+
+  function write() {
+    if (writing) {
+      pending = true;
+      return writing;
+    }
+    writing = (async () => {
+      try {
+        do {
+          pending = false;
+          await writeOnce();
+        } while (pending);
+      } catch (e) {
+        if (logger) logger.error({ err: e, file }, 'Failed to write visits file');
+      } finally {
+        writing = null;
+      }
+    })();
+    return writing;
+  }
+
+  function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    const done = write();
+    if (release) {
+      release(done);
+      release = null;
+    }
+    return done;
+  }
+
+  function persist() {
+    if (!delayMs) return flush();
+    if (!timer) {
+      scheduled = new Promise((resolve) => { release = resolve; });
+      timer = setTimeout(flush, delayMs);
+      timer.unref();
+    }
+    return scheduled;
+  }
+
+  persist.flush = flush;
+  return persist;
+}
+
+// Sketch storage: one `<name>.hll` file per sketch ('day:20261019' -> day-20261019.hll)
+function createSketchFiles(dir, { logger, delayMs }) {
+  const buffers = new Map();
+  const writers = new Map();
+  const toFile = (name) => path.join(dir, `${name.replace(':', '-')}.hll`);
+  const toName = (fileName) => fileName.replace(/\.hll$/, '').replace('-', ':');
+
+  return {
+    load(name) {
+      if (buffers.has(name)) return buffers.get(name);
+      try {
+        return fs.readFileSync(toFile(name));
+      } catch (e) {
+        return null;
+      }
+    },
+    save(name, buf) {
+      buffers.set(name, buf);
+      if (!writers.has(name)) writers.set(name, createAtomicWriter(toFile(name), () => buffers.get(name), { logger, delayMs }));
+      writers.get(name)();
+    },
+    remove(name) {
+      buffers.delete(name);
+      try {
+        fs.unlinkSync(toFile(name));
+      } catch (e) {
+        // already gone
+      }
+    },
+    list() {
+      let files = [];
+      try {
+        files = fs.readdirSync(dir).filter((f) => f.endsWith('.hll'));
+      } catch (e) {
+        // no sketches yet
+      }
+      return Array.from(new Set([...files.map(toName), ...buffers.keys()]));
+    },
+    // Resolves once all queued sketch writes are on disk
+    flush() {
+      return Promise.all(Array.from(writers.values()).map((persist) => persist.flush()));
+    }
+  };
+}
+
+// Snapshot minus the sketches, which are kept in their own files
+function emptyData() {
+  const data = emptySnapshot();
+  delete data.uniques;
+  return data;
+}
+
+function createFileStore({ file, logger, metrics, retentionMs = {}, recentMax = 100, writeDelayMs = 0 }) {
+  let data = load();
+  const persist = createAtomicWriter(file, () => JSON.stringify(data, null, 2), { logger, metrics, delayMs: writeDelayMs });
+  const sketchFiles = createSketchFiles(file.replace(/\.json$/, '') + '.uniques', { logger, delayMs: writeDelayMs });
+  const uniques = createSketchSet(sketchFiles);
+  let lastPrunedDay = null;
+
+  // Visits recorded before unique sketches existed
+  if (!uniques.hasAll() && Object.keys(data.byIp).length) uniques.seed(Object.keys(data.byIp));
+
+  function load() {
+    try {
+      const loaded = { ...emptyData(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+      loaded.byIp = loaded.byIp || {};
+      loaded.lastSeen = loaded.lastSeen || {};
+      loaded.stats = loaded.stats || {};
+      loaded.recent = loaded.recent || [];
+      loaded.geo = loaded.geo || {};
+      delete loaded.uniques;
+      return loaded;
+    } catch (e) {
+      if (e.code !== 'ENOENT' && logger) logger.error({ err: e, file }, 'Failed to read visits file, starting empty');
+      return emptyData();
+    }
+  }
+
+  function recordStats(dims, now) {
+    const combo = comboKey(dims);
+    for (const granularity of Object.keys(GRANULARITIES)) {
+      const buckets = data.stats[granularity] = data.stats[granularity] || {};
+      const key = bucketKey(now, granularity);
+      buckets[key] = buckets[key] || {};
+      buckets[key][combo] = (buckets[key][combo] || 0) + 1;
+      if (retentionMs[granularity]) {
+        const oldest = oldestBucketKey(now, granularity, retentionMs[granularity]);
+        for (const k of Object.keys(buckets)) {
+          if (k < oldest) delete buckets[k];
+        }
+      }
+    }
+  }
+
+  function recordUnique(ip, now) {
+    const day = bucketKey(now, 'day');
+    uniques.add(ip, day);
+    if (retentionMs.day && lastPrunedDay !== day) {
+      uniques.prune(oldestBucketKey(now, 'day', retentionMs.day));
+      lastPrunedDay = day;
+    }
+  }
+
+  async function increment(ip, dims = {}, now = new Date()) {
+    data.total = (data.total || 0) + 1;
+    data.byIp[ip] = (data.byIp[ip] || 0) + 1;
+    data.lastSeen[ip] = now.getTime();
+    recordStats(dims, now);
+    recordUnique(ip, now);
+    data.recent.unshift(recentEntry(dims, now));
+    data.recent.length = Math.min(data.recent.length, recentMax);
+    const cell = geoCellKey(dims);
+    if (cell) data.geo[cell] = (data.geo[cell] || 0) + 1;
+    persist();
+    return { total: data.total, unique: uniques.countAll(), yourVisits: data.byIp[ip] };
+  }
+
+  async function getTotals() {
+    return { total: data.total || 0, unique: uniques.countAll() };
+  }
+
+  async function countUniques(dayKeys) {
+    return uniques.countDays(dayKeys);
+  }
+
+  async function recentVisits(limit = recentMax) {
+    return data.recent.slice(0, limit);
+  }
+
+  async function locations() {
+    return geoCells(data.geo);
+  }
+
+  async function getVisitor(key) {
+    if (!Object.prototype.hasOwnProperty.call(data.byIp, key)) return null;
+    return { key, visits: data.byIp[key], lastSeen: data.lastSeen[key] || null };
+  }
+
+  async function deleteVisitor(key) {
+    const existed = Object.prototype.hasOwnProperty.call(data.byIp, key);
+    delete data.byIp[key];
+    delete data.lastSeen[key];
+    if (existed) await persist.flush();
+    return existed;
+  }
+
+  // Drop visitor records last seen before cutoffMs (records without a timestamp count as old)
+  async function pruneVisitors(cutoffMs) {
+    let removed = 0;
+    for (const key of Object.keys(data.byIp)) {
+      if ((data.lastSeen[key] || 0) < cutoffMs) {
+        delete data.byIp[key];
+        delete data.lastSeen[key];
+        removed += 1;
+      }
+    }
+    if (removed) await persist.flush();
+    return removed;
+  }
+
+  async function readStats(params) {
+    const buckets = data.stats[params.granularity] || {};
+    return Object.fromEntries(params.buckets.map((key) => [key, buckets[key] || {}]));
+  }
+
+  async function exportSnapshot() {
+    return { ...JSON.parse(JSON.stringify(data)), uniques: uniques.exportAll() };
+  }
+
+  // Export records (see ./transfer) read straight from the in-memory data; sketch files are
+  // read one at a time
+  async function* exportRecords() {
+    yield* snapshotRecords({ ...data, uniques: {} });
+    for (const [key, b64] of uniques.entries()) yield { type: 'sketch', key, data: b64 };
+  }
+
+  // mode 'merge' adds counts to the existing ones, 'replace' overwrites everything
+  async function importSnapshot(snapshot, { mode = 'merge' } = {}) {
+    const { uniques: sketches, ...counts } = snapshot;
+    data = mergeSnapshot(mode === 'replace' ? emptyData() : data, counts);
+    data.recent.length = Math.min(data.recent.length, recentMax);
+    uniques.importAll(sketches, { mode });
+    await Promise.all([persist.flush(), sketchFiles.flush()]);
+  }
+
+  async function clear() {
+    data = emptyData();
+    uniques.clear();
+    await persist.flush();
+  }
+
+  function isEmpty() {
+    return !data.total && Object.keys(data.byIp).length === 0;
+  }
+
+  async function close() {
+    await Promise.all([persist.flush(), sketchFiles.flush()]);
+  }
+
+  return {
+    name: 'file',
+    isAvailable: () => true,
+    increment,
+    getTotals,
+    countUniques,
+    recentVisits,
+    locations,
+    getVisitor,
+    deleteVisitor,
+    pruneVisitors,
+    readStats,
+    exportSnapshot,
+    exportRecords,
+    importSnapshot,
+    clear,
+    isEmpty,
+    close
+  };
+}
+
+module.exports = { createFileStore, createAtomicWriter };
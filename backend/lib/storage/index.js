@@ -0,0 +1,197 @@
+// Visit storage layer.
+//
+// Every backend (file, redis, sqlite) implements the same adapter interface:
+//   increment(ip, dims) -> { total, unique, yourVisits }
+//   getTotals() -> { total, unique }   (unique is a HyperLogLog estimate)
+//   countUniques(dayKeys) -> unique visitors across the union of those UTC days
+//   recentVisits(limit) / locations() for the admin dashboard
+//   getVisitor(key) / deleteVisitor(key) / pruneVisitors(cutoffMs) for per-visitor records
+//   readStats(params) -> { bucketKey: { comboKey: count } }
+//   exportSnapshot() / importSnapshot(snapshot, { mode: 'merge' | 'replace' }) / clear()
+//   exportRecords() -> async iterable of export records (see ./transfer), for streaming
+//   isAvailable(), close()
+//
+// createVisitStore() wraps a primary adapter. When the primary is Redis, visits made while
+// it is unavailable go to the file store *and* to a pending journal; once Redis is ready
+// again the journal is merged into Redis so outage counts are not stranded in the file.
+// onFallback(fn) listeners hear about each switch from the primary to the file store.
+const path = require('path');
+const { createFileStore } = require('./file');
+const { createRedisClient, createRedisStore } = require('./redis');
+const { createSqliteStore } = require('./sqlite');
+const { emptySnapshot, mergeSnapshot } = require('./snapshot');
+
+const BACKENDS = ['file', 'redis', 'sqlite'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Resolve storage settings from the environment or a loaded config (see lib/config)
+function storageOptionsFromEnv(env = process.env, baseDir = path.join(__dirname, '..', '..')) {
+  const visitsFile = env.VISITS_FILE || path.join(baseDir, 'visits.json');
+  return {
+    backend: env.STORAGE_BACKEND || (env.REDIS_URL ? 'redis' : 'file'),
+    redisUrl: env.REDIS_URL,
+    visitsFile,
+    journalFile: path.join(path.dirname(visitsFile), 'visits.pending.json'),
+    sqliteFile: env.SQLITE_PATH || path.join(baseDir, 'visits.db'),
+    retentionMs: {
+      hour: Number(env.STATS_HOUR_RETENTION_DAYS || 31) * DAY_MS,
+      day: Number(env.STATS_DAY_RETENTION_DAYS || 730) * DAY_MS
+    },
+    recentMax: Number(env.RECENT_VISITS_MAX || 100),
+    // The file store rewrites visits.json at most this often
+    writeDelayMs: env.VISITS_WRITE_DELAY_MS != null ? Number(env.VISITS_WRITE_DELAY_MS) : 1000
+  };
+}
+
+// Open a single backend adapter by name. `redis` may be an existing ioredis client.
+function createBackendStore(name, options, { redis, logger, metrics } = {}) {
+  switch (name) {
+    case 'file':
+      return createFileStore({ file: options.visitsFile, logger, metrics, retentionMs: options.retentionMs, recentMax: options.recentMax, writeDelayMs: options.writeDelayMs });
+    case 'redis': {
+      if (!redis && !options.redisUrl) throw new Error('The redis storage backend requires REDIS_URL');
+      const client = redis || createRedisClient(options.redisUrl);
+      return createRedisStore({ redis: client, logger, retentionMs: options.retentionMs, recentMax: options.recentMax });
+    }
+    case 'sqlite':
+      return createSqliteStore({ file: options.sqliteFile, retentionMs: options.retentionMs, recentMax: options.recentMax });
+    default:
+      throw new Error(`Unknown storage backend "${name}". Use one of: ${BACKENDS.join(', ')}`);
+  }
+}
+
+function createVisitStore({ primary, fallback, journal, logger, metrics }) {
+  let reconciling = null;
+  let fellBack = false;
+  const fallbackListeners = [];
+
+  function active() {
+    return !fallback || primary.isAvailable() ? primary : fallback;
+  }
+
+  async function increment(ip, dims) {
+    if (!fallback) return primary.increment(ip, dims);
+    let reason = 'unavailable';
+    if (primary.isAvailable()) {
+      try {
+        const result = await primary.increment(ip, dims);
+        fellBack = false;
+        return result;
+      } catch (e) {
+        reason = 'error';
+        if (logger) logger.warn({ err: e, backend: primary.name }, 'Storage increment failed, falling back to file');
+      }
+    }
+    if (metrics) metrics.storageFallback(primary.name, reason);
+    // Listeners hear about the first fallback write of an outage only
+    if (!fellBack) {
+      fellBack = true;
+      for (const fn of fallbackListeners) fn({ backend: primary.name, fallback: fallback.name, reason });
+    }
+    if (journal) await journal.increment(ip, dims);
+    return fallback.increment(ip, dims);
+  }
+
+  // Merge visits recorded during a primary outage back into the primary
+  function reconcile() {
+    if (!journal || journal.isEmpty() || !primary.isAvailable()) return Promise.resolve(false);
+    if (reconciling) return reconciling;
+    reconciling = (async () => {
+      const snapshot = await journal.exportSnapshot();
+      await journal.clear();
+      try {
+        await primary.importSnapshot(snapshot, { mode: 'merge' });
+        if (logger) logger.info({ backend: primary.name, visits: snapshot.total }, 'Reconciled visits recorded during outage');
+        return true;
+      } catch (e) {
+        // Put the counts back so the next reconnect can retry
+        await journal.importSnapshot(snapshot, { mode: 'merge' });
+        if (logger) logger.warn({ err: e, backend: primary.name }, 'Reconciliation failed, will retry on next reconnect');
+        return false;
+      }
+    })().finally(() => { reconciling = null; });
+    return reconciling;
+  }
+
+  if (journal && primary.onReady) primary.onReady(() => { reconcile(); });
+
+  // Stored records for any of the given visitor keys (raw IP or privacy-mode hashes)
+  async function getVisitorRecords(keys) {
+    const store = active();
+    const records = await Promise.all(keys.map((key) => store.getVisitor(key)));
+    return records.filter(Boolean);
+  }
+
+  // Erase visitor keys from every store, including the fallback file and outage journal.
+  // Refuses while the primary is unreachable so an erasure is never silently partial.
+  async function deleteVisitorRecords(keys) {
+    if (!primary.isAvailable()) throw new Error(`${primary.name} storage is unavailable`);
+    const stores = [primary, fallback, journal].filter(Boolean);
+    let deleted = 0;
+    for (const key of keys) {
+      const results = await Promise.all(stores.map((s) => s.deleteVisitor(key)));
+      if (results.some(Boolean)) deleted += 1;
+    }
+    return deleted;
+  }
+
+  async function pruneVisitors(cutoffMs) {
+    const stores = [primary.isAvailable() ? primary : null, fallback, journal].filter(Boolean);
+    const removed = await Promise.all(stores.map((s) => s.pruneVisitors(cutoffMs)));
+    return removed.reduce((a, b) => a + b, 0);
+  }
+
+  function status() {
+    return {
+      backend: primary.name,
+      active: active().name,
+      primaryAvailable: primary.isAvailable(),
+      pendingReconcile: Boolean(journal && !journal.isEmpty())
+    };
+  }
+
+  async function close() {
+    await Promise.all([primary, fallback, journal].filter(Boolean).map((s) => s.close()));
+  }
+
+  return {
+    primary,
+    increment,
+    getTotals: () => active().getTotals(),
+    getVisitorRecords,
+    deleteVisitorRecords,
+    pruneVisitors,
+    countUniques: (dayKeys) => active().countUniques(dayKeys),
+    recentVisits: (limit) => active().recentVisits(limit),
+    locations: () => active().locations(),
+    readStats: (params) => active().readStats(params),
+    exportSnapshot: () => active().exportSnapshot(),
+    exportRecords: () => active().exportRecords(),
+    importSnapshot: (snapshot, opts) => active().importSnapshot(snapshot, opts),
+    reconcile,
+    onFallback: (fn) => fallbackListeners.push(fn),
+    status,
+    close
+  };
+}
+
+// Build the store used by the server. Redis gets a file fallback plus an outage journal.
+// `metrics` (lib/metrics) counts fallback writes and times visit file writes.
+function createStorage(options, { redis, logger, metrics } = {}) {
+  const primary = createBackendStore(options.backend, options, { redis, logger, metrics });
+  if (options.backend !== 'redis') return createVisitStore({ primary, logger, metrics });
+  const fallback = createBackendStore('file', options, { logger, metrics });
+  const journal = createFileStore({ file: options.journalFile, logger, metrics, writeDelayMs: options.writeDelayMs });
+  return createVisitStore({ primary, fallback, journal, logger, metrics });
+}
+
+module.exports = {
+  BACKENDS,
+  storageOptionsFromEnv,
+  createBackendStore,
+  createVisitStore,
+  createStorage,
+  createRedisClient,
+  emptySnapshot,
+  mergeSnapshot
+};
@@ -0,0 +1,300 @@
+// Redis visit store. Counters are atomic INCR/HINCRBY operations, so any number of app
+// instances can share one Redis. Availability follows the client's ready/error events.
+const Redis = require('ioredis');
+const { GRANULARITIES, bucketKey, comboKey } = require('../stats');
+const { emptySnapshot, recentEntry, geoCellKey, geoCells } = require('./snapshot');
+const { decode } = require('../hll');
+const { visitorRecord } = require('./transfer');
+
+const KEYS = {
+  total: 'visits:total',
+  byIp: 'visits:byIp',
+  lastSeen: 'visits:lastSeen',
+  // HyperLogLog unique visitors: all time and per UTC day (PFCOUNT of several days = range union)
+  uniques: 'visits:uniq',
+  uniquesDay: (day) => `visits:uniq:day:${day}`,
+  recent: 'visits:recent',
+  geo: 'visits:geo',
+  stats: (granularity, bucket) => `visits:stats:${granularity}:${bucket}`
+};
+
+function createRedisClient(url) {
+  // Configure ioredis with sensible reconnection policy
+  return new Redis(url, {
+    // reconnect delay: linear backoff up to 2s
+    retryStrategy: (times) => Math.min(50 * times, 2000),
+    // do not fail commands when connection is down; let us handle fallback
+    maxRetriesPerRequest: null,
+    enableReadyCheck: true,
+  });
+}
+
+function createRedisStore({ redis, logger, retentionMs = {}, recentMax = 100 }) {
+  let ready = redis.status === 'ready';
+  const readyListeners = [];
+
+  redis.on('ready', () => {
+    ready = true;
+    if (logger) logger.info('Redis ready');
+    seedUniques().catch((err) => { if (logger) logger.warn({ err }, 'Failed to seed unique visitor sketch'); });
+    for (const fn of readyListeners) fn();
+  });
+
+  // Visits recorded before the HyperLogLog existed: build it once from the visitor hash
+  async function seedUniques() {
+    if (await redis.exists(KEYS.uniques)) return;
+    let cursor = '0';
+    do {
+      const [next, flat] = await redis.hscan(KEYS.byIp, cursor, 'COUNT', 1000);
+      cursor = next;
+      const keys = flat.filter((_, i) => i % 2 === 0);
+      if (keys.length) await redis.pfadd(KEYS.uniques, ...keys);
+    } while (cursor !== '0');
+  }
+  redis.on('error', (err) => { ready = false; if (logger) logger.warn({ err }, 'Redis error'); });
+  redis.on('end', () => { ready = false; if (logger) logger.info('Redis connection closed'); });
+
+  async function increment(ip, dims = {}, now = new Date()) {
+    const combo = comboKey(dims);
+    const dayKey = KEYS.uniquesDay(bucketKey(now, 'day'));
+    const multi = redis.multi()
+      .incr(KEYS.total)
+      .hincrby(KEYS.byIp, ip, 1)
+      .pfadd(KEYS.uniques, ip)
+      .pfcount(KEYS.uniques)
+      .zadd(KEYS.lastSeen, now.getTime(), ip)
+      .pfadd(dayKey, ip);
+    if (retentionMs.day) multi.pexpire(dayKey, retentionMs.day);
+    multi.lpush(KEYS.recent, JSON.stringify(recentEntry(dims, now))).ltrim(KEYS.recent, 0, recentMax - 1);
+    const cell = geoCellKey(dims);
+    if (cell) multi.hincrby(KEYS.geo, cell, 1);
+    for (const granularity of Object.keys(GRANULARITIES)) {
+      const key = KEYS.stats(granularity, bucketKey(now, granularity));
+      multi.hincrby(key, combo, 1);
+      if (retentionMs[granularity]) multi.pexpire(key, retentionMs[granularity]);
+    }
+    const replies = await multi.exec();
+    const failed = replies.find(([err]) => err);
+    if (failed) throw failed[0];
+    const [[, total], [, yourVisits], , [, unique]] = replies;
+    return { total: Number(total || 0), unique: Number(unique || 0), yourVisits: Number(yourVisits || 0) };
+  }
+
+  async function getTotals() {
+    const [total, unique] = await Promise.all([redis.get(KEYS.total), redis.pfcount(KEYS.uniques)]);
+    return { total: Number(total || 0), unique: Number(unique || 0) };
+  }
+
+  async function recentVisits(limit = recentMax) {
+    const items = await redis.lrange(KEYS.recent, 0, Math.min(limit, recentMax) - 1);
+    return items.map((item) => JSON.parse(item));
+  }
+
+  async function locations() {
+    return geoCells(await redis.hgetall(KEYS.geo));
+  }
+
+  async function countUniques(dayKeys) {
+    if (!dayKeys.length) return 0;
+    return Number(await redis.pfcount(...dayKeys.map(KEYS.uniquesDay)));
+  }
+
+  // Merge a Redis-format sketch (Buffer) into a key via a temporary key and PFMERGE
+  async function mergeSketch(key, buf) {
+    const tmp = `${key}:import:${process.pid}:${Date.now()}`;
+    await redis.multi().set(tmp, buf, 'PX', 60 * 1000).pfmerge(key, tmp).del(tmp).exec();
+  }
+
+  async function getVisitor(key) {
+    const [visits, lastSeen] = await Promise.all([redis.hget(KEYS.byIp, key), redis.zscore(KEYS.lastSeen, key)]);
+    if (visits === null) return null;
+    return { key, visits: Number(visits), lastSeen: lastSeen === null ? null : Number(lastSeen) };
+  }
+
+  async function deleteVisitor(key) {
+    const [[, removed]] = await redis.multi().hdel(KEYS.byIp, key).zrem(KEYS.lastSeen, key).exec();
+    return Number(removed) > 0;
+  }
+
+  // Drop visitor records last seen before cutoffMs. Visitors missing from the lastSeen
+  // index (recorded before timestamps were kept) count as old.
+  async function pruneVisitors(cutoffMs) {
+    let removed = 0;
+    let cursor = '0';
+    do {
+      const [next, flat] = await redis.hscan(KEYS.byIp, cursor, 'COUNT', 500);
+      cursor = next;
+      const keys = flat.filter((_, i) => i % 2 === 0);
+      if (!keys.length) continue;
+      const pipeline = redis.pipeline();
+      for (const key of keys) pipeline.zscore(KEYS.lastSeen, key);
+      const scores = await pipeline.exec();
+      const stale = keys.filter((key, i) => scores[i][1] === null || Number(scores[i][1]) < cutoffMs);
+      if (stale.length) {
+        await redis.multi().hdel(KEYS.byIp, ...stale).zrem(KEYS.lastSeen, ...stale).exec();
+        removed += stale.length;
+      }
+    } while (cursor !== '0');
+    await redis.zremrangebyscore(KEYS.lastSeen, '-inf', `(${cutoffMs}`);
+    return removed;
+  }
+
+  async function readStats(params) {
+    const pipeline = redis.pipeline();
+    for (const key of params.buckets) pipeline.hgetall(KEYS.stats(params.granularity, key));
+    const replies = await pipeline.exec();
+    const data = {};
+    params.buckets.forEach((key, i) => {
+      const [err, value] = replies[i];
+      if (err) throw err;
+      data[key] = value || {};
+    });
+    return data;
+  }
+
+  async function scanKeys(pattern) {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 500);
+      cursor = next;
+      keys.push(...batch);
+    } while (cursor !== '0');
+    return keys;
+  }
+
+  async function exportSnapshot() {
+    const snapshot = emptySnapshot();
+    snapshot.total = Number(await redis.get(KEYS.total) || 0);
+    const byIp = await redis.hgetall(KEYS.byIp);
+    for (const [ip, n] of Object.entries(byIp)) snapshot.byIp[ip] = Number(n);
+    const lastSeen = await redis.zrange(KEYS.lastSeen, 0, -1, 'WITHSCORES');
+    for (let i = 0; i < lastSeen.length; i += 2) snapshot.lastSeen[lastSeen[i]] = Number(lastSeen[i + 1]);
+    snapshot.recent = await recentVisits();
+    const geo = await redis.hgetall(KEYS.geo);
+    for (const [cell, n] of Object.entries(geo)) snapshot.geo[cell] = Number(n);
+    const all = await redis.getBuffer(KEYS.uniques);
+    if (all) snapshot.uniques.all = decode(all).toBuffer().toString('base64');
+    for (const key of await scanKeys(KEYS.uniquesDay('*'))) {
+      const buf = await redis.getBuffer(key);
+      if (buf) snapshot.uniques.day[key.split(':').pop()] = decode(buf).toBuffer().toString('base64');
+    }
+    for (const key of await scanKeys('visits:stats:*')) {
+      const [, , granularity, bucket] = key.split(':');
+      if (!GRANULARITIES[granularity]) continue;
+      const combos = await redis.hgetall(key);
+      snapshot.stats[granularity][bucket] = Object.fromEntries(Object.entries(combos).map(([c, n]) => [c, Number(n)]));
+    }
+    return snapshot;
+  }
+
+  // Pages of [field, value] pairs of a hash via HSCAN. SCAN may return a field twice while
+  // the hash is rehashed, so fields already seen are skipped (only their names are kept).
+  async function* scanHash(key) {
+    const seen = new Set();
+    let cursor = '0';
+    do {
+      const [next, flat] = await redis.hscan(key, cursor, 'COUNT', 500);
+      cursor = next;
+      const page = [];
+      for (let i = 0; i < flat.length; i += 2) {
+        if (seen.has(flat[i])) continue;
+        seen.add(flat[i]);
+        page.push([flat[i], flat[i + 1]]);
+      }
+      if (page.length) yield page;
+    } while (cursor !== '0');
+  }
+
+  // Export records (see ./transfer) read page by page, so large stores stream instead of
+  // being loaded in one go
+  async function* exportRecords() {
+    yield { type: 'total', count: Number(await redis.get(KEYS.total) || 0) };
+    for await (const page of scanHash(KEYS.byIp)) {
+      const pipeline = redis.pipeline();
+      for (const [key] of page) pipeline.zscore(KEYS.lastSeen, key);
+      const scores = await pipeline.exec();
+      for (let i = 0; i < page.length; i++) yield visitorRecord(page[i][0], page[i][1], scores[i][1]);
+    }
+    for (const key of new Set(await scanKeys('visits:stats:*'))) {
+      const [, , granularity, bucket] = key.split(':');
+      if (!GRANULARITIES[granularity]) continue;
+      const combos = await redis.hgetall(key);
+      for (const [combo, n] of Object.entries(combos)) yield { type: 'stat', granularity, bucket, combo, count: Number(n) };
+    }
+    for await (const page of scanHash(KEYS.geo)) {
+      for (const [cell, n] of page) yield { type: 'geo', cell, count: Number(n) };
+    }
+    for (const visit of await recentVisits()) yield { type: 'recent', visit };
+    const all = await redis.getBuffer(KEYS.uniques);
+    if (all) yield { type: 'sketch', key: 'all', data: decode(all).toBuffer().toString('base64') };
+    for (const key of new Set(await scanKeys(KEYS.uniquesDay('*')))) {
+      const buf = await redis.getBuffer(key);
+      if (buf) yield { type: 'sketch', key: key.split(':').pop(), data: decode(buf).toBuffer().toString('base64') };
+    }
+  }
+
+  // mode 'merge' adds counts to the existing ones, 'replace' overwrites everything
+  async function importSnapshot(snapshot, { mode = 'merge' } = {}) {
+    if (mode === 'replace') await clear();
+    const multi = redis.multi();
+    if (snapshot.total) multi.incrby(KEYS.total, Number(snapshot.total));
+    for (const [cell, n] of Object.entries(snapshot.geo || {})) multi.hincrby(KEYS.geo, cell, Number(n));
+    if (snapshot.recent && snapshot.recent.length) {
+      // Merge by timestamp with what is already there, newest first
+      const existing = await recentVisits();
+      const merged = existing.concat(snapshot.recent).sort((a, b) => (a.ts < b.ts ? 1 : -1)).slice(0, recentMax);
+      multi.del(KEYS.recent).rpush(KEYS.recent, ...merged.map((e) => JSON.stringify(e)));
+    }
+    for (const [ip, n] of Object.entries(snapshot.byIp || {})) multi.hincrby(KEYS.byIp, ip, Number(n));
+    // GT keeps the most recent timestamp when merging
+    for (const [ip, ts] of Object.entries(snapshot.lastSeen || {})) multi.zadd(KEYS.lastSeen, 'GT', Number(ts), ip);
+    for (const [granularity, buckets] of Object.entries(snapshot.stats || {})) {
+      if (!GRANULARITIES[granularity]) continue;
+      for (const [bucket, combos] of Object.entries(buckets || {})) {
+        const key = KEYS.stats(granularity, bucket);
+        for (const [combo, n] of Object.entries(combos || {})) multi.hincrby(key, combo, Number(n));
+        if (retentionMs[granularity]) multi.pexpire(key, retentionMs[granularity]);
+      }
+    }
+    await multi.exec();
+    const uniques = snapshot.uniques || {};
+    if (uniques.all) await mergeSketch(KEYS.uniques, Buffer.from(uniques.all, 'base64'));
+    for (const [day, b64] of Object.entries(uniques.day || {})) {
+      const key = KEYS.uniquesDay(day);
+      await mergeSketch(key, Buffer.from(b64, 'base64'));
+      if (retentionMs.day) await redis.pexpire(key, retentionMs.day);
+    }
+  }
+
+  async function clear() {
+    const keys = [KEYS.total, KEYS.byIp, KEYS.lastSeen, KEYS.uniques, KEYS.recent, KEYS.geo, ...await scanKeys(KEYS.uniquesDay('*')), ...await scanKeys('visits:stats:*')];
+    await redis.del(...keys);
+  }
+
+  async function close() {
+    await redis.quit().catch(() => redis.disconnect());
+  }
+
+  return {
+    name: 'redis',
+    isAvailable: () => ready,
+    onReady: (fn) => readyListeners.push(fn),
+    increment,
+    getTotals,
+    countUniques,
+    recentVisits,
+    locations,
+    getVisitor,
+    deleteVisitor,
+    pruneVisitors,
+    readStats,
+    exportSnapshot,
+    exportRecords,
+    importSnapshot,
+    clear,
+    close
+  };
+}
+
+module.exports = { KEYS, createRedisClient, createRedisStore };
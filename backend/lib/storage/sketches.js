@@ -0,0 +1,106 @@
+// HyperLogLog unique-visitor sketches for backends without native HLL (file, SQLite).
+// Keeps the all-time sketch and the current day's sketch in memory and hands changed
+// sketches to the backend's save() as Redis-compatible buffers (see lib/hll.js).
+const { createSketch, decode, mergeSketches } = require('../hll');
+
+const ALL = 'all';
+const dayName = (dayKey) => `day:${dayKey}`;
+
+// io: { load(name) -> Buffer|null, save(name, buffer), remove(name), list() -> names }
+function createSketchSet(io) {
+  const cache = new Map();
+
+  function get(name) {
+    if (cache.has(name)) return cache.get(name);
+    const buf = io.load(name);
+    const sketch = buf ? decode(buf) : createSketch();
+    cache.set(name, sketch);
+    return sketch;
+  }
+
+  // Record a visitor key for the all-time and per-day sketches
+  function add(key, dayKey) {
+    for (const name of [ALL, dayName(dayKey)]) {
+      const sketch = get(name);
+      if (sketch.add(key)) io.save(name, sketch.toBuffer());
+    }
+    // Only today's sketch stays hot; older days are read from storage on demand
+    for (const name of cache.keys()) {
+      if (name !== ALL && name !== dayName(dayKey)) cache.delete(name);
+    }
+  }
+
+  function countAll() {
+    return get(ALL).count();
+  }
+
+  // Union of the given days' sketches
+  function countDays(dayKeys) {
+    return mergeSketches(dayKeys.map((d) => {
+      const name = dayName(d);
+      if (cache.has(name)) return cache.get(name);
+      const buf = io.load(name);
+      return buf ? decode(buf) : null;
+    })).count();
+  }
+
+  // Seed the all-time sketch from existing visitor keys (data recorded before sketches existed)
+  function seed(keys) {
+    const sketch = get(ALL);
+    let changed = false;
+    for (const key of keys) changed = sketch.add(key) || changed;
+    if (changed) io.save(ALL, sketch.toBuffer());
+  }
+
+  function hasAll() {
+    return cache.has(ALL) ? !cache.get(ALL).isEmpty() : Boolean(io.load(ALL));
+  }
+
+  function prune(oldestDayKey) {
+    for (const name of io.list()) {
+      if (name.startsWith('day:') && name.slice(4) < oldestDayKey) {
+        io.remove(name);
+        cache.delete(name);
+      }
+    }
+  }
+
+  // [key, base64] per stored sketch, key 'all' or a day key, loading one sketch at a time
+  function* entries() {
+    for (const name of io.list()) {
+      if (name !== ALL && !name.startsWith('day:')) continue;
+      const buf = cache.has(name) ? cache.get(name).toBuffer() : io.load(name);
+      if (buf) yield [name === ALL ? ALL : name.slice(4), buf.toString('base64')];
+    }
+  }
+
+  // { all: base64, day: { dayKey: base64 } }
+  function exportAll() {
+    const out = { all: null, day: {} };
+    for (const [key, b64] of entries()) {
+      if (key === ALL) out.all = b64;
+      else out.day[key] = b64;
+    }
+    return out;
+  }
+
+  function importAll(uniques, { mode = 'merge' } = {}) {
+    if (mode === 'replace') clear();
+    if (!uniques) return;
+    const entries = [[ALL, uniques.all], ...Object.entries(uniques.day || {}).map(([d, b]) => [dayName(d), b])];
+    for (const [name, b64] of entries) {
+      if (!b64) continue;
+      const sketch = get(name);
+      if (sketch.merge(decode(Buffer.from(b64, 'base64')))) io.save(name, sketch.toBuffer());
+    }
+  }
+
+  function clear() {
+    for (const name of io.list()) io.remove(name);
+    cache.clear();
+  }
+
+  return { add, countAll, countDays, seed, hasAll, prune, entries, exportAll, importAll, clear };
+}
+
+module.exports = { createSketchSet };
@@ -0,0 +1,98 @@
+// Backend-neutral snapshot of all visit data, used for migration and reconciliation:
+// { total, byIp: { key: count }, lastSeen: { key: epochMs }, stats: { hour: { bucket: { combo: count } }, day: { ... } } }
+// Visitor keys are raw IPs, or salted hashes in privacy mode (see lib/privacy.js).
+// `uniques` holds Redis-format HyperLogLog sketches as base64: { all, day: { dayKey: b64 } }.
+// `recent` is the newest-first list of recent visits (no IPs) and `geo` counts visits per
+// coarse location cell ("lat,lon" rounded to 0.1°) for the admin heatmap.
+
+const { normalizeClientIp } = require('../ip');
+
+function emptySnapshot() {
+  return { total: 0, byIp: {}, lastSeen: {}, stats: { hour: {}, day: {} }, uniques: { all: null, day: {} }, recent: [], geo: {} };
+}
+
+const round = (v, digits) => Math.round(Number(v) * 10 ** digits) / 10 ** digits;
+const hasCoords = (visit) => visit && visit.latitude != null && visit.longitude != null;
+
+// A recent-visit entry: coarse location (~1 km) and client type, never the IP
+function recentEntry(visit, now = new Date()) {
+  return {
+    ts: now.toISOString(),
+    country: visit.country || 'Unknown',
+    region: visit.region || '',
+    city: visit.city || '',
+    browser: visit.browser || 'Unknown',
+    os: visit.os || 'Unknown',
+    device: visit.device || 'Unknown',
+    latitude: hasCoords(visit) ? round(visit.latitude, 2) : null,
+    longitude: hasCoords(visit) ? round(visit.longitude, 2) : null
+  };
+}
+
+// Heatmap cell for a visit, or null when it has no coordinates
+function geoCellKey(visit) {
+  if (!hasCoords(visit)) return null;
+  return `${round(visit.latitude, 1).toFixed(1)},${round(visit.longitude, 1).toFixed(1)}`;
+}
+
+function geoCells(geo) {
+  return Object.entries(geo || {}).map(([cell, count]) => {
+    const [latitude, longitude] = cell.split(',').map(Number);
+    return { latitude, longitude, count: Number(count) };
+  });
+}
+
+// Add the counts of `extra` into `base` (mutates and returns base). Sketches in `uniques`
+// are merged by the stores themselves.
+function mergeSnapshot(base, extra) {
+  if (!extra) return base;
+  base.total = (Number(base.total) || 0) + (Number(extra.total) || 0);
+  base.byIp = base.byIp || {};
+  for (const [ip, n] of Object.entries(extra.byIp || {})) {
+    base.byIp[ip] = (Number(base.byIp[ip]) || 0) + (Number(n) || 0);
+  }
+  base.lastSeen = base.lastSeen || {};
+  for (const [key, ts] of Object.entries(extra.lastSeen || {})) {
+    base.lastSeen[key] = Math.max(Number(base.lastSeen[key]) || 0, Number(ts) || 0);
+  }
+  base.stats = base.stats || {};
+  for (const [granularity, buckets] of Object.entries(extra.stats || {})) {
+    const target = base.stats[granularity] = base.stats[granularity] || {};
+    for (const [bucket, combos] of Object.entries(buckets || {})) {
+      const t = target[bucket] = target[bucket] || {};
+      for (const [combo, n] of Object.entries(combos || {})) {
+        t[combo] = (Number(t[combo]) || 0) + (Number(n) || 0);
+      }
+    }
+  }
+  base.geo = base.geo || {};
+  for (const [cell, n] of Object.entries(extra.geo || {})) {
+    base.geo[cell] = (Number(base.geo[cell]) || 0) + (Number(n) || 0);
+  }
+  base.recent = (base.recent || []).concat(extra.recent || []).sort((a, b) => (a.ts < b.ts ? 1 : -1));
+  return base;
+}
+
+// Rewrite raw-IP visitor keys to their canonical form (lib/ip.js), merging visitors that
+// were stored under several spellings (e.g. ::1 and 127.0.0.1). Hashed privacy-mode keys
+// are left alone. The all-time unique sketch is dropped so the store re-seeds it from the
+// merged keys; per-day sketches cannot be corrected and are kept as they are.
+function canonicalizeVisitorKeys(snapshot) {
+  const byIp = {};
+  const lastSeen = {};
+  let rewritten = 0;
+  for (const [key, n] of Object.entries(snapshot.byIp || {})) {
+    const canonical = normalizeClientIp(key) || key;
+    if (canonical !== key) rewritten++;
+    byIp[canonical] = (Number(byIp[canonical]) || 0) + (Number(n) || 0);
+  }
+  for (const [key, ts] of Object.entries(snapshot.lastSeen || {})) {
+    const canonical = normalizeClientIp(key) || key;
+    lastSeen[canonical] = Math.max(Number(lastSeen[canonical]) || 0, Number(ts) || 0);
+  }
+  const uniques = { all: null, day: {}, ...snapshot.uniques };
+  if (rewritten) uniques.all = null;
+  return { snapshot: { ...snapshot, byIp, lastSeen, uniques }, rewritten };
+}
+
+module.exports = { emptySnapshot, mergeSnapshot, recentEntry, geoCellKey, geoCells, canonicalizeVisitorKeys };
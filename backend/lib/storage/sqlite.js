@@ -0,0 +1,266 @@
+// SQLite visit store (better-sqlite3, an optional dependency loaded on demand).
+// Suits single-host deployments that want durable counts without running Redis.
+const fs = require('fs');
+const path = require('path');
+const { GRANULARITIES, bucketKey, comboKey, oldestBucketKey } = require('../stats');
+const { emptySnapshot, recentEntry, geoCellKey, geoCells } = require('./snapshot');
+const { createSketchSet } = require('./sketches');
+const { visitorRecord } = require('./transfer');
+
+// Rows per query when exporting
+const EXPORT_PAGE = 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS counters (name TEXT PRIMARY KEY, value INTEGER NOT NULL DEFAULT 0);
+  CREATE TABLE IF NOT EXISTS visitors (ip TEXT PRIMARY KEY, count INTEGER NOT NULL DEFAULT 0, last_seen INTEGER);
+  CREATE TABLE IF NOT EXISTS stats (
+    granularity TEXT NOT NULL,
+    bucket TEXT NOT NULL,
+    combo TEXT NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (granularity, bucket, combo)
+  );
+  CREATE TABLE IF NOT EXISTS sketches (name TEXT PRIMARY KEY, data BLOB NOT NULL);
+  CREATE TABLE IF NOT EXISTS recent (id INTEGER PRIMARY KEY AUTOINCREMENT, ts TEXT NOT NULL, entry TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS geo (cell TEXT PRIMARY KEY, count INTEGER NOT NULL DEFAULT 0);
+`;
+
+function openDatabase(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (e) {
+    throw new Error('STORAGE_BACKEND=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  // Databases created before visitor timestamps were tracked
+  const columns = db.prepare('PRAGMA table_info(visitors)').all().map((c) => c.name);
+  if (!columns.includes('last_seen')) db.exec('ALTER TABLE visitors ADD COLUMN last_seen INTEGER');
+  return db;
+}
+
+function createSqliteStore({ file, retentionMs = {}, recentMax = 100 }) {
+  const db = openDatabase(file);
+  const stmt = {
+    addTotal: db.prepare('INSERT INTO counters (name, value) VALUES (\'total\', ?) ON CONFLICT(name) DO UPDATE SET value = value + excluded.value'),
+    getTotal: db.prepare('SELECT value FROM counters WHERE name = \'total\''),
+    addVisitor: db.prepare('INSERT INTO visitors (ip, count, last_seen) VALUES (?, ?, ?) ON CONFLICT(ip) DO UPDATE SET count = count + excluded.count, last_seen = MAX(COALESCE(last_seen, 0), COALESCE(excluded.last_seen, 0))'),
+    getVisitor: db.prepare('SELECT count, last_seen FROM visitors WHERE ip = ?'),
+    deleteVisitor: db.prepare('DELETE FROM visitors WHERE ip = ?'),
+    pruneVisitors: db.prepare('DELETE FROM visitors WHERE COALESCE(last_seen, 0) < ?'),
+    countVisitors: db.prepare('SELECT COUNT(*) AS n FROM visitors'),
+    allVisitors: db.prepare('SELECT ip, count, last_seen FROM visitors'),
+    addStat: db.prepare('INSERT INTO stats (granularity, bucket, combo, count) VALUES (?, ?, ?, ?) ON CONFLICT(granularity, bucket, combo) DO UPDATE SET count = count + excluded.count'),
+    readBuckets: db.prepare('SELECT bucket, combo, count FROM stats WHERE granularity = ? AND bucket >= ? AND bucket <= ?'),
+    allStats: db.prepare('SELECT granularity, bucket, combo, count FROM stats'),
+    pruneStats: db.prepare('DELETE FROM stats WHERE granularity = ? AND bucket < ?'),
+    loadSketch: db.prepare('SELECT data FROM sketches WHERE name = ?'),
+    saveSketch: db.prepare('INSERT INTO sketches (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data'),
+    removeSketch: db.prepare('DELETE FROM sketches WHERE name = ?'),
+    listSketches: db.prepare('SELECT name FROM sketches'),
+    addRecent: db.prepare('INSERT INTO recent (ts, entry) VALUES (?, ?)'),
+    trimRecent: db.prepare('DELETE FROM recent WHERE id NOT IN (SELECT id FROM recent ORDER BY ts DESC, id DESC LIMIT ?)'),
+    readRecent: db.prepare('SELECT entry FROM recent ORDER BY ts DESC, id DESC LIMIT ?'),
+    addGeo: db.prepare('INSERT INTO geo (cell, count) VALUES (?, ?) ON CONFLICT(cell) DO UPDATE SET count = count + excluded.count'),
+    allGeo: db.prepare('SELECT cell, count FROM geo'),
+    // Keyset pages for exportRecords()
+    visitorsAfter: db.prepare('SELECT ip, count, last_seen FROM visitors WHERE ip > ? ORDER BY ip LIMIT ?'),
+    statsAfter: db.prepare('SELECT granularity, bucket, combo, count FROM stats WHERE (granularity, bucket, combo) > (?, ?, ?) ORDER BY granularity, bucket, combo LIMIT ?'),
+    geoAfter: db.prepare('SELECT cell, count FROM geo WHERE cell > ? ORDER BY cell LIMIT ?')
+  };
+  const lastPruned = {};
+  const uniques = createSketchSet({
+    load: (name) => {
+      const row = stmt.loadSketch.get(name);
+      return row ? row.data : null;
+    },
+    save: (name, buf) => stmt.saveSketch.run(name, buf),
+    remove: (name) => stmt.removeSketch.run(name),
+    list: () => stmt.listSketches.all().map((r) => r.name)
+  });
+
+  // Visits recorded before unique sketches existed
+  if (!uniques.hasAll() && stmt.countVisitors.get().n) {
+    uniques.seed(stmt.allVisitors.all().map((r) => r.ip));
+  }
+
+  const incrementTx = db.transaction((ip, dims, now) => {
+    stmt.addTotal.run(1);
+    stmt.addVisitor.run(ip, 1, now.getTime());
+    const combo = comboKey(dims);
+    for (const granularity of Object.keys(GRANULARITIES)) {
+      const bucket = bucketKey(now, granularity);
+      stmt.addStat.run(granularity, bucket, combo, 1);
+      // Prune once per new bucket rather than on every visit
+      if (retentionMs[granularity] && lastPruned[granularity] !== bucket) {
+        const oldest = oldestBucketKey(now, granularity, retentionMs[granularity]);
+        stmt.pruneStats.run(granularity, oldest);
+        if (granularity === 'day') uniques.prune(oldest);
+        lastPruned[granularity] = bucket;
+      }
+    }
+    uniques.add(ip, bucketKey(now, 'day'));
+    const entry = recentEntry(dims, now);
+    stmt.addRecent.run(entry.ts, JSON.stringify(entry));
+    stmt.trimRecent.run(recentMax);
+    const cell = geoCellKey(dims);
+    if (cell) stmt.addGeo.run(cell, 1);
+    return {
+      total: stmt.getTotal.get().value,
+      unique: uniques.countAll(),
+      yourVisits: stmt.getVisitor.get(ip).count
+    };
+  });
+
+  async function increment(ip, dims = {}, now = new Date()) {
+    return incrementTx(ip, dims, now);
+  }
+
+  async function getTotals() {
+    const row = stmt.getTotal.get();
+    return { total: row ? row.value : 0, unique: uniques.countAll() };
+  }
+
+  async function recentVisits(limit = recentMax) {
+    return stmt.readRecent.all(Math.min(limit, recentMax)).map((r) => JSON.parse(r.entry));
+  }
+
+  async function locations() {
+    return geoCells(Object.fromEntries(stmt.allGeo.all().map((r) => [r.cell, r.count])));
+  }
+
+  async function countUniques(dayKeys) {
+    return uniques.countDays(dayKeys);
+  }
+
+  async function getVisitor(key) {
+    const row = stmt.getVisitor.get(key);
+    return row ? { key, visits: row.count, lastSeen: row.last_seen } : null;
+  }
+
+  async function deleteVisitor(key) {
+    return stmt.deleteVisitor.run(key).changes > 0;
+  }
+
+  // Drop visitor records last seen before cutoffMs (records without a timestamp count as old)
+  async function pruneVisitors(cutoffMs) {
+    return stmt.pruneVisitors.run(cutoffMs).changes;
+  }
+
+  async function readStats(params) {
+    const data = Object.fromEntries(params.buckets.map((key) => [key, {}]));
+    if (!params.buckets.length) return data;
+    const rows = stmt.readBuckets.all(params.granularity, params.buckets[0], params.buckets[params.buckets.length - 1]);
+    for (const { bucket, combo, count } of rows) {
+      if (data[bucket]) data[bucket][combo] = count;
+    }
+    return data;
+  }
+
+  async function exportSnapshot() {
+    const snapshot = emptySnapshot();
+    const row = stmt.getTotal.get();
+    snapshot.total = row ? row.value : 0;
+    for (const { ip, count, last_seen: lastSeen } of stmt.allVisitors.all()) {
+      snapshot.byIp[ip] = count;
+      if (lastSeen) snapshot.lastSeen[ip] = lastSeen;
+    }
+    for (const { granularity, bucket, combo, count } of stmt.allStats.all()) {
+      const buckets = snapshot.stats[granularity] = snapshot.stats[granularity] || {};
+      buckets[bucket] = buckets[bucket] || {};
+      buckets[bucket][combo] = count;
+    }
+    snapshot.uniques = uniques.exportAll();
+    snapshot.recent = stmt.readRecent.all(recentMax).map((r) => JSON.parse(r.entry));
+    for (const { cell, count } of stmt.allGeo.all()) snapshot.geo[cell] = count;
+    return snapshot;
+  }
+
+  // Rows of a keyset-paginated query. Each page is read in full before it is yielded, so an
+  // export in progress never keeps the connection busy between pages.
+  function* paged(readPage) {
+    let last = null;
+    for (;;) {
+      const rows = readPage(last);
+      yield* rows;
+      if (rows.length < EXPORT_PAGE) return;
+      last = rows[rows.length - 1];
+    }
+  }
+
+  // Export records (see ./transfer), one page of rows at a time
+  async function* exportRecords() {
+    const row = stmt.getTotal.get();
+    yield { type: 'total', count: row ? row.value : 0 };
+    for (const { ip, count, last_seen: lastSeen } of paged((last) => stmt.visitorsAfter.all(last ? last.ip : '', EXPORT_PAGE))) {
+      yield visitorRecord(ip, count, lastSeen);
+    }
+    const statsPage = (last) => stmt.statsAfter.all(last ? last.granularity : '', last ? last.bucket : '', last ? last.combo : '', EXPORT_PAGE);
+    for (const { granularity, bucket, combo, count } of paged(statsPage)) {
+      yield { type: 'stat', granularity, bucket, combo, count };
+    }
+    for (const { cell, count } of paged((last) => stmt.geoAfter.all(last ? last.cell : '', EXPORT_PAGE))) {
+      yield { type: 'geo', cell, count };
+    }
+    for (const { entry } of stmt.readRecent.all(recentMax)) yield { type: 'recent', visit: JSON.parse(entry) };
+    for (const [key, b64] of uniques.entries()) yield { type: 'sketch', key, data: b64 };
+  }
+
+  const clearTx = db.transaction(() => {
+    db.exec('DELETE FROM counters; DELETE FROM visitors; DELETE FROM stats; DELETE FROM recent; DELETE FROM geo;');
+    uniques.clear();
+  });
+
+  // mode 'merge' adds counts to the existing ones, 'replace' overwrites everything
+  const importTx = db.transaction((snapshot, mode) => {
+    if (mode === 'replace') clearTx();
+    if (snapshot.total) stmt.addTotal.run(Number(snapshot.total));
+    const lastSeen = snapshot.lastSeen || {};
+    for (const [ip, n] of Object.entries(snapshot.byIp || {})) stmt.addVisitor.run(ip, Number(n), lastSeen[ip] || null);
+    for (const [granularity, buckets] of Object.entries(snapshot.stats || {})) {
+      for (const [bucket, combos] of Object.entries(buckets || {})) {
+        for (const [combo, n] of Object.entries(combos || {})) stmt.addStat.run(granularity, bucket, combo, Number(n));
+      }
+    }
+    uniques.importAll(snapshot.uniques);
+    for (const [cell, n] of Object.entries(snapshot.geo || {})) stmt.addGeo.run(cell, Number(n));
+    for (const entry of snapshot.recent || []) stmt.addRecent.run(entry.ts, JSON.stringify(entry));
+    stmt.trimRecent.run(recentMax);
+  });
+
+  async function importSnapshot(snapshot, { mode = 'merge' } = {}) {
+    importTx(snapshot, mode);
+  }
+
+  async function clear() {
+    clearTx();
+  }
+
+  async function close() {
+    db.close();
+  }
+
+  return {
+    name: 'sqlite',
+    isAvailable: () => db.open,
+    increment,
+    getTotals,
+    countUniques,
+    recentVisits,
+    locations,
+    getVisitor,
+    deleteVisitor,
+    pruneVisitors,
+    readStats,
+    exportSnapshot,
+    exportRecords,
+    importSnapshot,
+    clear,
+    close
+  };
+}
+
+module.exports = { createSqliteStore };
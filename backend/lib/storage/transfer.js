@@ -0,0 +1,310 @@
+// Export / import of visit data (/api/visits/export, /api/visits/import) and the backup
+// archives written by `cli.js backup`. A snapshot (see ./snapshot.js) is flattened into
+// one record per line so large stores can be streamed:
+//
+//   { type: 'meta', format: 'whoami-visits', version, exportedAt, backend }
+//   { type: 'total', count }
+//   { type: 'visitor', key, count, lastSeen }          lastSeen is an ISO time or null
+//   { type: 'stat', granularity, bucket, combo, count }
+//   { type: 'geo', cell, count }
+//   { type: 'recent', visit }
+//   { type: 'sketch', key, data }                      key 'all' or a day (YYYYMMDD), data base64
+//
+// ndjson is one record per line, json is { format, version, ..., records: [...] } and csv
+// has the columns type,key,bucket,count,time,data. All three import back losslessly.
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { GRANULARITIES } = require('../stats');
+const { decode } = require('../hll');
+const { emptySnapshot } = require('./snapshot');
+const { csvCell } = require('../format');
+
+const FORMAT = 'whoami-visits';
+const VERSION = 1;
+const ARCHIVE_FORMAT = 'whoami-visits-archive';
+const ARCHIVE_VERSION = 1;
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  csv: 'text/csv; charset=utf-8'
+};
+const CSV_COLUMNS = ['type', 'key', 'bucket', 'count', 'time', 'data'];
+
+// lastSeen is epoch milliseconds (or null) as the stores keep it
+function visitorRecord(key, count, lastSeen) {
+  return { type: 'visitor', key, count: Number(count), lastSeen: lastSeen ? new Date(Number(lastSeen)).toISOString() : null };
+}
+
+function* snapshotRecords(snapshot) {
+  yield { type: 'total', count: Number(snapshot.total) || 0 };
+  for (const [key, count] of Object.entries(snapshot.byIp || {})) {
+    yield visitorRecord(key, count, snapshot.lastSeen && snapshot.lastSeen[key]);
+  }
+  for (const [granularity, buckets] of Object.entries(snapshot.stats || {})) {
+    for (const [bucket, combos] of Object.entries(buckets || {})) {
+      for (const [combo, count] of Object.entries(combos || {})) {
+        yield { type: 'stat', granularity, bucket, combo, count: Number(count) };
+      }
+    }
+  }
+  for (const [cell, count] of Object.entries(snapshot.geo || {})) yield { type: 'geo', cell, count: Number(count) };
+  for (const visit of snapshot.recent || []) yield { type: 'recent', visit };
+  const uniques = snapshot.uniques || {};
+  if (uniques.all) yield { type: 'sketch', key: 'all', data: uniques.all };
+  for (const [day, data] of Object.entries(uniques.day || {})) yield { type: 'sketch', key: day, data };
+}
+
+function metaRecord(meta = {}) {
+  return { type: 'meta', format: FORMAT, version: VERSION, exportedAt: new Date().toISOString(), ...meta };
+}
+
+function toCsvRow(record) {
+  const row = { type: record.type };
+  switch (record.type) {
+    case 'meta': row.time = record.exportedAt; row.data = JSON.stringify(record); break;
+    case 'total': row.count = record.count; break;
+    case 'visitor': Object.assign(row, { key: record.key, count: record.count, time: record.lastSeen }); break;
+    case 'stat': Object.assign(row, { key: record.combo, bucket: `${record.granularity}:${record.bucket}`, count: record.count }); break;
+    case 'geo': Object.assign(row, { key: record.cell, count: record.count }); break;
+    case 'recent': Object.assign(row, { time: record.visit.ts, data: JSON.stringify(record.visit) }); break;
+    case 'sketch': Object.assign(row, { key: record.key, data: record.data }); break;
+    default: break;
+  }
+  return CSV_COLUMNS.map((column) => csvCell(row[column])).join(',') + '\n';
+}
+
+function fromCsvRow(row) {
+  const [type, key, bucket, count, time, data] = row;
+  switch (type) {
+    case 'meta': return JSON.parse(data);
+    case 'total': return { type, count: Number(count) };
+    case 'visitor': return { type, key, count: Number(count), lastSeen: time || null };
+    case 'stat': {
+      const idx = bucket.indexOf(':');
+      return { type, granularity: bucket.slice(0, idx), bucket: bucket.slice(idx + 1), combo: key, count: Number(count) };
+    }
+    case 'geo': return { type, cell: key, count: Number(count) };
+    case 'recent': return { type, visit: JSON.parse(data) };
+    case 'sketch': return { type, key, data };
+    default: return { type };
+  }
+}
+
+// Framing for an export format: `head` before the records, `row(record, first)` for each
+// one and `tail` after them
+function exportFormat(format, meta) {
+  const header = metaRecord(meta);
+  if (format === 'csv') {
+    return { head: CSV_COLUMNS.join(',') + '\n' + toCsvRow(header), row: toCsvRow, tail: '' };
+  }
+  if (format === 'ndjson') {
+    return { head: JSON.stringify(header) + '\n', row: (record) => JSON.stringify(record) + '\n', tail: '' };
+  }
+  const top = { ...header };
+  delete top.type;
+  return {
+    head: JSON.stringify(top).slice(0, -1) + ',"records":[',
+    row: (record, first) => (first ? '\n' : ',\n') + JSON.stringify(record),
+    tail: '\n]}\n'
+  };
+}
+
+// Export chunks (strings) for a snapshot, for Readable.from(...).pipe(res)
+function* exportChunks(snapshot, format, meta) {
+  const { head, row, tail } = exportFormat(format, meta);
+  yield head;
+  let first = true;
+  for (const record of snapshotRecords(snapshot)) {
+    yield row(record, first);
+    first = false;
+  }
+  if (tail) yield tail;
+}
+
+// The same for an async iterable of records, such as a store's exportRecords(), so an
+// export streams without holding the whole data set in memory
+async function* exportRecordChunks(records, format, meta) {
+  const { head, row, tail } = exportFormat(format, meta);
+  yield head;
+  let first = true;
+  for await (const record of records) {
+    yield row(record, first);
+    first = false;
+  }
+  if (tail) yield tail;
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw new Error('CSV ends inside a quoted field');
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.length > 1 || r[0] !== '');
+}
+
+function parseRecords(text, format) {
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header || header.join(',') !== CSV_COLUMNS.join(',')) throw new Error(`CSV header must be ${CSV_COLUMNS.join(',')}`);
+    return rows.map((row, i) => {
+      try {
+        return fromCsvRow(row);
+      } catch (e) {
+        throw new Error(`CSV row ${i + 2}: ${e.message}`);
+      }
+    });
+  }
+  if (format === 'ndjson') {
+    return text.split(/\r?\n/).map((line, i) => {
+      if (!line.trim()) return null;
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new Error(`Line ${i + 1}: invalid JSON`);
+      }
+    }).filter(Boolean);
+  }
+  const doc = JSON.parse(text);
+  if (!doc || !Array.isArray(doc.records)) throw new Error('JSON export must be an object with a records array');
+  const { records, ...meta } = doc;
+  return [{ type: 'meta', ...meta }, ...records];
+}
+
+const isCount = (n) => Number.isSafeInteger(n) && n >= 0;
+
+// Records -> snapshot, validating every record. Throws with the offending record number.
+function recordsToSnapshot(records) {
+  const snapshot = emptySnapshot();
+  let sawTotal = false;
+  let visitorSum = 0;
+  records.forEach((record, i) => {
+    const fail = (msg) => { throw new Error(`Record ${i + 1} (${record && record.type}): ${msg}`); };
+    if (!record || typeof record !== 'object') fail('not an object');
+    switch (record.type) {
+      case 'meta':
+        if (record.format && record.format !== FORMAT) fail(`unknown format ${record.format}`);
+        if (Number(record.version) > VERSION) fail(`version ${record.version} is newer than this server supports (${VERSION})`);
+        break;
+      case 'total':
+        if (!isCount(record.count)) fail('count must be a non-negative integer');
+        snapshot.total = record.count;
+        sawTotal = true;
+        break;
+      case 'visitor':
+        if (!record.key || typeof record.key !== 'string') fail('key is required');
+        if (!isCount(record.count)) fail('count must be a non-negative integer');
+        if (record.lastSeen && Number.isNaN(Date.parse(record.lastSeen))) fail('lastSeen must be an ISO time');
+        snapshot.byIp[record.key] = (snapshot.byIp[record.key] || 0) + record.count;
+        if (record.lastSeen) snapshot.lastSeen[record.key] = Date.parse(record.lastSeen);
+        visitorSum += record.count;
+        break;
+      case 'stat': {
+        if (!GRANULARITIES[record.granularity]) fail(`granularity must be one of ${Object.keys(GRANULARITIES).join(', ')}`);
+        if (!/^\d+$/.test(String(record.bucket))) fail('bucket must be a bucket key such as 2026101914');
+        if (typeof record.combo !== 'string') fail('combo is required');
+        if (!isCount(record.count)) fail('count must be a non-negative integer');
+        const buckets = snapshot.stats[record.granularity];
+        const combos = buckets[record.bucket] = buckets[record.bucket] || {};
+        combos[record.combo] = (combos[record.combo] || 0) + record.count;
+        break;
+      }
+      case 'geo':
+        if (!/^-?\d+(\.\d+)?,-?\d+(\.\d+)?$/.test(String(record.cell))) fail('cell must be "lat,lon"');
+        if (!isCount(record.count)) fail('count must be a non-negative integer');
+        snapshot.geo[record.cell] = (snapshot.geo[record.cell] || 0) + record.count;
+        break;
+      case 'recent':
+        if (!record.visit || typeof record.visit !== 'object' || Number.isNaN(Date.parse(record.visit.ts))) fail('visit with a ts is required');
+        snapshot.recent.push(record.visit);
+        break;
+      case 'sketch':
+        if (record.key !== 'all' && !/^\d{8}$/.test(String(record.key))) fail('key must be "all" or a day such as 20261019');
+        try {
+          decode(Buffer.from(String(record.data), 'base64'));
+        } catch (e) {
+          fail(`invalid HyperLogLog data: ${e.message}`);
+        }
+        if (record.key === 'all') snapshot.uniques.all = record.data;
+        else snapshot.uniques.day[record.key] = record.data;
+        break;
+      default:
+        fail('unknown record type');
+    }
+  });
+  // Older or hand-made files may omit the total; it is at least the sum of the visitors
+  if (!sawTotal) snapshot.total = visitorSum;
+  snapshot.recent.sort((a, b) => (a.ts < b.ts ? 1 : -1));
+  return snapshot;
+}
+
+// Parse an export in any of the formats into a snapshot
+function parseImport(text, format) {
+  if (!CONTENT_TYPES[format]) throw new Error(`Unknown format. Use one of: ${Object.keys(CONTENT_TYPES).join(', ')}`);
+  return recordsToSnapshot(parseRecords(String(text).replace(/^\uFEFF/, ''), format));
+}
+
+// Backup archive: gzip of a header line followed by the ndjson export. The header carries
+// the archive version and a SHA-256 of the ndjson bytes, checked before anything is restored.
+function createArchive(snapshot, meta = {}) {
+  const payload = Buffer.from(Array.from(exportChunks(snapshot, 'ndjson', meta)).join(''));
+  const header = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    createdAt: new Date().toISOString(),
+    ...meta,
+    total: Number(snapshot.total) || 0,
+    visitors: Object.keys(snapshot.byIp || {}).length,
+    bytes: payload.length,
+    sha256: crypto.createHash('sha256').update(payload).digest('hex')
+  };
+  return zlib.gzipSync(Buffer.concat([Buffer.from(JSON.stringify(header) + '\n'), payload]));
+}
+
+// Verify and unpack an archive. Returns { header, snapshot }; throws on any mismatch.
+function readArchive(buffer) {
+  let raw;
+  try {
+    raw = zlib.gunzipSync(buffer);
+  } catch (e) {
+    throw new Error('Not a backup archive (gzip data expected)');
+  }
+  const newline = raw.indexOf(0x0a);
+  let header;
+  try {
+    header = JSON.parse(raw.subarray(0, newline).toString('utf8'));
+  } catch (e) {
+    header = null;
+  }
+  if (!header || header.format !== ARCHIVE_FORMAT) throw new Error('Not a backup archive (missing header)');
+  if (header.version > ARCHIVE_VERSION) throw new Error(`Archive version ${header.version} is newer than this tool supports (${ARCHIVE_VERSION})`);
+  const payload = raw.subarray(newline + 1);
+  const sha256 = crypto.createHash('sha256').update(payload).digest('hex');
+  if (payload.length !== header.bytes || sha256 !== header.sha256) throw new Error('Archive checksum mismatch: the file is truncated or corrupted');
+  return { header, snapshot: parseImport(payload.toString('utf8'), 'ndjson') };
+}
+
+module.exports = { CONTENT_TYPES, visitorRecord, snapshotRecords, exportChunks, exportRecordChunks, parseCsv, parseImport, createArchive, readArchive };
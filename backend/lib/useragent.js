@@ -0,0 +1,160 @@
+// Client detection: UAParser on the User-Agent string, refined with User-Agent Client Hints
+// (Sec-CH-UA-*) when the browser sends them, plus human / bot / headless classification.
+// Chromium freezes parts of the UA string (e.g. Windows 11 still says "Windows NT 10.0"),
+// so hints win wherever they are present and `sources` records where each field came from.
+const UAParser = require('ua-parser-js');
+
+// High-entropy hints the browser only sends after being asked via Accept-CH. The low-entropy
+// Sec-CH-UA, Sec-CH-UA-Mobile and Sec-CH-UA-Platform are sent by default.
+const ACCEPT_CH = ['Sec-CH-UA-Full-Version-List', 'Sec-CH-UA-Platform-Version', 'Sec-CH-UA-Model'];
+// Hints worth a retry on the first navigation: without them Windows 11 reads as Windows 10
+const CRITICAL_CH = ['Sec-CH-UA-Platform-Version', 'Sec-CH-UA-Model'];
+// Request headers that change the detected client, for Vary
+const VARY_HEADERS = ['Sec-CH-UA', 'Sec-CH-UA-Mobile', 'Sec-CH-UA-Platform', ...ACCEPT_CH];
+
+// Known crawlers and link-preview fetchers. Command line clients (curl, wget, HTTPie) are
+// people using the API and stay human.
+const KNOWN_BOTS = [
+  [/googlebot|google-inspectiontool|adsbot-google|mediapartners-google/i, 'Googlebot'],
+  [/bingbot|bingpreview|msnbot/i, 'Bingbot'],
+  [/yandex(bot|images|mobilebot)/i, 'YandexBot'],
+  [/baiduspider/i, 'Baiduspider'],
+  [/duckduckbot|duckassistbot/i, 'DuckDuckBot'],
+  [/yahoo! slurp/i, 'Yahoo Slurp'],
+  [/applebot/i, 'Applebot'],
+  [/facebookexternalhit|facebookcatalog|meta-externalagent/i, 'Facebook'],
+  [/twitterbot/i, 'Twitterbot'],
+  [/linkedinbot/i, 'LinkedInBot'],
+  [/slackbot|slack-imgproxy/i, 'Slackbot'],
+  [/discordbot/i, 'Discordbot'],
+  [/telegrambot/i, 'TelegramBot'],
+  [/whatsapp/i, 'WhatsApp'],
+  [/ahrefsbot/i, 'AhrefsBot'],
+  [/semrushbot/i, 'SemrushBot'],
+  [/mj12bot/i, 'MJ12bot'],
+  [/dotbot/i, 'DotBot'],
+  [/petalbot/i, 'PetalBot'],
+  [/bytespider/i, 'Bytespider'],
+  [/gptbot|chatgpt-user|oai-searchbot/i, 'OpenAI'],
+  [/ccbot/i, 'CCBot'],
+  [/uptimerobot|pingdom|statuscake|site24x7/i, 'Uptime monitor'],
+  // Generic self-identified crawlers last: "SomeBot/1.0" or a "+https://..." info URL
+  [/(bot|crawler|spider|scraper)\/|\+https?:\/\/|crawl/i, 'Crawler']
+];
+
+const HEADLESS = [
+  [/headlesschrome/i, 'HeadlessChrome'],
+  [/phantomjs/i, 'PhantomJS'],
+  [/chrome-lighthouse|lighthouse/i, 'Lighthouse'],
+  [/puppeteer|playwright|selenium|webdriver/i, 'Automation']
+];
+
+// Client hint names -> UAParser names, so analytics keep one entry per browser / OS
+const BRAND_NAMES = { 'Google Chrome': 'Chrome', 'Microsoft Edge': 'Edge', 'Opera GX': 'Opera', 'Samsung Internet': 'Samsung Browser' };
+const PLATFORM_NAMES = { macOS: 'Mac OS' };
+
+// Brands Chromium adds to Sec-CH-UA to keep servers from matching on exact lists
+const GREASE = /not[^a-z]*a[^a-z]*brand/i;
+
+function unquote(value) {
+  return String(value || '').trim().replace(/^"(.*)"$/, '$1');
+}
+
+// Parse a Sec-CH-UA style structured list: "Brand";v="1", ... -> [{ brand, version }]
+function parseBrandList(header) {
+  if (!header) return [];
+  return String(header).split(',').map((item) => {
+    const [brand, ...params] = item.split(';');
+    const v = params.map((p) => p.trim()).find((p) => p.startsWith('v='));
+    return { brand: unquote(brand), version: v ? unquote(v.slice(2)) : '' };
+  }).filter((entry) => entry.brand && !GREASE.test(entry.brand));
+}
+
+// The most specific brand: anything beats the shared "Chromium" engine brand
+function primaryBrand(brands) {
+  return brands.find((b) => b.brand !== 'Chromium') || brands[0] || null;
+}
+
+// Sec-CH-UA-Platform-Version to a marketing OS name where the mapping is not 1:1
+function platformName(platform, version) {
+  if (platform === 'Windows') {
+    const major = parseInt(version, 10);
+    if (Number.isNaN(major)) return 'Windows';
+    if (major >= 13) return 'Windows 11';
+    if (major > 0) return 'Windows 10';
+    return 'Windows 8.1 or earlier';
+  }
+  if (!version) return platform;
+  return `${platform} ${version.replace(/(\.0)+$/, '')}`;
+}
+
+function parseClientHints(headers) {
+  const brands = parseBrandList(headers['sec-ch-ua-full-version-list'] || headers['sec-ch-ua']);
+  const mobile = headers['sec-ch-ua-mobile'];
+  return {
+    brand: primaryBrand(brands),
+    brands,
+    platform: unquote(headers['sec-ch-ua-platform']),
+    platformVersion: unquote(headers['sec-ch-ua-platform-version']),
+    model: unquote(headers['sec-ch-ua-model']),
+    mobile: mobile === '?1' ? true : mobile === '?0' ? false : null
+  };
+}
+
+function classifyBot(ua, hints) {
+  for (const [pattern, name] of HEADLESS) {
+    if (pattern.test(ua)) return { category: 'headless', name };
+  }
+  if (hints && hints.brands.some((b) => /headless/i.test(b.brand))) return { category: 'headless', name: 'HeadlessChrome' };
+  for (const [pattern, name] of KNOWN_BOTS) {
+    if (pattern.test(ua)) return { category: 'bot', name };
+  }
+  return { category: 'human', name: null };
+}
+
+// UAParser view of the User-Agent string alone
+function parseUserAgentString(ua) {
+  const parsed = new UAParser(ua || '').getResult();
+  return {
+    browser: parsed.browser && parsed.browser.name ? `${parsed.browser.name} ${parsed.browser.version || ''}`.trim() : 'Unknown',
+    os: parsed.os && parsed.os.name ? `${parsed.os.name} ${parsed.os.version || ''}`.trim() : 'Unknown',
+    // device.type can be 'mobile','tablet','console','smarttv','wearable' or undefined for desktop
+    device: parsed.device && parsed.device.type ? parsed.device.type : 'desktop',
+    model: [parsed.device && parsed.device.vendor, parsed.device && parsed.device.model].filter(Boolean).join(' '),
+    browserName: (parsed.browser && parsed.browser.name) || 'Unknown',
+    osName: (parsed.os && parsed.os.name) || 'Unknown'
+  };
+}
+
+// Detect the client from request headers. `browserName`/`osName` are version-less for
+// analytics; `sources` says whether each field came from 'client-hints' or 'user-agent'.
+function detectClient(headers = {}) {
+  const ua = headers['user-agent'] || '';
+  const hints = parseClientHints(headers);
+  let { browser, os, device, model, browserName, osName } = parseUserAgentString(ua);
+  const sources = { browser: 'user-agent', os: 'user-agent', device: 'user-agent', model: model ? 'user-agent' : null };
+
+  if (hints.brand) {
+    browserName = BRAND_NAMES[hints.brand.brand] || hints.brand.brand;
+    browser = `${browserName} ${hints.brand.version}`.trim();
+    sources.browser = 'client-hints';
+  }
+  if (hints.platform) {
+    osName = PLATFORM_NAMES[hints.platform] || hints.platform;
+    os = platformName(hints.platform, hints.platformVersion);
+    sources.os = 'client-hints';
+  }
+  // Sec-CH-UA-Mobile cannot tell tablets apart, so it only overrides the mobile/desktop call
+  if (hints.mobile !== null && !(hints.mobile === false && device === 'tablet')) {
+    device = hints.mobile ? 'mobile' : (device === 'mobile' ? 'desktop' : device);
+    sources.device = 'client-hints';
+  }
+  if (hints.model) {
+    model = hints.model;
+    sources.model = 'client-hints';
+  }
+
+  return { browser, os, device, model: model || null, browserName, osName, sources, bot: classifyBot(ua, hints) };
+}
+
+module.exports = { ACCEPT_CH, CRITICAL_CH, VARY_HEADERS, parseBrandList, parseClientHints, parseUserAgentString, classifyBot, detectClient };
@@ -0,0 +1,365 @@
+// Webhook notifications for visitor events. Each event is POSTed as JSON to every
+// WEBHOOK_URLS target and signed with HMAC-SHA256 over "<timestamp>.<body>" using
+// WEBHOOK_SECRET (header `X-Whoami-Signature: t=<timestamp>,v1=<hex>`).
+//
+// Deliveries are queued and retried with exponential backoff. With Redis the queue lives in
+// Redis (a sorted set of due times plus a hash of deliveries), so pending deliveries survive
+// restarts and each one is sent by whichever instance claims it first. Without Redis, or
+// while it is down, the queue is kept in memory. Delivery is at least once: receivers can
+// deduplicate on X-Whoami-Delivery.
+const crypto = require('crypto');
+const os = require('os');
+const { bucketRange, parseCombo } = require('./stats');
+
+const EVENTS = ['new-country', 'new-visitor', 'traffic-spike', 'storage-fallback'];
+
+const KEYS = {
+  queue: 'webhooks:queue',
+  deliveries: 'webhooks:deliveries',
+  history: 'webhooks:history',
+  countries: 'webhooks:countries',
+  spike: (minute) => `webhooks:spike:${minute}`
+};
+
+const BATCH = 20;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// One-line summary; chat incoming webhooks (Slack, Mattermost, ...) display `text`
+function describe(type, data) {
+  switch (type) {
+    case 'new-country':
+      return `First visit from ${data.country}${data.city ? ` (${data.city})` : ''}`;
+    case 'new-visitor':
+      return `New unique visitor from ${data.country || 'an unknown country'} (${data.device})`;
+    case 'traffic-spike':
+      return `Traffic spike: more than ${data.threshold} visits in the minute starting ${data.minute}`;
+    case 'storage-fallback':
+      return `Visit storage on ${data.instance} fell back from ${data.backend} to ${data.fallback}`;
+    default:
+      return type;
+  }
+}
+
+// Target shown in status output: the host only, since webhook URLs often carry tokens
+function targetHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return 'invalid';
+  }
+}
+
+function summary(delivery) {
+  return {
+    id: delivery.id,
+    eventId: delivery.event.id,
+    type: delivery.event.type,
+    target: targetHost(delivery.url),
+    status: delivery.status || 'pending',
+    attempts: delivery.attempts,
+    lastStatus: delivery.lastStatus || null,
+    lastError: delivery.lastError || null,
+    createdAt: delivery.event.createdAt,
+    nextAttemptAt: delivery.status ? null : new Date(delivery.nextAttemptAt).toISOString(),
+    finishedAt: delivery.finishedAt || null
+  };
+}
+
+function createWebhooks({
+  urls = [],
+  secret,
+  events = EVENTS,
+  redis = null,
+  logger,
+  metrics,
+  maxAttempts = 8,
+  retryBaseMs = 5000,
+  timeoutMs = 5000,
+  pollMs = 1000,
+  historyMax = 100
+} = {}) {
+  const enabled = urls.length > 0 && Boolean(secret);
+  const memoryQueue = new Map();
+  const memoryHistory = [];
+  let running = false;
+  let ticks = 0;
+
+  const useRedis = () => Boolean(redis && redis.status === 'ready');
+
+  function wants(type) {
+    return enabled && events.includes(type);
+  }
+
+  async function enqueue(delivery) {
+    if (useRedis()) {
+      try {
+        await redis.multi()
+          .hset(KEYS.deliveries, delivery.id, JSON.stringify(delivery))
+          .zadd(KEYS.queue, delivery.nextAttemptAt, delivery.id)
+          .exec();
+        return;
+      } catch (err) {
+        if (logger) logger.warn({ err }, 'Failed to queue webhook delivery in Redis, keeping it in memory');
+      }
+    }
+    memoryQueue.set(delivery.id, delivery);
+  }
+
+  // Queue `type` with its `data` for every target
+  function notify(type, data) {
+    if (!wants(type)) return;
+    const event = { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), text: describe(type, data), data };
+    for (const url of urls) {
+      enqueue({ id: crypto.randomUUID(), url, event, attempts: 0, nextAttemptAt: Date.now() });
+    }
+  }
+
+  async function finish(delivery, status) {
+    delivery.status = status;
+    delivery.finishedAt = new Date().toISOString();
+    if (metrics) metrics.webhookDelivery(delivery.event.type, status);
+    if (status === 'failed' && logger) logger.warn({ delivery: summary(delivery) }, 'Webhook delivery failed permanently');
+    const record = summary(delivery);
+    if (useRedis()) {
+      try {
+        await redis.multi()
+          .hdel(KEYS.deliveries, delivery.id)
+          .lpush(KEYS.history, JSON.stringify(record))
+          .ltrim(KEYS.history, 0, historyMax - 1)
+          .exec();
+        return;
+      } catch (err) {
+        if (logger) logger.warn({ err }, 'Failed to record webhook delivery in Redis');
+      }
+    }
+    memoryHistory.unshift(record);
+    memoryHistory.length = Math.min(memoryHistory.length, historyMax);
+  }
+
+  // Backoff before retry n (1-based): retryBaseMs * 2^(n-1), capped at an hour, ±20% jitter
+  function backoff(attempts) {
+    const delay = Math.min(retryBaseMs * 2 ** (attempts - 1), MAX_DELAY_MS);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  async function attempt(delivery) {
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    delivery.attempts += 1;
+    delivery.lastStatus = null;
+    delivery.lastError = null;
+    try {
+      const res = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'whoami-webhooks',
+          'X-Whoami-Event': delivery.event.type,
+          'X-Whoami-Delivery': delivery.id,
+          'X-Whoami-Signature': `t=${timestamp},v1=${sign(secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      delivery.lastStatus = res.status;
+      await res.arrayBuffer().catch(() => {});
+      if (!res.ok) delivery.lastError = `HTTP ${res.status}`;
+    } catch (err) {
+      delivery.lastError = err.message;
+    }
+
+    if (!delivery.lastError) return finish(delivery, 'delivered');
+    // Client errors other than timeouts and rate limits will not fix themselves
+    const status = delivery.lastStatus;
+    const permanent = status >= 400 && status < 500 && status !== 408 && status !== 429;
+    if (permanent || delivery.attempts >= maxAttempts) return finish(delivery, 'failed');
+    if (metrics) metrics.webhookDelivery(delivery.event.type, 'retry');
+    delete delivery.claimedAt;
+    delivery.nextAttemptAt = Date.now() + backoff(delivery.attempts);
+    return enqueue(delivery);
+  }
+
+  // Take due deliveries off the queues. In Redis a delivery belongs to the instance whose
+  // ZREM removed it; it stays in the hash (with claimedAt) until it is finished or requeued.
+  async function claimDue() {
+    const now = Date.now();
+    const due = [];
+    for (const delivery of memoryQueue.values()) {
+      if (delivery.nextAttemptAt <= now && due.length < BATCH) due.push(delivery);
+    }
+    for (const delivery of due) memoryQueue.delete(delivery.id);
+    if (!useRedis()) return due;
+
+    const ids = await redis.zrangebyscore(KEYS.queue, '-inf', now, 'LIMIT', 0, BATCH);
+    for (const id of ids) {
+      if (await redis.zrem(KEYS.queue, id) !== 1) continue;
+      const raw = await redis.hget(KEYS.deliveries, id);
+      if (!raw) continue;
+      const delivery = JSON.parse(raw);
+      delivery.claimedAt = now;
+      await redis.hset(KEYS.deliveries, id, JSON.stringify(delivery));
+      due.push(delivery);
+    }
+    return due;
+  }
+
+  // Deliveries claimed by an instance that died before finishing them go back in the queue.
+  // A tick sends its claimed batch one delivery after another, so a live claim can be up to
+  // BATCH timeouts old; only claims older than that (plus a minute of slack) are abandoned.
+  async function requeueAbandoned() {
+    const staleBefore = Date.now() - (timeoutMs * BATCH + 60 * 1000);
+    const entries = await redis.hgetall(KEYS.deliveries);
+    for (const [id, raw] of Object.entries(entries || {})) {
+      const delivery = JSON.parse(raw);
+      if (delivery.claimedAt && delivery.claimedAt < staleBefore) {
+        delete delivery.claimedAt;
+        await enqueue(delivery);
+        if (logger) logger.info({ id }, 'Requeued abandoned webhook delivery');
+      }
+    }
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      if (useRedis() && ticks++ % 60 === 0) await requeueAbandoned();
+      const due = await claimDue();
+      for (const delivery of due) await attempt(delivery);
+    } catch (err) {
+      if (logger) logger.warn({ err }, 'Webhook queue processing failed');
+    } finally {
+      running = false;
+    }
+  }
+
+  const timer = enabled ? setInterval(tick, pollMs) : null;
+  if (timer) timer.unref();
+
+  // Queue and recent deliveries for the admin API
+  async function status() {
+    let pending = [...memoryQueue.values()];
+    let recent = [...memoryHistory];
+    if (useRedis()) {
+      try {
+        const [stored, history] = await Promise.all([redis.hvals(KEYS.deliveries), redis.lrange(KEYS.history, 0, historyMax - 1)]);
+        pending = pending.concat(stored.map((raw) => JSON.parse(raw)));
+        recent = recent.concat(history.map((raw) => JSON.parse(raw)))
+          .sort((a, b) => String(b.finishedAt).localeCompare(String(a.finishedAt)))
+          .slice(0, historyMax);
+      } catch (err) {
+        if (logger) logger.warn({ err }, 'Failed to read webhook queue from Redis');
+      }
+    }
+    return {
+      enabled,
+      events: enabled ? events : [],
+      targets: urls.map(targetHost),
+      queue: useRedis() ? 'redis' : 'memory',
+      pending: pending.sort((a, b) => a.nextAttemptAt - b.nextAttemptAt).map(summary),
+      recent
+    };
+  }
+
+  function close() {
+    if (timer) clearInterval(timer);
+  }
+
+  return { enabled, wants, notify, status, tick, close };
+}
+
+// Turns recorded visits into webhook events. `store` is the visit store (lib/storage);
+// countries already in its daily stats (the last `seedDays`) do not count as new. Storage
+// fallbacks are reported as the store switches to the file (store.onFallback).
+function createVisitEvents({ webhooks, redis = null, store, spikePerMinute = 100, seedDays = 730, logger } = {}) {
+  const countries = new Set();
+  const useRedis = () => Boolean(redis && redis.status === 'ready');
+  let minute = { key: null, count: 0 };
+
+  if (store.onFallback && webhooks.wants('storage-fallback')) {
+    store.onFallback(({ backend, fallback }) => webhooks.notify('storage-fallback', { backend, fallback, instance: os.hostname() }));
+  }
+
+  async function seed() {
+    if (!webhooks.wants('new-country')) return;
+    const now = new Date();
+    const buckets = bucketRange(new Date(now.getTime() - seedDays * 24 * 60 * 60 * 1000), now, 'day');
+    const data = await store.readStats({ granularity: 'day', buckets });
+    for (const combos of Object.values(data)) {
+      for (const combo of Object.keys(combos)) {
+        const dims = parseCombo(combo);
+        if (dims && dims.country !== 'Unknown') countries.add(dims.country);
+      }
+    }
+    if (useRedis() && countries.size) await redis.sadd(KEYS.countries, ...countries);
+  }
+  const seeded = seed().catch((err) => { if (logger) logger.warn({ err }, 'Failed to load known countries for webhooks'); });
+
+  // The Redis set is shared, so only the instance that adds a country reports it
+  async function isNewCountry(country) {
+    if (!country || country === 'Unknown') return false;
+    await seeded;
+    const isNew = !countries.has(country);
+    countries.add(country);
+    if (useRedis()) {
+      try {
+        return (await redis.sadd(KEYS.countries, country)) === 1;
+      } catch (err) {
+        if (logger) logger.warn({ err }, 'Failed to check webhook country set in Redis');
+      }
+    }
+    return isNew;
+  }
+
+  // Visits in the current UTC minute, across instances when Redis is up
+  async function countMinute() {
+    const key = new Date().toISOString().slice(0, 16);
+    if (useRedis()) {
+      try {
+        const [[err, count]] = await redis.multi().incr(KEYS.spike(key)).expire(KEYS.spike(key), 120).exec();
+        if (err) throw err;
+        return { key, count };
+      } catch (err) {
+        if (logger) logger.warn({ err }, 'Failed to count visits per minute in Redis');
+      }
+    }
+    if (minute.key !== key) minute = { key, count: 0 };
+    minute.count += 1;
+    return minute;
+  }
+
+  // In privacy mode a visitor's key changes with every salt rotation, so a first visit
+  // under the current key is only new if none of the earlier keys has a record either
+  async function seenBefore(previousKeys) {
+    if (!previousKeys.length) return false;
+    return (await store.getVisitorRecords(previousKeys)).length > 0;
+  }
+
+  // `dims` and `result` are the incrementVisits arguments and store.increment() result;
+  // `previousKeys` are the visitor's keys from earlier salt periods (lib/privacy candidateKeys)
+  async function visit(dims, result, previousKeys = []) {
+    try {
+      if (webhooks.wants('new-country') && await isNewCountry(dims.country)) {
+        webhooks.notify('new-country', { country: dims.country, region: dims.region || null, city: dims.city || null });
+      }
+      if (webhooks.wants('new-visitor') && result.yourVisits === 1 && !(await seenBefore(previousKeys))) {
+        webhooks.notify('new-visitor', { country: dims.country || null, device: dims.device || 'unknown', unique: result.unique });
+      }
+      if (webhooks.wants('traffic-spike')) {
+        const { key, count } = await countMinute();
+        // Once per minute, on the visit that crosses the threshold
+        if (count === spikePerMinute + 1) webhooks.notify('traffic-spike', { minute: `${key}:00Z`, threshold: spikePerMinute });
+      }
+    } catch (err) {
+      if (logger) logger.warn({ err }, 'Failed to evaluate webhook events');
+    }
+  }
+
+  return { visit };
+}
+
+module.exports = { EVENTS, sign, createWebhooks, createVisitEvents };
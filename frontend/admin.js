@@ -0,0 +1,188 @@
+// Admin dashboard. Talks to the admin-only /api/admin/* endpoints using either the
+// browser's Basic auth session (when /admin was served behind Basic auth) or credentials
+// entered in the sign-in form, kept in sessionStorage for this tab only.
+
+// Same origin when served by the backend; otherwise assume a local backend on :3000
+const ADMIN_API_BASE = (location.protocol.startsWith('http') && (!location.port || location.port === '3000'))
+  ? ''
+  : 'http://localhost:3000';
+const AUTH_KEY = 'whoami-admin-auth';
+
+const loginForm = document.getElementById('admin-login');
+const dashboard = document.getElementById('admin-dashboard');
+const daysSelect = document.getElementById('admin-days');
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function showToast(msg, type = 'default', timeout = 3500) {
+  const container = document.getElementById('toast-container');
+  if (!container) return;
+  const t = document.createElement('div');
+  t.className = `toast ${type === 'success' ? 'success' : type === 'error' ? 'error' : ''}`.trim();
+  t.textContent = msg;
+  container.appendChild(t);
+  setTimeout(() => { try { container.removeChild(t); } catch (e) {} }, timeout);
+}
+
+function authHeader() {
+  try { return sessionStorage.getItem(AUTH_KEY); } catch (e) { return null; }
+}
+
+async function adminFetch(path) {
+  const headers = {};
+  const auth = authHeader();
+  if (auth) headers.Authorization = auth;
+  const r = await fetch(`${ADMIN_API_BASE}${path}`, { headers, credentials: 'same-origin', cache: 'no-store' });
+  if (r.status === 401) {
+    const err = new Error('unauthorized');
+    err.status = 401;
+    throw err;
+  }
+  if (!r.ok) throw new Error(`HTTP ${r.status}`);
+  return r.json();
+}
+
+function showLogin() {
+  dashboard.hidden = true;
+  loginForm.hidden = false;
+}
+
+function renderTrend(trend) {
+  const el = document.getElementById('admin-trend');
+  if (!trend.length) {
+    el.textContent = 'No data';
+    return;
+  }
+  const width = 600;
+  const height = 160;
+  const pad = 24;
+  const max = Math.max(1, ...trend.map((p) => p.total));
+  const x = (i) => pad + (trend.length === 1 ? 0 : (i * (width - 2 * pad)) / (trend.length - 1));
+  const y = (v) => height - pad - (v / max) * (height - 2 * pad);
+  const line = (key) => trend.map((p, i) => `${x(i).toFixed(1)},${y(p[key]).toFixed(1)}`).join(' ');
+  el.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Daily visits and unique visitors">
+      <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" class="admin-axis" />
+      <polyline points="${line('total')}" class="admin-line-total" />
+      <polyline points="${line('unique')}" class="admin-line-unique" />
+      <text x="${pad}" y="${pad - 8}" class="admin-axis-label">${max}</text>
+      <text x="${pad}" y="${height - 6}" class="admin-axis-label">${escapeHtml(trend[0].day)}</text>
+      <text x="${width - pad}" y="${height - 6}" text-anchor="end" class="admin-axis-label">${escapeHtml(trend[trend.length - 1].day)}</text>
+    </svg>
+    <div class="admin-legend"><span class="admin-key-total">Total</span><span class="admin-key-unique">Unique</span></div>
+  `;
+}
+
+function renderTop(dimension, groups) {
+  const el = document.getElementById(`admin-top-${dimension}`);
+  if (!el) return;
+  const max = Math.max(1, ...groups.map((g) => g.count));
+  el.innerHTML = groups.length
+    ? groups.map((g) => `
+      <li>
+        <span class="admin-bar-label">${escapeHtml(g[dimension])}</span>
+        <span class="admin-bar" style="width:${Math.round((g.count / max) * 100)}%"></span>
+        <span class="admin-bar-count">${g.count}</span>
+      </li>`).join('')
+    : '<li>No data</li>';
+}
+
+function renderRecent(visits) {
+  const tbody = document.getElementById('admin-recent');
+  tbody.innerHTML = visits.length
+    ? visits.map((v) => `
+      <tr>
+        <td>${escapeHtml(new Date(v.ts).toLocaleString())}</td>
+        <td>${escapeHtml([v.city, v.region, v.country].filter(Boolean).join(', ') || '-')}</td>
+        <td>${escapeHtml(v.browser)}</td>
+        <td>${escapeHtml(v.os)}</td>
+        <td>${escapeHtml(v.device)}</td>
+      </tr>`).join('')
+    : '<tr><td colspan="5">No visits yet</td></tr>';
+}
+
+let adminMap = null;
+let adminLayer = null;
+
+function renderLocations(cells) {
+  if (!window.L) return;
+  if (!adminMap) adminMap = createBaseMap('admin-map', 20, 0, 2);
+  if (adminLayer) adminMap.removeLayer(adminLayer);
+  const max = Math.max(1, ...cells.map((c) => c.count));
+  if (L.heatLayer) {
+    adminLayer = L.heatLayer(cells.map((c) => [c.latitude, c.longitude, c.count / max]), { radius: 20, blur: 15, maxZoom: 10 });
+  } else {
+    adminLayer = L.layerGroup(cells.map((c) => L.circleMarker([c.latitude, c.longitude], {
+      radius: 4 + 12 * Math.sqrt(c.count / max),
+      weight: 1,
+      fillOpacity: 0.5
+    }).bindTooltip(`${c.count} visit(s)`)));
+  }
+  adminLayer.addTo(adminMap);
+  refreshMapSize(adminMap);
+}
+
+async function loadDashboard() {
+  const days = daysSelect.value;
+  try {
+    const [summary, recent, locations] = await Promise.all([
+      adminFetch(`/api/admin/summary?days=${encodeURIComponent(days)}`),
+      adminFetch('/api/admin/recent?limit=50'),
+      adminFetch('/api/admin/locations')
+    ]);
+    loginForm.hidden = true;
+    dashboard.hidden = false;
+    document.getElementById('admin-total').textContent = summary.totals.total;
+    document.getElementById('admin-unique').textContent = summary.totals.unique;
+    document.getElementById('admin-range-total').textContent = summary.trend.reduce((sum, p) => sum + p.total, 0);
+    renderTrend(summary.trend);
+    for (const dimension of ['country', 'browser', 'device']) renderTop(dimension, summary.top[dimension] || []);
+    renderRecent(recent.visits);
+    renderLocations(locations.cells);
+  } catch (e) {
+    if (e.status === 401) {
+      if (authHeader()) showToast('Invalid admin credentials', 'error');
+      try { sessionStorage.removeItem(AUTH_KEY); } catch (err) { /* ignore */ }
+      showLogin();
+      return;
+    }
+    showToast(`Failed to load dashboard: ${e.message}`, 'error', 5000);
+  }
+}
+
+loginForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  const token = document.getElementById('admin-token').value.trim();
+  const user = document.getElementById('admin-user').value;
+  const password = document.getElementById('admin-password').value;
+  const header = token ? `Bearer ${token}` : (user && password ? `Basic ${btoa(`${user}:${password}`)}` : null);
+  if (!header) {
+    showToast('Enter a token or a user and password', 'error');
+    return;
+  }
+  try { sessionStorage.setItem(AUTH_KEY, header); } catch (e) { /* ignore */ }
+  loadDashboard();
+});
+
+document.getElementById('admin-refresh').addEventListener('click', loadDashboard);
+daysSelect.addEventListener('change', loadDashboard);
+document.getElementById('admin-logout').addEventListener('click', () => {
+  try { sessionStorage.removeItem(AUTH_KEY); } catch (e) { /* ignore */ }
+  showLogin();
+});
+
+// Follow the theme chosen on the main page
+(function () {
+  let mode = null;
+  try { mode = localStorage.getItem('whoami-mode'); } catch (e) { /* ignore */ }
+  if (!mode && window.matchMedia) mode = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  document.documentElement.classList.toggle('dark', mode !== 'light');
+  document.documentElement.classList.toggle('light', mode === 'light');
+  loadDashboard();
+})();
@@ -1,63 +1,116 @@
-// Build a list of candidate endpoints to try. This makes the UI work when:
-// - served from the backend (relative /api/whoami),
-// - opened directly as a file:// (no origin), or
-// - backend is running on a different local port (3000, 3002, 3003).
-//
-// When the frontend is served from localhost but on a different port (for example
-// a static server on :8000), prefer explicit backend ports (localhost:3000) first
-// to avoid an immediate same-origin 404 at :8000. If you prefer a different
-// backend host/port, update this list or configure the app to point to your API.
-const candidates = [];
+// Resolve the API base, in this order:
+// 1. `<meta name="whoami-api" content="https://api.example.com">` in index.html,
+// 2. `apiBase` from `config.json` next to the page (the backend serves one from PUBLIC_API_BASE),
+// 3. `?api=https://api.example.com` in the page URL, once the user confirms it (remembered;
+//    `?api=auto` forgets it). It is ignored when 1 or 2 is configured,
+// 4. the endpoint remembered from an earlier visit,
+// 5. the same origin and the usual local backends (localhost:3000/3002/3003).
+// When the frontend is served on a different port (for example a static server on :8000),
+// the same-origin endpoint is skipped to avoid a noisy 404. The status line marks an endpoint
+// that is not one of these defaults.
+const API_STORAGE_KEY = 'whoami-api';
 const localBackends = [
-  'http://localhost:3000/api/whoami',
-  'http://127.0.0.1:3000/api/whoami',
-  'http://localhost:3002/api/whoami',
-  'http://localhost:3003/api/whoami'
+  'http://localhost:3000',
+  'http://127.0.0.1:3000',
+  'http://localhost:3002',
+  'http://localhost:3003'
 ];
 
-if (location && location.protocol && location.protocol.startsWith('http')) {
-  // If the frontend is served on a different port than the backend (e.g., :8000),
-  // prefer explicit backend host:port endpoints first to avoid a same-origin 404.
-  const frontendPort = String(location.port || '');
-  const preferExplicit = frontendPort && frontendPort !== '3000';
-
-  if (preferExplicit) {
-    // Try explicit backend hosts first and do NOT fall back to the same-origin
-    // relative path. Falling back to '/api/whoami' will hit the static server
-    // (python's http.server) and produce a noisy 404. If explicit hosts fail,
-    // we'll surface a clearer error to the user.
-    candidates.push(...localBackends);
-  } else {
-    // Default: try same-origin relative endpoint first, then explicit fallbacks
-    candidates.push('/api/whoami');
-    candidates.push(...localBackends);
+function normalizeApiBase(value) {
+  if (!value) return null;
+  try {
+    const url = new URL(value, location.href);
+    if (!/^https?:$/.test(url.protocol)) return null;
+    return url.href.replace(/\/+$/, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+function rememberedApiBase() {
+  try { return normalizeApiBase(localStorage.getItem(API_STORAGE_KEY)); } catch (e) { return null; }
+}
+
+function rememberApiBase(base) {
+  try {
+    if (base) localStorage.setItem(API_STORAGE_KEY, base);
+    else localStorage.removeItem(API_STORAGE_KEY);
+  } catch (e) { /* ignore */ }
+}
+
+function metaApiBase() {
+  const meta = document.querySelector('meta[name="whoami-api"]');
+  return meta ? normalizeApiBase(meta.content) : null;
+}
+
+// The endpoint asked for with ?api=, or null. Anyone can link to the page with ?api=, so a
+// new endpoint is only used (and remembered) after the user confirms it.
+function requestedApiBase() {
+  const param = new URLSearchParams(location.search).get('api');
+  if (param === 'auto') {
+    rememberApiBase(null);
+    return null;
+  }
+  const base = normalizeApiBase(param);
+  if (!base || base === rememberedApiBase()) return base;
+  if (!window.confirm(t('api.confirm', { url: base }))) return null;
+  rememberApiBase(base);
+  return base;
+}
+
+async function configJsonApiBase() {
+  if (!location.protocol.startsWith('http')) return null;
+  try {
+    const r = await fetch('config.json', { cache: 'no-store' });
+    if (!r.ok) return null;
+    const config = await r.json();
+    return normalizeApiBase(config.apiBase);
+  } catch (e) {
+    return null;
+  }
+}
+
+// The meta tag and a confirmed ?api= endpoint are used alone. Otherwise config.json and the
+// remembered endpoint go first and the rest remain as fallbacks in case it has moved.
+// `defaults` are the endpoints the page would find without ?api=.
+async function candidateApiBases() {
+  const meta = metaApiBase();
+  if (meta) return { bases: [meta], defaults: [meta] };
+  const configured = await configJsonApiBase();
+  const requested = configured ? null : requestedApiBase();
+  const defaults = [configured, ...localBackends];
+  if (location.protocol.startsWith('http')) {
+    const frontendPort = String(location.port || '');
+    if (!frontendPort || frontendPort === '3000') defaults.splice(1, 0, location.origin);
   }
-} else {
-  // No origin (e.g., file://) — try explicit hosts
-  candidates.push(...localBackends);
+  if (requested) return { bases: [requested], defaults };
+  const bases = [configured, rememberedApiBase(), ...defaults.slice(1)];
+  return { bases: bases.filter((base, i) => base && bases.indexOf(base) === i), defaults };
 }
 
-// Helper to try endpoints sequentially
+// Helper to try endpoints sequentially. The base that answers is remembered for next time;
+// `custom` is set when it is not one of the defaults.
 async function tryFetchCandidates() {
+  const { bases, defaults } = await candidateApiBases();
   let lastErr = null;
-  // Silent logging to avoid console warnings for better Best Practices score
-  // console.debug('whoami: trying candidate endpoints', candidates);
-  for (const url of candidates) {
+  for (const base of bases) {
+    const url = `${base}/api/whoami`;
     try {
       const r = await fetch(url, { mode: 'cors', cache: 'no-store' });
       if (!r.ok) throw new Error(`HTTP ${r.status}`);
       const json = await r.json();
-      return { data: json, url };
+      // Results served from the service worker cache are not proof the endpoint works
+      if (!json.offline) rememberApiBase(base);
+      return { data: json, url, base, custom: !defaults.includes(base) };
     } catch (e) {
       lastErr = e;
       // continue to next candidate
     }
   }
-  // If we reached here, none of the explicit backends responded. Throw an
-  // error that includes the attempted endpoints so the UI can show clearer
-  // debugging info instead of a same-origin 404 from the static server.
+  // If we reached here, none of the backends responded. Throw an error that includes the
+  // attempted endpoints so the UI can show clearer debugging info.
   const err = lastErr || new Error('No candidate API endpoints available');
-  err.attempted = candidates.slice();
+  err.attempted = bases.map((base) => `${base}/api/whoami`);
   throw err;
 }
 
@@ -67,56 +120,65 @@ const hintEl = document.getElementById('hint');
 const mapEl = document.getElementById('map');
 const backendStatusEl = document.getElementById('backend-status');
 
-function isPrivateIp(ip) {
-  if (!ip) return false;
-  return /^(127\.|10\.|192\.168\.|172\.(1[6-9]|2[0-9]|3[0-1])|::1$|::ffff:127\.)/.test(ip);
+// Values from the API are escaped before they go into markup
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// "AS15169 Google LLC · hosting · Tor exit" from the server's network datasets
+function describeNetwork(network) {
+  const parts = [];
+  if (network.asn) parts.push(`AS${network.asn}${network.organization ? ` ${network.organization}` : ''}`);
+  if (network.isHosting) parts.push(t('network.hosting'));
+  if (network.isTor) parts.push(t('network.tor'));
+  if (network.isKnownVpn) parts.push(t('network.vpn'));
+  return parts.join(' · ') || '-';
+}
+
+// Tooltip naming where the server read a field from (User-Agent string or client hints)
+function sourceTitle(data, field) {
+  const source = data.sources && data.sources[field];
+  return t(source === 'client-hints' ? 'source.clientHints' : 'source.uaString');
+}
+
+// "San Jose, CA, United States" with the country named in the interface language. Regions
+// are usually subdivision codes, which Intl cannot name, so they are shown as they come.
+function describeLocation(location) {
+  return [location.city, location.region, countryName(location.country)].filter(Boolean).join(', ') || '-';
+}
+
+function describeCoords(lat, lon) {
+  return `${formatCoord(lat)}, ${formatCoord(lon)}`;
+}
+
+function ipPopup(data) {
+  return `<strong>${escapeHtml(data.ip)}</strong><br>${escapeHtml(describeLocation(data.location))}`;
 }
 
 function renderData(data) {
-  card.innerHTML = `
-    <div class="details-grid">
-      <div class="detail-row"><span class="label">IP:</span><span id="ip-value" class="value">${data.ip}</span></div>
-      <div class="detail-row"><span class="label">Browser:</span><span id="browser-value" class="value">${data.browser}</span></div>
-      <div class="detail-row"><span class="label">OS:</span><span id="os-value" class="value">${data.os}</span></div>
-      <div class="detail-row"><span class="label">Device:</span><span id="device-value" class="value">${data.device}</span></div>
-      <div class="detail-row"><span class="label">Location:</span><span id="location-value" class="value">${data.location.city || '-'}, ${data.location.region || '-'}, ${data.location.country || '-'}</span></div>
-      <div class="detail-row"><span class="label">Coords:</span><span id="coords-value" class="value">${(data.location.latitude != null && data.location.longitude != null) ? `${data.location.latitude.toFixed(4)}, ${data.location.longitude.toFixed(4)}` : 'Not available'}</span></div>
-    </div>
-    <div class="visitor-stats">
-      <div><strong>Total:</strong> ${data.visits.total}</div>
-      <div><strong>Unique:</strong> ${data.visits.unique}</div>
-      <div><strong>Your visits:</strong> ${data.visits.yourVisits}</div>
-    </div>
-    <div class="client-detected" id="client-detected">Client: detecting…</div>
-  `;
+  renderDetails(data);
 
   // Handle map
-  // Expose last data for manual updates (e.g., browser geolocation)
-  window._whoami_lastData = data;
-
   const mapEl = document.getElementById('map');
   if (data.location && data.location.latitude != null && data.location.longitude != null) {
     mapEl.style.display = 'block';
     try {
       // Initialize Leaflet map (idempotent)
       if (!window._whoami_map) {
-        window._whoami_map = L.map('map', { zoomControl: true, attributionControl: true }).setView([data.location.latitude, data.location.longitude], 12);
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-          maxZoom: 19,
-          attribution: '&copy; OpenStreetMap contributors'
-        }).addTo(window._whoami_map);
+        window._whoami_map = createBaseMap('map', data.location.latitude, data.location.longitude);
         window._whoami_marker = L.marker([data.location.latitude, data.location.longitude]).addTo(window._whoami_map);
-        window._whoami_marker.bindPopup(`<strong>${data.ip}</strong><br>${data.location.city || ''} ${data.location.region || ''} ${data.location.country || ''}`).openPopup();
+        window._whoami_marker.bindPopup(ipPopup(data)).openPopup();
       } else {
         window._whoami_marker.setLatLng([data.location.latitude, data.location.longitude]);
-        window._whoami_marker.getPopup().setContent(`<strong>${data.ip}</strong><br>${data.location.city || ''} ${data.location.region || ''} ${data.location.country || ''}`);
+        window._whoami_marker.getPopup().setContent(ipPopup(data));
         window._whoami_map.setView([data.location.latitude, data.location.longitude], 12);
       }
 
-      // Make sure Leaflet container resizes correctly when it becomes visible
-      setTimeout(() => {
-        try { window._whoami_map.invalidateSize(); } catch (e) { /* ignore */ }
-      }, 200);
+      refreshMapSize(window._whoami_map);
     } catch (e) {
       console.warn('Map init failed', e);
       mapEl.style.display = 'none';
@@ -125,55 +187,242 @@ function renderData(data) {
     mapEl.style.display = 'none';
   }
 
-  // Update client-side detected UA info using UAParser (cdn included in HTML)
+  const parsedUa = clientUa();
+  if (parsedUa) sendClientReport({ browser: parsedUa.browser.name || '', os: parsedUa.os.name || '', device: parsedUa.device.type || 'desktop' });
+}
+
+// Client-side UA parse using UAParser (cdn included in HTML), or null when unavailable
+function clientUa() {
   try {
-    if (window.UAParser) {
-      const parser = new window.UAParser();
-      const r = parser.getResult();
-      const clientEl = document.getElementById('client-detected');
-      if (clientEl) {
-        const b = r.browser && r.browser.name ? `${r.browser.name} ${r.browser.version || ''}`.trim() : 'Unknown';
-        const o = r.os && r.os.name ? `${r.os.name} ${r.os.version || ''}`.trim() : 'Unknown';
-        const d = r.device && r.device.type ? r.device.type : 'desktop';
-        clientEl.textContent = `Client: ${b} · ${o} · ${d}`;
-      }
-    }
+    return window.UAParser ? new window.UAParser().getResult() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// The details card. Also used on its own to redraw the last result in another language,
+// which leaves the map and the consistency check (kept from the first render) alone.
+function renderDetails(data) {
+  const loc = data.location;
+  const browserCoords = window._whoami_browserCoords;
+  let coords = t('value.notAvailable');
+  if (browserCoords) coords = `${describeCoords(browserCoords.latitude, browserCoords.longitude)} (${t('coords.browser')})`;
+  else if (loc.latitude != null && loc.longitude != null) coords = describeCoords(loc.latitude, loc.longitude);
+
+  card.innerHTML = `
+    ${data.offline ? `<div class="offline-banner" role="status">${escapeHtml(t('offline.banner', { date: formatDateTime(data.offline.cachedAt) }))}</div>` : ''}
+    <div class="details-grid">
+      <div class="detail-row"><span class="label">${t('field.ip')}</span><span id="ip-value" class="value">${escapeHtml(data.ip)}</span></div>
+      <div class="detail-row"><span class="label">${t('field.type')}</span><span id="ip-type-value" class="value">${escapeHtml(data.type || '-')}</span></div>
+      <div class="detail-row"><span class="label">${t('field.browser')}</span><span id="browser-value" class="value" title="${sourceTitle(data, 'browser')}">${escapeHtml(data.browser)}</span></div>
+      <div class="detail-row"><span class="label">${t('field.os')}</span><span id="os-value" class="value" title="${sourceTitle(data, 'os')}">${escapeHtml(data.os)}</span></div>
+      <div class="detail-row"><span class="label">${t('field.device')}</span><span id="device-value" class="value" title="${sourceTitle(data, 'device')}">${escapeHtml(data.device)}${data.model ? ` (${escapeHtml(data.model)})` : ''}</span></div>
+      <div class="detail-row"><span class="label">${t('field.location')}</span><span id="location-value" class="value">${escapeHtml(describeLocation(loc))}</span></div>
+      ${loc.network ? `<div class="detail-row"><span class="label">${t('field.network')}</span><span id="network-value" class="value">${escapeHtml(describeNetwork(loc.network))}</span></div>` : ''}
+      <div class="detail-row"><span class="label">${t('field.coords')}</span><span id="coords-value" class="value">${escapeHtml(coords)}</span></div>
+    </div>
+    <div class="visitor-stats">
+      <div><strong>${t('visits.total')}</strong> <span id="total-visits-value">${formatNumber(data.visits.total)}</span></div>
+      <div><strong>${t('visits.unique')}</strong> <span id="unique-visits-value">${formatNumber(data.visits.unique)}</span></div>
+      <div><strong>${t('visits.yours')}</strong> <span id="your-visits-value">${data.visits.yourVisits != null ? formatNumber(data.visits.yourVisits) : t('visits.notTracked')}</span></div>
+    </div>
+    <div class="privacy-controls">
+      <button id="stored-btn" class="link-btn" type="button">${t('privacy.stored')}</button>
+      <button id="forget-btn" class="link-btn" type="button">${t('privacy.forget')}</button>
+    </div>
+    <div class="client-detected" id="client-detected">${t('client.detecting')}</div>
+    <div class="consistency-panel" id="consistency-panel" hidden></div>
+  `;
+
+  wirePrivacyControls();
+
+  // Expose last data for manual updates (e.g., browser geolocation) and language changes
+  window._whoami_lastData = data;
+
+  const r = clientUa();
+  const clientEl = document.getElementById('client-detected');
+  if (r && clientEl) {
+    const unknown = t('value.unknown');
+    const b = r.browser && r.browser.name ? `${r.browser.name} ${r.browser.version || ''}`.trim() : unknown;
+    const o = r.os && r.os.name ? `${r.os.name} ${r.os.version || ''}`.trim() : unknown;
+    const d = r.device && r.device.type ? r.device.type : 'desktop';
+    clientEl.textContent = t('client.summary', { browser: b, os: o, device: d });
+  }
+  if (window._whoami_consistency) renderConsistency(window._whoami_consistency);
+}
+
+// Send the browser's own view of itself to the backend, which compares it with what it sees
+// (timezone vs IP country, languages, User-Agent) and returns consistency flags.
+async function sendClientReport(parsedUa) {
+  let timezone = '';
+  try { timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || ''; } catch (e) { /* ignore */ }
+  const report = {
+    timezone,
+    languages: Array.from(navigator.languages || [navigator.language].filter(Boolean)),
+    screen: {
+      width: screen.width,
+      height: screen.height,
+      availWidth: screen.availWidth,
+      availHeight: screen.availHeight,
+      colorDepth: screen.colorDepth,
+      pixelRatio: window.devicePixelRatio || 1
+    },
+    platform: (navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform || '',
+    userAgent: navigator.userAgent,
+    parsedUa
+  };
+  try {
+    const r = await fetch(`${apiBase()}/api/client-report`, {
+      method: 'POST',
+      mode: 'cors',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(report)
+    });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    window._whoami_consistency = await r.json();
+    renderConsistency(window._whoami_consistency);
   } catch (e) {
-    // ignore
+    // The panel is optional; leave it hidden when the check is unavailable
   }
 }
 
+const CHECK_LABELS = { timezone: 'check.timezone', language: 'check.language', userAgent: 'check.userAgent' };
+
+function renderConsistency(result) {
+  const panel = document.getElementById('consistency-panel');
+  if (!panel) return;
+  panel.textContent = '';
+  panel.classList.toggle('warning', !result.consistent);
+  const title = document.createElement('div');
+  title.className = 'consistency-title';
+  title.textContent = t(result.consistent ? 'check.consistent' : 'check.inconsistent');
+  panel.appendChild(title);
+  const list = document.createElement('ul');
+  for (const [name, check] of Object.entries(result.checks || {})) {
+    const item = document.createElement('li');
+    item.className = `check-${check.status}`;
+    const mark = check.status === 'match' ? '✓' : check.status === 'mismatch' ? '⚠' : '?';
+    item.textContent = `${mark} ${CHECK_LABELS[name] ? t(CHECK_LABELS[name]) : name}: ${check.detail}`;
+    list.appendChild(item);
+  }
+  panel.appendChild(list);
+  panel.hidden = false;
+}
+
 // Update map and coords display when given explicit coords (e.g., from browser geolocation)
-function useCoords(lat, lon, sourceLabel = 'browser') {
+function useCoords(lat, lon, sourceLabel = t('coords.browser')) {
   const coordsSpan = document.getElementById('coords-value');
-  if (coordsSpan) coordsSpan.textContent = `${lat.toFixed(4)}, ${lon.toFixed(4)} (${sourceLabel})`;
+  if (coordsSpan) coordsSpan.textContent = `${describeCoords(lat, lon)} (${sourceLabel})`;
 
   const mapEl = document.getElementById('map');
   mapEl.style.display = 'block';
   try {
     if (!window._whoami_map) {
-      window._whoami_map = L.map('map', { zoomControl: true, attributionControl: true }).setView([lat, lon], 12);
-      L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        maxZoom: 19,
-        attribution: '&copy; OpenStreetMap contributors'
-      }).addTo(window._whoami_map);
+      window._whoami_map = createBaseMap('map', lat, lon);
     }
     if (!window._whoami_marker) {
       window._whoami_marker = L.marker([lat, lon]).addTo(window._whoami_map);
     } else {
       window._whoami_marker.setLatLng([lat, lon]);
     }
-    window._whoami_marker.bindPopup(`<strong>${window._whoami_lastData ? window._whoami_lastData.ip : 'You'}</strong><br/>(${sourceLabel})`).openPopup();
+    window._whoami_marker.bindPopup(`<strong>${escapeHtml(window._whoami_lastData ? window._whoami_lastData.ip : t('coords.you'))}</strong><br/>(${escapeHtml(sourceLabel)})`).openPopup();
     window._whoami_map.setView([lat, lon], 12);
-    setTimeout(() => { try { window._whoami_map.invalidateSize(); } catch (e) {} }, 200);
+    refreshMapSize(window._whoami_map);
   } catch (e) {
     console.warn('useCoords map error', e);
     mapEl.style.display = 'none';
   }
 }
 
+// Base URL of the backend that answered /api/whoami ('' when same-origin)
+function apiBase() {
+  return window._whoami_apiBase || '';
+}
+
+// "What's stored?" / "Forget me" controls next to the visitor stats
+function wirePrivacyControls() {
+  const storedBtn = document.getElementById('stored-btn');
+  const forgetBtn = document.getElementById('forget-btn');
+
+  if (storedBtn) {
+    storedBtn.addEventListener('click', async () => {
+      try {
+        const r = await fetch(`${apiBase()}/api/visits/me`, { mode: 'cors', cache: 'no-store' });
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        const info = await r.json();
+        if (!info.records.length) {
+          showToast(t('privacy.nothingStored'), 'success', 4000);
+          return;
+        }
+        const visits = info.records.reduce((sum, rec) => sum + rec.visits, 0);
+        const keyNote = info.privacyMode ? t('privacy.hashedKey') : t('privacy.ipKey', { ip: info.ip });
+        const retention = info.retentionDays ? t('privacy.retention', { count: info.retentionDays }) : '';
+        showToast(t('privacy.storedSummary', { count: visits, keyNote, retention }), 'default', 6000);
+      } catch (e) {
+        showToast(t('privacy.loadFailed'), 'error', 4000);
+      }
+    });
+  }
+
+  if (forgetBtn) {
+    forgetBtn.addEventListener('click', async () => {
+      if (!window.confirm(t('privacy.confirmForget'))) return;
+      forgetBtn.disabled = true;
+      try {
+        const r = await fetch(`${apiBase()}/api/visits/me`, { method: 'DELETE', mode: 'cors' });
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        const yourVisitsEl = document.getElementById('your-visits-value');
+        if (yourVisitsEl) yourVisitsEl.textContent = formatNumber(0);
+        if (window._whoami_lastData) window._whoami_lastData.visits.yourVisits = 0;
+        showToast(t('privacy.deleted'), 'success', 4000);
+      } catch (e) {
+        showToast(t('privacy.deleteFailed'), 'error', 5000);
+      } finally {
+        forgetBtn.disabled = false;
+      }
+    });
+  }
+}
+
+// Live visit feed: keep the visitor stats current and drop a short-lived pin on the map for
+// each visit recorded anywhere. EventSource reconnects on its own after network errors.
+const LIVE_PIN_TTL_MS = 60000;
+
+function connectLiveFeed() {
+  if (!window.EventSource || window._whoami_live) return;
+  const source = new EventSource(`${apiBase()}/api/live`);
+  source.addEventListener('visit', (event) => {
+    try { handleLiveVisit(JSON.parse(event.data)); } catch (e) { /* ignore malformed events */ }
+  });
+  window._whoami_live = source;
+}
+
+function handleLiveVisit(visit) {
+  const stats = document.querySelector('.visitor-stats');
+  const totalEl = document.getElementById('total-visits-value');
+  const uniqueEl = document.getElementById('unique-visits-value');
+  if (totalEl) totalEl.textContent = formatNumber(visit.totals.total);
+  if (uniqueEl) uniqueEl.textContent = formatNumber(visit.totals.unique);
+  if (window._whoami_lastData) Object.assign(window._whoami_lastData.visits, { total: visit.totals.total, unique: visit.totals.unique });
+  if (stats) {
+    stats.classList.remove('live-updated');
+    // Force a reflow so the highlight animation restarts for back-to-back visits
+    void stats.offsetWidth;
+    stats.classList.add('live-updated');
+  }
+
+  const { latitude, longitude } = visit.location || {};
+  if (!window._whoami_map || !window.L || latitude == null || longitude == null) return;
+  const label = document.createElement('span');
+  label.textContent = `${countryName(visit.location.country)} · ${visit.device}`;
+  const pin = L.circleMarker([latitude, longitude], { radius: 8, className: 'live-pin' })
+    .bindTooltip(label)
+    .addTo(window._whoami_map);
+  setTimeout(() => { try { window._whoami_map.removeLayer(pin); } catch (e) {} }, LIVE_PIN_TTL_MS);
+}
+
 function renderError(err) {
-  card.innerHTML = `<div id="error">${err}</div>`;
+  card.innerHTML = `<div id="error">${escapeHtml(err)}</div>`;
 }
 
 // Toast helper
@@ -205,16 +454,25 @@ function hideSkeleton() {
 
 function fetchWhoAmI() {
   showSkeleton();
-  if (backendStatusEl) { backendStatusEl.textContent = 'Backend: connecting...'; }
+  setText(backendStatusEl, 'backend.connecting');
   const statusLive = document.getElementById('status-live');
-  if (statusLive) statusLive.textContent = 'Connecting to backend';
+  setText(statusLive, 'status.connecting');
   tryFetchCandidates()
-    .then(({ data, url }) => {
+    .then(({ data, url, base, custom }) => {
+      window._whoami_apiBase = base;
       renderData(data);
+      if (data.offline) {
+        setText(backendStatusEl, 'backend.offline');
+        setText(statusLive, 'status.offline');
+        hideSkeleton();
+        showToast(t('toast.offline'), 'error', 4000);
+        return;
+      }
+      connectLiveFeed();
       // Silent logging to avoid console warnings for better Best Practices score
       // console.log('whoami fetched from', url);
-      if (backendStatusEl) backendStatusEl.textContent = 'Backend: ' + url;
-      if (statusLive) statusLive.textContent = 'Connected to backend';
+      setText(backendStatusEl, custom ? 'backend.custom' : 'backend.connected', { url });
+      setText(statusLive, 'status.connected');
       if (hintEl) hintEl.style.display = 'none';
       // highlight locate button if server didn't provide coords
       const locateBtn = document.getElementById('locate-btn');
@@ -222,19 +480,17 @@ function fetchWhoAmI() {
         try { if (!data.location || data.location.latitude == null) locateBtn.classList.add('highlight'); } catch (e) {}
       }
       hideSkeleton();
-      showToast('Data loaded', 'success', 1800);
+      showToast(t('toast.loaded'), 'success', 1800);
     })
     .catch(e => {
       // Silent error handling to avoid console warnings for better Best Practices score
       // console.error('Failed to fetch /api/whoami:', e);
       hideSkeleton();
-      showToast('Failed to load data from backend', 'error', 5000);
+      showToast(t('toast.loadFailed'), 'error', 5000);
       if (hintEl) hintEl.style.display = 'block';
       // Show helpful suggestions when running from file:// or when backend port differs
-      const advice = (location && location.protocol === 'file:')
-        ? 'Open this page via http://localhost:3000 (or run the Docker image) instead of opening the file directly.'
-        : 'Ensure the backend is running (try: docker run -p 3000:3000 whoami-prod) and that the API is reachable.';
-      renderError(`Failed to fetch — ${e.message}. ${advice}`);
+      const advice = t((location && location.protocol === 'file:') ? 'error.adviceFile' : 'error.adviceServer');
+      renderError(t('error.fetch', { message: e.message, advice }));
     });
 }
 
@@ -242,7 +498,7 @@ function fetchWhoAmI() {
 function updateToggleLabel(mode) {
   if (!toggleBtn) return;
   toggleBtn.setAttribute('aria-pressed', mode === 'dark');
-  toggleBtn.textContent = mode === 'dark' ? 'Switch to Light' : 'Switch to Dark';
+  toggleBtn.textContent = t(mode === 'dark' ? 'theme.toLight' : 'theme.toDark');
 }
 
 function applyTheme(mode) {
@@ -281,9 +537,17 @@ toggleBtn.addEventListener('click', () => {
   if (!mode) mode = 'dark';
   applyTheme(mode);
 
+  wireLanguageSwitcher();
   // Wire locate button early so it works even if the API fetch fails
   wireLocateButton();
+  wireShareButton();
+  wireSpeedTest();
   fetchWhoAmI();
+
+  // Offline support: caches the app shell and the last /api/whoami result (see sw.js)
+  if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+    navigator.serviceWorker.register('sw.js').catch(() => { /* offline mode unavailable */ });
+  }
 })();
 
 // Ensure the locate button works even if fetchWhoAmI fails or runs later
@@ -296,22 +560,206 @@ function wireLocateButton() {
 
   locateBtn.addEventListener('click', () => {
     if (!navigator.geolocation) {
-      alert('Geolocation is not supported by your browser');
+      alert(t('locate.unsupported'));
       return;
     }
     locateBtn.disabled = true;
-    const prevText = locateBtn.textContent;
-    locateBtn.textContent = 'Locating…';
+    setText(locateBtn, 'locate.locating');
     navigator.geolocation.getCurrentPosition(pos => {
       locateBtn.disabled = false;
-      locateBtn.textContent = prevText;
-      useCoords(pos.coords.latitude, pos.coords.longitude, 'browser');
+      setText(locateBtn, 'locate.button');
+      // Kept for shared snapshots (see wireShareButton)
+      window._whoami_browserCoords = { latitude: pos.coords.latitude, longitude: pos.coords.longitude, accuracy: pos.coords.accuracy };
+      useCoords(pos.coords.latitude, pos.coords.longitude);
     }, err => {
       locateBtn.disabled = false;
-      locateBtn.textContent = prevText;
+      setText(locateBtn, 'locate.button');
       // Show a friendly message and hint to use localhost/HTTPS if needed
       const msg = err && err.message ? err.message : String(err);
-      alert('Could not get location: ' + msg + '\nIf you are not on https, try running on http://localhost or enable location permissions.');
+      alert(t('locate.failed', { message: msg }));
     }, { enableHighAccuracy: true, timeout: 10000 });
   });
 }
+
+// "Share": store a read-only snapshot of this result (plus browser coordinates, if located)
+// and copy its expiring /s/<id> link
+function wireShareButton() {
+  const shareBtn = document.getElementById('share-btn');
+  if (!shareBtn) return;
+  shareBtn.addEventListener('click', async () => {
+    shareBtn.disabled = true;
+    try {
+      const r = await fetch(`${apiBase()}/api/snapshots`, {
+        method: 'POST',
+        mode: 'cors',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ coords: window._whoami_browserCoords || null })
+      });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      const snapshot = await r.json();
+      const link = new URL(snapshot.url, apiBase() || location.origin).href;
+      const expires = formatDateTime(snapshot.expiresAt);
+      try {
+        await navigator.clipboard.writeText(link);
+        showToast(t('share.copied', { expires, link }), 'success', 8000);
+      } catch (e) {
+        window.prompt(t('share.prompt', { expires }), link);
+      }
+    } catch (e) {
+      showToast(t('share.failed'), 'error', 4000);
+    } finally {
+      shareBtn.disabled = false;
+    }
+  });
+}
+
+// "Test connection": latency and jitter from repeated pings, then download and upload
+// throughput against the same backend (see backend/lib/speedtest.js). Transfers start small
+// and are resized from the first measurement so slow links finish quickly and fast links run
+// long enough to be measured.
+const SPEEDTEST_PINGS = 10;
+const SPEEDTEST_START_BYTES = 256 * 1024;
+const SPEEDTEST_TARGET_MS = 2000;
+
+// Carries a message key so the status line can be re-translated
+class SpeedTestError extends Error {
+  constructor(key, params) {
+    super(t(key, params));
+    this.key = key;
+    this.params = params;
+  }
+}
+
+async function speedTestFetch(path, options = {}) {
+  const r = await fetch(`${apiBase()}/api/speedtest/${path}`, { mode: 'cors', cache: 'no-store', ...options });
+  if (r.status === 429) {
+    const wait = Number(r.headers.get('Retry-After'));
+    throw wait ? new SpeedTestError('speedtest.rateLimitedIn', { count: Math.ceil(wait / 60) }) : new SpeedTestError('speedtest.rateLimited');
+  }
+  if (r.status === 503) throw new SpeedTestError('speedtest.busy');
+  if (!r.ok) throw new SpeedTestError('speedtest.httpError', { status: String(r.status) });
+  return r;
+}
+
+// Median round-trip time and jitter (mean difference between consecutive round trips)
+async function measureLatency() {
+  // The first request may include connection setup, so it only warms up and fetches the limits
+  const limits = await (await speedTestFetch('ping')).json();
+  const rtts = [];
+  for (let i = 0; i < SPEEDTEST_PINGS; i++) {
+    const started = performance.now();
+    await (await speedTestFetch('ping')).json();
+    rtts.push(performance.now() - started);
+  }
+  const sorted = [...rtts].sort((a, b) => a - b);
+  const median = (sorted[(sorted.length - 1) >> 1] + sorted[sorted.length >> 1]) / 2;
+  const jitter = rtts.slice(1).reduce((sum, rtt, i) => sum + Math.abs(rtt - rtts[i]), 0) / (rtts.length - 1);
+  return { latency: median, jitter, limits };
+}
+
+// Runs `transfer(bytes)` (resolving once done) and returns megabits per second
+async function measureThroughput(transfer, maxBytes) {
+  let bytes = Math.min(SPEEDTEST_START_BYTES, maxBytes);
+  let started = performance.now();
+  await transfer(bytes);
+  let elapsed = performance.now() - started;
+  if (elapsed < SPEEDTEST_TARGET_MS / 2 && bytes < maxBytes) {
+    bytes = Math.min(maxBytes, Math.round(bytes * SPEEDTEST_TARGET_MS / Math.max(elapsed, 1)));
+    started = performance.now();
+    await transfer(bytes);
+    elapsed = performance.now() - started;
+  }
+  return (bytes * 8) / (elapsed / 1000) / 1e6;
+}
+
+function formatMs(ms) {
+  const digits = ms < 10 ? 1 : 0;
+  return formatNumber(ms, { style: 'unit', unit: 'millisecond', minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function formatMbps(mbps) {
+  const digits = mbps < 10 ? 2 : 1;
+  return formatNumber(mbps, { style: 'unit', unit: 'megabit-per-second', minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+// Last measurements, redrawn when the language changes
+const speedTestResults = {};
+
+function renderSpeedTestResults() {
+  const format = { latency: formatMs, jitter: formatMs, download: formatMbps, upload: formatMbps };
+  for (const [name, fn] of Object.entries(format)) {
+    const el = document.getElementById(`speedtest-${name}`);
+    if (el) el.textContent = speedTestResults[name] != null ? fn(speedTestResults[name]) : '-';
+  }
+}
+
+function wireSpeedTest() {
+  const btn = document.getElementById('speedtest-btn');
+  if (!btn) return;
+  const statusEl = document.getElementById('speedtest-status');
+  const setResult = (name, value) => {
+    speedTestResults[name] = value;
+    renderSpeedTestResults();
+  };
+  const setStatus = (key, params, isError = false) => {
+    setText(statusEl, key, params);
+    statusEl.classList.toggle('error', isError);
+  };
+
+  btn.addEventListener('click', async () => {
+    btn.disabled = true;
+    ['latency', 'jitter', 'download', 'upload'].forEach((name) => setResult(name, null));
+    try {
+      setStatus('speedtest.measuringLatency');
+      const { latency, jitter, limits } = await measureLatency();
+      setResult('latency', latency);
+      setResult('jitter', jitter);
+
+      setStatus('speedtest.measuringDownload');
+      const download = await measureThroughput(async (bytes) => {
+        await (await speedTestFetch(`download?bytes=${bytes}`)).arrayBuffer();
+      }, limits.maxDownloadBytes);
+      setResult('download', download);
+
+      setStatus('speedtest.measuringUpload');
+      const upload = await measureThroughput(async (bytes) => {
+        await speedTestFetch('upload', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/octet-stream' },
+          body: new Uint8Array(bytes)
+        });
+      }, limits.maxUploadBytes);
+      setResult('upload', upload);
+
+      setStatus('speedtest.done', { server: apiBase() || location.origin, time: formatTime(Date.now()) });
+    } catch (e) {
+      if (e instanceof SpeedTestError) setStatus(e.key, e.params, true);
+      else setStatus('speedtest.failed', null, true);
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
+
+// Language switcher: each language listed under its own name. Switching redraws the last
+// result and re-translates marked-up text without another request.
+function wireLanguageSwitcher() {
+  const select = document.getElementById('lang-select');
+  if (!select) return;
+  for (const lang of LANGUAGES) {
+    const option = document.createElement('option');
+    option.value = lang;
+    option.textContent = languageName(lang);
+    select.appendChild(option);
+  }
+  select.value = currentLanguage();
+  select.addEventListener('change', () => {
+    setLanguage(select.value, { remember: true });
+    updateToggleLabel(document.documentElement.classList.contains('dark') ? 'dark' : 'light');
+    renderSpeedTestResults();
+    const data = window._whoami_lastData;
+    if (!data) return;
+    renderDetails(data);
+    if (window._whoami_marker && !window._whoami_browserCoords) window._whoami_marker.setPopupContent(ipPopup(data));
+  });
+}
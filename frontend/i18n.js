@@ -0,0 +1,587 @@
+// Interface language: message catalog, language detection and locale-aware formatting.
+// The language is the one picked in the switcher (remembered), otherwise the first of
+// navigator.languages with a catalog, otherwise English. Messages missing from a catalog fall
+// back to English. Country names and number formats come from the browser's Intl data, so
+// they follow the language even where the catalog has no entry.
+//
+// Static text is marked up with data-i18n="key" (textContent), data-i18n-title and
+// data-i18n-aria-label; translateDocument() re-applies them after a language change. Text set
+// with setText() is re-applied the same way.
+const LANG_STORAGE_KEY = 'whoami-lang';
+const DEFAULT_LANG = 'en';
+
+// `{name}` placeholders are filled from params; numbers are formatted for the language.
+// An object value picks a plural form ({ one, other }) from `params.count`.
+const MESSAGES = {
+  en: {
+    'app.tagline': 'See your IP, browser, OS, device and approximate location',
+    'app.language': 'Language',
+    'app.loading': 'Loading…',
+    'app.hint': 'If you see "Failed to fetch", make sure the backend is running on localhost:3000 or open this page via the server URL.',
+    'backend.unknown': 'Backend: unknown',
+    'backend.connecting': 'Backend: connecting...',
+    'backend.connected': 'Backend: {url}',
+    'backend.offline': 'Backend: offline (showing cached result)',
+    'backend.custom': 'Backend: {url} (chosen with ?api=, ?api=auto resets it)',
+    'api.confirm': 'This link points the page at another API: {url}\n\nThat server will see your address and can show anything on this page. Use it?',
+    'status.connecting': 'Connecting to backend',
+    'status.connected': 'Connected to backend',
+    'status.offline': 'Offline, showing cached result',
+    'toast.loaded': 'Data loaded',
+    'toast.offline': 'Backend unreachable, showing your last result',
+    'toast.loadFailed': 'Failed to load data from backend',
+    'error.fetch': 'Failed to fetch — {message}. {advice}',
+    'error.adviceFile': 'Open this page via http://localhost:3000 (or run the Docker image) instead of opening the file directly.',
+    'error.adviceServer': 'Ensure the backend is running (try: docker run -p 3000:3000 whoami-prod) and that the API is reachable.',
+    'offline.banner': 'Offline: showing your last result from {date}',
+    'field.ip': 'IP:',
+    'field.type': 'Address type:',
+    'field.browser': 'Browser:',
+    'field.os': 'OS:',
+    'field.device': 'Device:',
+    'field.location': 'Location:',
+    'field.network': 'Network:',
+    'field.coords': 'Coords:',
+    'value.notAvailable': 'Not available',
+    'value.unknown': 'Unknown',
+    'source.clientHints': 'From User-Agent Client Hints',
+    'source.uaString': 'From the User-Agent string',
+    'network.hosting': 'hosting/datacenter',
+    'network.tor': 'Tor exit',
+    'network.vpn': 'known VPN',
+    'visits.total': 'Total:',
+    'visits.unique': 'Unique:',
+    'visits.yours': 'Your visits:',
+    'visits.notTracked': 'not tracked',
+    'privacy.stored': 'What\'s stored?',
+    'privacy.forget': 'Forget me',
+    'privacy.nothingStored': 'Nothing is stored about you',
+    'privacy.storedSummary': { one: 'Stored: {count} visit {keyNote}{retention}', other: 'Stored: {count} visits {keyNote}{retention}' },
+    'privacy.hashedKey': 'under a hashed key',
+    'privacy.ipKey': 'under your IP {ip}',
+    'privacy.retention': { one: ', kept for {count} day', other: ', kept for {count} days' },
+    'privacy.loadFailed': 'Could not load stored data',
+    'privacy.confirmForget': 'Delete the visit records stored about you?',
+    'privacy.deleted': 'Your visit records were deleted',
+    'privacy.deleteFailed': 'Could not delete your data, please try again',
+    'client.detecting': 'Client: detecting…',
+    'client.summary': 'Client: {browser} · {os} · {device}',
+    'check.timezone': 'Timezone vs IP location',
+    'check.language': 'Browser languages',
+    'check.userAgent': 'User-Agent',
+    'check.consistent': 'No signs of a VPN/proxy or spoofed User-Agent',
+    'check.inconsistent': 'Possible VPN/proxy or spoofed User-Agent',
+    'coords.browser': 'browser',
+    'coords.you': 'You',
+    'locate.button': 'Locate me (browser)',
+    'locate.locating': 'Locating…',
+    'locate.unsupported': 'Geolocation is not supported by your browser',
+    'locate.failed': 'Could not get location: {message}\nIf you are not on https, try running on http://localhost or enable location permissions.',
+    'share.button': 'Share',
+    'share.title': 'Create a link to a read-only copy of this result',
+    'share.copied': 'Link copied (expires {expires}): {link}',
+    'share.prompt': 'Share this link (expires {expires}):',
+    'share.failed': 'Could not create a share link',
+    'theme.toggle': 'Toggle theme',
+    'theme.toLight': 'Switch to Light',
+    'theme.toDark': 'Switch to Dark',
+    'speedtest.title': 'Connection quality',
+    'speedtest.button': 'Test connection',
+    'speedtest.latency': 'Latency',
+    'speedtest.jitter': 'Jitter',
+    'speedtest.download': 'Download',
+    'speedtest.upload': 'Upload',
+    'speedtest.intro': 'Measures round-trip time and throughput to this server.',
+    'speedtest.measuringLatency': 'Measuring latency…',
+    'speedtest.measuringDownload': 'Measuring download…',
+    'speedtest.measuringUpload': 'Measuring upload…',
+    'speedtest.done': 'Tested against {server} at {time}',
+    'speedtest.rateLimited': 'Too many tests from your address, try again later',
+    'speedtest.rateLimitedIn': 'Too many tests from your address, try again in {count} min',
+    'speedtest.busy': 'The server is busy with other tests, try again in a few seconds',
+    'speedtest.httpError': 'Test request failed (HTTP {status})',
+    'speedtest.failed': 'Connection test failed, is the backend reachable?'
+  },
+  es: {
+    'app.tagline': 'Consulta tu IP, navegador, sistema operativo, dispositivo y ubicación aproximada',
+    'app.language': 'Idioma',
+    'app.loading': 'Cargando…',
+    'app.hint': 'Si ves "Failed to fetch", comprueba que el backend se está ejecutando en localhost:3000 o abre esta página desde la URL del servidor.',
+    'backend.unknown': 'Backend: desconocido',
+    'backend.connecting': 'Backend: conectando...',
+    'backend.connected': 'Backend: {url}',
+    'backend.offline': 'Backend: sin conexión (mostrando resultado en caché)',
+    'backend.custom': 'Backend: {url} (elegido con ?api=, ?api=auto lo restablece)',
+    'api.confirm': 'Este enlace apunta la página a otra API: {url}\n\nEse servidor verá tu dirección y puede mostrar cualquier cosa en esta página. ¿Usarla?',
+    'status.connecting': 'Conectando con el backend',
+    'status.connected': 'Conectado al backend',
+    'status.offline': 'Sin conexión, mostrando resultado en caché',
+    'toast.loaded': 'Datos cargados',
+    'toast.offline': 'Backend inaccesible, mostrando tu último resultado',
+    'toast.loadFailed': 'No se pudieron cargar los datos del backend',
+    'error.fetch': 'Error al obtener los datos — {message}. {advice}',
+    'error.adviceFile': 'Abre esta página desde http://localhost:3000 (o ejecuta la imagen de Docker) en lugar de abrir el archivo directamente.',
+    'error.adviceServer': 'Comprueba que el backend se está ejecutando (prueba: docker run -p 3000:3000 whoami-prod) y que la API es accesible.',
+    'offline.banner': 'Sin conexión: mostrando tu último resultado del {date}',
+    'field.ip': 'IP:',
+    'field.type': 'Tipo de dirección:',
+    'field.browser': 'Navegador:',
+    'field.os': 'Sistema:',
+    'field.device': 'Dispositivo:',
+    'field.location': 'Ubicación:',
+    'field.network': 'Red:',
+    'field.coords': 'Coordenadas:',
+    'value.notAvailable': 'No disponible',
+    'value.unknown': 'Desconocido',
+    'source.clientHints': 'Según User-Agent Client Hints',
+    'source.uaString': 'Según la cadena User-Agent',
+    'network.hosting': 'hosting/centro de datos',
+    'network.tor': 'salida de Tor',
+    'network.vpn': 'VPN conocida',
+    'visits.total': 'Total:',
+    'visits.unique': 'Únicas:',
+    'visits.yours': 'Tus visitas:',
+    'visits.notTracked': 'sin registrar',
+    'privacy.stored': '¿Qué se guarda?',
+    'privacy.forget': 'Olvídame',
+    'privacy.nothingStored': 'No se guarda nada sobre ti',
+    'privacy.storedSummary': { one: 'Guardado: {count} visita {keyNote}{retention}', other: 'Guardado: {count} visitas {keyNote}{retention}' },
+    'privacy.hashedKey': 'con una clave cifrada (hash)',
+    'privacy.ipKey': 'con tu IP {ip}',
+    'privacy.retention': { one: ', se conserva {count} día', other: ', se conserva {count} días' },
+    'privacy.loadFailed': 'No se pudieron cargar los datos guardados',
+    'privacy.confirmForget': '¿Eliminar los registros de visitas guardados sobre ti?',
+    'privacy.deleted': 'Se eliminaron tus registros de visitas',
+    'privacy.deleteFailed': 'No se pudieron eliminar tus datos, inténtalo de nuevo',
+    'client.detecting': 'Cliente: detectando…',
+    'client.summary': 'Cliente: {browser} · {os} · {device}',
+    'check.timezone': 'Zona horaria frente a ubicación de la IP',
+    'check.language': 'Idiomas del navegador',
+    'check.userAgent': 'User-Agent',
+    'check.consistent': 'Sin indicios de VPN/proxy ni de User-Agent falsificado',
+    'check.inconsistent': 'Posible VPN/proxy o User-Agent falsificado',
+    'coords.browser': 'navegador',
+    'coords.you': 'Tú',
+    'locate.button': 'Localizarme (navegador)',
+    'locate.locating': 'Localizando…',
+    'locate.unsupported': 'Tu navegador no admite la geolocalización',
+    'locate.failed': 'No se pudo obtener la ubicación: {message}\nSi no usas https, prueba con http://localhost o activa los permisos de ubicación.',
+    'share.button': 'Compartir',
+    'share.title': 'Crear un enlace a una copia de solo lectura de este resultado',
+    'share.copied': 'Enlace copiado (caduca el {expires}): {link}',
+    'share.prompt': 'Comparte este enlace (caduca el {expires}):',
+    'share.failed': 'No se pudo crear el enlace para compartir',
+    'theme.toggle': 'Cambiar tema',
+    'theme.toLight': 'Cambiar a claro',
+    'theme.toDark': 'Cambiar a oscuro',
+    'speedtest.title': 'Calidad de la conexión',
+    'speedtest.button': 'Probar conexión',
+    'speedtest.latency': 'Latencia',
+    'speedtest.jitter': 'Jitter',
+    'speedtest.download': 'Descarga',
+    'speedtest.upload': 'Subida',
+    'speedtest.intro': 'Mide el tiempo de ida y vuelta y la velocidad de transferencia con este servidor.',
+    'speedtest.measuringLatency': 'Midiendo latencia…',
+    'speedtest.measuringDownload': 'Midiendo descarga…',
+    'speedtest.measuringUpload': 'Midiendo subida…',
+    'speedtest.done': 'Probado con {server} a las {time}',
+    'speedtest.rateLimited': 'Demasiadas pruebas desde tu dirección, inténtalo más tarde',
+    'speedtest.rateLimitedIn': 'Demasiadas pruebas desde tu dirección, inténtalo dentro de {count} min',
+    'speedtest.busy': 'El servidor está ocupado con otras pruebas, inténtalo en unos segundos',
+    'speedtest.httpError': 'La solicitud de prueba falló (HTTP {status})',
+    'speedtest.failed': 'La prueba de conexión falló, ¿está accesible el backend?'
+  },
+  fr: {
+    'app.tagline': 'Votre IP, navigateur, système, appareil et position approximative',
+    'app.language': 'Langue',
+    'app.loading': 'Chargement…',
+    'app.hint': 'Si vous voyez « Failed to fetch », vérifiez que le backend tourne sur localhost:3000 ou ouvrez cette page via l\'URL du serveur.',
+    'backend.unknown': 'Backend : inconnu',
+    'backend.connecting': 'Backend : connexion...',
+    'backend.connected': 'Backend : {url}',
+    'backend.offline': 'Backend : hors ligne (résultat en cache)',
+    'backend.custom': 'Backend : {url} (choisi avec ?api=, ?api=auto le réinitialise)',
+    'api.confirm': 'Ce lien dirige la page vers une autre API : {url}\n\nCe serveur verra votre adresse et peut afficher n\'importe quoi sur cette page. L\'utiliser ?',
+    'status.connecting': 'Connexion au backend',
+    'status.connected': 'Connecté au backend',
+    'status.offline': 'Hors ligne, résultat en cache affiché',
+    'toast.loaded': 'Données chargées',
+    'toast.offline': 'Backend injoignable, affichage de votre dernier résultat',
+    'toast.loadFailed': 'Impossible de charger les données du backend',
+    'error.fetch': 'Échec de la récupération — {message}. {advice}',
+    'error.adviceFile': 'Ouvrez cette page via http://localhost:3000 (ou lancez l\'image Docker) au lieu d\'ouvrir le fichier directement.',
+    'error.adviceServer': 'Vérifiez que le backend tourne (essayez : docker run -p 3000:3000 whoami-prod) et que l\'API est joignable.',
+    'offline.banner': 'Hors ligne : votre dernier résultat du {date}',
+    'field.ip': 'IP :',
+    'field.type': 'Type d\'adresse :',
+    'field.browser': 'Navigateur :',
+    'field.os': 'Système :',
+    'field.device': 'Appareil :',
+    'field.location': 'Position :',
+    'field.network': 'Réseau :',
+    'field.coords': 'Coordonnées :',
+    'value.notAvailable': 'Non disponible',
+    'value.unknown': 'Inconnu',
+    'source.clientHints': 'D\'après les User-Agent Client Hints',
+    'source.uaString': 'D\'après la chaîne User-Agent',
+    'network.hosting': 'hébergeur/centre de données',
+    'network.tor': 'sortie Tor',
+    'network.vpn': 'VPN connu',
+    'visits.total': 'Total :',
+    'visits.unique': 'Uniques :',
+    'visits.yours': 'Vos visites :',
+    'visits.notTracked': 'non suivies',
+    'privacy.stored': 'Qu\'est-ce qui est stocké ?',
+    'privacy.forget': 'M\'oublier',
+    'privacy.nothingStored': 'Rien n\'est stocké à votre sujet',
+    'privacy.storedSummary': { one: 'Stocké : {count} visite {keyNote}{retention}', other: 'Stocké : {count} visites {keyNote}{retention}' },
+    'privacy.hashedKey': 'sous une clé hachée',
+    'privacy.ipKey': 'sous votre IP {ip}',
+    'privacy.retention': { one: ', conservée {count} jour', other: ', conservées {count} jours' },
+    'privacy.loadFailed': 'Impossible de charger les données stockées',
+    'privacy.confirmForget': 'Supprimer les visites enregistrées à votre sujet ?',
+    'privacy.deleted': 'Vos visites enregistrées ont été supprimées',
+    'privacy.deleteFailed': 'Impossible de supprimer vos données, veuillez réessayer',
+    'client.detecting': 'Client : détection…',
+    'client.summary': 'Client : {browser} · {os} · {device}',
+    'check.timezone': 'Fuseau horaire et position de l\'IP',
+    'check.language': 'Langues du navigateur',
+    'check.userAgent': 'User-Agent',
+    'check.consistent': 'Aucun signe de VPN/proxy ni de User-Agent falsifié',
+    'check.inconsistent': 'VPN/proxy ou User-Agent falsifié possible',
+    'coords.browser': 'navigateur',
+    'coords.you': 'Vous',
+    'locate.button': 'Me localiser (navigateur)',
+    'locate.locating': 'Localisation…',
+    'locate.unsupported': 'Votre navigateur ne prend pas en charge la géolocalisation',
+    'locate.failed': 'Position indisponible : {message}\nSi vous n\'êtes pas en https, essayez http://localhost ou autorisez l\'accès à la position.',
+    'share.button': 'Partager',
+    'share.title': 'Créer un lien vers une copie en lecture seule de ce résultat',
+    'share.copied': 'Lien copié (expire le {expires}) : {link}',
+    'share.prompt': 'Partagez ce lien (expire le {expires}) :',
+    'share.failed': 'Impossible de créer un lien de partage',
+    'theme.toggle': 'Changer de thème',
+    'theme.toLight': 'Passer en clair',
+    'theme.toDark': 'Passer en sombre',
+    'speedtest.title': 'Qualité de la connexion',
+    'speedtest.button': 'Tester la connexion',
+    'speedtest.latency': 'Latence',
+    'speedtest.jitter': 'Gigue',
+    'speedtest.download': 'Descendant',
+    'speedtest.upload': 'Montant',
+    'speedtest.intro': 'Mesure le temps aller-retour et le débit vers ce serveur.',
+    'speedtest.measuringLatency': 'Mesure de la latence…',
+    'speedtest.measuringDownload': 'Mesure du débit descendant…',
+    'speedtest.measuringUpload': 'Mesure du débit montant…',
+    'speedtest.done': 'Testé avec {server} à {time}',
+    'speedtest.rateLimited': 'Trop de tests depuis votre adresse, réessayez plus tard',
+    'speedtest.rateLimitedIn': 'Trop de tests depuis votre adresse, réessayez dans {count} min',
+    'speedtest.busy': 'Le serveur est occupé par d\'autres tests, réessayez dans quelques secondes',
+    'speedtest.httpError': 'La requête de test a échoué (HTTP {status})',
+    'speedtest.failed': 'Le test de connexion a échoué, le backend est-il joignable ?'
+  },
+  de: {
+    'app.tagline': 'Zeigt deine IP, deinen Browser, dein Betriebssystem, Gerät und ungefähren Standort',
+    'app.language': 'Sprache',
+    'app.loading': 'Wird geladen…',
+    'app.hint': 'Wenn "Failed to fetch" erscheint, prüfe, ob das Backend auf localhost:3000 läuft, oder öffne diese Seite über die Server-URL.',
+    'backend.unknown': 'Backend: unbekannt',
+    'backend.connecting': 'Backend: verbinde...',
+    'backend.connected': 'Backend: {url}',
+    'backend.offline': 'Backend: offline (zeige gespeichertes Ergebnis)',
+    'backend.custom': 'Backend: {url} (per ?api= gewählt, ?api=auto setzt es zurück)',
+    'api.confirm': 'Dieser Link richtet die Seite auf eine andere API: {url}\n\nDieser Server sieht deine Adresse und kann auf dieser Seite beliebige Inhalte anzeigen. Verwenden?',
+    'status.connecting': 'Verbindung zum Backend wird hergestellt',
+    'status.connected': 'Mit dem Backend verbunden',
+    'status.offline': 'Offline, zeige gespeichertes Ergebnis',
+    'toast.loaded': 'Daten geladen',
+    'toast.offline': 'Backend nicht erreichbar, zeige dein letztes Ergebnis',
+    'toast.loadFailed': 'Daten konnten nicht vom Backend geladen werden',
+    'error.fetch': 'Abruf fehlgeschlagen — {message}. {advice}',
+    'error.adviceFile': 'Öffne diese Seite über http://localhost:3000 (oder starte das Docker-Image), statt die Datei direkt zu öffnen.',
+    'error.adviceServer': 'Stelle sicher, dass das Backend läuft (z. B. docker run -p 3000:3000 whoami-prod) und die API erreichbar ist.',
+    'offline.banner': 'Offline: dein letztes Ergebnis vom {date}',
+    'field.ip': 'IP:',
+    'field.type': 'Adresstyp:',
+    'field.browser': 'Browser:',
+    'field.os': 'System:',
+    'field.device': 'Gerät:',
+    'field.location': 'Standort:',
+    'field.network': 'Netzwerk:',
+    'field.coords': 'Koordinaten:',
+    'value.notAvailable': 'Nicht verfügbar',
+    'value.unknown': 'Unbekannt',
+    'source.clientHints': 'Aus den User-Agent Client Hints',
+    'source.uaString': 'Aus dem User-Agent-String',
+    'network.hosting': 'Hosting/Rechenzentrum',
+    'network.tor': 'Tor-Exit',
+    'network.vpn': 'bekanntes VPN',
+    'visits.total': 'Gesamt:',
+    'visits.unique': 'Eindeutig:',
+    'visits.yours': 'Deine Besuche:',
+    'visits.notTracked': 'nicht erfasst',
+    'privacy.stored': 'Was wird gespeichert?',
+    'privacy.forget': 'Vergiss mich',
+    'privacy.nothingStored': 'Über dich ist nichts gespeichert',
+    'privacy.storedSummary': { one: 'Gespeichert: {count} Besuch {keyNote}{retention}', other: 'Gespeichert: {count} Besuche {keyNote}{retention}' },
+    'privacy.hashedKey': 'unter einem gehashten Schlüssel',
+    'privacy.ipKey': 'unter deiner IP {ip}',
+    'privacy.retention': { one: ', aufbewahrt für {count} Tag', other: ', aufbewahrt für {count} Tage' },
+    'privacy.loadFailed': 'Gespeicherte Daten konnten nicht geladen werden',
+    'privacy.confirmForget': 'Die über dich gespeicherten Besuchsdaten löschen?',
+    'privacy.deleted': 'Deine Besuchsdaten wurden gelöscht',
+    'privacy.deleteFailed': 'Deine Daten konnten nicht gelöscht werden, bitte versuche es erneut',
+    'client.detecting': 'Client: wird erkannt…',
+    'client.summary': 'Client: {browser} · {os} · {device}',
+    'check.timezone': 'Zeitzone vs. IP-Standort',
+    'check.language': 'Browsersprachen',
+    'check.userAgent': 'User-Agent',
+    'check.consistent': 'Keine Hinweise auf VPN/Proxy oder gefälschten User-Agent',
+    'check.inconsistent': 'Möglicherweise VPN/Proxy oder gefälschter User-Agent',
+    'coords.browser': 'Browser',
+    'coords.you': 'Du',
+    'locate.button': 'Mich orten (Browser)',
+    'locate.locating': 'Orte…',
+    'locate.unsupported': 'Dein Browser unterstützt keine Standortbestimmung',
+    'locate.failed': 'Standort nicht verfügbar: {message}\nOhne https versuche es über http://localhost oder erlaube den Standortzugriff.',
+    'share.button': 'Teilen',
+    'share.title': 'Einen Link zu einer schreibgeschützten Kopie dieses Ergebnisses erstellen',
+    'share.copied': 'Link kopiert (läuft ab am {expires}): {link}',
+    'share.prompt': 'Diesen Link teilen (läuft ab am {expires}):',
+    'share.failed': 'Teilen-Link konnte nicht erstellt werden',
+    'theme.toggle': 'Design wechseln',
+    'theme.toLight': 'Zu Hell wechseln',
+    'theme.toDark': 'Zu Dunkel wechseln',
+    'speedtest.title': 'Verbindungsqualität',
+    'speedtest.button': 'Verbindung testen',
+    'speedtest.latency': 'Latenz',
+    'speedtest.jitter': 'Jitter',
+    'speedtest.download': 'Download',
+    'speedtest.upload': 'Upload',
+    'speedtest.intro': 'Misst Antwortzeit und Durchsatz zu diesem Server.',
+    'speedtest.measuringLatency': 'Messe Latenz…',
+    'speedtest.measuringDownload': 'Messe Download…',
+    'speedtest.measuringUpload': 'Messe Upload…',
+    'speedtest.done': 'Getestet mit {server} um {time}',
+    'speedtest.rateLimited': 'Zu viele Tests von deiner Adresse, versuche es später erneut',
+    'speedtest.rateLimitedIn': 'Zu viele Tests von deiner Adresse, versuche es in {count} Min. erneut',
+    'speedtest.busy': 'Der Server ist mit anderen Tests beschäftigt, versuche es in ein paar Sekunden erneut',
+    'speedtest.httpError': 'Testanfrage fehlgeschlagen (HTTP {status})',
+    'speedtest.failed': 'Verbindungstest fehlgeschlagen, ist das Backend erreichbar?'
+  },
+  pt: {
+    'app.tagline': 'Veja seu IP, navegador, sistema, dispositivo e localização aproximada',
+    'app.language': 'Idioma',
+    'app.loading': 'Carregando…',
+    'app.hint': 'Se aparecer "Failed to fetch", verifique se o backend está rodando em localhost:3000 ou abra esta página pela URL do servidor.',
+    'backend.unknown': 'Backend: desconhecido',
+    'backend.connecting': 'Backend: conectando...',
+    'backend.connected': 'Backend: {url}',
+    'backend.offline': 'Backend: offline (mostrando resultado em cache)',
+    'backend.custom': 'Backend: {url} (escolhido com ?api=, ?api=auto o redefine)',
+    'api.confirm': 'Este link aponta a página para outra API: {url}\n\nEsse servidor verá seu endereço e pode mostrar qualquer coisa nesta página. Usá-la?',
+    'status.connecting': 'Conectando ao backend',
+    'status.connected': 'Conectado ao backend',
+    'status.offline': 'Offline, mostrando resultado em cache',
+    'toast.loaded': 'Dados carregados',
+    'toast.offline': 'Backend inacessível, mostrando seu último resultado',
+    'toast.loadFailed': 'Não foi possível carregar os dados do backend',
+    'error.fetch': 'Falha ao buscar os dados — {message}. {advice}',
+    'error.adviceFile': 'Abra esta página por http://localhost:3000 (ou rode a imagem Docker) em vez de abrir o arquivo diretamente.',
+    'error.adviceServer': 'Verifique se o backend está rodando (tente: docker run -p 3000:3000 whoami-prod) e se a API está acessível.',
+    'offline.banner': 'Offline: mostrando seu último resultado de {date}',
+    'field.ip': 'IP:',
+    'field.type': 'Tipo de endereço:',
+    'field.browser': 'Navegador:',
+    'field.os': 'Sistema:',
+    'field.device': 'Dispositivo:',
+    'field.location': 'Localização:',
+    'field.network': 'Rede:',
+    'field.coords': 'Coordenadas:',
+    'value.notAvailable': 'Indisponível',
+    'value.unknown': 'Desconhecido',
+    'source.clientHints': 'Pelos User-Agent Client Hints',
+    'source.uaString': 'Pela string User-Agent',
+    'network.hosting': 'hospedagem/datacenter',
+    'network.tor': 'saída Tor',
+    'network.vpn': 'VPN conhecida',
+    'visits.total': 'Total:',
+    'visits.unique': 'Únicos:',
+    'visits.yours': 'Suas visitas:',
+    'visits.notTracked': 'não registradas',
+    'privacy.stored': 'O que fica salvo?',
+    'privacy.forget': 'Esquecer-me',
+    'privacy.nothingStored': 'Nada está salvo sobre você',
+    'privacy.storedSummary': { one: 'Salvo: {count} visita {keyNote}{retention}', other: 'Salvo: {count} visitas {keyNote}{retention}' },
+    'privacy.hashedKey': 'sob uma chave com hash',
+    'privacy.ipKey': 'sob seu IP {ip}',
+    'privacy.retention': { one: ', mantida por {count} dia', other: ', mantidas por {count} dias' },
+    'privacy.loadFailed': 'Não foi possível carregar os dados salvos',
+    'privacy.confirmForget': 'Excluir os registros de visitas salvos sobre você?',
+    'privacy.deleted': 'Seus registros de visitas foram excluídos',
+    'privacy.deleteFailed': 'Não foi possível excluir seus dados, tente novamente',
+    'client.detecting': 'Cliente: detectando…',
+    'client.summary': 'Cliente: {browser} · {os} · {device}',
+    'check.timezone': 'Fuso horário vs. localização do IP',
+    'check.language': 'Idiomas do navegador',
+    'check.userAgent': 'User-Agent',
+    'check.consistent': 'Nenhum sinal de VPN/proxy ou User-Agent falsificado',
+    'check.inconsistent': 'Possível VPN/proxy ou User-Agent falsificado',
+    'coords.browser': 'navegador',
+    'coords.you': 'Você',
+    'locate.button': 'Localizar-me (navegador)',
+    'locate.locating': 'Localizando…',
+    'locate.unsupported': 'Seu navegador não suporta geolocalização',
+    'locate.failed': 'Não foi possível obter a localização: {message}\nSe não estiver em https, tente http://localhost ou permita o acesso à localização.',
+    'share.button': 'Compartilhar',
+    'share.title': 'Criar um link para uma cópia somente leitura deste resultado',
+    'share.copied': 'Link copiado (expira em {expires}): {link}',
+    'share.prompt': 'Compartilhe este link (expira em {expires}):',
+    'share.failed': 'Não foi possível criar o link de compartilhamento',
+    'theme.toggle': 'Alternar tema',
+    'theme.toLight': 'Mudar para claro',
+    'theme.toDark': 'Mudar para escuro',
+    'speedtest.title': 'Qualidade da conexão',
+    'speedtest.button': 'Testar conexão',
+    'speedtest.latency': 'Latência',
+    'speedtest.jitter': 'Jitter',
+    'speedtest.download': 'Download',
+    'speedtest.upload': 'Upload',
+    'speedtest.intro': 'Mede o tempo de ida e volta e a taxa de transferência até este servidor.',
+    'speedtest.measuringLatency': 'Medindo latência…',
+    'speedtest.measuringDownload': 'Medindo download…',
+    'speedtest.measuringUpload': 'Medindo upload…',
+    'speedtest.done': 'Testado com {server} às {time}',
+    'speedtest.rateLimited': 'Muitos testes do seu endereço, tente novamente mais tarde',
+    'speedtest.rateLimitedIn': 'Muitos testes do seu endereço, tente novamente em {count} min',
+    'speedtest.busy': 'O servidor está ocupado com outros testes, tente novamente em alguns segundos',
+    'speedtest.httpError': 'A requisição de teste falhou (HTTP {status})',
+    'speedtest.failed': 'O teste de conexão falhou, o backend está acessível?'
+  }
+};
+
+const LANGUAGES = Object.keys(MESSAGES);
+
+let currentLang = DEFAULT_LANG;
+// Locale for Intl formatting: the matching browser locale when there is one ('de-AT' rather
+// than 'de'), so number and date formats follow the region as well
+let currentLocale = DEFAULT_LANG;
+
+function primaryTag(tag) {
+  return String(tag || '').toLowerCase().split('-')[0];
+}
+
+function browserLanguages() {
+  return Array.from(navigator.languages || [navigator.language].filter(Boolean));
+}
+
+function storedLanguage() {
+  try { return localStorage.getItem(LANG_STORAGE_KEY); } catch (e) { return null; }
+}
+
+function detectLanguage() {
+  const stored = storedLanguage();
+  if (LANGUAGES.includes(stored)) return stored;
+  const match = browserLanguages().map(primaryTag).find((tag) => LANGUAGES.includes(tag));
+  return match || DEFAULT_LANG;
+}
+
+function localeFor(lang) {
+  const match = browserLanguages().find((tag) => primaryTag(tag) === lang);
+  try {
+    return match ? Intl.getCanonicalLocales(match)[0] : lang;
+  } catch (e) {
+    return lang;
+  }
+}
+
+function formatNumber(value, options) {
+  try {
+    return new Intl.NumberFormat(currentLocale, options).format(value);
+  } catch (e) {
+    return String(value);
+  }
+}
+
+// Latitude or longitude with four decimals (about 10 m)
+function formatCoord(value) {
+  return formatNumber(Number(value), { minimumFractionDigits: 4, maximumFractionDigits: 4 });
+}
+
+function formatDateTime(value) {
+  return new Date(value).toLocaleString(currentLocale);
+}
+
+function formatTime(value) {
+  return new Date(value).toLocaleTimeString(currentLocale);
+}
+
+// Country name for an ISO 3166-1 code ('US' -> 'United States' / 'Estados Unidos'), or the
+// input itself when it is not a code the browser can name
+function countryName(code) {
+  if (!/^[A-Z]{2}$/.test(code || '')) return code || '';
+  try {
+    return new Intl.DisplayNames([currentLocale], { type: 'region' }).of(code) || code;
+  } catch (e) {
+    return code;
+  }
+}
+
+// A language's own name ('de' -> 'Deutsch') for the switcher
+function languageName(lang) {
+  try {
+    const name = new Intl.DisplayNames([lang], { type: 'language' }).of(lang);
+    return name.charAt(0).toLocaleUpperCase(lang) + name.slice(1);
+  } catch (e) {
+    return lang;
+  }
+}
+
+function t(key, params = {}) {
+  let message = (MESSAGES[currentLang] && MESSAGES[currentLang][key]) || MESSAGES[DEFAULT_LANG][key] || key;
+  if (typeof message === 'object') {
+    let form = 'other';
+    try { form = new Intl.PluralRules(currentLocale).select(params.count); } catch (e) { /* other */ }
+    message = message[form] || message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+}
+
+// Set an element's text to a message and remember the key, so translateDocument() can
+// re-apply it in another language
+function setText(el, key, params) {
+  if (!el) return;
+  el.dataset.i18n = key;
+  if (params) el.dataset.i18nParams = JSON.stringify(params);
+  else delete el.dataset.i18nParams;
+  el.textContent = t(key, params);
+}
+
+function translateDocument(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.dataset.i18n, el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : undefined);
+  });
+  root.querySelectorAll('[data-i18n-title]').forEach((el) => { el.title = t(el.dataset.i18nTitle); });
+  root.querySelectorAll('[data-i18n-aria-label]').forEach((el) => { el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)); });
+}
+
+// Switch the interface language; `remember` keeps the choice for later visits
+function setLanguage(lang, { remember = false } = {}) {
+  currentLang = LANGUAGES.includes(lang) ? lang : DEFAULT_LANG;
+  currentLocale = localeFor(currentLang);
+  document.documentElement.lang = currentLang;
+  if (remember) {
+    try { localStorage.setItem(LANG_STORAGE_KEY, currentLang); } catch (e) { /* ignore */ }
+  }
+  translateDocument();
+}
+
+function currentLanguage() {
+  return currentLang;
+}
+
+setLanguage(detectLanguage());
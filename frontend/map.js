@@ -0,0 +1,18 @@
+// Shared Leaflet setup used by the main page (app.js) and the admin dashboard (admin.js).
+
+// Create a map with the OpenStreetMap tile layer centered on lat/lon
+function createBaseMap(elementId, lat, lon, zoom = 12) {
+  const map = L.map(elementId, { zoomControl: true, attributionControl: true }).setView([lat, lon], zoom);
+  L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+    maxZoom: 19,
+    attribution: '&copy; OpenStreetMap contributors'
+  }).addTo(map);
+  return map;
+}
+
+// Make sure Leaflet container resizes correctly when it becomes visible
+function refreshMapSize(map, delay = 200) {
+  setTimeout(() => {
+    try { map.invalidateSize(); } catch (e) { /* ignore */ }
+  }, delay);
+}
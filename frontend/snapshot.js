@@ -0,0 +1,92 @@
+// Read-only view of a shared snapshot (/s/<id>). The record comes from the same origin's
+// /api/snapshots/<id>; nothing is recorded and the page has no live or privacy controls.
+
+const card = document.getElementById('card');
+const metaEl = document.getElementById('snapshot-meta');
+const snapshotId = decodeURIComponent(location.pathname.split('/').filter(Boolean).pop() || '');
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function describeNetwork(network) {
+  const parts = [];
+  if (network.asn) parts.push(`AS${network.asn}${network.organization ? ` ${network.organization}` : ''}`);
+  if (network.isHosting) parts.push('hosting/datacenter');
+  if (network.isTor) parts.push('Tor exit');
+  if (network.isKnownVpn) parts.push('known VPN');
+  return parts.join(' · ') || '-';
+}
+
+function formatCoords(lat, lon) {
+  return `${Number(lat).toFixed(4)}, ${Number(lon).toFixed(4)}`;
+}
+
+function row(label, value) {
+  return `<div class="detail-row"><span class="label">${label}:</span><span class="value">${escapeHtml(value)}</span></div>`;
+}
+
+function renderSnapshot(record) {
+  const data = record.data;
+  const loc = data.location || {};
+  const browserCoords = data.browserCoords;
+  card.innerHTML = `
+    <div class="details-grid">
+      ${row('IP', data.ip)}
+      ${row('Address type', data.type || '-')}
+      ${row('Browser', data.browser)}
+      ${row('OS', data.os)}
+      ${row('Device', `${data.device}${data.model ? ` (${data.model})` : ''}`)}
+      ${row('Location', `${loc.city || '-'}, ${loc.region || '-'}, ${loc.country || '-'}`)}
+      ${loc.network ? row('Network', describeNetwork(loc.network)) : ''}
+      ${row('Coords', loc.latitude != null && loc.longitude != null ? `${formatCoords(loc.latitude, loc.longitude)} (IP)` : 'Not available')}
+      ${browserCoords ? row('Browser coords', `${formatCoords(browserCoords.latitude, browserCoords.longitude)}${browserCoords.accuracy != null ? ` ±${Math.round(browserCoords.accuracy)} m` : ''}`) : ''}
+    </div>
+  `;
+  metaEl.textContent = `Captured ${new Date(record.createdAt).toLocaleString()} · expires ${new Date(record.expiresAt).toLocaleString()}`;
+
+  // Browser coordinates are more precise than the IP location, so they win on the map
+  const point = browserCoords || (loc.latitude != null && loc.longitude != null ? loc : null);
+  const mapEl = document.getElementById('map');
+  if (!point) {
+    mapEl.style.display = 'none';
+    return;
+  }
+  try {
+    const map = createBaseMap('map', point.latitude, point.longitude);
+    L.marker([point.latitude, point.longitude]).addTo(map)
+      .bindPopup(`<strong>${escapeHtml(data.ip)}</strong><br>${browserCoords ? '(browser)' : escapeHtml(`${loc.city || ''} ${loc.region || ''} ${loc.country || ''}`)}`)
+      .openPopup();
+    refreshMapSize(map);
+  } catch (e) {
+    mapEl.style.display = 'none';
+  }
+}
+
+async function loadSnapshot() {
+  const url = `/api/snapshots/${encodeURIComponent(snapshotId)}`;
+  document.getElementById('snapshot-json').href = url;
+  try {
+    const r = await fetch(url, { cache: 'no-store' });
+    if (r.status === 404) throw new Error('This snapshot does not exist or has expired.');
+    if (!r.ok) throw new Error(`Could not load the snapshot (HTTP ${r.status}).`);
+    renderSnapshot(await r.json());
+  } catch (e) {
+    card.innerHTML = `<div id="error">${escapeHtml(e.message)}</div>`;
+    document.getElementById('map').style.display = 'none';
+  }
+}
+
+// Follow the theme chosen on the main page
+(function () {
+  let mode = null;
+  try { mode = localStorage.getItem('whoami-mode'); } catch (e) { /* ignore */ }
+  if (!mode && window.matchMedia) mode = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  document.documentElement.classList.toggle('dark', mode !== 'light');
+  document.documentElement.classList.toggle('light', mode === 'light');
+  loadSnapshot();
+})();
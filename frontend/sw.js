@@ -0,0 +1,92 @@
+// Service worker: serves the app shell from cache when offline and keeps the last successful
+// /api/whoami response, which is returned (marked with `offline.cachedAt`) when the backend
+// cannot be reached. Bump CACHE_VERSION when the shell file list changes.
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `whoami-shell-${CACHE_VERSION}`;
+const API_CACHE = `whoami-api-${CACHE_VERSION}`;
+const SHELL_FILES = ['./', 'index.html', 'style.css', 'i18n.js', 'app.js', 'map.js'];
+// Third-party scripts and styles are cached as they are fetched
+const CDN_HOSTS = ['unpkg.com', 'cdn.jsdelivr.net'];
+// Cache key for the last whoami result, whichever API base it came from
+const WHOAMI_KEY = 'last-whoami';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_FILES)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key.startsWith('whoami-') && ![SHELL_CACHE, API_CACHE].includes(key)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first; on success remember the body with its timestamp, on failure replay it
+async function whoami(request) {
+  const cache = await caches.open(API_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const body = await response.clone().json();
+      await cache.put(WHOAMI_KEY, new Response(JSON.stringify({ body, cachedAt: new Date().toISOString() }), {
+        headers: { 'Content-Type': 'application/json' }
+      }));
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(WHOAMI_KEY);
+    if (!cached) throw err;
+    const { body, cachedAt } = await cached.json();
+    return new Response(JSON.stringify({ ...body, offline: { cachedAt } }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// Network first for the shell so deploys show up immediately; the cache covers offline use
+async function shell(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Cache first for versioned CDN assets
+async function cdn(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') await cache.put(request, response.clone());
+  return response;
+}
+
+// Only the shell files themselves; other same-origin paths (/admin, /health, config.json)
+// must always come from the network
+function isShellRequest(url) {
+  if (url.origin !== self.location.origin) return false;
+  const scopePath = new URL(self.registration.scope).pathname;
+  if (!url.pathname.startsWith(scopePath)) return false;
+  const file = url.pathname.slice(scopePath.length);
+  return file === '' || SHELL_FILES.includes(file);
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.pathname.endsWith('/api/whoami') && !url.search) {
+    event.respondWith(whoami(request));
+  } else if (isShellRequest(url)) {
+    event.respondWith(shell(request));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cdn(request));
+  }
+});